@@ -0,0 +1,218 @@
+/**
+ * @file
+ * Conversion of raw (e.g. command line) arguments into the types that a contract function or
+ * constructor declares in its ABI. Every argument is validated against its declared type, so that
+ * malformed arguments are caught before any transaction is sent.
+ */
+
+const { ArgumentError } = require('./errors');
+const _ = require('lodash');
+const utils = require('web3/lib/utils/utils');
+
+const ARRAY_TYPE_REGEX = /^(.*)\[([0-9]*)\]$/;
+const INTEGER_TYPE_REGEX = /^(u?)int([0-9]*)$/;
+const FIXED_BYTES_TYPE_REGEX = /^bytes([0-9]+)$/;
+const HEX_REGEX = /^0x([0-9a-fA-F]{2})*$/;
+
+/**
+ * Returns the inputs of the constructor declared in an ABI.
+ *
+ * @param {Object[]} abi - Contract ABI
+ * @returns {Object[]} Constructor inputs (empty if the ABI declares no constructor)
+ */
+function constructorInputs(abi) {
+    const constructor = _.find(abi, { type: 'constructor' });
+    return _.get(constructor, 'inputs', []);
+}
+
+/**
+ * Splits a raw array argument into its elements. Arrays may be given as JSON (which is required for
+ * nested arrays) or as comma-separated lists.
+ *
+ * @param {string|Array} raw - Raw array argument
+ * @returns {Array} Raw elements
+ */
+function arrayElements(raw) {
+    if (Array.isArray(raw)) {
+        return raw;
+    }
+
+    const trimmedRaw = String(raw).trim();
+    if (trimmedRaw.startsWith('[')) {
+        let parsed;
+        try {
+            parsed = JSON.parse(trimmedRaw);
+        } catch (e) {
+            throw new Error(`could not parse ${trimmedRaw} as a JSON array`);
+        }
+        if (!Array.isArray(parsed)) {
+            throw new Error(`${trimmedRaw} is not an array`);
+        }
+        return parsed;
+    }
+
+    if (trimmedRaw === '') {
+        return [];
+    }
+    return trimmedRaw.split(',').map(element => element.trim());
+}
+
+/**
+ * Converts a raw integer argument into a BigNumber, checking that it fits in the given type.
+ *
+ * @param {string} type - Solidity integer type, e.g. "uint256" or "int8"
+ * @param {string|number|Object} raw - Raw integer argument, in decimal or 0x-prefixed hex
+ * @returns {Object} BigNumber
+ */
+function coerceInteger(type, raw) {
+    const [, unsigned, size] = INTEGER_TYPE_REGEX.exec(type);
+    const bits = size ? parseInt(size, 10) : 256;
+
+    let value;
+    if (typeof raw === 'number') {
+        if (!Number.isSafeInteger(raw)) {
+            throw new Error(`${raw} cannot be represented exactly; pass it as a string`);
+        }
+        value = utils.toBigNumber(raw);
+    } else if (utils.isBigNumber(raw)) {
+        value = raw;
+    } else {
+        const trimmedRaw = String(raw).trim();
+        if (!/^-?[0-9]+$/.test(trimmedRaw) && !/^0x[0-9a-fA-F]+$/.test(trimmedRaw)) {
+            throw new Error(`${raw} is not an integer`);
+        }
+        value = utils.toBigNumber(trimmedRaw);
+    }
+
+    if (!value.floor().equals(value)) {
+        throw new Error(`${raw} is not an integer`);
+    }
+
+    const two = utils.toBigNumber(2);
+    const lowerBound = unsigned ? utils.toBigNumber(0) : two.pow(bits - 1).neg();
+    const upperBound = unsigned ? two.pow(bits) : two.pow(bits - 1);
+    if (value.lessThan(lowerBound) || value.greaterThanOrEqualTo(upperBound)) {
+        throw new Error(`${raw} is out of range for ${type}`);
+    }
+
+    return value;
+}
+
+/**
+ * Converts a raw argument into a value of the given ABI type.
+ *
+ * @param {string} type - Solidity type, e.g. "uint256[5]" or "address"
+ * @param {*} raw - Raw argument; strings are parsed, values which already have the right type are
+ * accepted as they are
+ * @returns {*} Value suitable for passing to a web3 contract function
+ * @throws {Error} If the argument cannot be converted to the given type
+ */
+function coerceArgument(type, raw) {
+    const arrayMatch = ARRAY_TYPE_REGEX.exec(type);
+    if (arrayMatch) {
+        const [, elementType, length] = arrayMatch;
+        const elements = arrayElements(raw);
+        if (length && elements.length !== parseInt(length, 10)) {
+            throw new Error(`expected ${length} elements for ${type}, got ${elements.length}`);
+        }
+        return elements.map((element, index) => {
+            try {
+                return coerceArgument(elementType, element);
+            } catch (e) {
+                throw new Error(`element ${index}: ${e.message}`);
+            }
+        });
+    }
+
+    if (INTEGER_TYPE_REGEX.test(type)) {
+        return coerceInteger(type, raw);
+    }
+
+    if (type === 'bool') {
+        if (typeof raw === 'boolean') {
+            return raw;
+        }
+        const normalizedRaw = String(raw).trim().toLowerCase();
+        if (normalizedRaw === 'true' || normalizedRaw === '1') {
+            return true;
+        }
+        if (normalizedRaw === 'false' || normalizedRaw === '0') {
+            return false;
+        }
+        throw new Error(`${raw} is not a boolean (expected true, false, 1 or 0)`);
+    }
+
+    if (type === 'address') {
+        const trimmedRaw = String(raw).trim();
+        if (!/^0x[0-9a-fA-F]{40}$/.test(trimmedRaw) || !utils.isAddress(trimmedRaw)) {
+            throw new Error(`${raw} is not a valid address`);
+        }
+        return trimmedRaw;
+    }
+
+    if (type === 'bytes') {
+        const trimmedRaw = String(raw).trim();
+        if (!HEX_REGEX.test(trimmedRaw)) {
+            throw new Error(`${raw} is not a 0x-prefixed hex string of whole bytes`);
+        }
+        return trimmedRaw;
+    }
+
+    const fixedBytesMatch = FIXED_BYTES_TYPE_REGEX.exec(type);
+    if (fixedBytesMatch) {
+        const byteCount = parseInt(fixedBytesMatch[1], 10);
+        const trimmedRaw = String(raw).trim();
+        if (!HEX_REGEX.test(trimmedRaw) || trimmedRaw.length !== 2 + (2 * byteCount)) {
+            throw new Error(`${raw} is not a 0x-prefixed hex string of exactly ${byteCount} bytes`);
+        }
+        return trimmedRaw;
+    }
+
+    if (type === 'string') {
+        if (typeof raw !== 'string') {
+            throw new Error(`${JSON.stringify(raw)} is not a string`);
+        }
+        return raw;
+    }
+
+    throw new Error(`arguments of type ${type} are not supported`);
+}
+
+/**
+ * Converts a list of raw arguments into values of the types declared by the given ABI inputs.
+ * Every argument is checked, and all problems are reported together.
+ *
+ * @param {Object[]} inputs - ABI inputs (e.g. the result of constructorInputs)
+ * @param {Array} rawArgs - Raw arguments, one per input
+ * @returns {Array} Converted arguments
+ * @throws {ArgumentError} If the number of arguments is wrong, or any argument cannot be converted
+ */
+function coerceArguments(inputs, rawArgs) {
+    const signature = `(${inputs.map(input => `${input.type} ${input.name}`.trim()).join(', ')})`;
+    if (rawArgs.length !== inputs.length) {
+        const problem = `expected ${inputs.length} argument(s) ${signature}, got ${rawArgs.length}`;
+        throw new ArgumentError(`Invalid arguments: ${problem}`, [problem]);
+    }
+
+    const problems = [];
+    const values = inputs.map((input, index) => {
+        try {
+            return coerceArgument(input.type, rawArgs[index]);
+        } catch (e) {
+            problems.push(`argument ${index} (${input.type} ${input.name}): ${e.message}`.replace(' )', ')'));
+            return undefined;
+        }
+    });
+
+    if (problems.length > 0) {
+        throw new ArgumentError(`Invalid arguments for ${signature}:\n${problems.map(problem => `  ${problem}`).join('\n')}`, problems);
+    }
+
+    return values;
+}
+
+module.exports = {
+    coerceArgument,
+    coerceArguments,
+    constructorInputs,
+};
@@ -0,0 +1,209 @@
+/**
+ * @file
+ * Build artifacts - JSON files holding everything needed to deploy and interact with a compiled
+ * contract, so that consumers do not have to compile the contract themselves.
+ *
+ * Each artifact has the following keys:
+ * 1. contractName - name of the contract
+ * 2. sourcePath - path of the solidity file defining the contract
+ * 3. abi - contract ABI
+ * 4. bytecode - 0x-prefixed creation bytecode
+ * 5. deployedBytecode - 0x-prefixed runtime bytecode
+ * 6. compiler - `version` of solc used and `settings` passed to it
+ * 7. sourceHash - hash of every source that went into the compilation (see compile.js)
+ */
+
+const compile = require('./compile');
+const crypto = require('crypto');
+const fs = require('fs');
+const _ = require('lodash');
+const makeDirectory = require('./makeDirectory');
+const path = require('path');
+
+/**
+ * Prepends 0x to a hex string, unless it is empty or already prefixed.
+ *
+ * @param {string} hex - Hex string
+ * @returns {string} 0x-prefixed hex string
+ */
+function prefixHex(hex) {
+    if (!hex || hex.startsWith('0x')) {
+        return hex;
+    }
+    return `0x${hex}`;
+}
+
+/**
+ * Extracts the artifact for a single contract from a compilation result.
+ *
+ * @param {Object} compilationResult - Result of compile
+ * @param {string} contractPath - Path that was passed to compile
+ * @param {string} contractName - Name of contract in the file at contractPath
+ * @param {string} [sourcePath] - Path to record as the source of the contract (default:
+ * contractPath)
+ * @returns {Object} Artifact
+ */
+function artifactFromCompilation(compilationResult, contractPath, contractName, sourcePath) {
+    const compiledContract = _.get(compilationResult, ['contracts', contractPath, contractName]);
+    if (!compiledContract) {
+        throw new Error(`Contract not found: ${contractName} at ${contractPath}`);
+    }
+
+    return {
+        contractName,
+        sourcePath: sourcePath || contractPath,
+        abi: compiledContract.abi,
+        bytecode: prefixHex(_.get(compiledContract, ['evm', 'bytecode', 'object'])),
+        deployedBytecode: prefixHex(_.get(compiledContract, ['evm', 'deployedBytecode', 'object'])),
+        compiler: compilationResult.compiler,
+        sourceHash: compilationResult.sourceHash,
+    };
+}
+
+/**
+ * Produces a hash identifying the deployable content of an artifact - its ABI and bytecode.
+ *
+ * @param {Object} artifact - Artifact
+ * @returns {string} Hex-encoded SHA-256 digest
+ */
+function artifactHash(artifact) {
+    return crypto.createHash('sha256')
+        .update(JSON.stringify([artifact.abi, artifact.bytecode]))
+        .digest('hex');
+}
+
+/**
+ * Reads the artifact at the given path.
+ *
+ * @param {string} artifactPath - Path to artifact JSON file
+ * @returns {Object} Artifact
+ */
+function readArtifact(artifactPath) {
+    const artifact = JSON.parse(fs.readFileSync(artifactPath).toString());
+    if (!artifact.contractName || !Array.isArray(artifact.abi)) {
+        throw new Error(`Not a build artifact: ${artifactPath}`);
+    }
+    return artifact;
+}
+
+/**
+ * Writes an artifact to `<outputDirectory>/<contractName>.json`.
+ *
+ * @param {string} outputDirectory - Directory to write artifact to (created if it does not exist)
+ * @param {Object} artifact - Artifact
+ * @returns {string} Path to the written artifact
+ */
+function writeArtifact(outputDirectory, artifact) {
+    makeDirectory(outputDirectory);
+    const artifactPath = path.join(outputDirectory, `${artifact.contractName}.json`);
+    fs.writeFileSync(artifactPath, `${JSON.stringify(artifact, null, 2)}\n`);
+    return artifactPath;
+}
+
+/**
+ * Loads a contract either from a build artifact (if contractPath ends in .json) or by compiling
+ * a solidity file (otherwise), along with the diagnostics reported by the compiler. In the latter
+ * case, compilation happens in strict mode, so the diagnostics can only be warnings (or errors
+ * which the compiler does not consider fatal). Artifacts carry no diagnostics.
+ *
+ * @param {string} contractPath - Path to artifact or solidity file
+ * @param {string} [contractName] - Name of contract; required for solidity files, and checked
+ * against the artifact for artifacts
+ * @param {Object} [compileOptions] - Options to pass to compile (see compile.js)
+ * @returns {Object} The `artifact`, and the `diagnostics` of its compilation (see diagnostics.js)
+ */
+function loadContractWithDiagnostics(contractPath, contractName, compileOptions = {}) {
+    if (path.extname(contractPath) === '.json') {
+        const artifact = readArtifact(contractPath);
+        if (contractName && artifact.contractName !== contractName) {
+            throw new Error(`Artifact at ${contractPath} is for contract ${artifact.contractName}, not ${contractName}`);
+        }
+        return { artifact, diagnostics: [] };
+    }
+
+    if (!contractName) {
+        throw new Error(`A contract name is required to load a contract from ${contractPath}`);
+    }
+
+    const compilationResult = compile(contractPath, _.assign({}, compileOptions, { strict: true }));
+    return {
+        artifact: artifactFromCompilation(compilationResult, contractPath, contractName),
+        diagnostics: compilationResult.diagnostics,
+    };
+}
+
+/**
+ * Loads a contract either from a build artifact (if contractPath ends in .json) or by compiling
+ * a solidity file (otherwise). In the latter case, compilation happens in strict mode. Use
+ * loadContractWithDiagnostics to also obtain the warnings reported by the compiler.
+ *
+ * @param {string} contractPath - Path to artifact or solidity file
+ * @param {string} [contractName] - Name of contract; required for solidity files, and checked
+ * against the artifact for artifacts
+ * @param {Object} [compileOptions] - Options to pass to compile (see compile.js)
+ * @returns {Object} Artifact
+ */
+function loadContract(contractPath, contractName, compileOptions = {}) {
+    return loadContractWithDiagnostics(contractPath, contractName, compileOptions).artifact;
+}
+
+/**
+ * Lists the solidity files in a directory and its subdirectories.
+ *
+ * @param {string} directory - Path to directory
+ * @returns {string[]} Paths to solidity files, in lexicographic order
+ */
+function solidityFiles(directory) {
+    return _.flatMap(fs.readdirSync(directory).sort(), (entry) => {
+        const entryPath = path.join(directory, entry);
+        if (fs.statSync(entryPath).isDirectory()) {
+            return solidityFiles(entryPath);
+        }
+        return path.extname(entry) === '.sol' ? [entryPath] : [];
+    });
+}
+
+/**
+ * Compiles every solidity file in sourceDirectory (recursively) and writes an artifact for each
+ * contract defined in those files to outputDirectory. Compilation happens in strict mode.
+ *
+ * This method is synchronous and throws an error if any file fails to compile or if two files
+ * define contracts with the same name.
+ *
+ * @param {string} sourceDirectory - Directory containing solidity files
+ * @param {string} outputDirectory - Directory to write artifacts to
+ * @param {Object} [compileOptions] - Options to pass to compile (see compile.js)
+ * @returns {string[]} Paths to the written artifacts
+ */
+function buildArtifacts(sourceDirectory, outputDirectory, compileOptions = {}) {
+    const artifacts = _.flatMap(solidityFiles(path.resolve(sourceDirectory)), (contractPath) => {
+        const compilationResult = compile(
+            contractPath,
+            _.assign({}, compileOptions, { strict: true }),
+        );
+        const sourcePath = path.relative(process.cwd(), contractPath);
+        return Object.keys(_.get(compilationResult, ['contracts', contractPath], {})).map(contractName =>
+            artifactFromCompilation(compilationResult, contractPath, contractName, sourcePath));
+    });
+
+    const duplicates = _.filter(
+        _.groupBy(artifacts, 'contractName'),
+        contractArtifacts => contractArtifacts.length > 1,
+    );
+    if (duplicates.length > 0) {
+        const descriptions = duplicates.map(contractArtifacts => `${contractArtifacts[0].contractName} (${_.map(contractArtifacts, 'sourcePath').join(', ')})`);
+        throw new Error(`Contracts defined in more than one file: ${descriptions.join('; ')}`);
+    }
+
+    return artifacts.map(artifact => writeArtifact(outputDirectory, artifact));
+}
+
+module.exports = {
+    artifactFromCompilation,
+    artifactHash,
+    buildArtifacts,
+    loadContract,
+    loadContractWithDiagnostics,
+    readArtifact,
+    writeArtifact,
+};
@@ -0,0 +1,224 @@
+/**
+ * @file
+ * Batch sending - many contract method calls sent as transactions from one account, e.g. to pay out
+ * Stimulus rewards or to airdrop Stem tokens.
+ *
+ * Nonces are assigned by the batch sender itself, consecutively from the account's pending
+ * transaction count, so that transactions can be submitted without waiting for the previous ones
+ * to be mined. Up to `concurrency` items are in flight at once, from gas estimation until their
+ * receipts are confirmed. Nonces are only assigned to transactions which the node accepts, so an
+ * item which fails before being sent does not hold up the items after it.
+ *
+ * Every item ends up in the report as `succeeded`, `failed` or `pending`. Pending items were sent
+ * but not confirmed in time; they are not retried, since they may still be mined. Failed items
+ * can be sent again with retryFailures.
+ */
+
+const async = require('async');
+const { contractCallError, describeCall } = require('./contractPromises');
+const diagnoseFailure = require('./diagnoseFailure');
+const { ContractCallError, TransactionTimeoutError } = require('./errors');
+const { allocateGas, multiplier, toStrategy } = require('./gasStrategies');
+const _ = require('lodash');
+const waitForReceipt = require('./waitForReceipt');
+
+const DEFAULT_CONCURRENCY = 10;
+
+/**
+ * Totals the results of a batch.
+ *
+ * @param {string} from - Address from which the batch was sent
+ * @param {Object[]} results - Result for each item
+ * @returns {Object} Report
+ */
+function summarize(from, results) {
+    const counts = _.countBy(results, 'status');
+    return {
+        from,
+        results,
+        succeeded: counts.succeeded || 0,
+        failed: counts.failed || 0,
+        pending: counts.pending || 0,
+    };
+}
+
+/**
+ * Sends a batch of contract method calls as transactions from one account.
+ *
+ * @param {Object} web3 - Web3 client
+ * @param {Object[]} items - Calls to make, each with a `contractMethod` (e.g. `stem.transfer`), the
+ * `args` to call it with and, optionally, a `description` for the report
+ * @param {Object} options - Sending options
+ * @param {string} options.from - Address from which to send the transactions
+ * @param {Function|Object} [options.gasStrategy] - Gas strategy, or assignGas function (see
+ * gasStrategies.js; default: the gas estimate)
+ * @param {number} [options.concurrency] - Largest number of items in flight at once (default: 10)
+ * @param {number} [options.nonce] - Nonce of the first transaction (default: the pending
+ * transaction count of the sender)
+ * @param {number} [options.confirmations] - Number of confirmations to wait for (see
+ * waitForReceipt.js)
+ * @param {number} [options.timeout] - Number of milliseconds to wait for each transaction to be
+ * confirmed
+ * @param {Function} [options.log] - Called with a message as each item completes
+ * @param {callback} callback - Called with an error if the batch could not be started, or with null
+ * and a report with the `results` for each item, in order, and the numbers of items which
+ * `succeeded`, `failed` and are `pending`. Each result has the `index` of its item, its
+ * `description`, `status`, `nonce`, `transactionHash` and `receipt` (where these are known), the
+ * `error` with which it failed (a ContractCallError) and the number of `attempts` made.
+ */
+function sendBatch(web3, items, options, callback) {
+    const { from } = options;
+    const gasStrategy = toStrategy(options.gasStrategy || multiplier(1));
+    const receiptOptions = _.pick(options, ['confirmations', 'timeout', 'pollInterval']);
+    const concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+    const log = options.log || _.noop;
+
+    return web3.eth.getTransactionCount(from, 'pending', (countErr, pendingCount) => {
+        if (countErr) {
+            return callback(countErr);
+        }
+
+        let nextNonce = options.nonce !== undefined ? options.nonce : pendingCount;
+
+        // Transactions are submitted one at a time, so that a nonce is only used up once the node
+        // has accepted the transaction sent with it
+        const submissionQueue = async.queue((submission, done) => {
+            const nonce = nextNonce;
+            const { item, transactionObject } = submission;
+            return item.contractMethod.sendTransaction(
+                ...item.args,
+                Object.assign({ nonce }, transactionObject),
+                (err, transactionHash) => {
+                    if (err) {
+                        return done(err);
+                    }
+                    nextNonce += 1;
+                    return done(null, { nonce, transactionHash });
+                },
+            );
+        }, 1);
+
+        function allocate(item, next) {
+            if (!gasStrategy.requiresEstimate) {
+                return allocateGas(gasStrategy, null, next);
+            }
+            return item.contractMethod.estimateGas(...item.args, { from }, (err, gasEstimate) => {
+                if (err) {
+                    return diagnoseFailure(item.contractMethod, item.args, from, err, next);
+                }
+                return allocateGas(gasStrategy, gasEstimate, next);
+            });
+        }
+
+        function sendItem(item, result, next) {
+            return async.waterfall([
+                done => allocate(item, done),
+                (allocation, done) => {
+                    const transactionObject = { from, gas: allocation.gas };
+                    if (allocation.gasPrice !== undefined) {
+                        transactionObject.gasPrice = allocation.gasPrice;
+                    }
+                    return submissionQueue.push({ item, transactionObject }, done);
+                },
+                (submission, done) => {
+                    Object.assign(result, submission);
+                    return waitForReceipt(web3, submission.transactionHash, receiptOptions, done);
+                },
+            ], next);
+        }
+
+        function processItem({ item, index }, next) {
+            const result = {
+                index,
+                description: item.description ||
+                    describeCall(item.contractMethod, item.args, from).description,
+                status: 'failed',
+                nonce: null,
+                transactionHash: null,
+                receipt: null,
+                error: null,
+                attempts: 1,
+            };
+
+            return sendItem(item, result, (err, receipt) => {
+                if (err) {
+                    result.status = err instanceof TransactionTimeoutError ? 'pending' : 'failed';
+                    result.error = err instanceof ContractCallError ?
+                        err :
+                        contractCallError(item.contractMethod, item.args, from, err);
+                } else {
+                    result.status = 'succeeded';
+                    result.receipt = receipt;
+                }
+                log(`#${index} ${result.description}: ${result.status}`);
+                return next(null, result);
+            });
+        }
+
+        return async.mapLimit(
+            items.map((item, index) => ({ item, index })),
+            concurrency,
+            processItem,
+            (err, results) => callback(err || null, summarize(from, results)),
+        );
+    });
+}
+
+/**
+ * Sends the items which failed in a batch again, as a new batch.
+ *
+ * @param {Object} web3 - Web3 client
+ * @param {Object[]} items - Items of the original batch
+ * @param {Object} report - Report on the original batch (or on a previous retry)
+ * @param {Object} options - Sending options (see sendBatch)
+ * @param {callback} callback - Called with an error if the retry could not be started, or with null
+ * and a report on all the items of the original batch, with the results of the retried items
+ * replaced
+ */
+function retryFailures(web3, items, report, options, callback) {
+    const failedResults = report.results.filter(result => result.status === 'failed');
+    const retriedItems = failedResults.map(result => items[result.index]);
+
+    return sendBatch(web3, retriedItems, options, (err, retryReport) => {
+        if (err) {
+            return callback(err);
+        }
+
+        const results = report.results.slice();
+        retryReport.results.forEach((retryResult, position) => {
+            const previousResult = failedResults[position];
+            results[previousResult.index] = Object.assign({}, retryResult, {
+                index: previousResult.index,
+                attempts: previousResult.attempts + 1,
+            });
+        });
+        return callback(null, summarize(report.from, results));
+    });
+}
+
+/**
+ * Formats a batch report for display.
+ *
+ * @param {Object} report - Report, as produced by sendBatch or retryFailures
+ * @returns {string} Formatted report
+ */
+function formatReport(report) {
+    const lines = report.results.map((result) => {
+        const transaction = result.transactionHash ?
+            ` (nonce ${result.nonce}, transaction ${result.transactionHash})` :
+            '';
+        const outcome = result.status === 'succeeded' ?
+            `succeeded in block ${result.receipt.blockNumber}` :
+            `${result.status}: ${result.error.message}`;
+        return `#${result.index} ${result.description}${transaction}: ${outcome}`;
+    });
+
+    lines.push(`${report.succeeded} succeeded, ${report.failed} failed, ${report.pending} pending`);
+    return lines.join('\n');
+}
+
+module.exports = {
+    formatReport,
+    retryFailures,
+    sendBatch,
+};
@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+
+/**
+ * @file
+ * This script compiles every smart contract under a source directory and writes a build artifact
+ * (see artifacts.js) for each of them to an output directory. Consumers of the artifacts can
+ * deploy and interact with the contracts without having to compile them.
+ */
+
+const { buildArtifacts } = require('./artifacts.js');
+const { addCompileOptions, compileOptionsFromArgv } = require('./cliOptions.js');
+const path = require('path');
+const yargs = require('yargs');
+
+yargs
+    .usage('$0 [--source-dir PATH_TO_SOURCES] [--output-dir PATH_TO_BUILD_DIRECTORY]')
+    .option('source-dir', {
+        alias: 'i',
+        describe: 'Directory containing the solidity smart contracts to build',
+        default: 'src',
+    })
+    .option('output-dir', {
+        alias: 'o',
+        describe: 'Directory to which build artifacts should be written',
+        default: 'build',
+    });
+
+addCompileOptions(yargs);
+
+const { sourceDir, outputDir } = yargs.argv;
+
+console.log(`Building contracts in ${sourceDir}...`);
+let artifactPaths;
+try {
+    artifactPaths = buildArtifacts(
+        path.resolve(sourceDir),
+        path.resolve(outputDir),
+        compileOptionsFromArgv(yargs.argv),
+    );
+} catch (e) {
+    console.error(e.message);
+    process.exit(1);
+}
+
+artifactPaths.forEach((artifactPath) => {
+    console.log(`\t${path.relative(process.cwd(), artifactPath)}`);
+});
+console.log(`Build complete! Wrote ${artifactPaths.length} artifact(s) to ${outputDir}`);
@@ -0,0 +1,510 @@
+/**
+ * @file
+ * Command line options shared by the scripts in this repository.
+ */
+
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const { createSigningProvider, signerFromKeystore, signerFromPrivateKey } = require('./signing');
+const Web3 = require('web3');
+
+const web3Providers = {
+    ipc: Web3.providers.IpcProvider,
+    http: Web3.providers.HttpProvider,
+    ws: Web3.providers.WebsocketProvider,
+};
+
+/**
+ * Produces a parser for a decimal integer, which must be safe and no less than a minimum.
+ *
+ * @param {string} description - What the integer is, for error messages, e.g. "batch size"
+ * @param {number} minimum - Smallest value accepted
+ * @param {string} expected - Description of the values accepted, for error messages
+ * @returns {Function} Parser, taking the value and returning the parsed integer or throwing an
+ * Error
+ */
+function decimalInteger(description, minimum, expected) {
+    return (value) => {
+        const trimmedValue = String(value).trim();
+        const parsedValue = parseInt(trimmedValue, 10);
+        if (!/^[0-9]+$/.test(trimmedValue) || !(parsedValue >= minimum) ||
+            !Number.isSafeInteger(parsedValue)) {
+            throw new Error(`Invalid ${description}: ${value} (expected ${expected})`);
+        }
+        return parsedValue;
+    };
+}
+
+/**
+ * Produces a parser for a count, which must be a positive decimal integer.
+ *
+ * @param {string} description - What is counted, for error messages, e.g. "batch size"
+ * @returns {Function} Parser, taking the value and returning the parsed count or throwing an Error
+ */
+function positiveInteger(description) {
+    return decimalInteger(description, 1, 'a positive integer');
+}
+
+/**
+ * Produces a parser for an index, such as a block number, which must be a non-negative decimal
+ * integer.
+ *
+ * @param {string} description - What the index is, for error messages, e.g. "block number"
+ * @returns {Function} Parser, taking the value and returning the parsed index or throwing an Error
+ */
+function nonNegativeInteger(description) {
+    return decimalInteger(description, 0, 'a non-negative integer');
+}
+
+/**
+ * Produces a parser for a duration given in seconds, which must be a positive number.
+ *
+ * @param {string} description - What the duration is, for error messages, e.g. "timeout"
+ * @returns {Function} Parser, taking the value and returning the duration in milliseconds or
+ * throwing an Error
+ */
+function positiveSeconds(description) {
+    return (value) => {
+        const trimmedValue = String(value).trim();
+        const seconds = Number(trimmedValue);
+        if (!trimmedValue || !Number.isFinite(seconds) || seconds <= 0) {
+            throw new Error(`Invalid ${description}: ${value} (expected a positive number of seconds)`);
+        }
+        return seconds * 1000;
+    };
+}
+
+/**
+ * Adds the options which specify the ethereum-based node to connect to to a yargs instance.
+ *
+ * @param {Object} yargs - yargs instance
+ * @returns {Object} The same yargs instance, for chaining
+ */
+function addProviderOptions(yargs) {
+    return yargs
+        .option('provider', {
+            alias: 'p',
+            describe: 'Resource descriptor for provider: path to IPC socket, or HTTP or websocket URI',
+        })
+        .option('provider-type', {
+            alias: 't',
+            describe: 'Type of provider that should be used to connect to ethereum-based node',
+            choices: ['ipc', 'http', 'ws'],
+        });
+}
+
+/**
+ * Creates a web3 client connected to the given provider. If a signer is given, transactions from
+ * its account are signed locally rather than by the node (see signing.js).
+ *
+ * @param {string} clientProvider - Path to IPC socket, or HTTP or websocket URI
+ * @param {string} [clientProviderType] - One of "ipc", "http" or "ws"
+ * @param {Object} [signing] - Local signing configuration
+ * @param {Object} [signing.signer] - Signer, as returned by signerFromArgv
+ * @param {number} [signing.chainId] - Chain id to sign transactions for (default: asked of the
+ * node)
+ * @returns {Object} Web3 client
+ */
+function makeClient(clientProvider, clientProviderType, signing = {}) {
+    let web3;
+    if (!clientProviderType) {
+        web3 = new Web3(clientProvider);
+    } else if (clientProviderType === 'ipc') {
+        web3 = new Web3(new web3Providers[clientProviderType](clientProvider, net));
+    } else {
+        web3 = new Web3(new web3Providers[clientProviderType](clientProvider));
+    }
+
+    if (signing.signer) {
+        web3.setProvider(createSigningProvider(
+            web3.currentProvider,
+            signing.signer,
+            { chainId: signing.chainId },
+        ));
+    }
+
+    return web3;
+}
+
+/**
+ * Parses a chain id, which must be a positive decimal integer.
+ *
+ * @param {string|number} value - Chain id
+ * @returns {number} Parsed chain id
+ * @throws {Error} If value is not a positive decimal integer
+ */
+const parseChainId = positiveInteger('chain id');
+
+/**
+ * Adds the options which configure local transaction signing to a yargs instance.
+ *
+ * @param {Object} yargs - yargs instance
+ * @returns {Object} The same yargs instance, for chaining
+ */
+function addSigningOptions(yargs) {
+    return yargs
+        .option('keystore', {
+            describe: 'Path to an encrypted V3 keystore file with which to sign transactions locally, instead of on the node',
+            type: 'string',
+        })
+        .option('password-file', {
+            describe: 'File containing the keystore password (default: $NRN_BRAINSTEM_KEYSTORE_PASSWORD)',
+            type: 'string',
+        })
+        .option('private-key-env', {
+            describe: 'Name of an environment variable holding a hex-encoded private key with which to sign transactions locally, instead of on the node',
+            type: 'string',
+        })
+        .option('chain-id', {
+            describe: 'Chain id for which to sign transactions (default: reported by the node)',
+            type: 'string',
+            coerce: value => (value === undefined ? value : parseChainId(value)),
+        });
+}
+
+/**
+ * Loads the signer specified by arguments parsed by a yargs instance set up with
+ * addSigningOptions.
+ *
+ * @param {Object} argv - Parsed arguments
+ * @param {Object} [env] - Environment variables (default: process.env)
+ * @returns {Object|null} Signer (see signing.js), or null if transactions should be signed by the
+ * node
+ * @throws {Error} If the signing options are inconsistent, or the key cannot be loaded
+ */
+function signerFromArgv(argv, env = process.env) {
+    if (argv.keystore && argv.privateKeyEnv) {
+        throw new Error('Only one of --keystore and --private-key-env may be specified');
+    }
+
+    if (argv.privateKeyEnv) {
+        const privateKey = env[argv.privateKeyEnv];
+        if (!privateKey) {
+            throw new Error(`Environment variable ${argv.privateKeyEnv} does not hold a private key`);
+        }
+        return signerFromPrivateKey(privateKey);
+    }
+
+    if (argv.keystore) {
+        const password = argv.passwordFile ?
+            fs.readFileSync(argv.passwordFile).toString().replace(/\r?\n$/, '') :
+            env.NRN_BRAINSTEM_KEYSTORE_PASSWORD;
+        if (password === undefined) {
+            throw new Error('No keystore password given: use --password-file or set NRN_BRAINSTEM_KEYSTORE_PASSWORD');
+        }
+        return signerFromKeystore(argv.keystore, password);
+    }
+
+    return null;
+}
+
+/**
+ * Determines the address from which to send transactions. When signing locally, this is the
+ * address of the signing key, and any explicitly specified sender address must match it.
+ *
+ * @param {string} [senderAddress] - Explicitly specified sender address
+ * @param {Object} [signer] - Signer, as returned by signerFromArgv
+ * @returns {string} Sender address (undefined if neither argument provides one)
+ * @throws {Error} If the sender address does not match the signing key
+ */
+function resolveSenderAddress(senderAddress, signer) {
+    if (!signer) {
+        return senderAddress;
+    }
+
+    if (senderAddress && senderAddress.toLowerCase() !== signer.address.toLowerCase()) {
+        throw new Error(`Sender address ${senderAddress} does not match the signing key, which is for ${signer.address}`);
+    }
+
+    return signer.address;
+}
+
+/**
+ * Adds the options which control contract compilation to a yargs instance.
+ *
+ * @param {Object} yargs - yargs instance
+ * @returns {Object} The same yargs instance, for chaining
+ */
+function addCompileOptions(yargs) {
+    return yargs
+        .option('remapping', {
+            describe: 'Import remapping of the form prefix=target (may be specified multiple times)',
+            type: 'array',
+            default: [],
+        })
+        .option('include-path', {
+            describe: 'Directory in which to search for imported files (may be specified multiple times)',
+            type: 'array',
+            default: [],
+        })
+        .option('solc-version', {
+            describe: 'Version of solc to compile with (default: newest available version satisfying the contract pragmas)',
+            type: 'string',
+        })
+        .option('compiler-cache', {
+            describe: 'Directory containing soljson compiler builds (default: $NRN_BRAINSTEM_SOLC_CACHE or ~/.nrn-brainstem/solc)',
+            type: 'string',
+        })
+        .option('warnings-as-errors', {
+            describe: 'Fail if the compiler reports any warnings',
+            type: 'boolean',
+            default: false,
+        })
+        .option('cache', {
+            describe: 'Reuse cached compilation results (disable with --no-cache)',
+            type: 'boolean',
+            default: true,
+        });
+}
+
+/**
+ * Parses an amount of gas, which must be given as a positive decimal integer.
+ *
+ * @param {string|number} value - Amount of gas
+ * @returns {number} Parsed amount of gas
+ * @throws {Error} If value is not a positive decimal integer
+ */
+const parseGas = positiveInteger('amount of gas');
+
+/**
+ * Parses an amount of wei, which must be given as a non-negative decimal integer. The amount is
+ * returned as a string, since amounts of wei may be too large to be represented exactly as numbers.
+ *
+ * @param {string|number} value - Amount of wei
+ * @returns {string} Parsed amount of wei, as a decimal string
+ * @throws {Error} If value is not a non-negative decimal integer
+ */
+function parseWei(value) {
+    const trimmedValue = String(value).trim();
+    if (!/^[0-9]+$/.test(trimmedValue)) {
+        throw new Error(`Invalid amount of wei: ${value} (expected a non-negative integer)`);
+    }
+    return trimmedValue.replace(/^0+(?=[0-9])/, '');
+}
+
+/**
+ * Parses a multiplier, which must be a positive number.
+ *
+ * @param {string|number} value - Multiplier
+ * @returns {number} Parsed multiplier
+ * @throws {Error} If value is not a positive number
+ */
+function parseMultiplier(value) {
+    const trimmedValue = String(value).trim();
+    const multiplier = Number(trimmedValue);
+    if (!trimmedValue || !Number.isFinite(multiplier) || multiplier <= 0) {
+        throw new Error(`Invalid multiplier: ${value} (expected a positive number)`);
+    }
+    return multiplier;
+}
+
+/**
+ * Adds the options which control the gas allocated to transactions, and their gas price, to a yargs
+ * instance. Malformed values are rejected when the arguments are parsed. The parsed arguments can
+ * be turned into a gas strategy with fromOptions from gasStrategies.js.
+ *
+ * @param {Object} yargs - yargs instance
+ * @returns {Object} The same yargs instance, for chaining
+ */
+function addGasOptions(yargs) {
+    return yargs
+        .option('gas', {
+            describe: 'Amount of gas to allocate to each transaction (default: estimate times --gas-multiplier)',
+            type: 'string',
+            coerce: value => (value === undefined ? value : parseGas(value)),
+        })
+        .option('gas-multiplier', {
+            describe: 'Factor by which to multiply gas estimates to obtain the gas allocation',
+            type: 'string',
+            default: '1',
+            coerce: parseMultiplier,
+        })
+        .option('gas-ceiling', {
+            describe: 'Largest amount of gas to allocate from an estimate; transactions estimated to need more are not sent',
+            type: 'string',
+            coerce: value => (value === undefined ? value : parseGas(value)),
+        })
+        .option('gas-price', {
+            describe: 'Gas price in wei (default: chosen by the node)',
+            type: 'string',
+            coerce: value => (value === undefined ? value : parseWei(value)),
+        })
+        .option('gas-price-multiplier', {
+            describe: 'Use the gas price suggested by the node times this factor',
+            type: 'string',
+            coerce: value => (value === undefined ? value : parseMultiplier(value)),
+        })
+        .option('max-cost', {
+            describe: 'Largest amount of wei that any one transaction may cost (gas allocation times gas price); transactions which could cost more are not sent',
+            type: 'string',
+            coerce: value => (value === undefined ? value : parseWei(value)),
+        })
+        .conflicts('gas-price', 'gas-price-multiplier');
+}
+
+/**
+ * Parses a number of confirmations, which must be a positive decimal integer.
+ *
+ * @param {string|number} value - Number of confirmations
+ * @returns {number} Parsed number of confirmations
+ * @throws {Error} If value is not a positive decimal integer
+ */
+const parseConfirmations = positiveInteger('number of confirmations');
+
+/**
+ * Parses a timeout given in seconds, which must be a positive number.
+ *
+ * @param {string|number} value - Timeout in seconds
+ * @returns {number} Parsed timeout, in milliseconds
+ * @throws {Error} If value is not a positive number
+ */
+const parseTimeout = positiveSeconds('timeout');
+
+/**
+ * Adds the options which control how long to wait for transactions to be confirmed to a yargs
+ * instance (see waitForReceipt.js). The parsed `timeout` is in milliseconds.
+ *
+ * @param {Object} yargs - yargs instance
+ * @returns {Object} The same yargs instance, for chaining
+ */
+function addConfirmationOptions(yargs) {
+    return yargs
+        .option('confirmations', {
+            describe: 'Number of blocks (including the one containing it) which must confirm a transaction before it is considered complete',
+            type: 'string',
+            default: '1',
+            coerce: parseConfirmations,
+        })
+        .option('timeout', {
+            describe: 'Number of seconds to wait for each transaction to be confirmed',
+            type: 'string',
+            default: '300',
+            coerce: parseTimeout,
+        });
+}
+
+/**
+ * Adds the options which select the contracts whose events to index, and control how they are
+ * indexed, to a yargs instance (see eventIndexer.js). The parsed `pollInterval` is in milliseconds.
+ *
+ * @param {Object} yargs - yargs instance
+ * @returns {Object} The same yargs instance, for chaining
+ */
+function addIndexerOptions(yargs) {
+    return yargs
+        .option('stem-address', {
+            describe: 'Address of a Stem contract to index (may be specified multiple times; default: the Stem and Stimulus contracts in the deployment registry)',
+            type: 'array',
+            string: true,
+            default: [],
+        })
+        .option('stimulus-address', {
+            describe: 'Address of a Stimulus contract to index (may be specified multiple times; default: the Stem and Stimulus contracts in the deployment registry)',
+            type: 'array',
+            string: true,
+            default: [],
+        })
+        .option('stem-contract-file', {
+            describe: 'Path to the Stem solidity file, or to a build artifact for it',
+            type: 'string',
+            default: path.resolve(__dirname, 'src/stem.sol'),
+        })
+        .option('stimulus-contract-file', {
+            describe: 'Path to the Stimulus solidity file, or to a build artifact for it',
+            type: 'string',
+            default: path.resolve(__dirname, 'src/stimulus.sol'),
+        })
+        .option('registry', {
+            describe: 'Path to the deployment registry (default: $NRN_BRAINSTEM_REGISTRY or ./deployments.json)',
+            type: 'string',
+        })
+        .option('from-block', {
+            describe: 'Block from which to start indexing, if the database is empty',
+            type: 'string',
+            default: '0',
+            coerce: nonNegativeInteger('block number'),
+        })
+        .option('confirmations', {
+            describe: 'Number of blocks (including the one containing them) which must confirm events before they are indexed',
+            type: 'string',
+            default: '1',
+            coerce: parseConfirmations,
+        })
+        .option('batch-size', {
+            describe: 'Largest number of blocks to index at once',
+            type: 'string',
+            default: '1000',
+            coerce: positiveInteger('batch size'),
+        })
+        .option('max-reorg-depth', {
+            describe: 'Number of recent blocks whose hashes are kept to detect chain reorganizations',
+            type: 'string',
+            default: '100',
+            coerce: positiveInteger('reorganization depth'),
+        })
+        .option('poll-interval', {
+            describe: 'Number of seconds to wait for new blocks once the index has caught up',
+            type: 'string',
+            default: '5',
+            coerce: positiveSeconds('poll interval'),
+        });
+}
+
+/**
+ * Produces the options to pass to the indexer from arguments parsed by a yargs instance set up with
+ * addIndexerOptions.
+ *
+ * @param {Object} argv - Parsed arguments
+ * @returns {Object} Options for indexBlocks, catchUp and followChain (see eventIndexer.js)
+ */
+function indexerOptionsFromArgv(argv) {
+    return {
+        fromBlock: argv.fromBlock,
+        confirmations: argv.confirmations,
+        batchSize: argv.batchSize,
+        maxReorgDepth: argv.maxReorgDepth,
+        pollInterval: argv.pollInterval,
+    };
+}
+
+/**
+ * Produces the options to pass to compile from arguments parsed by a yargs instance set up with
+ * addCompileOptions.
+ *
+ * @param {Object} argv - Parsed arguments
+ * @returns {Object} Options for compile (see compile.js)
+ */
+function compileOptionsFromArgv(argv) {
+    return {
+        remappings: argv.remapping,
+        includePaths: argv.includePath,
+        solcVersion: argv.solcVersion,
+        compilerCache: argv.compilerCache,
+        cache: argv.cache,
+        warningsAsErrors: argv.warningsAsErrors,
+    };
+}
+
+module.exports = {
+    addCompileOptions,
+    addConfirmationOptions,
+    addGasOptions,
+    addIndexerOptions,
+    addProviderOptions,
+    addSigningOptions,
+    compileOptionsFromArgv,
+    indexerOptionsFromArgv,
+    makeClient,
+    nonNegativeInteger,
+    parseChainId,
+    parseConfirmations,
+    parseGas,
+    parseMultiplier,
+    parseTimeout,
+    parseWei,
+    positiveInteger,
+    positiveSeconds,
+    resolveSenderAddress,
+    signerFromArgv,
+};
@@ -1,38 +1,240 @@
+const { CompilationError } = require('./errors');
+const { loadCompiler, selectCompiler } = require('./compilerVersions');
+const { countSeverity, formatDiagnostics, parseDiagnostics } = require('./diagnostics');
+const crypto = require('crypto');
 const fs = require('fs');
+const { collectSources, createImportResolver } = require('./importResolver');
+const _ = require('lodash');
+const makeDirectory = require('./makeDirectory');
+const os = require('os');
 const path = require('path');
-const solc = require('solc');
+
+/**
+ * Outputs requested from solc for every contract when the caller does not specify an
+ * outputSelection of their own.
+ */
+const DEFAULT_OUTPUTS = [
+    'abi',
+    'evm.bytecode.object',
+    'evm.bytecode.sourceMap',
+    'evm.deployedBytecode.object',
+    'evm.deployedBytecode.sourceMap',
+    'evm.methodIdentifiers',
+    'evm.gasEstimates',
+];
+
+/**
+ * Builds the settings section of a solc Standard JSON input from the options passed to compile.
+ *
+ * @param {Object} options - Options passed to compile (see there for details)
+ * @returns {Object} Standard JSON settings object
+ */
+function buildSettings(options) {
+    const settings = {
+        optimizer: {
+            enabled: _.get(options, ['optimizer', 'enabled'], true),
+            runs: _.get(options, ['optimizer', 'runs'], 200),
+        },
+        outputSelection: _.get(options, 'outputSelection', {
+            '*': {
+                '*': DEFAULT_OUTPUTS,
+            },
+        }),
+    };
+
+    if (options.evmVersion) {
+        settings.evmVersion = options.evmVersion;
+    }
+
+    return settings;
+}
+
+/**
+ * Version of the format of compilation cache entries. Bumping it invalidates all existing entries.
+ */
+const CACHE_FORMAT_VERSION = 2;
+
+/**
+ * Default location of the compilation cache: the NRN_BRAINSTEM_COMPILATION_CACHE environment
+ * variable if it is set, otherwise ~/.nrn-brainstem/compilations.
+ *
+ * @returns {string} Path to cache directory
+ */
+function defaultCacheDirectory() {
+    return process.env.NRN_BRAINSTEM_COMPILATION_CACHE ||
+        path.join(os.homedir(), '.nrn-brainstem', 'compilations');
+}
+
+/**
+ * Produces a hash of a set of sources which changes whenever any source is added, removed, renamed
+ * or modified.
+ *
+ * @param {Object} sources - Mapping from source unit names to source code
+ * @returns {string} Hex-encoded SHA-256 digest
+ */
+function hashSources(sources) {
+    const hash = crypto.createHash('sha256');
+    Object.keys(sources).sort().forEach((unitName) => {
+        hash.update(JSON.stringify([unitName, sources[unitName]]));
+    });
+    return hash.digest('hex');
+}
+
+/**
+ * Reads a cached compilation result, if there is a usable one.
+ *
+ * @param {string} cachePath - Path to the cache entry
+ * @returns {Object|null} Cached compilation result, or null on a cache miss
+ */
+function readCacheEntry(cachePath) {
+    try {
+        return JSON.parse(fs.readFileSync(cachePath).toString());
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Writes a compilation result to the cache. The entry is written to a temporary file first and
+ * then moved into place, so concurrent readers never see a partially written entry.
+ *
+ * @param {string} cachePath - Path to the cache entry
+ * @param {Object} output - Compilation result
+ */
+function writeCacheEntry(cachePath, output) {
+    makeDirectory(path.dirname(cachePath));
+    const temporaryPath = `${cachePath}.${process.pid}.tmp`;
+    fs.writeFileSync(temporaryPath, JSON.stringify(output));
+    fs.renameSync(temporaryPath, cachePath);
+}
+
+/**
+ * Throws a CompilationError describing the diagnostics of a compilation, if they include errors
+ * (or warnings, when those are to be treated as errors).
+ *
+ * @param {string} contractPath - Path to the file that was compiled
+ * @param {Object[]} diagnostics - Diagnostics produced by the compilation
+ * @param {boolean} warningsAsErrors - If true, warnings also cause an error to be thrown
+ */
+function enforceStrictness(contractPath, diagnostics, warningsAsErrors) {
+    const errorCount = countSeverity(diagnostics, 'error');
+    const warningCount = countSeverity(diagnostics, 'warning');
+    if (errorCount === 0 && (!warningsAsErrors || warningCount === 0)) {
+        return;
+    }
+
+    const counts = `${errorCount} error(s) and ${warningCount} warning(s)`;
+    throw new CompilationError(
+        `Compilation of ${contractPath} failed with ${counts}:\n\n${formatDiagnostics(diagnostics)}`,
+        diagnostics,
+    );
+}
 
 /**
  * Compiles the solidity file at the given path, automatically resolving any dependencies along the
- * way.
+ * way. Imports are resolved through remappings, include paths and node_modules directories - see
+ * importResolver.js for the exact lookup order.
+ *
+ * The compiler is chosen based on the `pragma solidity` statements in the file and its imports,
+ * from the installed solc package and a local cache of soljson builds - see compilerVersions.js.
+ *
+ * Compilation goes through the solc Standard JSON interface. The source unit for the file at
+ * contractPath is keyed by contractPath itself, so the compiled contracts in the result can be
+ * found under `contracts[contractPath][contractName]`. In addition to the Standard JSON output, the
+ * result has a `compiler` key holding the `version` of solc used and the `settings` passed to it,
+ * a `sourceHash` key holding a hash of every source that went into the compilation, and a
+ * `diagnostics` key holding the errors and warnings reported by solc in structured form (see
+ * diagnostics.js).
+ *
+ * By default, compilation errors are only reported in the result. In strict mode, they cause a
+ * CompilationError (see errors.js) to be thrown instead.
+ *
+ * Successful compilations are cached on disk, keyed by the hash of the sources, the compiler
+ * version, the settings and contractPath. Since the key covers the contents of every imported
+ * file, a change to any of them invalidates the cache entry.
  *
  * This method is synchronous and may throw an error (for example, if it is not able to find a file
- * along the given contractPath).
+ * along the given contractPath, or if no available compiler satisfies the pragmas of the sources).
  *
  * @param {string} contractPath The filesystem path to the contract file.
- * @return {Object} Compiled solidity contract as per https://github.com/ethereum/solc-js
- */
-function compile(contractPath) {
-    function readCallback(importPath) {
-        let pathContent;
-        try {
-            pathContent = fs.readFileSync(importPath).toString();
-        } catch (e) {
-            return {
-                error: `File not found: ${importPath}`,
-            };
+ * @param {Object} [options] Compilation options
+ * @param {Object} [options.optimizer] Optimizer settings - `enabled` (default: true) and `runs`
+ * (default: 200)
+ * @param {string} [options.evmVersion] EVM version to target, e.g. "byzantium"
+ * @param {Object} [options.outputSelection] Standard JSON outputSelection; by default, ABI,
+ * bytecode, deployed bytecode, source maps, method identifiers and gas estimates are produced for
+ * every contract
+ * @param {string[]} [options.remappings] Import remappings of the form `prefix=target`
+ * @param {string[]} [options.includePaths] Directories in which to search for imported files
+ * @param {string} [options.solcVersion] Version of solc to use, instead of the newest available
+ * version satisfying the pragmas
+ * @param {string} [options.compilerCache] Directory containing soljson builds (default:
+ * NRN_BRAINSTEM_SOLC_CACHE environment variable, or ~/.nrn-brainstem/solc)
+ * @param {boolean} [options.cache] Set to false to bypass the compilation cache (default: true)
+ * @param {string} [options.cacheDirectory] Directory holding the compilation cache (default:
+ * NRN_BRAINSTEM_COMPILATION_CACHE environment variable, or ~/.nrn-brainstem/compilations)
+ * @param {boolean} [options.strict] If true, throw a CompilationError if solc reports any errors
+ * @param {boolean} [options.warningsAsErrors] If true (and in strict mode), also throw a
+ * CompilationError if solc reports any warnings
+ * @return {Object} Standard JSON output as per https://solidity.readthedocs.io/en/latest/using-the-compiler.html#output-description
+ */
+function compile(contractPath, options = {}) {
+    const readCallback = createImportResolver({
+        remappings: options.remappings,
+        includePaths: options.includePaths,
+        basePath: path.dirname(contractPath),
+    });
+
+    const sources = collectSources(contractPath, readCallback);
+    const compiler = selectCompiler(sources, options);
+    const settings = buildSettings(options);
+    const sourceHash = hashSources(sources);
+
+    const useCache = options.cache !== false;
+    const cacheKey = crypto.createHash('sha256')
+        .update(JSON.stringify([
+            CACHE_FORMAT_VERSION,
+            contractPath,
+            sourceHash,
+            compiler.longVersion,
+            settings,
+        ]))
+        .digest('hex');
+    const cachePath = path.join(options.cacheDirectory || defaultCacheDirectory(), `${cacheKey}.json`);
+    if (useCache) {
+        const cachedOutput = readCacheEntry(cachePath);
+        if (cachedOutput) {
+            if (options.strict) {
+                enforceStrictness(contractPath, cachedOutput.diagnostics, options.warningsAsErrors);
+            }
+            return cachedOutput;
         }
+    }
 
-        return {
-            contents: pathContent,
-        };
+    const input = {
+        language: 'Solidity',
+        sources: _.mapValues(sources, content => ({ content })),
+        settings,
+    };
+
+    const solc = loadCompiler(compiler);
+    const output = JSON.parse(solc.compileStandardWrapper(JSON.stringify(input), readCallback));
+    output.compiler = {
+        version: compiler.longVersion,
+        settings,
+    };
+    output.sourceHash = sourceHash;
+    output.diagnostics = parseDiagnostics(output.errors, sources);
+
+    if (useCache && countSeverity(output.diagnostics, 'error') === 0) {
+        writeCacheEntry(cachePath, output);
     }
 
-    const contractCode = fs.readFileSync(contractPath).toString();
-    const sourceObject = {};
-    sourceObject[contractPath] = contractCode;
+    if (options.strict) {
+        enforceStrictness(contractPath, output.diagnostics, options.warningsAsErrors);
+    }
 
-    return solc.compile({ sources: sourceObject }, 1, readCallback);
+    return output;
 }
 
 module.exports = compile;
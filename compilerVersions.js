@@ -0,0 +1,157 @@
+/**
+ * @file
+ * Selection of the solc version used to compile a set of sources. Compilers are drawn from the solc
+ * package installed alongside this repository and from a local cache of soljson builds, so that
+ * selection works without network access.
+ *
+ * The cache is a directory of soljson builds named as they are in the solc-bin repository
+ * (https://github.com/ethereum/solc-bin), e.g. `soljson-v0.4.24+commit.e67f0147.js`.
+ */
+
+const fs = require('fs');
+const _ = require('lodash');
+const os = require('os');
+const path = require('path');
+const semver = require('semver');
+const solc = require('solc');
+
+const SOLJSON_REGEX = /^soljson-v(\d+\.\d+\.\d+)(\+commit\.[0-9a-f]+)?\.js$/;
+const PRAGMA_REGEX = /pragma\s+solidity\s+([^;]+);/;
+
+const loadedCompilers = {};
+
+/**
+ * Default location of the soljson cache: the NRN_BRAINSTEM_SOLC_CACHE environment variable if it
+ * is set, otherwise ~/.nrn-brainstem/solc.
+ *
+ * @returns {string} Path to cache directory
+ */
+function defaultCompilerCache() {
+    return process.env.NRN_BRAINSTEM_SOLC_CACHE || path.join(os.homedir(), '.nrn-brainstem', 'solc');
+}
+
+/**
+ * Extracts the `pragma solidity` version range from each source that declares one.
+ *
+ * @param {Object} sources - Mapping from source unit names to source code
+ * @returns {Object} Mapping from source unit names to semver ranges
+ */
+function pragmaRanges(sources) {
+    const ranges = {};
+    _.forEach(sources, (source, unitName) => {
+        const match = PRAGMA_REGEX.exec(source.replace(/\/\*[\s\S]*?\*\//g, '').replace(/\/\/.*$/gm, ''));
+        if (match) {
+            ranges[unitName] = match[1].trim();
+        }
+    });
+    return ranges;
+}
+
+/**
+ * Lists the compilers available without network access: the installed solc package, and every
+ * release build in the compiler cache.
+ *
+ * @param {string} [compilerCache] - Path to soljson cache directory (default:
+ * defaultCompilerCache())
+ * @returns {Object[]} Compilers, each with `version` (e.g. "0.4.24"), `longVersion` (e.g.
+ * "0.4.24+commit.e67f0147") and `path` (soljson file, or null for the installed package) keys
+ */
+function availableCompilers(compilerCache = defaultCompilerCache()) {
+    const bundledLongVersion = solc.version().replace(/\.Emscripten.*$/, '');
+    const compilers = [{
+        version: bundledLongVersion.replace(/\+.*$/, ''),
+        longVersion: bundledLongVersion,
+        path: null,
+    }];
+
+    if (fs.existsSync(compilerCache)) {
+        fs.readdirSync(compilerCache).forEach((filename) => {
+            const match = SOLJSON_REGEX.exec(filename);
+            if (match) {
+                compilers.push({
+                    version: match[1],
+                    longVersion: `${match[1]}${match[2] || ''}`,
+                    path: path.join(compilerCache, filename),
+                });
+            }
+        });
+    }
+
+    return _.uniqBy(compilers, 'version');
+}
+
+/**
+ * Selects the compiler for a set of sources. If a version is explicitly requested, that version
+ * is used provided that it is available and satisfies every pragma. Otherwise, the newest
+ * available compiler satisfying every pragma is used.
+ *
+ * Throws an error if no available compiler is suitable.
+ *
+ * @param {Object} sources - Mapping from source unit names to source code
+ * @param {Object} [options] - Selection options
+ * @param {string} [options.solcVersion] - Explicitly requested compiler version, either short
+ * ("0.4.24") or long ("0.4.24+commit.e67f0147")
+ * @param {string} [options.compilerCache] - Path to soljson cache directory
+ * @returns {Object} Selected compiler (see availableCompilers for its shape)
+ */
+function selectCompiler(sources, options = {}) {
+    const ranges = pragmaRanges(sources);
+    const compilers = availableCompilers(options.compilerCache);
+    const unsatisfiedPragmas = compiler => _.pickBy(
+        ranges,
+        range => !semver.satisfies(compiler.version, range),
+    );
+    const describePragmas = pragmas => _.map(pragmas, (range, unitName) => `  ${unitName}: ${range}`).join('\n');
+
+    if (options.solcVersion) {
+        const requestedVersion = options.solcVersion.replace(/^v/, '');
+        const compiler = compilers.find(candidate => candidate.version === requestedVersion ||
+            candidate.longVersion === requestedVersion);
+        if (!compiler) {
+            throw new Error(`Requested solc version ${requestedVersion} is not available. Available versions: ${compilers.map(candidate => candidate.longVersion).join(', ')}`);
+        }
+
+        const unsatisfied = unsatisfiedPragmas(compiler);
+        if (!_.isEmpty(unsatisfied)) {
+            throw new Error(`Requested solc version ${requestedVersion} does not satisfy the pragmas of:\n${describePragmas(unsatisfied)}`);
+        }
+
+        return compiler;
+    }
+
+    const suitableCompilers = compilers.filter(compiler => _.isEmpty(unsatisfiedPragmas(compiler)));
+    if (suitableCompilers.length === 0) {
+        throw new Error(`No available solc version satisfies every pragma:\n${describePragmas(ranges)}\nAvailable versions: ${compilers.map(compiler => compiler.longVersion).join(', ')}`);
+    }
+
+    return suitableCompilers.reduce((newest, compiler) =>
+        (semver.gt(compiler.version, newest.version) ? compiler : newest));
+}
+
+/**
+ * Loads a compiler returned by selectCompiler or availableCompilers. Loaded soljson builds are kept
+ * in memory for the lifetime of the process.
+ *
+ * @param {Object} compiler - Compiler description
+ * @returns {Object} solc-js wrapper around the compiler
+ */
+function loadCompiler(compiler) {
+    if (!compiler.path) {
+        return solc;
+    }
+
+    if (!loadedCompilers[compiler.path]) {
+        // eslint-disable-next-line global-require, import/no-dynamic-require
+        loadedCompilers[compiler.path] = solc.setupMethods(require(compiler.path));
+    }
+
+    return loadedCompilers[compiler.path];
+}
+
+module.exports = {
+    availableCompilers,
+    defaultCompilerCache,
+    loadCompiler,
+    pragmaRanges,
+    selectCompiler,
+};
@@ -3,38 +3,97 @@
  * Generate an interface to a deployed smart contract from this repository.
  */
 
-const _ = require('lodash');
-
-const compile = require('./compile');
+const { loadContract } = require('./artifacts');
+const { promisifyContract } = require('./contractPromises');
+const { defaultRegistryPath, lookupDeployment } = require('./registry');
+const withOptionalCallback = require('./withOptionalCallback');
 
 /**
  * Create a web3 contract instance representing a deployed smart contract.
  * This allows you to interact with the smart contract from within a Javascript environment.
  *
+ * The methods of the instance take callbacks, as usual with web3. Promise-returning versions of
+ * them are available under its `promises` property (see contractPromises.js), e.g.
+ * `await instance.promises.balanceOf(address)`. Its methods also record web3Client, through which
+ * getGasEstimateAndCall waits for the transactions they send.
+ *
  * @param {string} contractAddress - Address of the smart contract you would like to connect to
  * @param {Object} web3Client - Web3 instance provisioned with a provider capable of making
  * transactions against the specified contract
- * @param {string} contractPath - Local path to contract solidity file
- * @param {string} contractName - Name of contract class in the solidity file at contractPath
+ * @param {string} contractPath - Local path to contract solidity file, or to a build artifact for
+ * the contract (see artifacts.js)
+ * @param {string} [contractName] - Name of contract class in the solidity file at contractPath
+ * (optional if contractPath is a build artifact)
  * @returns {Object} Web3 object representing the deployed contract
+ * @throws {CompilationError} If the contract at contractPath does not compile
  */
 function connect(contractAddress, web3Client, contractPath, contractName) {
-    const compilationResult = compile(contractPath);
-    const selector = `${contractPath}:${contractName}`;
-    const compiledContract = _.get(compilationResult, ['contracts', selector]);
-    if (!compiledContract) {
-        throw new Error(`Contract not found: ${contractName} at ${contractPath}`);
-    }
-
-    const contractInterface = _.get(compiledContract, 'interface');
-    if (!contractInterface) {
-        throw new Error(`Compilation of contract ${contractName} at ${contractPath} did not produce interface`);
+    const contract = loadContract(contractPath, contractName);
+    if (!contract.abi) {
+        throw new Error(`Contract ${contract.contractName} at ${contractPath} does not provide an ABI`);
     }
 
-    const abiArray = JSON.parse(contractInterface);
-    const Contract = web3Client.eth.contract(abiArray);
+    const Contract = web3Client.eth.contract(contract.abi);
     const contractInstance = Contract.at(contractAddress);
+    // Lets getGasEstimateAndCall wait for the transactions sent by the methods of the instance
+    contract.abi.filter(item => item.type === 'function').forEach((item) => {
+        const method = contractInstance[item.name];
+        const typeName = item.inputs.map(input => input.type).join(',');
+        (method[typeName] || method).web3Client = web3Client;
+    });
+    contractInstance.promises = promisifyContract(contractInstance);
     return contractInstance;
 }
 
+/**
+ * Create a web3 contract instance representing a contract whose deployment was recorded in a
+ * deployment registry (see registry.js). The contract is looked up by its name (or the name it was
+ * recorded under) and by the id of the network that web3Client is connected to (or an explicitly
+ * specified network id).
+ *
+ * @param {Object} web3Client - Web3 instance provisioned with a provider capable of making
+ * transactions against the specified contract
+ * @param {string} contractPath - Local path to contract solidity file, or to a build artifact for
+ * the contract
+ * @param {string} contractName - Name of contract class in the solidity file at contractPath
+ * @param {Object} [options] - Lookup options
+ * @param {string} [options.registryName] - Name under which the contract is recorded in the
+ * registry (default: contractName)
+ * @param {string} [options.registryPath] - Path to the deployment registry (default:
+ * NRN_BRAINSTEM_REGISTRY environment variable, or ./deployments.json)
+ * @param {string} [options.networkId] - Id of network on which to look up the deployment (default:
+ * the network web3Client is connected to)
+ * @param {callback} [callback] - Called with an error, or with null and the web3 contract instance
+ * @returns {Promise|undefined} If no callback is given, a promise of the web3 contract instance
+ */
+function fromRegistry(web3Client, contractPath, contractName, options, callback) {
+    const lookupOptions = options || {};
+    const registryPath = lookupOptions.registryPath || defaultRegistryPath();
+
+    function connectOnNetwork(networkId) {
+        let contractInstance;
+        try {
+            const registryName = lookupOptions.registryName || contractName;
+            const deployment = lookupDeployment(registryPath, networkId, registryName);
+            contractInstance = connect(deployment.address, web3Client, contractPath, contractName);
+        } catch (e) {
+            return callback(e);
+        }
+        return callback(null, contractInstance);
+    }
+
+    if (lookupOptions.networkId !== undefined) {
+        return connectOnNetwork(lookupOptions.networkId);
+    }
+
+    return web3Client.version.getNetwork((err, networkId) => {
+        if (err) {
+            return callback(err);
+        }
+        return connectOnNetwork(networkId);
+    });
+}
+
+connect.fromRegistry = withOptionalCallback(fromRegistry, 4);
+
 module.exports = connect;
@@ -0,0 +1,141 @@
+/**
+ * @file
+ * Promise-returning interfaces to the methods of web3 contract instances, for callers which use
+ * async/await rather than callbacks. Failures are rejected with ContractCallErrors, which name the
+ * method, its arguments and the sender.
+ */
+
+const { ContractCallError } = require('./errors');
+const _ = require('lodash');
+const withOptionalCallback = require('./withOptionalCallback');
+
+/**
+ * Separates the arguments to a contract method from the trailing transaction object, if there is
+ * one (web3 treats a trailing plain object as the transaction object).
+ *
+ * @param {Array} args - Arguments passed to the contract method
+ * @returns {Object} The `methodArgs` and the `transactionObject` (empty if none was passed)
+ */
+function splitArguments(args) {
+    if (args.length > 0 && _.isPlainObject(_.last(args))) {
+        return { methodArgs: _.initial(args), transactionObject: _.last(args) };
+    }
+    return { methodArgs: args, transactionObject: {} };
+}
+
+/**
+ * Names a contract method. Methods of instances passed through promisifyContract (including every
+ * instance produced by connect.js) know their names; other methods can only be identified by their
+ * function selector.
+ *
+ * @param {Function} contractMethod - Smart contract method
+ * @param {Array} methodArgs - Arguments to contract method
+ * @returns {string} Name of the method
+ */
+function methodName(contractMethod, methodArgs) {
+    if (contractMethod.methodName) {
+        return contractMethod.methodName;
+    }
+    try {
+        return `function ${contractMethod.getData(...methodArgs).slice(0, 10)}`;
+    } catch (e) {
+        return 'contract method';
+    }
+}
+
+/**
+ * Describes a call to a contract method, for use in error messages.
+ *
+ * @param {Function} contractMethod - Smart contract method
+ * @param {Array} methodArgs - Arguments to contract method
+ * @param {string} [from] - Address from which the call was made
+ * @returns {Object} The `call` (its `methodName`, `args` and sender `from`, as expected by
+ * ContractCallError) and a human-readable `description` of it
+ */
+function describeCall(contractMethod, methodArgs, from) {
+    const name = methodName(contractMethod, methodArgs);
+    const renderedArgs = methodArgs.map(arg => JSON.stringify(arg)).join(', ');
+    const sender = from ? ` from ${from}` : '';
+    return {
+        call: { methodName: name, args: methodArgs, from },
+        description: `${name}(${renderedArgs})${sender}`,
+    };
+}
+
+/**
+ * Produces the error describing a failed call to a contract method.
+ *
+ * @param {Function} contractMethod - Smart contract method
+ * @param {Array} methodArgs - Arguments to contract method
+ * @param {string} [from] - Address from which the call was made
+ * @param {Error} cause - Error with which the call failed
+ * @returns {ContractCallError} Error
+ */
+function contractCallError(contractMethod, methodArgs, from, cause) {
+    const { call, description } = describeCall(contractMethod, methodArgs, from);
+    return new ContractCallError(`${description} failed: ${cause.message}`, call, cause);
+}
+
+/**
+ * Wraps a contract method (or one of its `call`, `sendTransaction` and `estimateGas` variants) so
+ * that it returns a promise instead of taking a callback.
+ *
+ * @param {Function} contractMethod - Smart contract method
+ * @param {string} [variant] - Variant of the method to wrap (default: the method itself)
+ * @returns {Function} Function taking the arguments of the method, optionally followed by a
+ * transaction object, and returning a promise of its result
+ */
+function promisifyMethod(contractMethod, variant) {
+    const execute = variant ? contractMethod[variant] : contractMethod;
+    return withOptionalCallback((...args) => {
+        const callback = args.pop();
+        const { methodArgs, transactionObject } = splitArguments(args);
+        return execute(...args, (err, result) => {
+            if (err) {
+                return callback(contractCallError(
+                    contractMethod,
+                    methodArgs,
+                    transactionObject.from,
+                    err,
+                ));
+            }
+            return callback(null, result);
+        });
+    });
+}
+
+/**
+ * Produces promise-returning versions of the methods of a web3 contract instance. Each method
+ * returns a promise of what web3 would have passed to its callback - the result of the call for
+ * constant methods, and the transaction hash otherwise - and has `call`, `sendTransaction` and
+ * `estimateGas` variants which behave the same way.
+ *
+ * The methods of the instance itself are labelled with their names, so that errors raised when
+ * they are called through getGasEstimateAndCall name them too.
+ *
+ * @param {Object} contractInstance - Web3 contract instance
+ * @returns {Object} Promise-returning methods, keyed by method name
+ */
+function promisifyContract(contractInstance) {
+    const methods = {};
+    contractInstance.abi.filter(item => item.type === 'function').forEach((item) => {
+        const method = contractInstance[item.name];
+        const typeName = item.inputs.map(input => input.type).join(',');
+        // Overloads of a method are attached to the method by their input types
+        (method[typeName] || method).methodName = item.name;
+
+        if (!methods[item.name]) {
+            methods[item.name] = promisifyMethod(method);
+            ['call', 'sendTransaction', 'estimateGas'].forEach((variant) => {
+                methods[item.name][variant] = promisifyMethod(method, variant);
+            });
+        }
+    });
+    return methods;
+}
+
+module.exports = {
+    contractCallError,
+    describeCall,
+    promisifyContract,
+};
@@ -3,197 +3,384 @@
 /**
  * @file
  * This script allows you to deploy a smart contract to an ethereum-based blockchain of
- * your choosing. The only requirement is that you have an unlocked account on an
- * accessible node with enough ether to cover the gas cost of deployment.
+ * your choosing. The only requirement is that you have an account with enough ether to cover the
+ * gas cost of deployment - either unlocked on an accessible node, or in a keystore file or private
+ * key from which transactions can be signed locally.
  */
 
-const compile = require('./compile.js');
+const { coerceArguments, constructorInputs } = require('./abiArguments.js');
+const { artifactHash, loadContractWithDiagnostics } = require('./artifacts.js');
+const {
+    addCompileOptions,
+    addConfirmationOptions,
+    addGasOptions,
+    addProviderOptions,
+    addSigningOptions,
+    compileOptionsFromArgv,
+    makeClient,
+    parseGas,
+    resolveSenderAddress,
+    signerFromArgv,
+} = require('./cliOptions.js');
+const { deployContract, estimateDeploymentGas } = require('./deployContract.js');
+const { formatDiagnostics } = require('./diagnostics.js');
 const fs = require('fs');
-const _ = require('lodash');
-const net = require('net');
+const { allocateGas, fromOptions } = require('./gasStrategies.js');
 const path = require('path');
 const readline = require('readline');
+const { defaultRegistryPath, recordDeployment } = require('./registry.js');
+const {
+    forkedClient,
+    formatSummary,
+    resolveGasPrice,
+    summarizeTransactions,
+} = require('./simulation.js');
 const solc = require('solc');
-const Web3 = require('web3');
 const yargs = require('yargs');
 
 yargs
+    .string('_')
     .usage(
         '$0 [--provider-type {ipc|http|ws}] --provider PATH_TO_PROVIDER --contract-file PATH_TO_SOLIDITY_FILE --contract-name CONTRACT_NAME --sender-adress ADDRESS [CONTRACT_ARG ...]',
     )
-    .option('provider', {
-        alias: 'p',
-        describe: 'Resource descriptor for provider: path to IPC socket, or HTTP or websocket URI',
-    })
-    .option('provider-type', {
-        alias: 't',
-        describe: 'Type of provider that should be used to connect to ethereum-based node',
-        choices: ['ipc', 'http', 'ws'],
-    })
     .option('contract-file', {
-        alias: 'c',
-        describe: 'Path to file containing the solidity smart contract',
+        alias: ['c', 'artifact'],
+        describe: 'Path to file containing the solidity smart contract, or to a build artifact for the contract',
     })
     .option('contract-name', {
         alias: 'n',
-        describe: 'Name of contract from contract file that you would like to deploy',
+        describe: 'Name of contract from contract file that you would like to deploy (optional for build artifacts)',
     })
     .option('sender-address', {
         alias: 's',
         describe: 'Address of contract creator',
+        type: 'string',
+    })
+    .option('yes', {
+        alias: 'y',
+        describe: 'Deploy without prompting for confirmation of the gas allocation',
+        type: 'boolean',
+        default: false,
+    })
+    .option('dry-run', {
+        describe: 'Simulate the deployment against an in-process fork of the chain, and report its gas usage, logs and cost without sending anything to the node',
+        type: 'boolean',
+        default: false,
+    })
+    .option('registry', {
+        describe: 'Path to the deployment registry in which to record the deployment (default: $NRN_BRAINSTEM_REGISTRY or ./deployments.json)',
+        type: 'string',
     });
 
+addProviderOptions(yargs);
+addSigningOptions(yargs);
+addCompileOptions(yargs);
+addGasOptions(yargs);
+addConfirmationOptions(yargs);
+
 const {
+    confirmations,
     contractFile,
     contractName,
+    gas,
     provider,
     providerType,
-    senderAddress,
+    timeout,
+    yes,
 } = yargs.argv;
+const registry = path.resolve(yargs.argv.registry || defaultRegistryPath());
 
-// Contract compilation
-console.log(`Compiling contract in ${contractFile}...`);
+// Contract compilation (or loading, in the case of build artifacts)
+console.log(`Loading contract from ${contractFile}...`);
 const contractPath = path.resolve(__dirname, contractFile);
-const compilationResult = compile(contractPath);
-const compiledContract = _.get(compilationResult, [
-    'contracts',
-    `${contractPath}:${contractName}`,
-]);
-const contractBytecode = _.get(compiledContract, 'bytecode');
-const preparedContractBytecode = `0x${contractBytecode}`;
-console.log('Contract compilation complete!');
+let contract;
+let diagnostics;
+try {
+    ({ artifact: contract, diagnostics } = loadContractWithDiagnostics(
+        contractPath,
+        contractName,
+        compileOptionsFromArgv(yargs.argv),
+    ));
+} catch (e) {
+    console.error(e.message);
+    process.exit(1);
+}
+if (!contract.bytecode) {
+    console.error(`Error: ${contractFile} does not provide bytecode for contract ${contract.contractName}`);
+    process.exit(1);
+}
+if (diagnostics.length > 0) {
+    console.log(formatDiagnostics(diagnostics));
+}
+console.log('Contract loaded!');
+
+// Constructor arguments are converted to the types declared in the contract ABI up front, so
+// that malformed arguments are reported before any gas is spent
+let contractArgs;
+try {
+    contractArgs = coerceArguments(constructorInputs(contract.abi), yargs.argv._);
+} catch (e) {
+    console.error(`Error: ${e.message}`);
+    process.exit(1);
+}
+console.log(`Contract arguments: ${contractArgs.map(arg => JSON.stringify(arg)).join(' ')}`);
+
+// Load the signing key, if transactions are to be signed locally
+let signer;
+let senderAddress;
+try {
+    signer = signerFromArgv(yargs.argv);
+    senderAddress = resolveSenderAddress(yargs.argv.senderAddress, signer);
+} catch (e) {
+    console.error(`Error: ${e.message}`);
+    process.exit(1);
+}
+if (signer) {
+    console.log(`Signing transactions locally as ${senderAddress}`);
+}
 
 // Set up web3 client
 console.log(
     `Creating web3 client with provider type: ${providerType}, provider: ${provider}...`,
 );
-const web3Providers = {
-    ipc: Web3.providers.IpcProvider,
-    http: Web3.providers.HttpProvider,
-    ws: Web3.providers.WebsocketProvider,
-};
-
-function makeClient(clientProvider, clientProviderType) {
-    if (!clientProviderType) {
-        return new Web3(clientProvider);
-    }
-
-    if (clientProviderType === 'ipc') {
-        return new Web3(new web3Providers[clientProviderType](clientProvider, net));
-    }
-
-    return new Web3(new web3Providers[clientProviderType](clientProvider));
-}
-
-const web3 = makeClient(provider, providerType);
+const web3 = makeClient(provider, providerType, { signer, chainId: yargs.argv.chainId });
 console.log('Web3 client ready!');
 
-const rawContractArgs = yargs.argv._;
-const contractArgs = rawContractArgs.map((arg) => {
-    try {
-        const listifiedArgs = arg.split(',');
-        if (listifiedArgs.length === 1) {
-            return listifiedArgs[0];
-        }
-        return listifiedArgs;
-    } catch (e) {
-        return arg;
-    }
-});
-console.log(`Contract arguments: ${contractArgs}`);
+// The gas allocation and gas price of the creation transaction are determined by the strategy
+// described by the gas options (see gasStrategies.js)
+let gasStrategy;
+try {
+    gasStrategy = fromOptions(web3, yargs.argv);
+} catch (e) {
+    console.error(`Error: ${e.message}`);
+    process.exit(1);
+}
+console.log(`Gas strategy: ${gasStrategy.description}`);
 
 /**
- * Deploy contract:
- * 1. Estimate gas cost of deployment
- * 2. Prompt user to either confirm inclusion of twice this estimate or include a custom gas amount
- * 3. Attempt contract creation
- * 4. Notify user of success or failure of contract creation
+ * Applies a gas strategy to the gas estimate for the deployment, exiting if the strategy refuses
+ * to allocate gas (e.g. because the deployment could cost more than --max-cost).
  *
- * This part is asynchronous
+ * @param {Object} strategy - Gas strategy
+ * @param {number} gasEstimate - Gas estimate for the deployment
+ * @param {Function} next - Called with the allocation (see gasStrategies.js)
  */
-console.log('Deploying contract...');
-web3.eth.estimateGas({ data: preparedContractBytecode }, (err, gasEstimate) => {
-    if (err) {
-        throw err;
-    }
-
-    const rl = readline.createInterface({
-        input: process.stdin,
-        output: process.stdout,
-        prompt: `Gas estimate: ${gasEstimate}. Hit ENTER if you would like to allocate that much gas, or enter a custom amount: `,
+function allocateOrExit(strategy, gasEstimate, next) {
+    return allocateGas(strategy, gasEstimate, (err, allocation) => {
+        if (err) {
+            console.error(`Error: ${err.message}`);
+            process.exit(1);
+        }
+        return next(allocation);
     });
+}
+
+/**
+ * Describes a gas allocation to the user.
+ *
+ * @param {Object} allocation - Gas allocation (see gasStrategies.js)
+ * @returns {string} Description of the allocation
+ */
+function describeAllocation(allocation) {
+    const price = allocation.gasPrice === undefined ?
+        'the gas price chosen by the node' :
+        `a gas price of ${allocation.gasPrice} wei`;
+    return `${allocation.gas} gas at ${price}`;
+}
+
+
+/**
+ * Creates the contract with the given gas allocation, notifies the user of the success or failure
+ * of contract creation, and records the deployment in the registry.
+ *
+ * @param {Object} allocation - Gas allocation for the creation transaction: the `gas` to send and
+ * the `gasPrice` (undefined if the node should choose)
+ */
+function createContract(allocation) {
+    const transactionOptions = {
+        from: senderAddress,
+        gas: allocation.gas,
+        gasPrice: allocation.gasPrice,
+        confirmations,
+        timeout,
+        onTransactionHash: (transactionHash) => {
+            console.log(`Creation transaction: ${transactionHash}`);
+            console.log(`Waiting for ${confirmations} confirmation(s)...`);
+        },
+    };
 
-    let gasAllocation = gasEstimate;
+    return deployContract(web3, contract, contractArgs, transactionOptions, (err, deployment) => {
+        if (err) {
+            console.error(`Error: ${err.message}`);
+            process.exit(1);
+        }
 
-    rl.once('line', (line) => {
-        const trimmedLine = line.trim();
+        const { receipt } = deployment;
+        console.log(`Contract successfully created: ${deployment.address}`);
+        console.log(`Gas used: ${receipt.gasUsed}`);
+        console.log(`Transaction status: ${receipt.status}`);
+        console.log('Transaction logs:');
+        receipt.logs.forEach((log) => {
+            console.log(`\t${log}`);
+        });
 
-        if (trimmedLine) {
-            try {
-                gasAllocation = parseInt(line.trim(), 10);
-            } catch (e) {
-                console.error(`Error: could not parse ${trimmedLine} as an integer`);
-                process.exit(1);
+        return web3.version.getNetwork((networkErr, networkId) => {
+            if (networkErr) {
+                throw networkErr;
             }
+
+            recordDeployment(registry, networkId, contract.contractName, {
+                address: deployment.address,
+                transactionHash: deployment.transactionHash,
+                blockNumber: receipt.blockNumber,
+                deployer: senderAddress,
+                constructorArgs: contractArgs,
+                artifactHash: artifactHash(contract),
+            });
+            console.log(`Deployment recorded for network ${networkId} in ${registry}`);
+
+            process.exit(0);
+        });
+    });
+}
+
+/**
+ * Reports the outcome of a simulated deployment, with its cost computed at the gas price set by
+ * the gas strategy or, failing that, at the price suggested by the node.
+ *
+ * @param {Object} simulatedWeb3 - Web3 client connected to the fork
+ * @param {Object} deployment - Deployment made on the fork (see deployContract.js)
+ * @param {Object} allocation - Gas allocation for the deployment (see gasStrategies.js)
+ */
+function reportSimulation(simulatedWeb3, deployment, allocation) {
+    return resolveGasPrice(web3, allocation.gasPrice, (priceErr, price) => {
+        if (priceErr) {
+            throw priceErr;
         }
 
-        rl.close();
+        const transactions = [{
+            description: `Deploy ${contract.contractName}`,
+            transactionHash: deployment.transactionHash,
+        }];
+        return summarizeTransactions(simulatedWeb3, transactions, price, (err, summary) => {
+            if (err) {
+                throw err;
+            }
+
+            console.log(formatSummary(web3, summary));
+            process.exit(0);
+        });
     });
+}
 
-    rl.on('close', () => {
-        const web3Contract = web3.eth.contract(
-            JSON.parse(_.get(compiledContract, 'interface')),
-        );
-
-        return web3Contract.new(
-            ...contractArgs,
-            {
-                from: senderAddress,
-                data: preparedContractBytecode,
-                gas: gasAllocation,
-            },
-            (creationErr, contractInstance) => {
-                if (creationErr) {
-                    throw creationErr;
-                }
+/**
+ * Simulates the deployment against an in-process fork of the chain and reports what would
+ * happen. The gas allocation is determined from the node's estimate, exactly as it would be for a
+ * real deployment. Nothing is sent to the node and nothing is recorded in the registry.
+ */
+function simulateDeployment() {
+    estimateDeploymentGas(web3, contract, contractArgs, senderAddress, (err, gasEstimate) => {
+        if (err) {
+            throw err;
+        }
+
+        return allocateOrExit(gasStrategy, gasEstimate, (allocation) => {
+            console.log(`Gas estimate: ${gasEstimate}. Allocating ${describeAllocation(allocation)}.`);
 
-                if (!contractInstance.address) {
-                    return console.log(
-                        `Creation transaction: ${contractInstance.transactionHash}`,
-                    );
+            console.log('Dry run: forking chain...');
+            return forkedClient(web3, [senderAddress], (forkErr, simulatedWeb3, block) => {
+                if (forkErr) {
+                    throw forkErr;
                 }
 
-                console.log(
-                    `Contract successfully created: ${contractInstance.address}`,
-                );
-                return web3.eth.getTransactionReceipt(
-                    contractInstance.transactionHash,
-                    (receiptErr, receipt) => {
-                        if (receiptErr) {
-                            throw receiptErr;
+                console.log(`Forked chain at block ${block.number}. Nothing will be sent to the node.`);
+                const transactionOptions = {
+                    from: senderAddress,
+                    gas: allocation.gas,
+                    gasPrice: allocation.gasPrice,
+                };
+                return deployContract(
+                    simulatedWeb3,
+                    contract,
+                    contractArgs,
+                    transactionOptions,
+                    (deployErr, deployment) => {
+                        if (deployErr) {
+                            throw deployErr;
                         }
+                        return reportSimulation(simulatedWeb3, deployment, allocation);
+                    },
+                );
+            });
+        });
+    });
+}
 
-                        if (!receipt) {
-                            throw new Error(
-                                `Receipt not returned for transaction ${
-                                    contractInstance.transactionHash
-                                }`,
-                            );
-                        }
+/**
+ * Deploys the contract:
+ * 1. Estimate gas cost of deployment
+ * 2. Unless a gas allocation was specified with --gas or confirmed in advance with --yes, prompt
+ *    user to either confirm the allocation produced by the gas strategy or include a custom gas
+ *    amount (to which the gas price and --max-cost options still apply)
+ * 3. Attempt contract creation
+ * 4. Notify user of success or failure of contract creation
+ *
+ * This part is asynchronous
+ */
+function deploy() {
+    console.log('Deploying contract...');
+    estimateDeploymentGas(web3, contract, contractArgs, senderAddress, (err, gasEstimate) => {
+        if (err) {
+            throw err;
+        }
 
-                        console.log(`Gas used: ${receipt.gasUsed}`);
-                        console.log(`Transaction status: ${receipt.status}`);
-                        console.log('Transaction logs:');
-                        receipt.logs.forEach((log) => {
-                            console.log(`\t${log}`);
-                        });
+        return allocateOrExit(gasStrategy, gasEstimate, (defaultAllocation) => {
+            if (gas !== undefined || yes) {
+                console.log(`Gas estimate: ${gasEstimate}. Allocating ${describeAllocation(defaultAllocation)}.`);
+                return createContract(defaultAllocation);
+            }
 
-                        process.exit(0);
-                    },
+            const rl = readline.createInterface({
+                input: process.stdin,
+                output: process.stdout,
+                prompt: `Gas estimate: ${gasEstimate}. Hit ENTER if you would like to allocate ${describeAllocation(defaultAllocation)}, or enter a custom amount of gas: `,
+            });
+
+            let customGas;
+
+            rl.once('line', (line) => {
+                const trimmedLine = line.trim();
+
+                if (trimmedLine) {
+                    try {
+                        customGas = parseGas(trimmedLine);
+                    } catch (e) {
+                        console.error(`Error: ${e.message}`);
+                        process.exit(1);
+                    }
+                }
+
+                rl.close();
+            });
+
+            rl.on('close', () => {
+                if (customGas === undefined) {
+                    return createContract(defaultAllocation);
+                }
+                const customStrategy = fromOptions(
+                    web3,
+                    Object.assign({}, yargs.argv, { gas: customGas }),
                 );
-            },
-        );
+                return allocateOrExit(customStrategy, gasEstimate, createContract);
+            });
+
+            return rl.prompt();
+        });
     });
+}
 
-    return rl.prompt();
-});
+if (yargs.argv.dryRun) {
+    simulateDeployment();
+} else {
+    deploy();
+}
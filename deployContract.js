@@ -0,0 +1,108 @@
+/**
+ * @file
+ * Deployment of a single contract (as loaded by artifacts.loadContract) through a web3 client.
+ * Used by the deploy and manifest scripts.
+ */
+
+const waitForReceipt = require('./waitForReceipt');
+
+/**
+ * Produces the data for the transaction which creates the given contract with the given
+ * constructor arguments.
+ *
+ * @param {Object} web3 - Web3 client
+ * @param {Object} contract - Contract artifact (see artifacts.js)
+ * @param {Array} contractArgs - Constructor arguments, already converted to their ABI types
+ * @returns {string} 0x-prefixed transaction data
+ */
+function creationData(web3, contract, contractArgs) {
+    return web3.eth.contract(contract.abi).new.getData(
+        ...contractArgs,
+        { data: contract.bytecode },
+    );
+}
+
+/**
+ * Estimates the gas required to create the given contract.
+ *
+ * @param {Object} web3 - Web3 client
+ * @param {Object} contract - Contract artifact (see artifacts.js)
+ * @param {Array} contractArgs - Constructor arguments, already converted to their ABI types
+ * @param {string} from - Address of contract creator
+ * @param {callback} callback - Called with an error, or with null and the gas estimate
+ */
+function estimateDeploymentGas(web3, contract, contractArgs, from, callback) {
+    return web3.eth.estimateGas(
+        { from, data: creationData(web3, contract, contractArgs) },
+        callback,
+    );
+}
+
+/**
+ * Creates the given contract and waits for the creation transaction to be mined and confirmed
+ * (see waitForReceipt.js).
+ *
+ * @param {Object} web3 - Web3 client
+ * @param {Object} contract - Contract artifact (see artifacts.js)
+ * @param {Array} contractArgs - Constructor arguments, already converted to their ABI types
+ * @param {Object} transactionOptions - Transaction parameters: `from` and `gas` are required,
+ * `gasPrice` is optional. An `onTransactionHash` function may also be provided, which is called
+ * with the hash of the creation transaction as soon as it has been submitted, as may the
+ * `confirmations`, `timeout` and `pollInterval` options of waitForReceipt
+ * @param {callback} callback - Called with an error, or with null and an object with the
+ * `address` of the created contract, the `transactionHash` of the creation transaction and its
+ * `receipt`
+ */
+function deployContract(web3, contract, contractArgs, transactionOptions, callback) {
+    const transactionObject = {
+        from: transactionOptions.from,
+        data: creationData(web3, contract, contractArgs),
+        gas: transactionOptions.gas,
+    };
+    if (transactionOptions.gasPrice !== undefined) {
+        transactionObject.gasPrice = transactionOptions.gasPrice;
+    }
+
+    return web3.eth.sendTransaction(transactionObject, (sendErr, transactionHash) => {
+        if (sendErr) {
+            return callback(sendErr);
+        }
+
+        if (transactionOptions.onTransactionHash) {
+            transactionOptions.onTransactionHash(transactionHash);
+        }
+
+        return waitForReceipt(web3, transactionHash, transactionOptions, (err, receipt) => {
+            if (err) {
+                return callback(err);
+            }
+
+            if (!receipt.contractAddress) {
+                return callback(new Error(`Transaction ${transactionHash} did not create a contract`));
+            }
+
+            // Receipts from before the Byzantium fork carry no status, so a failed creation can
+            // only be detected by the absence of code at the contract address
+            return web3.eth.getCode(receipt.contractAddress, (codeErr, code) => {
+                if (codeErr) {
+                    return callback(codeErr);
+                }
+                if (!code || code === '0x' || code === '0x0') {
+                    return callback(new Error(`No code was stored at ${receipt.contractAddress} by transaction ${transactionHash}`));
+                }
+
+                return callback(null, {
+                    address: receipt.contractAddress,
+                    transactionHash,
+                    receipt,
+                });
+            });
+        });
+    });
+}
+
+module.exports = {
+    creationData,
+    deployContract,
+    estimateDeploymentGas,
+};
@@ -0,0 +1,188 @@
+#!/usr/bin/env node
+
+/**
+ * @file
+ * This script deploys a system of contracts described by a deployment manifest (see manifest.js)
+ * and makes the calls listed in the manifest once the contracts are deployed. If any step fails,
+ * fix the problem and run the script again - it resumes from the step that failed.
+ */
+
+const {
+    addCompileOptions,
+    addConfirmationOptions,
+    addGasOptions,
+    addProviderOptions,
+    addSigningOptions,
+    compileOptionsFromArgv,
+    makeClient,
+    resolveSenderAddress,
+    signerFromArgv,
+} = require('./cliOptions.js');
+const fs = require('fs');
+const { fromOptions } = require('./gasStrategies.js');
+const _ = require('lodash');
+const { loadManifest, planManifest, runManifest } = require('./manifest.js');
+const os = require('os');
+const path = require('path');
+const { defaultRegistryPath } = require('./registry.js');
+const {
+    forkedClient,
+    formatSummary,
+    resolveGasPrice,
+    summarizeTransactions,
+} = require('./simulation.js');
+const yargs = require('yargs');
+
+yargs
+    .usage('$0 [--provider-type {ipc|http|ws}] --provider PATH_TO_PROVIDER [--sender-address ADDRESS] MANIFEST')
+    .demandCommand(1, 'Please specify the path to a manifest file')
+    .option('sender-address', {
+        alias: 's',
+        describe: 'Address from which to send transactions (default: the "from" key of the manifest)',
+        type: 'string',
+    })
+    .option('state', {
+        describe: 'Path to the file in which progress is saved (default: manifest path with .state.json appended)',
+        type: 'string',
+    })
+    .option('registry', {
+        describe: 'Path to the deployment registry in which to record deployments (default: $NRN_BRAINSTEM_REGISTRY or ./deployments.json)',
+        type: 'string',
+    })
+    .option('dry-run', {
+        describe: 'Execute the manifest against an in-process fork of the chain, and report its gas usage, logs and cost without sending anything to the node',
+        type: 'boolean',
+        default: false,
+    });
+
+addProviderOptions(yargs);
+addSigningOptions(yargs);
+addCompileOptions(yargs);
+addGasOptions(yargs);
+addConfirmationOptions(yargs);
+
+const { argv } = yargs;
+
+let manifest;
+try {
+    manifest = loadManifest(path.resolve(argv._[0]));
+} catch (e) {
+    console.error(`Error: ${e.message}`);
+    process.exit(1);
+}
+
+let signer;
+let senderAddress;
+try {
+    signer = signerFromArgv(argv);
+    senderAddress = resolveSenderAddress(argv.senderAddress || manifest.from, signer);
+} catch (e) {
+    console.error(`Error: ${e.message}`);
+    process.exit(1);
+}
+
+if (!senderAddress) {
+    console.error('Error: no sender address specified, either with --sender-address or in the manifest');
+    process.exit(1);
+}
+
+const web3 = makeClient(argv.provider, argv.providerType, { signer, chainId: argv.chainId });
+const runOptions = {
+    from: senderAddress,
+    gas: argv.gas,
+    gasMultiplier: argv.gasMultiplier,
+    gasCeiling: argv.gasCeiling,
+    gasPrice: argv.gasPrice,
+    gasPriceMultiplier: argv.gasPriceMultiplier,
+    maxCost: argv.maxCost,
+    statePath: argv.state && path.resolve(argv.state),
+    registryPath: path.resolve(argv.registry || defaultRegistryPath()),
+    compileOptions: compileOptionsFromArgv(argv),
+    confirmations: argv.confirmations,
+    timeout: argv.timeout,
+    log: message => console.log(message),
+};
+
+/**
+ * Executes the manifest against an in-process fork of the chain and reports every transaction it
+ * made. The state file and the registry are left untouched, so that a subsequent run without
+ * --dry-run starts from scratch.
+ */
+function simulateManifest() {
+    const senders = _.uniq([runOptions.from]
+        .concat(manifest.calls.map(call => call.from))
+        .filter(Boolean));
+
+    console.log('Dry run: forking chain...');
+    forkedClient(web3, senders, (forkErr, simulatedWeb3, block) => {
+        if (forkErr) {
+            throw forkErr;
+        }
+
+        console.log(`Forked chain at block ${block.number}. Nothing will be sent to the node.`);
+        // Gas estimates made on the fork are unreliable (and can corrupt its view of contract
+        // storage), so unless a gas allocation was specified, each transaction is allowed up to
+        // the block gas limit instead, and --max-cost (which would judge that allowance rather
+        // than the real one) is not enforced. Costs are computed from the gas actually used. No
+        // blocks are mined on the fork other than those containing its transactions, so there is
+        // nothing to wait for beyond the first confirmation.
+        const simulationOptions = _.assign({}, runOptions, {
+            gasStrategy: fromOptions(web3, _.assign({}, runOptions, {
+                gas: runOptions.gas || block.gasLimit,
+                maxCost: undefined,
+            })),
+            confirmations: 1,
+            statePath: path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'nrn-brainstem-dry-run-')), 'state.json'),
+            registryPath: undefined,
+        });
+        runManifest(simulatedWeb3, manifest, simulationOptions, (err, state) => {
+            if (err) {
+                const failedStep = err.step ? ` at ${err.step.type} ${err.step.name}` : '';
+                console.error(`Error${failedStep}: ${err.message}`);
+                process.exit(1);
+            }
+
+            const transactions = planManifest(manifest).map(step => ({
+                description: `${_.capitalize(step.type)} ${step.name}`,
+                transactionHash: state.steps[step.id].transactionHash,
+            }));
+            resolveGasPrice(web3, argv.gasPrice, (priceErr, price) => {
+                if (priceErr) {
+                    throw priceErr;
+                }
+
+                summarizeTransactions(simulatedWeb3, transactions, price, (summaryErr, summary) => {
+                    if (summaryErr) {
+                        throw summaryErr;
+                    }
+
+                    console.log(formatSummary(web3, summary));
+                    process.exit(0);
+                });
+            });
+        });
+    });
+}
+
+/**
+ * Executes the manifest against the node, resuming from the state file if there is one.
+ */
+function executeManifest() {
+    runManifest(web3, manifest, runOptions, (err) => {
+        if (err) {
+            const failedStep = err.step ? ` at ${err.step.type} ${err.step.name}` : '';
+            console.error(`Error${failedStep}: ${err.message}`);
+            console.error('Progress has been saved. Fix the problem and run this script again to resume.');
+            process.exit(1);
+        }
+
+        console.log('Manifest executed successfully!');
+        process.exit(0);
+    });
+}
+
+if (argv.dryRun) {
+    simulateManifest();
+} else {
+    executeManifest();
+}
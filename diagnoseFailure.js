@@ -0,0 +1,111 @@
+/**
+ * @file
+ * Diagnosis of failed contract method calls. Nodes report transactions which cannot succeed with
+ * opaque gas estimation errors - geth, for example, with "gas required exceeds allowance or always
+ * failing transaction". Replaying the transaction as a call (eth_call) reveals whether it reverts,
+ * runs out of gas or executes an invalid opcode.
+ */
+
+const { describeCall } = require('./contractPromises');
+const {
+    ContractCallError,
+    ContractInvalidOpcodeError,
+    ContractOutOfGasError,
+    ContractRevertError,
+} = require('./errors');
+
+/**
+ * Classifies a failure from the error message reported by the node.
+ *
+ * @param {string} message - Error message
+ * @returns {string|null} 'revert', 'invalid-opcode' or 'out-of-gas', or null if the message does
+ * not say which of these happened
+ */
+function classifyFailure(message) {
+    if (/revert/i.test(message)) {
+        return 'revert';
+    }
+    if (/invalid opcode|invalid jump|bad instruction/i.test(message)) {
+        return 'invalid-opcode';
+    }
+    if (/out of gas/i.test(message)) {
+        return 'out-of-gas';
+    }
+    return null;
+}
+
+/**
+ * Extracts the reason given by a contract for reverting from the error message reported by the
+ * node, e.g. "VM Exception while processing transaction: revert <reason>" (ganache) or
+ * "execution reverted: <reason>" (geth).
+ *
+ * @param {string} message - Error message
+ * @returns {string|null} Reason, or null if the contract gave none
+ */
+function revertReason(message) {
+    const match = /revert(?:ed)?:?\s+(.+)$/i.exec(message.split('\n')[0]);
+    return match ? match[1].trim() : null;
+}
+
+/**
+ * Determines why a call to a contract method (typically its gas estimate) failed, by making the
+ * same call with eth_call.
+ *
+ * @param {Function} contractMethod - Smart contract method
+ * @param {Array} methodArgs - Arguments to contract method
+ * @param {string} [from] - Address from which the call was made
+ * @param {Error} cause - Error with which the call failed
+ * @param {callback} callback - Called with the diagnosis: a ContractRevertError,
+ * ContractOutOfGasError or ContractInvalidOpcodeError, or a plain ContractCallError if the failure
+ * could not be classified. The error names the method, its arguments and the sender.
+ */
+function diagnoseFailure(contractMethod, methodArgs, from, cause, callback) {
+    const { call, description } = describeCall(contractMethod, methodArgs, from);
+
+    return contractMethod.call(...methodArgs, { from }, (callErr) => {
+        // The call reports the failure more precisely than the gas estimate, if it fails too
+        const failure = callErr || cause;
+
+        switch (classifyFailure(failure.message)) {
+        case 'revert': {
+            const reason = revertReason(failure.message);
+            const explanation = reason ?
+                `: ${reason}` :
+                ` (a require() or revert() in ${call.methodName} failed)`;
+            return callback(new ContractRevertError(
+                `${description} reverts${explanation}`,
+                call,
+                failure,
+                reason,
+            ));
+        }
+        case 'invalid-opcode':
+            return callback(new ContractInvalidOpcodeError(
+                `${description} executes an invalid opcode (an assert() in ${call.methodName} failed, or it divided by zero or indexed past the end of an array)`,
+                call,
+                failure,
+            ));
+        case 'out-of-gas':
+            return callback(new ContractOutOfGasError(
+                `${description} runs out of gas`,
+                call,
+                failure,
+            ));
+        default:
+            break;
+        }
+
+        const explanation = callErr ?
+            '' :
+            ' (the same call succeeds with eth_call, so it may need more gas than the node allows, or the state of the chain may have changed)';
+        return callback(new ContractCallError(
+            `${description} failed: ${cause.message}${explanation}`,
+            call,
+            cause,
+        ));
+    });
+}
+
+diagnoseFailure.classifyFailure = classifyFailure;
+
+module.exports = diagnoseFailure;
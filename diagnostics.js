@@ -0,0 +1,91 @@
+/**
+ * @file
+ * Parsing and formatting of the errors and warnings reported by solc.
+ */
+
+const _ = require('lodash');
+
+/**
+ * Converts a byte offset into a source file into a line and column number (both starting at 1).
+ *
+ * @param {string} source - Contents of the source file
+ * @param {number} offset - Byte offset into the source file
+ * @returns {Object} Object with `line` and `column` keys
+ */
+function offsetToPosition(source, offset) {
+    const precedingLines = Buffer.from(source).slice(0, offset).toString().split('\n');
+    return {
+        line: precedingLines.length,
+        column: precedingLines[precedingLines.length - 1].length + 1,
+    };
+}
+
+/**
+ * Converts the errors array of a Standard JSON compiler output into a list of diagnostics, each of
+ * which has the following keys:
+ * 1. severity - "error" or "warning"
+ * 2. type - solc error type, e.g. "DeclarationError"
+ * 3. file - source unit in which the problem was found (null if solc did not report one)
+ * 4. line - line at which the problem was found, starting at 1 (null if unknown)
+ * 5. column - column at which the problem was found, starting at 1 (null if unknown)
+ * 6. message - description of the problem
+ * 7. formattedMessage - description of the problem, as formatted by solc
+ *
+ * @param {Object[]} errors - Errors reported by solc
+ * @param {Object} sources - Mapping from source unit names to source code
+ * @returns {Object[]} Diagnostics
+ */
+function parseDiagnostics(errors, sources) {
+    return (errors || []).map((error) => {
+        const file = _.get(error, ['sourceLocation', 'file'], null);
+        const start = _.get(error, ['sourceLocation', 'start'], -1);
+        const position = (_.has(sources, file) && start >= 0) ?
+            offsetToPosition(sources[file], start) :
+            { line: null, column: null };
+
+        return {
+            severity: error.severity,
+            type: error.type,
+            file,
+            line: position.line,
+            column: position.column,
+            message: error.message,
+            formattedMessage: error.formattedMessage,
+        };
+    });
+}
+
+/**
+ * Produces a human-readable report of a list of diagnostics, grouped by file.
+ *
+ * @param {Object[]} diagnostics - Diagnostics, as returned by parseDiagnostics
+ * @returns {string} Report
+ */
+function formatDiagnostics(diagnostics) {
+    const diagnosticsByFile = _.groupBy(diagnostics, diagnostic => diagnostic.file || '<unknown file>');
+    return _.map(diagnosticsByFile, (fileDiagnostics, file) => {
+        const lines = fileDiagnostics.map((diagnostic) => {
+            const position = diagnostic.line === null ? '-' : `${diagnostic.line}:${diagnostic.column}`;
+            const message = diagnostic.message.replace(/\n/g, '\n    ');
+            return `  ${_.padEnd(position, 8)} ${_.padEnd(diagnostic.severity, 8)} ${diagnostic.type}: ${message}`;
+        });
+        return [file].concat(lines).join('\n');
+    }).join('\n\n');
+}
+
+/**
+ * Counts the diagnostics of the given severity.
+ *
+ * @param {Object[]} diagnostics - Diagnostics, as returned by parseDiagnostics
+ * @param {string} severity - "error" or "warning"
+ * @returns {number} Number of diagnostics with that severity
+ */
+function countSeverity(diagnostics, severity) {
+    return diagnostics.filter(diagnostic => diagnostic.severity === severity).length;
+}
+
+module.exports = {
+    countSeverity,
+    formatDiagnostics,
+    parseDiagnostics,
+};
@@ -0,0 +1,229 @@
+/**
+ * @file
+ * Error classes raised by the tools in this repository. Each of them carries, in addition to a
+ * human-readable message, the structured information that led to the error so that callers can
+ * handle it programmatically.
+ */
+
+/**
+ * Raised by compile in strict mode when the compiler reports errors (or warnings, if those are
+ * being treated as errors).
+ */
+class CompilationError extends Error {
+    /**
+     * @param {string} message - Human-readable report of the problems with the compilation
+     * @param {Object[]} diagnostics - Diagnostics produced by the compilation (see diagnostics.js)
+     */
+    constructor(message, diagnostics) {
+        super(message);
+        this.name = 'CompilationError';
+        this.diagnostics = diagnostics;
+    }
+}
+
+/**
+ * Raised when arguments to a contract function or constructor do not match the types declared in
+ * the contract ABI.
+ */
+class ArgumentError extends Error {
+    /**
+     * @param {string} message - Human-readable report of the problems with the arguments
+     * @param {string[]} problems - Description of each problem with the arguments
+     */
+    constructor(message, problems) {
+        super(message);
+        this.name = 'ArgumentError';
+        this.problems = problems;
+    }
+}
+
+/**
+ * Raised when a transaction is mined but fails (its receipt has status 0).
+ */
+class TransactionRevertedError extends Error {
+    /**
+     * @param {string} message - Human-readable description of the failure
+     * @param {Object} receipt - Receipt of the failed transaction
+     */
+    constructor(message, receipt) {
+        super(message);
+        this.name = 'TransactionRevertedError';
+        this.transactionHash = receipt.transactionHash;
+        this.receipt = receipt;
+    }
+}
+
+/**
+ * Raised when a transaction is not mined, or not confirmed by enough blocks, in time.
+ */
+class TransactionTimeoutError extends Error {
+    /**
+     * @param {string} message - Human-readable description of the timeout
+     * @param {string} transactionHash - Hash of the transaction that was being waited for
+     * @param {Object} [receipt] - Receipt of the transaction, if it was mined but not confirmed
+     */
+    constructor(message, transactionHash, receipt) {
+        super(message);
+        this.name = 'TransactionTimeoutError';
+        this.transactionHash = transactionHash;
+        this.receipt = receipt || null;
+    }
+}
+
+/**
+ * Raised when a call to a contract method, or a transaction sent to one, fails. Describes the call
+ * that failed; the error reported by web3 or the node is kept as the `cause`.
+ */
+class ContractCallError extends Error {
+    /**
+     * @param {string} message - Human-readable description of the failure
+     * @param {Object} call - Description of the call: the `methodName`, the method `args` and the
+     * sending address (`from`, undefined if the call was made from the default account)
+     * @param {Error} cause - Error with which the call failed
+     */
+    constructor(message, call, cause) {
+        super(message);
+        this.name = 'ContractCallError';
+        this.methodName = call.methodName;
+        this.args = call.args;
+        this.from = call.from;
+        this.cause = cause;
+    }
+}
+
+/**
+ * Raised when a call to a contract method fails because the contract reverted - typically because
+ * one of its require() statements failed.
+ */
+class ContractRevertError extends ContractCallError {
+    /**
+     * @param {string} message - Human-readable description of the failure
+     * @param {Object} call - Description of the call (see ContractCallError)
+     * @param {Error} cause - Error with which the call failed
+     * @param {string} [reason] - Reason given by the contract for reverting, if it gave one
+     */
+    constructor(message, call, cause, reason) {
+        super(message, call, cause);
+        this.name = 'ContractRevertError';
+        this.reason = reason || null;
+    }
+}
+
+/**
+ * Raised when a call to a contract method fails because it runs out of gas.
+ */
+class ContractOutOfGasError extends ContractCallError {
+    /**
+     * @param {string} message - Human-readable description of the failure
+     * @param {Object} call - Description of the call (see ContractCallError)
+     * @param {Error} cause - Error with which the call failed
+     */
+    constructor(message, call, cause) {
+        super(message, call, cause);
+        this.name = 'ContractOutOfGasError';
+    }
+}
+
+/**
+ * Raised when a call to a contract method fails because the contract executes an invalid opcode -
+ * which is how failed assert() statements, divisions by zero and out-of-bounds array accesses
+ * manifest themselves in contracts compiled by solidity 0.4.
+ */
+class ContractInvalidOpcodeError extends ContractCallError {
+    /**
+     * @param {string} message - Human-readable description of the failure
+     * @param {Object} call - Description of the call (see ContractCallError)
+     * @param {Error} cause - Error with which the call failed
+     */
+    constructor(message, call, cause) {
+        super(message, call, cause);
+        this.name = 'ContractInvalidOpcodeError';
+    }
+}
+
+/**
+ * Raised by a gas strategy which refuses to allocate gas for a transaction, e.g. because the
+ * transaction would cost more than the budget allows.
+ */
+class GasAllocationError extends Error {
+    /**
+     * @param {string} message - Human-readable description of the refusal
+     * @param {Object} allocation - Allocation which was refused (see gasStrategies.js): the
+     * `gasEstimate`, `gas` and `gasPrice`, and for budget overruns the `cost` and `budget` in wei
+     */
+    constructor(message, allocation) {
+        super(message);
+        this.name = 'GasAllocationError';
+        this.allocation = allocation;
+    }
+}
+
+/**
+ * Raised when the principal investigator of a data trial does not respond to a Stimulus request in
+ * time.
+ */
+class DecisionTimeoutError extends Error {
+    /**
+     * @param {string} message - Human-readable description of the timeout
+     * @param {Object} request - The request that was waiting for a decision: its `candidate`,
+     * `stimulusId` and, if it was specified, `stimulusType`
+     */
+    constructor(message, request) {
+        super(message);
+        this.name = 'DecisionTimeoutError';
+        this.request = request;
+    }
+}
+
+/**
+ * Raised when a transaction is not sent because the state of the chain shows that it would fail,
+ * e.g. because the sender does not have the role that the contract method requires.
+ */
+class PreconditionError extends Error {
+    /**
+     * @param {string} message - Human-readable description of the unmet precondition
+     * @param {Object} details - The values which were checked, e.g. the `required` and `actual`
+     * sender
+     */
+    constructor(message, details) {
+        super(message);
+        this.name = 'PreconditionError';
+        this.details = details;
+    }
+}
+
+/**
+ * Raised when a transaction succeeds but the state of the contract afterwards is not what the
+ * transaction should have made it - e.g. because another transaction changed it in the meantime.
+ */
+class StateVerificationError extends Error {
+    /**
+     * @param {string} message - Human-readable description of the discrepancy
+     * @param {*} expected - Expected state
+     * @param {*} actual - State found on the chain
+     * @param {Object} receipt - Receipt of the transaction
+     */
+    constructor(message, expected, actual, receipt) {
+        super(message);
+        this.name = 'StateVerificationError';
+        this.expected = expected;
+        this.actual = actual;
+        this.transactionHash = receipt.transactionHash;
+        this.receipt = receipt;
+    }
+}
+
+module.exports = {
+    ArgumentError,
+    CompilationError,
+    ContractCallError,
+    ContractInvalidOpcodeError,
+    ContractOutOfGasError,
+    ContractRevertError,
+    DecisionTimeoutError,
+    GasAllocationError,
+    PreconditionError,
+    StateVerificationError,
+    TransactionRevertedError,
+    TransactionTimeoutError,
+};
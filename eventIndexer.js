@@ -0,0 +1,531 @@
+/**
+ * @file
+ * Indexing of the events emitted by Stem and Stimulus contracts - Transfer, Approval,
+ * StimulusRequest and StimulusResponse - into a LevelDB database, so that questions about the
+ * history of the contracts can be answered without replaying their logs each time.
+ *
+ * The database is any levelup instance, e.g. `levelup(leveldown(path))` on disk or
+ * `levelup(memdown())` in memory. It holds:
+ * + `event!<block number>!<log index>` - each event, decoded with the ABI of its contract (see
+ *   eventRecord)
+ * + `block!<block number>` - the hashes of the most recently indexed blocks, used to detect chain
+ *   reorganizations
+ * + `checkpoint` - the number and hash of the last block indexed
+ * Block numbers and log indices in keys are zero-padded, so that keys sort in chain order.
+ *
+ * Blocks are indexed in batches, each written to the database atomically together with its
+ * checkpoint, so an interrupted indexer resumes from the last batch it completed. Before each batch
+ * the checkpoint is compared with the chain. If the chain has reorganized, the events of the blocks
+ * which are no longer part of it are deleted and indexing resumes from the last block the database
+ * and the chain agree on. Only the hashes of the last `maxReorgDepth` blocks are kept; if the chain
+ * has reorganized deeper than that, the database is rebuilt from the start block.
+ */
+
+const async = require('async');
+const _ = require('lodash');
+const utils = require('web3/lib/utils/utils');
+
+const INDEXED_EVENTS = ['Transfer', 'Approval', 'StimulusRequest', 'StimulusResponse'];
+const CHECKPOINT_KEY = 'checkpoint';
+const KEY_WIDTH = 16;
+const DEFAULT_BATCH_SIZE = 1000;
+const DEFAULT_MAX_REORG_DEPTH = 100;
+const DEFAULT_POLL_INTERVAL = 5000;
+
+/**
+ * Zero-pads a number for use in a database key.
+ *
+ * @param {number} value - Non-negative integer
+ * @returns {string} Padded number
+ */
+function pad(value) {
+    return _.padStart(String(value), KEY_WIDTH, '0');
+}
+
+/**
+ * Produces the database key of the hash of a block.
+ *
+ * @param {number} blockNumber - Number of the block
+ * @returns {string} Key
+ */
+function blockKey(blockNumber) {
+    return `block!${pad(blockNumber)}`;
+}
+
+/**
+ * Produces the database key of an event.
+ *
+ * @param {number} blockNumber - Number of the block containing the event
+ * @param {number} [logIndex] - Index of the event in the block (default: 0)
+ * @returns {string} Key
+ */
+function eventKey(blockNumber, logIndex = 0) {
+    return `event!${pad(blockNumber)}!${pad(logIndex)}`;
+}
+
+/**
+ * Reads the values stored under a range of keys.
+ *
+ * @param {Object} db - levelup database
+ * @param {Object} range - Range options for createReadStream (`gte`, `lte`, `reverse`, `limit`...)
+ * @param {callback} callback - Called with an error, or with null and the parsed values, in key
+ * order
+ */
+function readRange(db, range, callback) {
+    const done = _.once(callback);
+    const values = [];
+    db.createValueStream(range)
+        .on('data', value => values.push(JSON.parse(String(value))))
+        .on('error', done)
+        .on('end', () => done(null, values));
+}
+
+/**
+ * Reads the keys in a range.
+ *
+ * @param {Object} db - levelup database
+ * @param {Object} range - Range options for createReadStream
+ * @param {callback} callback - Called with an error, or with null and the keys (strings)
+ */
+function readKeys(db, range, callback) {
+    const done = _.once(callback);
+    const keys = [];
+    db.createKeyStream(range)
+        .on('data', key => keys.push(String(key)))
+        .on('error', done)
+        .on('end', () => done(null, keys));
+}
+
+/**
+ * Reads the checkpoint of the database: the last block indexed.
+ *
+ * @param {Object} db - levelup database
+ * @param {callback} callback - Called with an error, or with null and the checkpoint - its
+ * `blockNumber` and `blockHash` - or null if nothing has been indexed yet
+ */
+function readCheckpoint(db, callback) {
+    return db.get(CHECKPOINT_KEY, (err, value) => {
+        if (err) {
+            return err.notFound ? callback(null, null) : callback(err);
+        }
+        return callback(null, JSON.parse(String(value)));
+    });
+}
+
+/**
+ * Reads indexed events.
+ *
+ * @param {Object} db - levelup database
+ * @param {Object} [options] - Selection options
+ * @param {number} [options.fromBlock] - First block from which to read events (default: 0)
+ * @param {number} [options.toBlock] - Last block from which to read events (default: the last
+ * indexed)
+ * @param {string|string[]} [options.event] - Name(s) of the events to read (default: all)
+ * @param {string} [options.address] - Address of the contract whose events to read (default: all)
+ * @param {callback} callback - Called with an error, or with null and the events (see eventRecord),
+ * in chain order
+ */
+function readEvents(db, options, callback) {
+    const {
+        fromBlock,
+        toBlock,
+        event,
+        address,
+    } = options || {};
+    const range = {
+        gte: eventKey(fromBlock || 0),
+        lt: toBlock === undefined || toBlock === null ? 'event"' : eventKey(toBlock + 1),
+    };
+    const names = event ? _.castArray(event) : null;
+
+    return readRange(db, range, (err, events) => {
+        if (err) {
+            return callback(err);
+        }
+        return callback(null, events.filter(record =>
+            (!names || names.includes(record.event)) &&
+            (!address || record.address.toLowerCase() === address.toLowerCase())));
+    });
+}
+
+/**
+ * Converts an event decoded by web3 into the record stored in the database. The leading
+ * underscores of the argument names are dropped, and numbers are stored as decimal strings.
+ *
+ * @param {Object} event - Event, as returned by web3
+ * @returns {Object} Record of the event: the `address` of the contract, the `event` name, its
+ * `args`, and the `blockNumber`, `blockHash`, `transactionHash` and `logIndex` at which it was
+ * emitted
+ */
+function eventRecord(event) {
+    const args = _.mapValues(
+        _.mapKeys(event.args, (value, name) => name.replace(/^_/, '')),
+        value => (utils.isBigNumber(value) ? value.toString(10) : value),
+    );
+    return {
+        address: event.address,
+        event: event.event,
+        args,
+        blockNumber: event.blockNumber,
+        blockHash: event.blockHash,
+        transactionHash: event.transactionHash,
+        logIndex: event.logIndex,
+    };
+}
+
+/**
+ * Finds the last block on which the database and the chain agree, among the blocks whose hashes
+ * the database has kept.
+ *
+ * @param {Object} web3 - Web3 client
+ * @param {Object} db - levelup database
+ * @param {number} blockNumber - Block from which to search backwards
+ * @param {callback} callback - Called with an error, or with null and the number of the last block
+ * on which they agree, or null if they agree on none of the blocks kept
+ */
+function findCommonBlock(web3, db, blockNumber, callback) {
+    return readRange(
+        db,
+        { gte: blockKey(0), lte: blockKey(blockNumber), reverse: true },
+        (err, blocks) => {
+            if (err) {
+                return callback(err);
+            }
+            return async.detectSeries(
+                blocks,
+                (block, next) => web3.eth.getBlock(block.number, (blockErr, chainBlock) => next(
+                    blockErr,
+                    Boolean(chainBlock) && chainBlock.hash === block.hash,
+                )),
+                (detectErr, commonBlock) => callback(
+                    detectErr,
+                    commonBlock ? commonBlock.number : null,
+                ),
+            );
+        },
+    );
+}
+
+/**
+ * Deletes everything indexed after a block, and moves the checkpoint back to it.
+ *
+ * @param {Object} db - levelup database
+ * @param {Object|null} checkpoint - New checkpoint (its `blockNumber` and `blockHash`), or null to
+ * delete everything
+ * @param {callback} callback - Called with an error, or with null once the database is rolled back
+ */
+function rollBack(db, checkpoint, callback) {
+    const after = checkpoint ? checkpoint.blockNumber + 1 : 0;
+
+    return async.parallel([
+        next => readKeys(db, { gte: eventKey(after), lt: 'event"' }, next),
+        next => readKeys(db, { gte: blockKey(after), lt: 'block"' }, next),
+    ], (err, keys) => {
+        if (err) {
+            return callback(err);
+        }
+        const operations = _.flatten(keys).map(key => ({ type: 'del', key }));
+        operations.push(checkpoint ?
+            { type: 'put', key: CHECKPOINT_KEY, value: JSON.stringify(checkpoint) } :
+            { type: 'del', key: CHECKPOINT_KEY });
+        return db.batch(operations, callback);
+    });
+}
+
+/**
+ * Checks the checkpoint of the database against the chain, and rolls the database back if the
+ * chain has reorganized since it was written.
+ *
+ * @param {Object} web3 - Web3 client
+ * @param {Object} db - levelup database
+ * @param {Object|null} checkpoint - Checkpoint of the database
+ * @param {callback} callback - Called with an error, or with null and the checkpoint - rolled back
+ * if need be - and the number of the block to which the database was rolled back (-1 if it was
+ * emptied), or null if it was not
+ */
+function handleReorganization(web3, db, checkpoint, callback) {
+    if (!checkpoint) {
+        return callback(null, null, null);
+    }
+
+    return findCommonBlock(web3, db, checkpoint.blockNumber, (err, commonBlock) => {
+        if (err) {
+            return callback(err);
+        }
+        if (commonBlock === checkpoint.blockNumber) {
+            return callback(null, checkpoint, null);
+        }
+        if (commonBlock === null) {
+            return rollBack(db, null, rollBackErr => callback(rollBackErr, null, -1));
+        }
+        return web3.eth.getBlock(commonBlock, (blockErr, block) => {
+            if (blockErr) {
+                return callback(blockErr);
+            }
+            const rolledBack = { blockNumber: commonBlock, blockHash: block.hash };
+            return rollBack(db, rolledBack, rollBackErr => callback(
+                rollBackErr,
+                rolledBack,
+                commonBlock,
+            ));
+        });
+    });
+}
+
+/**
+ * Indexes the next batch of blocks: checks for a chain reorganization since the last batch, reads
+ * the events emitted by the contracts in the blocks after the checkpoint, and writes them to the
+ * database together with the new checkpoint.
+ *
+ * @param {Object} web3 - Web3 client
+ * @param {Object} db - levelup database
+ * @param {Object[]} contracts - Web3 contract instances whose events to index (their Transfer,
+ * Approval, StimulusRequest and StimulusResponse events)
+ * @param {Object} [options] - Indexing options
+ * @param {number} [options.fromBlock] - Block from which to index, if nothing has been indexed yet
+ * (default: 0)
+ * @param {number} [options.confirmations] - Number of blocks (including the one containing them)
+ * which must confirm events before they are indexed (default: 1)
+ * @param {number} [options.batchSize] - Largest number of blocks to index at once (default: 1000)
+ * @param {number} [options.maxReorgDepth] - Number of recent blocks whose hashes are kept to detect
+ * reorganizations (default: 100)
+ * @param {callback} callback - Called with an error, or with null and a report of the batch: the
+ * block to which the database was `rolledBackTo` (-1 if it was emptied, null if it was not), the
+ * `fromBlock` and `toBlock` indexed (null if there was nothing to index), the number of `events`
+ * stored, and whether the index has `caughtUp` with the chain
+ */
+function indexBlocks(web3, db, contracts, options, callback) {
+    const {
+        fromBlock = 0,
+        confirmations = 1,
+        batchSize = DEFAULT_BATCH_SIZE,
+        maxReorgDepth = DEFAULT_MAX_REORG_DEPTH,
+    } = options || {};
+
+    return async.auto({
+        stored: next => readCheckpoint(db, next),
+        checked: ['stored', (results, next) => handleReorganization(
+            web3,
+            db,
+            results.stored,
+            (err, checkpoint, rolledBackTo) => next(err, { checkpoint, rolledBackTo }),
+        )],
+        head: ['checked', (results, next) => web3.eth.getBlockNumber(next)],
+        range: ['head', (results, next) => {
+            const { checkpoint } = results.checked;
+            const start = checkpoint ? checkpoint.blockNumber + 1 : fromBlock;
+            const last = results.head - (confirmations - 1);
+            const end = Math.min(last, start + (batchSize - 1));
+            // Only the hashes of blocks which may still be reorganized need to be kept
+            const keepFrom = Math.max(start, end - (maxReorgDepth - 1), last - (maxReorgDepth - 1));
+            return next(null, {
+                start,
+                end,
+                last,
+                keepFrom,
+                pruneBefore: Math.max(0, end - (maxReorgDepth - 1)),
+            });
+        }],
+        events: ['range', (results, next) => {
+            const { start, end } = results.range;
+            if (end < start) {
+                return next(null, []);
+            }
+            return async.mapSeries(
+                contracts,
+                (contract, contractNext) => contract
+                    .allEvents({ fromBlock: start, toBlock: end })
+                    .get(contractNext),
+                (err, events) => next(err, events && _.sortBy(
+                    _.flatten(events).filter(event => INDEXED_EVENTS.includes(event.event)),
+                    ['blockNumber', 'logIndex'],
+                )),
+            );
+        }],
+        blocks: ['events', (results, next) => {
+            const { start, end, keepFrom } = results.range;
+            if (end < start) {
+                return next(null, []);
+            }
+            // The hash of the last block is always kept, as the checkpoint
+            const numbers = _.range(keepFrom, end + 1);
+            return async.mapSeries(
+                numbers.length > 0 ? numbers : [end],
+                (blockNumber, blockNext) => web3.eth.getBlock(blockNumber, blockNext),
+                next,
+            );
+        }],
+    }, (err, results) => {
+        if (err) {
+            return callback(err);
+        }
+
+        const { start, end, last } = results.range;
+        const report = {
+            rolledBackTo: results.checked.rolledBackTo,
+            fromBlock: null,
+            toBlock: null,
+            events: 0,
+            caughtUp: end >= last,
+        };
+        if (end < start) {
+            return callback(null, report);
+        }
+
+        // If the chain reorganized while the batch was being read, the events and the blocks may
+        // come from different branches; the next batch will find out which one prevailed
+        const blocks = _.compact(results.blocks);
+        const hashes = _.fromPairs(blocks.map(block => [block.number, block.hash]));
+        const consistent = blocks.length === results.blocks.length &&
+            results.events.every(event => !_.has(hashes, event.blockNumber) ||
+                hashes[event.blockNumber] === event.blockHash);
+        if (!consistent) {
+            return callback(null, Object.assign(report, { caughtUp: false }));
+        }
+
+        const lastBlock = _.last(results.blocks);
+        const checkpoint = { blockNumber: lastBlock.number, blockHash: lastBlock.hash };
+        const operations = results.events.map(event => ({
+            type: 'put',
+            key: eventKey(event.blockNumber, event.logIndex),
+            value: JSON.stringify(eventRecord(event)),
+        })).concat(results.blocks.map(block => ({
+            type: 'put',
+            key: blockKey(block.number),
+            value: JSON.stringify({ number: block.number, hash: block.hash }),
+        }))).concat([
+            { type: 'put', key: CHECKPOINT_KEY, value: JSON.stringify(checkpoint) },
+        ]);
+
+        return readKeys(
+            db,
+            { gte: blockKey(0), lt: blockKey(results.range.pruneBefore) },
+            (keysErr, staleKeys) => {
+                if (keysErr) {
+                    return callback(keysErr);
+                }
+                const pruning = staleKeys.map(key => ({ type: 'del', key }));
+                return db.batch(operations.concat(pruning), batchErr => callback(
+                    batchErr,
+                    Object.assign(report, {
+                        fromBlock: start,
+                        toBlock: end,
+                        events: results.events.length,
+                    }),
+                ));
+            },
+        );
+    });
+}
+
+/**
+ * Logs the report of a batch (see indexBlocks).
+ *
+ * @param {Function} log - Called with each message
+ * @param {Object} report - Report of the batch
+ */
+function logReport(log, report) {
+    if (report.rolledBackTo !== null) {
+        log(report.rolledBackTo < 0 ?
+            'Chain reorganized deeper than the blocks kept; rebuilding the index' :
+            `Chain reorganized; rolled back to block ${report.rolledBackTo}`);
+    }
+    if (report.toBlock !== null) {
+        log(`Indexed blocks ${report.fromBlock} to ${report.toBlock}: ${report.events} events`);
+    }
+}
+
+/**
+ * Indexes blocks until the index has caught up with the chain.
+ *
+ * @param {Object} web3 - Web3 client
+ * @param {Object} db - levelup database
+ * @param {Object[]} contracts - Web3 contract instances whose events to index
+ * @param {Object} [options] - Indexing options (see indexBlocks)
+ * @param {Function} [options.log] - Called with a message after each batch
+ * @param {callback} callback - Called with an error, or with null and the checkpoint once the index
+ * has caught up
+ */
+function catchUp(web3, db, contracts, options, callback) {
+    const log = (options && options.log) || _.noop;
+    let caughtUp = false;
+
+    return async.doUntil(
+        next => indexBlocks(web3, db, contracts, options, (err, report) => {
+            if (err) {
+                return next(err);
+            }
+            logReport(log, report);
+            ({ caughtUp } = report);
+            return next();
+        }),
+        () => caughtUp,
+        (err) => {
+            if (err) {
+                return callback(err);
+            }
+            return readCheckpoint(db, callback);
+        },
+    );
+}
+
+/**
+ * Follows the chain, indexing new blocks as they are mined. Failures (e.g. of the connection to the
+ * node) are logged, and indexing is retried after the poll interval.
+ *
+ * @param {Object} web3 - Web3 client
+ * @param {Object} db - levelup database
+ * @param {Object[]} contracts - Web3 contract instances whose events to index
+ * @param {Object} [options] - Indexing options (see indexBlocks)
+ * @param {number} [options.pollInterval] - Number of milliseconds to wait for new blocks once the
+ * index has caught up (default: 5000)
+ * @param {Function} [options.log] - Called with a message after each batch, and with each failure
+ * @returns {Object} Handle with a `stop` method, which takes a callback called once indexing has
+ * stopped
+ */
+function followChain(web3, db, contracts, options) {
+    const log = (options && options.log) || _.noop;
+    const pollInterval = (options && options.pollInterval) || DEFAULT_POLL_INTERVAL;
+    let timer = null;
+    let stopped = false;
+    let onStopped = null;
+
+    function poll() {
+        timer = null;
+        return indexBlocks(web3, db, contracts, options, (err, report) => {
+            if (err) {
+                log(`Indexing failed: ${err.message}`);
+            } else {
+                logReport(log, report);
+            }
+            if (stopped) {
+                return onStopped();
+            }
+            timer = setTimeout(poll, err || report.caughtUp ? pollInterval : 0);
+            return timer;
+        });
+    }
+
+    poll();
+
+    return {
+        stop(callback = _.noop) {
+            stopped = true;
+            if (timer) {
+                clearTimeout(timer);
+                return callback();
+            }
+            onStopped = callback;
+            return undefined;
+        },
+    };
+}
+
+module.exports = {
+    INDEXED_EVENTS,
+    catchUp,
+    followChain,
+    indexBlocks,
+    readCheckpoint,
+    readEvents,
+};
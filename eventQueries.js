@@ -0,0 +1,376 @@
+/**
+ * @file
+ * Questions about the history of Stem and Stimulus contracts, answered from the events indexed by
+ * eventIndexer.js.
+ *
+ * The Stem contract emits no event when tokens are minted or burned (by its constructor,
+ * increaseSupply, decreaseSupply or reclaimBalanceFrom), so balances cannot be derived from the
+ * indexed Transfer events alone. Balances are instead read from the node at the requested block,
+ * for the accounts which the index shows to have taken part in transfers, and for the stem master.
+ * Reading the balances at an old block requires a node which keeps the state of that block (an
+ * archive node).
+ *
+ * Rewards paid by a Stimulus contract are found from the Stem Transfer events emitted in the same
+ * transactions as its StimulusResponse events, so the Stem contract has to be indexed too.
+ */
+
+const async = require('async');
+const { ArgumentError } = require('./errors');
+const { readCheckpoint, readEvents } = require('./eventIndexer');
+const _ = require('lodash');
+const utils = require('web3/lib/utils/utils');
+
+const ENROLLMENT = 0;
+const STIMULUS_TYPES = 5;
+
+/**
+ * Checks that an address is valid.
+ *
+ * @param {string} address - Address to check
+ * @param {string} description - What the address is, for error messages
+ * @throws {ArgumentError} If the address is invalid
+ */
+function checkAddress(address, description) {
+    if (!utils.isAddress(address)) {
+        throw new ArgumentError(
+            `Invalid ${description}: ${address}`,
+            [`${address} is not an address`],
+        );
+    }
+}
+
+/**
+ * Tests whether two addresses are the same.
+ *
+ * @param {string} first - Address
+ * @param {string} second - Address
+ * @returns {boolean} True if the addresses are the same
+ */
+function sameAddress(first, second) {
+    return String(first).toLowerCase() === String(second).toLowerCase();
+}
+
+/**
+ * Determines the block at which to answer a question: the requested block, which must have been
+ * indexed, or the last block indexed.
+ *
+ * @param {Object} db - levelup database (see eventIndexer.js)
+ * @param {number} [blockNumber] - Requested block
+ * @param {callback} callback - Called with an error - an ArgumentError if the block has not been
+ * indexed - or with null and the block number
+ */
+function indexedBlock(db, blockNumber, callback) {
+    return readCheckpoint(db, (err, checkpoint) => {
+        if (err) {
+            return callback(err);
+        }
+        if (!checkpoint) {
+            return callback(new ArgumentError('Nothing has been indexed yet', ['empty index']));
+        }
+        if (blockNumber === undefined || blockNumber === null) {
+            return callback(null, checkpoint.blockNumber);
+        }
+        if (!Number.isInteger(blockNumber) || blockNumber < 0) {
+            return callback(new ArgumentError(
+                `Invalid block number: ${blockNumber}`,
+                [`${blockNumber} is not a block number`],
+            ));
+        }
+        if (blockNumber > checkpoint.blockNumber) {
+            return callback(new ArgumentError(
+                `Block ${blockNumber} has not been indexed yet (the index reaches block ${checkpoint.blockNumber})`,
+                [`block ${blockNumber} is beyond the index`],
+            ));
+        }
+        return callback(null, blockNumber);
+    });
+}
+
+/**
+ * Reads the balances of accounts on a Stem contract at a block.
+ *
+ * @param {Object} db - levelup database (see eventIndexer.js)
+ * @param {Object} stem - Web3 contract instance of the Stem contract
+ * @param {Object} [options] - Query options
+ * @param {number} [options.blockNumber] - Block at which to read the balances (default: the last
+ * block indexed)
+ * @param {string[]} [options.accounts] - Accounts whose balances to read (default: the stem master
+ * and every account which took part in a transfer up to the block)
+ * @param {callback} callback - Called with an error, or with null and the `blockNumber` and the
+ * `balances` - each with its `account` and `balance` (a decimal string)
+ */
+function balancesAt(db, stem, options, callback) {
+    const { blockNumber, accounts } = options || {};
+
+    return async.auto({
+        block: next => indexedBlock(db, blockNumber, next),
+        accounts: ['block', (results, next) => {
+            if (accounts) {
+                try {
+                    accounts.forEach(account => checkAddress(account, 'account'));
+                } catch (e) {
+                    return next(e);
+                }
+                return next(null, accounts);
+            }
+            return async.parallel({
+                transfers: parallelNext => readEvents(db, {
+                    toBlock: results.block,
+                    event: 'Transfer',
+                    address: stem.address,
+                }, parallelNext),
+                stemMaster: parallelNext => stem.stemMaster(results.block, parallelNext),
+            }, (err, { transfers, stemMaster } = {}) => next(err, transfers && _.uniq([stemMaster]
+                .concat(_.flatMap(transfers, event => [event.args.from, event.args.to]))
+                .map(account => account.toLowerCase()))));
+        }],
+        balances: ['accounts', (results, next) => async.mapSeries(
+            results.accounts,
+            (account, balanceNext) => stem.balanceOf(account, results.block, balanceNext),
+            next,
+        )],
+    }, (err, results) => {
+        if (err) {
+            return callback(err);
+        }
+        return callback(null, {
+            blockNumber: results.block,
+            balances: results.accounts.map((account, index) => ({
+                account,
+                balance: results.balances[index].toString(10),
+            })),
+        });
+    });
+}
+
+/**
+ * Lists the accounts holding tokens on a Stem contract at a block, with their balances.
+ *
+ * @param {Object} db - levelup database (see eventIndexer.js)
+ * @param {Object} stem - Web3 contract instance of the Stem contract
+ * @param {Object} [options] - Query options
+ * @param {number} [options.blockNumber] - Block at which to list the holders (default: the last
+ * block indexed)
+ * @param {callback} callback - Called with an error, or with null and the `blockNumber` and the
+ * `holders` - each with its `account` and non-zero `balance` (a decimal string)
+ */
+function holdersAt(db, stem, options, callback) {
+    return balancesAt(db, stem, _.pick(options, ['blockNumber']), (err, result) => {
+        if (err) {
+            return callback(err);
+        }
+        return callback(null, {
+            blockNumber: result.blockNumber,
+            holders: result.balances.filter(balance => balance.balance !== '0'),
+        });
+    });
+}
+
+/**
+ * Lists the approvals made on a Stem contract.
+ *
+ * @param {Object} db - levelup database (see eventIndexer.js)
+ * @param {string} stemAddress - Address of the Stem contract
+ * @param {Object} [options] - Query options
+ * @param {string} [options.owner] - Only list the approvals made by this account
+ * @param {string} [options.spender] - Only list the approvals made to this account
+ * @param {callback} callback - Called with an error, or with null and the approvals, in chain
+ * order - each with its `owner`, `spender` and `allowance` (a decimal string), and the
+ * `blockNumber` and `transactionHash` of the approval
+ */
+function allowanceHistory(db, stemAddress, options, callback) {
+    const { owner, spender } = options || {};
+    try {
+        [[owner, 'owner'], [spender, 'spender']]
+            .filter(([address]) => address !== undefined)
+            .forEach(([address, description]) => checkAddress(address, description));
+    } catch (e) {
+        return callback(e);
+    }
+
+    return readEvents(db, { event: 'Approval', address: stemAddress }, (err, approvals) => {
+        if (err) {
+            return callback(err);
+        }
+        return callback(null, approvals
+            .filter(event => !owner || sameAddress(event.args.owner, owner))
+            .filter(event => !spender || sameAddress(event.args.spender, spender))
+            .map(event => ({
+                owner: event.args.owner,
+                spender: event.args.spender,
+                allowance: event.args.value,
+                blockNumber: event.blockNumber,
+                transactionHash: event.transactionHash,
+            })));
+    });
+}
+
+/**
+ * Reads the requests made to a Stimulus contract and the responses to them, with the reward paid
+ * for each response.
+ *
+ * @param {Object} db - levelup database (see eventIndexer.js)
+ * @param {string} stimulusAddress - Address of the Stimulus contract
+ * @param {callback} callback - Called with an error, or with null and the requests and responses in
+ * chain order - each with its `kind` ("request" or "response"), `candidate`, `stimulusType` (a
+ * number) and `stimulusId`, whether a response `accepted` the request and the `reward` it paid (a
+ * decimal string), and the `blockNumber` and `transactionHash` of the event
+ */
+function readStimulusEvents(db, stimulusAddress, callback) {
+    return readEvents(
+        db,
+        { event: ['StimulusRequest', 'StimulusResponse', 'Transfer'] },
+        (err, events) => {
+            if (err) {
+                return callback(err);
+            }
+            const transfers = _.groupBy(
+                events.filter(event => event.event === 'Transfer'),
+                'transactionHash',
+            );
+            return callback(null, events
+                .filter(event => event.event !== 'Transfer' &&
+                    sameAddress(event.address, stimulusAddress))
+                .map((event) => {
+                    const entry = {
+                        kind: event.event === 'StimulusRequest' ? 'request' : 'response',
+                        candidate: event.args.candidate,
+                        stimulusType: Number(event.args.stimulusType),
+                        stimulusId: event.args.stimulusId,
+                        blockNumber: event.blockNumber,
+                        transactionHash: event.transactionHash,
+                    };
+                    if (entry.kind === 'response') {
+                        // The reward is transferred to the candidate by the Stimulus contract
+                        const reward = _.find(
+                            transfers[event.transactionHash],
+                            transfer => sameAddress(transfer.args.to, event.args.candidate),
+                        );
+                        entry.accepted = event.args.accepted;
+                        entry.reward = reward ? reward.args.value : '0';
+                    }
+                    return entry;
+                }));
+        },
+    );
+}
+
+/**
+ * Traces the history of a participant in the data trial run by a Stimulus contract: their requests,
+ * the responses to them, and their status after each.
+ *
+ * @param {Object} db - levelup database (see eventIndexer.js)
+ * @param {string} stimulusAddress - Address of the Stimulus contract
+ * @param {string} candidate - Address of the participant
+ * @param {callback} callback - Called with an error, or with null and the participant's requests
+ * and responses to them (see readStimulusEvents), each with the `status` of the participant after
+ * it ("enrolled", "accepted" or "rejected"; see stimulusParticipant.js)
+ */
+function participantTimeline(db, stimulusAddress, candidate, callback) {
+    try {
+        checkAddress(candidate, 'participant');
+    } catch (e) {
+        return callback(e);
+    }
+
+    return readStimulusEvents(db, stimulusAddress, (err, entries) => {
+        if (err) {
+            return callback(err);
+        }
+        let status = 'none';
+        return callback(null, entries
+            .filter(entry => sameAddress(entry.candidate, candidate))
+            .map((entry) => {
+                if (entry.stimulusType === ENROLLMENT) {
+                    if (entry.kind === 'request') {
+                        status = 'enrolled';
+                    } else {
+                        status = entry.accepted ? 'accepted' : 'rejected';
+                    }
+                }
+                return Object.assign({}, entry, { status });
+            }));
+    });
+}
+
+/**
+ * Totals the requests made to a Stimulus contract, the responses to them and the rewards paid, by
+ * stimulus type.
+ *
+ * @param {Object} db - levelup database (see eventIndexer.js)
+ * @param {string} stimulusAddress - Address of the Stimulus contract
+ * @param {callback} callback - Called with an error, or with null and the totals for each stimulus
+ * type (0 for enrollments): its `stimulusType`, the number of `requests`, of requests `accepted`
+ * and `rejected`, and the total reward `paid` (a decimal string)
+ */
+function payoutTotals(db, stimulusAddress, callback) {
+    return readStimulusEvents(db, stimulusAddress, (err, entries) => {
+        if (err) {
+            return callback(err);
+        }
+        return callback(null, _.range(STIMULUS_TYPES).map((stimulusType) => {
+            const ofType = entries.filter(entry => entry.stimulusType === stimulusType);
+            const responses = ofType.filter(entry => entry.kind === 'response');
+            return {
+                stimulusType,
+                requests: ofType.length - responses.length,
+                accepted: responses.filter(entry => entry.accepted).length,
+                rejected: responses.filter(entry => !entry.accepted).length,
+                paid: responses
+                    .reduce((sum, entry) => sum.plus(entry.reward), utils.toBigNumber(0))
+                    .toString(10),
+            };
+        }));
+    });
+}
+
+/**
+ * Lists the requests made to a Stimulus contract which await a response from the PI: the latest
+ * enrollment of each participant who has enrolled since the last response to their enrollment
+ * (status 1), and the data submissions which have not been responded to.
+ *
+ * @param {Object} db - levelup database (see eventIndexer.js)
+ * @param {string} stimulusAddress - Address of the Stimulus contract
+ * @param {callback} callback - Called with an error, or with null and the pending requests, in the
+ * order in which they were made - each with its `kind` ("enrollment" or "submission"),
+ * `candidate`, `stimulusType` (a number), `stimulusId`, and the `blockNumber` and
+ * `transactionHash` of the request (as listed by stimulusReview.js from the node)
+ */
+function pendingRequests(db, stimulusAddress, callback) {
+    return readStimulusEvents(db, stimulusAddress, (err, entries) => {
+        if (err) {
+            return callback(err);
+        }
+
+        const key = entry => [entry.candidate.toLowerCase(), entry.stimulusType, entry.stimulusId]
+            .join(':');
+        const responded = new Set(entries
+            .filter(entry => entry.kind === 'response')
+            .map(key));
+        // Enrolling again after being accepted sets the status back to 1, so an enrollment is
+        // pending if it is the last enrollment event of its candidate
+        const lastEnrollments = _.values(_.keyBy(
+            entries.filter(entry => entry.stimulusType === ENROLLMENT),
+            entry => entry.candidate.toLowerCase(),
+        ));
+
+        const enrollments = lastEnrollments
+            .filter(entry => entry.kind === 'request')
+            .map(entry => Object.assign({ kind: 'enrollment' }, _.omit(entry, ['kind'])));
+        const submissions = entries
+            .filter(entry => entry.kind === 'request' && entry.stimulusType !== ENROLLMENT)
+            .filter(entry => !responded.has(key(entry)))
+            .map(entry => Object.assign({ kind: 'submission' }, _.omit(entry, ['kind'])));
+        return callback(null, _.sortBy(enrollments.concat(submissions), ['blockNumber']));
+    });
+}
+
+module.exports = {
+    allowanceHistory,
+    balancesAt,
+    holdersAt,
+    indexedBlock,
+    participantTimeline,
+    payoutTotals,
+    pendingRequests,
+};
@@ -0,0 +1,256 @@
+/**
+ * @file
+ * Gas strategies - pluggable rules for the gas allocation and gas price of a transaction.
+ *
+ * A strategy is an object with a human-readable `description`, a `requiresEstimate` flag which
+ * tells callers whether it needs the gas estimate for the transaction, and an `allocate` method.
+ * `allocate` takes an allocation - the `gasEstimate` (null if none was made), the `gas` to send and
+ * the `gasPrice` in wei (a decimal string, or undefined to let the node choose) - and calls back
+ * with the allocation it produces from it. Strategies are combined with `compose`, each one
+ * refining the allocation produced by the one before it, e.g.
+ *
+ *     compose(multiplier(1.2, 3000000), nodeGasPrice(web3, 1.1), budget(web3, '10000000000000000'))
+ *
+ * Strategies are accepted by getGasEstimateAndCall (in place of an assignGas function), by
+ * runManifest, and by the deploy scripts through their gas options (see cliOptions.js).
+ */
+
+const async = require('async');
+const { GasAllocationError } = require('./errors');
+
+/**
+ * Creates a gas strategy.
+ *
+ * @param {string} description - Human-readable description of the strategy
+ * @param {boolean} requiresEstimate - Whether the strategy needs the gas estimate
+ * @param {Function} allocate - Function taking an allocation and a callback, which it calls with
+ * an error or with null and the new allocation
+ * @returns {Object} Gas strategy
+ */
+function strategy(description, requiresEstimate, allocate) {
+    return { description, requiresEstimate, allocate };
+}
+
+/**
+ * Allocates the gas estimate times a factor, but never more than the ceiling. Refuses to allocate
+ * gas at all if the estimate itself is above the ceiling, since the transaction would run out of
+ * gas.
+ *
+ * @param {number} factor - Factor by which to multiply the gas estimate
+ * @param {number} [ceiling] - Largest amount of gas to allocate
+ * @returns {Object} Gas strategy
+ */
+function multiplier(factor, ceiling) {
+    const description = ceiling === undefined ?
+        `gas estimate times ${factor}` :
+        `gas estimate times ${factor}, at most ${ceiling}`;
+
+    return strategy(description, true, (allocation, callback) => {
+        const { gasEstimate } = allocation;
+        if (ceiling !== undefined && gasEstimate > ceiling) {
+            return callback(new GasAllocationError(
+                `Gas estimate ${gasEstimate} exceeds the gas ceiling of ${ceiling}`,
+                allocation,
+            ));
+        }
+
+        const gas = Math.ceil(gasEstimate * factor);
+        return callback(null, Object.assign({}, allocation, {
+            gas: ceiling === undefined ? gas : Math.min(gas, ceiling),
+        }));
+    });
+}
+
+/**
+ * Allocates a fixed amount of gas, regardless of the estimate.
+ *
+ * @param {number} gas - Amount of gas to allocate
+ * @returns {Object} Gas strategy
+ */
+function fixedGas(gas) {
+    return strategy(
+        `${gas} gas`,
+        false,
+        (allocation, callback) => callback(null, Object.assign({}, allocation, { gas })),
+    );
+}
+
+/**
+ * Sets a fixed gas price.
+ *
+ * @param {string|number} gasPrice - Gas price in wei
+ * @returns {Object} Gas strategy
+ */
+function fixedGasPrice(gasPrice) {
+    return strategy(
+        `gas price of ${gasPrice} wei`,
+        false,
+        (allocation, callback) => callback(null, Object.assign({}, allocation, {
+            gasPrice: String(gasPrice),
+        })),
+    );
+}
+
+/**
+ * Sets the gas price to the price suggested by the node (eth_gasPrice) times a factor, rounded
+ * down to a whole number of wei.
+ *
+ * @param {Object} web3 - Web3 client
+ * @param {number} [factor] - Factor by which to multiply the node's gas price (default: 1)
+ * @returns {Object} Gas strategy
+ */
+function nodeGasPrice(web3, factor = 1) {
+    return strategy(
+        `node gas price times ${factor}`,
+        false,
+        (allocation, callback) => web3.eth.getGasPrice((err, gasPrice) => {
+            if (err) {
+                return callback(err);
+            }
+            return callback(null, Object.assign({}, allocation, {
+                gasPrice: gasPrice.times(factor).floor().toString(10),
+            }));
+        }),
+    );
+}
+
+/**
+ * Refuses to send transactions whose gas allocation could cost more than the budget. If no gas
+ * price has been set, the cost is computed at the price suggested by the node, and that price is
+ * set so that the transaction cannot end up costing more than was checked.
+ *
+ * @param {Object} web3 - Web3 client
+ * @param {string|number} maxCost - Budget in wei
+ * @returns {Object} Gas strategy
+ */
+function budget(web3, maxCost) {
+    function checkCost(allocation, gasPrice, callback) {
+        const cost = web3.toBigNumber(gasPrice).times(allocation.gas);
+        const pricedAllocation = Object.assign({}, allocation, { gasPrice: gasPrice.toString(10) });
+        if (cost.greaterThan(maxCost)) {
+            return callback(new GasAllocationError(
+                `Transaction could cost up to ${cost.toString(10)} wei (${allocation.gas} gas at ${gasPrice.toString(10)} wei), which exceeds the budget of ${maxCost} wei`,
+                Object.assign(pricedAllocation, {
+                    cost: cost.toString(10),
+                    budget: String(maxCost),
+                }),
+            ));
+        }
+        return callback(null, pricedAllocation);
+    }
+
+    return strategy(`at most ${maxCost} wei`, false, (allocation, callback) => {
+        if (allocation.gasPrice !== undefined) {
+            return checkCost(allocation, allocation.gasPrice, callback);
+        }
+        return web3.eth.getGasPrice((err, gasPrice) => {
+            if (err) {
+                return callback(err);
+            }
+            return checkCost(allocation, gasPrice, callback);
+        });
+    });
+}
+
+/**
+ * Combines strategies, which are applied in the given order.
+ *
+ * @param {...Object} strategies - Gas strategies
+ * @returns {Object} Gas strategy
+ */
+function compose(...strategies) {
+    return strategy(
+        strategies.map(item => item.description).join(', '),
+        strategies.some(item => item.requiresEstimate),
+        (allocation, callback) => async.reduce(
+            strategies,
+            allocation,
+            (currentAllocation, item, next) => item.allocate(currentAllocation, next),
+            callback,
+        ),
+    );
+}
+
+/**
+ * Turns an assignGas function (taking a gas estimate and returning the amount of gas to allocate)
+ * into a strategy. Strategies are returned as they are.
+ *
+ * @param {Function|Object} assignGas - assignGas function or gas strategy
+ * @returns {Object} Gas strategy
+ */
+function toStrategy(assignGas) {
+    if (typeof assignGas !== 'function') {
+        return assignGas;
+    }
+    return strategy('custom gas allocation', true, (allocation, callback) => callback(
+        null,
+        Object.assign({}, allocation, { gas: assignGas(allocation.gasEstimate) }),
+    ));
+}
+
+/**
+ * Builds the strategy described by a set of options, as accepted by the deploy scripts and by
+ * runManifest.
+ *
+ * @param {Object} web3 - Web3 client
+ * @param {Object} options - Gas options
+ * @param {number} [options.gas] - Fixed amount of gas to allocate
+ * @param {number} [options.gasMultiplier] - Factor by which to multiply gas estimates, if no fixed
+ * amount of gas is given (default: 1)
+ * @param {number} [options.gasCeiling] - Largest amount of gas to allocate from an estimate
+ * @param {string} [options.gasPrice] - Fixed gas price in wei
+ * @param {number} [options.gasPriceMultiplier] - Factor by which to multiply the node's gas price,
+ * if no fixed gas price is given
+ * @param {string} [options.maxCost] - Budget in wei for each transaction
+ * @returns {Object} Gas strategy
+ * @throws {Error} If both a fixed gas price and a gas price multiplier are given
+ */
+function fromOptions(web3, options) {
+    if (options.gasPrice !== undefined && options.gasPriceMultiplier !== undefined) {
+        throw new Error('A fixed gas price and a gas price multiplier cannot be used together');
+    }
+
+    const strategies = [options.gas !== undefined ?
+        fixedGas(options.gas) :
+        multiplier(options.gasMultiplier || 1, options.gasCeiling)];
+
+    if (options.gasPrice !== undefined) {
+        strategies.push(fixedGasPrice(options.gasPrice));
+    } else if (options.gasPriceMultiplier !== undefined) {
+        strategies.push(nodeGasPrice(web3, options.gasPriceMultiplier));
+    }
+
+    if (options.maxCost !== undefined) {
+        strategies.push(budget(web3, options.maxCost));
+    }
+
+    return compose(...strategies);
+}
+
+/**
+ * Applies a strategy to a gas estimate.
+ *
+ * @param {Object} gasStrategy - Gas strategy
+ * @param {number|null} gasEstimate - Gas estimate for the transaction (null if none was made, in
+ * which case the strategy must not require one)
+ * @param {callback} callback - Called with an error, or with null and the allocation: the
+ * `gasEstimate`, the `gas` to send and the `gasPrice` (undefined if the node should choose)
+ */
+function allocateGas(gasStrategy, gasEstimate, callback) {
+    if (gasEstimate === null && gasStrategy.requiresEstimate) {
+        return callback(new Error(`Gas strategy (${gasStrategy.description}) requires a gas estimate`));
+    }
+    return gasStrategy.allocate({ gasEstimate, gas: gasEstimate, gasPrice: undefined }, callback);
+}
+
+module.exports = {
+    allocateGas,
+    budget,
+    compose,
+    fixedGas,
+    fixedGasPrice,
+    fromOptions,
+    multiplier,
+    nodeGasPrice,
+    toStrategy,
+};
@@ -1,40 +1,204 @@
+const { contractCallError } = require('./contractPromises');
+const diagnoseFailure = require('./diagnoseFailure');
+const { allocateGas, toStrategy } = require('./gasStrategies');
+const waitForReceipt = require('./waitForReceipt');
+const withOptionalCallback = require('./withOptionalCallback');
+
 /**
- * First estimates the amount of gas that a contract method call will require, then
- * applies the `assignGas` function to it to produce the amount of gas the sender
- * (`fromAccount`) will send with the method call, and finally executes the method call.
+ * Determines whether calling a contract method with the given arguments sends a transaction, as
+ * opposed to making a call which leaves the state of the chain untouched.
+ *
+ * @param {Function} contractMethod - Smart contract method
+ * @param {Array} contractMethodArguments - Arguments to contract method
+ * @returns {boolean} True if the method sends a transaction
+ */
+function sendsTransaction(contractMethod, contractMethodArguments) {
+    return contractMethod.request(...contractMethodArguments).method === 'eth_sendTransaction';
+}
+
+/**
+ * Implementation of getGasEstimateAndCall, optionally waiting for the transactions it sends to be
+ * confirmed.
  *
+ * @param {Object} [receipts] - If given, the `web3` client through which to wait for receipts, and
+ * the `options` to wait with
  * @param {Function} contractMethod - Smart contract method to be called asynchronously
- * @param {string} fromAccount - String representing address which should make the method call
- * @param {Function} assignGas - Logic determining how to produce actual gas sent with method
- * call based on gas estimate, e.g. (gasEstimate) => 2*gasEstimate
+ * @param {string} fromAccount - Address which should make the method call
+ * @param {Function|Object} assignGas - Logic producing the gas sent with the method call from the
+ * estimate, or gas strategy
  * @param {...Object} rest - List of arguments to contract method, followed by callback
  */
-function getGasEstimateAndCall(
-    contractMethod,
-    fromAccount,
-    assignGas,
-    ...rest
-) {
-    const callback = rest[rest.length - 1];
+function estimateAndCall(receipts, contractMethod, fromAccount, assignGas, ...rest) {
     const contractMethodArguments = rest.slice(0, rest.length - 1);
+    const done = rest[rest.length - 1];
+
+    function callback(err, ...results) {
+        if (err) {
+            const args = contractMethodArguments;
+            return done(contractCallError(contractMethod, args, fromAccount, err));
+        }
+        return done(null, ...results);
+    }
+
+    // Nodes which execute transactions as they receive them (such as ganache) report failures
+    // when the transaction is sent, e.g. because the gas allocated to it does not suffice
+    function executionCallback(err, ...results) {
+        if (err && diagnoseFailure.classifyFailure(err.message)) {
+            const args = contractMethodArguments;
+            return diagnoseFailure(contractMethod, args, fromAccount, err, done);
+        }
+        return callback(err, ...results);
+    }
+
+    function execute(transactionObject) {
+        if (!receipts || !sendsTransaction(contractMethod, contractMethodArguments)) {
+            return contractMethod(...contractMethodArguments, transactionObject, executionCallback);
+        }
+        if (!receipts.web3) {
+            return callback(new Error('No web3 client through which to wait for the transaction: '
+                + 'connect to the contract with connect.js, or use '
+                + 'getGasEstimateAndCall.withReceipts'));
+        }
+
+        return contractMethod.sendTransaction(
+            ...contractMethodArguments,
+            transactionObject,
+            (sendErr, transactionHash) => {
+                if (sendErr) {
+                    return executionCallback(sendErr);
+                }
+
+                return waitForReceipt(
+                    receipts.web3,
+                    transactionHash,
+                    receipts.options,
+                    (receiptErr, receipt) => {
+                        if (receiptErr) {
+                            return callback(receiptErr);
+                        }
+                        return callback(null, transactionHash, receipt);
+                    },
+                );
+            },
+        );
+    }
 
     return contractMethod.estimateGas(
         ...contractMethodArguments,
+        { from: fromAccount },
         (err, gasEstimate) => {
             if (err) {
-                return callback(err);
+                const args = contractMethodArguments;
+                return diagnoseFailure(contractMethod, args, fromAccount, err, done);
             }
 
-            return contractMethod(
-                ...contractMethodArguments,
-                {
-                    from: fromAccount,
-                    gas: assignGas(gasEstimate),
-                },
-                callback,
-            );
+            return allocateGas(toStrategy(assignGas), gasEstimate, (allocationErr, allocation) => {
+                if (allocationErr) {
+                    return callback(allocationErr);
+                }
+
+                const transactionObject = { from: fromAccount, gas: allocation.gas };
+                if (allocation.gasPrice !== undefined) {
+                    transactionObject.gasPrice = allocation.gasPrice;
+                }
+                return execute(transactionObject);
+            });
         },
     );
 }
 
+/**
+ * Calls estimateAndCall or, if the arguments to the contract method are not followed by a callback,
+ * returns a promise of the result - or of the receipt, if it waits for one.
+ *
+ * @param {Object} [receipts] - As for estimateAndCall
+ * @param {Function} contractMethod - Smart contract method to be called asynchronously
+ * @param {string} fromAccount - Address which should make the method call
+ * @param {Function|Object} assignGas - Logic producing the gas sent with the method call from the
+ * estimate, or gas strategy
+ * @param {Array} rest - List of arguments to contract method, optionally followed by callback
+ * @returns {Promise|undefined} If no callback is given, a promise of the result
+ */
+function estimateAndCallOrPromise(receipts, contractMethod, fromAccount, assignGas, rest) {
+    // A callback can only follow the arguments to the contract method, as assignGas may be a
+    // function too
+    const call = withOptionalCallback(
+        (...args) => estimateAndCall(receipts, contractMethod, fromAccount, assignGas, ...args),
+        undefined,
+        (result, receipt) => receipt || result,
+    );
+    return call(...rest);
+}
+
+/**
+ * First estimates the amount of gas that a contract method call will require, then
+ * applies the `assignGas` function to it to produce the amount of gas the sender
+ * (`fromAccount`) will send with the method call, and finally executes the method call.
+ * A gas strategy (see gasStrategies.js) may be given in place of `assignGas`, to also set the gas
+ * price or to cap the cost of the call.
+ *
+ * For a method sending a transaction, the callback is only called once the transaction has been
+ * mined and confirmed by one block (see waitForReceipt.js), with the transaction hash and the
+ * receipt. A transaction which fails once mined is reported with a TransactionRevertedError as the
+ * cause of the error. The receipt is polled for through the web3 client of the contract instance
+ * the method belongs to, which connect.js records; methods of other instances can wait through
+ * getGasEstimateAndCall.withReceipts instead. Callers which only want the transaction hash, as soon
+ * as the transaction has been submitted, use getGasEstimateAndCall.withoutReceipts.
+ * For other methods, the callback receives the result of the call.
+ *
+ * If no callback is given, a promise is returned instead, of the receipt or of the result of the
+ * call. Either way, failures are reported as ContractCallErrors naming the method, its arguments
+ * and the sender. If the gas estimate fails, or the node reports that the transaction failed when
+ * it is sent, the call is diagnosed (see diagnoseFailure.js) and the error is a
+ * ContractRevertError, ContractOutOfGasError or ContractInvalidOpcodeError where possible.
+ *
+ * @param {Function} contractMethod - Smart contract method to be called asynchronously
+ * @param {string} fromAccount - String representing address which should make the method call
+ * @param {Function|Object} assignGas - Logic determining how to produce actual gas sent with method
+ * call based on gas estimate, e.g. (gasEstimate) => 2*gasEstimate, or gas strategy
+ * @param {...Object} rest - List of arguments to contract method, optionally followed by callback
+ * @returns {Promise|undefined} If no callback is given, a promise of the receipt or result
+ */
+function getGasEstimateAndCall(contractMethod, fromAccount, assignGas, ...rest) {
+    return estimateAndCallOrPromise(
+        { web3: contractMethod.web3Client, options: {} },
+        contractMethod,
+        fromAccount,
+        assignGas,
+        rest,
+    );
+}
+
+/**
+ * Produces a version of getGasEstimateAndCall which waits for receipts through the given web3
+ * client, with the given options, e.g. to wait for more confirmations.
+ *
+ * @param {Object} web3 - Web3 client through which to wait for receipts
+ * @param {Object} [receiptOptions] - Options for waitForReceipt (`confirmations`, `timeout`,
+ * `pollInterval`)
+ * @returns {Function} Function with the same signature as getGasEstimateAndCall
+ */
+getGasEstimateAndCall.withReceipts = (web3, receiptOptions = {}) =>
+    (contractMethod, fromAccount, assignGas, ...rest) => estimateAndCallOrPromise(
+        { web3, options: receiptOptions },
+        contractMethod,
+        fromAccount,
+        assignGas,
+        rest,
+    );
+
+/**
+ * Version of getGasEstimateAndCall which calls back with the transaction hash as soon as a
+ * transaction has been submitted, without waiting for it to be mined or checking its status.
+ *
+ * @param {Function} contractMethod - Smart contract method to be called asynchronously
+ * @param {string} fromAccount - Address which should make the method call
+ * @param {Function|Object} assignGas - Logic producing the gas sent with the method call from the
+ * estimate, or gas strategy
+ * @param {...Object} rest - List of arguments to contract method, optionally followed by callback
+ * @returns {Promise|undefined} If no callback is given, a promise of the result
+ */
+getGasEstimateAndCall.withoutReceipts = (contractMethod, fromAccount, assignGas, ...rest) =>
+    estimateAndCallOrPromise(null, contractMethod, fromAccount, assignGas, rest);
+
 module.exports = getGasEstimateAndCall;
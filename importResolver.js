@@ -0,0 +1,209 @@
+/**
+ * @file
+ * Resolution of solidity import paths to files on disk. Used by compile.js to gather the sources
+ * for a compilation and to service the import callbacks made by solc.
+ */
+
+const fs = require('fs');
+const _ = require('lodash');
+const path = require('path');
+
+/**
+ * Parses a remapping of the form `prefix=target`.
+ *
+ * @param {string} remapping - Remapping string, as accepted by solc on the command line
+ * @returns {Object} Object with `prefix` and `target` keys
+ */
+function parseRemapping(remapping) {
+    const separatorIndex = remapping.indexOf('=');
+    if (separatorIndex <= 0) {
+        throw new Error(`Invalid remapping (expected prefix=target): ${remapping}`);
+    }
+
+    return {
+        prefix: remapping.slice(0, separatorIndex),
+        target: remapping.slice(separatorIndex + 1),
+    };
+}
+
+/**
+ * Applies the remapping with the longest prefix matching the given import path, if there is one.
+ *
+ * @param {string} importPath - Path as it appears in (or is resolved by solc from) an import
+ * statement
+ * @param {Object[]} remappings - Parsed remappings
+ * @returns {string} Remapped import path
+ */
+function applyRemappings(importPath, remappings) {
+    const match = _.maxBy(
+        remappings.filter(remapping => importPath.startsWith(remapping.prefix)),
+        remapping => remapping.prefix.length,
+    );
+    if (!match) {
+        return importPath;
+    }
+
+    return `${match.target}${importPath.slice(match.prefix.length)}`;
+}
+
+/**
+ * Lists the node_modules directories which are visible from the given directory, nearest first.
+ *
+ * @param {string} startDirectory - Directory from which to start the upward search
+ * @returns {string[]} Paths to (possibly nonexistent) node_modules directories
+ */
+function nodeModulesDirectories(startDirectory) {
+    const directories = [];
+    let currentDirectory = path.resolve(startDirectory);
+    for (;;) {
+        if (path.basename(currentDirectory) !== 'node_modules') {
+            directories.push(path.join(currentDirectory, 'node_modules'));
+        }
+        const parentDirectory = path.dirname(currentDirectory);
+        if (parentDirectory === currentDirectory) {
+            return directories;
+        }
+        currentDirectory = parentDirectory;
+    }
+}
+
+/**
+ * Lists every filesystem location at which the given import could be found, in order of
+ * precedence.
+ *
+ * @param {string} importPath - Path requested by solc
+ * @param {Object} options - Resolver options (see createImportResolver)
+ * @returns {string[]} Candidate filesystem paths
+ */
+function candidatePaths(importPath, options) {
+    const remappedPath = applyRemappings(importPath, options.remappings);
+    if (path.isAbsolute(remappedPath)) {
+        return [remappedPath];
+    }
+
+    const searchRoots = _.uniq([options.basePath, process.cwd()]);
+    const candidates = [path.resolve(remappedPath)]
+        .concat(options.includePaths.map(includePath => path.resolve(includePath, remappedPath)))
+        .concat(_.flatMap(searchRoots, nodeModulesDirectories)
+            .map(nodeModulesDirectory => path.join(nodeModulesDirectory, remappedPath)));
+
+    return _.uniq(candidates);
+}
+
+/**
+ * Creates a function which resolves solidity import paths to their contents. The function returned
+ * follows the solc import callback protocol - it returns an object with either a `contents` key or
+ * an `error` key.
+ *
+ * An import path is first rewritten by the longest matching remapping. The result is then looked
+ * up, in order:
+ * 1. relative to the current working directory (or as is, if it is absolute)
+ * 2. relative to each of the include paths
+ * 3. in every node_modules directory above basePath and the current working directory
+ *
+ * @param {Object} [options] - Resolver options
+ * @param {string[]} [options.remappings] - Remappings of the form `prefix=target`
+ * @param {string[]} [options.includePaths] - Directories in which to look for imports
+ * @param {string} [options.basePath] - Directory from which node_modules lookups start (default:
+ * the current working directory)
+ * @returns {Function} Import callback
+ */
+function createImportResolver(options = {}) {
+    const resolverOptions = {
+        remappings: (options.remappings || []).map(parseRemapping),
+        includePaths: options.includePaths || [],
+        basePath: path.resolve(options.basePath || process.cwd()),
+    };
+
+    return function resolveImport(importPath) {
+        const candidates = candidatePaths(importPath, resolverOptions);
+        const resolvedPath = candidates.find(candidate => fs.existsSync(candidate) &&
+            fs.statSync(candidate).isFile());
+        if (!resolvedPath) {
+            return {
+                error: `File not found: ${importPath}\nTried:\n${candidates.map(candidate => `  ${candidate}`).join('\n')}`,
+            };
+        }
+
+        return {
+            contents: fs.readFileSync(resolvedPath).toString(),
+        };
+    };
+}
+
+/**
+ * Lists the paths imported by a solidity source, as they appear in its import statements.
+ *
+ * @param {string} source - Solidity source code
+ * @returns {string[]} Imported paths
+ */
+function importedPaths(source) {
+    const uncommentedSource = source
+        .replace(/\/\*[\s\S]*?\*\//g, '')
+        .replace(/\/\/.*$/gm, '');
+    const importRegex = /\bimport\s+(?:[^'";]*?\s+from\s+)?["']([^"']+)["']/g;
+    const paths = [];
+    let match = importRegex.exec(uncommentedSource);
+    while (match) {
+        paths.push(match[1]);
+        match = importRegex.exec(uncommentedSource);
+    }
+    return paths;
+}
+
+/**
+ * Determines the source unit name that solc assigns to an import. Relative imports are resolved
+ * against the name of the importing unit; all other imports are used as they are.
+ *
+ * @param {string} importingUnit - Source unit name of the importing file
+ * @param {string} importPath - Path as it appears in the import statement
+ * @returns {string} Source unit name of the imported file
+ */
+function importedUnitName(importingUnit, importPath) {
+    if (!importPath.startsWith('./') && !importPath.startsWith('../')) {
+        return importPath;
+    }
+
+    return path.posix.normalize(path.posix.join(path.posix.dirname(importingUnit), importPath));
+}
+
+/**
+ * Collects the contents of a solidity file and of everything it (transitively) imports, keyed by
+ * source unit name. Imports which cannot be resolved are left out of the result, so that solc can
+ * report them when it requests them through its import callback.
+ *
+ * @param {string} contractPath - Path to the entry point of the compilation
+ * @param {Function} resolveImport - Import callback, as returned by createImportResolver
+ * @returns {Object} Mapping from source unit names to source code
+ */
+function collectSources(contractPath, resolveImport) {
+    const sources = {};
+    const pendingUnits = [contractPath];
+    sources[contractPath] = fs.readFileSync(contractPath).toString();
+
+    while (pendingUnits.length > 0) {
+        const unitName = pendingUnits.shift();
+        importedPaths(sources[unitName]).forEach((importPath) => {
+            const importedUnit = importedUnitName(unitName, importPath);
+            if (_.has(sources, importedUnit)) {
+                return;
+            }
+
+            const resolution = resolveImport(importedUnit);
+            if (resolution.contents !== undefined) {
+                sources[importedUnit] = resolution.contents;
+                pendingUnits.push(importedUnit);
+            }
+        });
+    }
+
+    return sources;
+}
+
+module.exports = {
+    applyRemappings,
+    collectSources,
+    createImportResolver,
+    importedPaths,
+    parseRemapping,
+};
@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+
+/**
+ * @file
+ * This script follows a node and indexes the Transfer, Approval, StimulusRequest and
+ * StimulusResponse events of Stem and Stimulus contracts into a LevelDB database (see
+ * eventIndexer.js). It resumes from the checkpoint recorded in the database, and rolls the database
+ * back when the chain reorganizes.
+ *
+ * The contracts are identified by their addresses, or looked up in the deployment registry.
+ */
+
+const {
+    addIndexerOptions,
+    addProviderOptions,
+    indexerOptionsFromArgv,
+    makeClient,
+} = require('./cliOptions.js');
+const { catchUp, followChain } = require('./eventIndexer.js');
+const connectIndexedContracts = require('./indexerContracts.js');
+const leveldown = require('leveldown');
+const levelup = require('levelup');
+const path = require('path');
+const yargs = require('yargs');
+
+yargs
+    .usage('$0 [--provider-type {ipc|http|ws}] --provider PATH_TO_PROVIDER [--database PATH] [--stem-address ADDRESS] [--stimulus-address ADDRESS]')
+    .option('database', {
+        alias: 'd',
+        describe: 'Path to the LevelDB database in which to store the events',
+        type: 'string',
+        default: 'events.leveldb',
+    })
+    .option('once', {
+        describe: 'Exit once the index has caught up with the chain, instead of following it',
+        type: 'boolean',
+        default: false,
+    });
+
+addProviderOptions(yargs);
+addIndexerOptions(yargs);
+
+yargs.help();
+
+const { argv } = yargs;
+const web3 = makeClient(argv.provider, argv.providerType);
+
+connectIndexedContracts(web3, argv, (err, contracts) => {
+    if (err) {
+        console.error(`Error: ${err.message}`);
+        return process.exit(1);
+    }
+
+    const db = levelup(leveldown(path.resolve(argv.database)));
+    const options = Object.assign(indexerOptionsFromArgv(argv), {
+        log: message => console.log(message),
+    });
+    contracts.forEach(contract => console.log(`Indexing ${contract.address}`));
+
+    if (argv.once) {
+        return catchUp(web3, db, contracts, options, (catchUpErr, checkpoint) => db.close(() => {
+            if (catchUpErr) {
+                console.error(`Error: ${catchUpErr.message}`);
+                return process.exit(1);
+            }
+            console.log(`Indexed up to block ${checkpoint ? checkpoint.blockNumber : 'none'}`);
+            return process.exit(0);
+        }));
+    }
+
+    const follower = followChain(web3, db, contracts, options);
+    ['SIGINT', 'SIGTERM'].forEach(signal => process.on(signal, () => {
+        console.log('Stopping...');
+        follower.stop(() => db.close(() => process.exit(0)));
+    }));
+    return follower;
+});
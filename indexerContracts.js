@@ -0,0 +1,51 @@
+/**
+ * @file
+ * Connection to the Stem and Stimulus contracts whose events the indexing scripts (indexerCli.js
+ * and queryServerCli.js) index, as selected by the options added by addIndexerOptions from
+ * cliOptions.js.
+ */
+
+const async = require('async');
+const connect = require('./connect');
+const path = require('path');
+
+/**
+ * Connects to the contracts to index given by arguments parsed by a yargs instance set up with
+ * addIndexerOptions. If no contract is given, the Stem and Stimulus contracts recorded in the
+ * deployment registry are used.
+ *
+ * @param {Object} web3 - Web3 client
+ * @param {Object} argv - Parsed arguments
+ * @param {callback} callback - Called with an error, or with null and the web3 contract instances
+ */
+function connectIndexedContracts(web3, argv, callback) {
+    const kinds = [
+        [argv.stemAddress, path.resolve(argv.stemContractFile), 'Stem'],
+        [argv.stimulusAddress, path.resolve(argv.stimulusContractFile), 'Stimulus'],
+    ];
+
+    if (argv.stemAddress.length === 0 && argv.stimulusAddress.length === 0) {
+        return async.mapSeries(
+            kinds,
+            ([, contractPath, contractName], next) => connect.fromRegistry(
+                web3,
+                contractPath,
+                contractName,
+                { registryPath: argv.registry },
+                next,
+            ),
+            callback,
+        );
+    }
+
+    let instances;
+    try {
+        instances = [].concat(...kinds.map(([addresses, contractPath, contractName]) =>
+            addresses.map(address => connect(address, web3, contractPath, contractName))));
+    } catch (e) {
+        return callback(e);
+    }
+    return callback(null, instances);
+}
+
+module.exports = connectIndexedContracts;
@@ -0,0 +1,21 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Creates the directory at the given path, along with any of its missing parents. Does nothing if
+ * the directory already exists.
+ *
+ * This method is synchronous.
+ *
+ * @param {string} directory - Path to the directory
+ */
+function makeDirectory(directory) {
+    if (fs.existsSync(directory)) {
+        return;
+    }
+
+    makeDirectory(path.dirname(directory));
+    fs.mkdirSync(directory);
+}
+
+module.exports = makeDirectory;
@@ -0,0 +1,421 @@
+/**
+ * @file
+ * Deployment manifests - declarative descriptions of a system of contracts to deploy together,
+ * along with the calls to make once they are deployed. Manifests may be written in JSON or YAML:
+ *
+ * contracts:
+ *   Stem:
+ *     file: build/Stem.json
+ *     args: [Stem, STM, "1200000"]
+ *   Stimulus:
+ *     file: src/stimulus.sol
+ *     contractName: Stimulus
+ *     args: ["${Stem.address}", [10000000, 5000000, 1000000, 0, 0]]
+ * calls:
+ *   - contract: Stem
+ *     method: approve
+ *     args: ["${Stimulus.address}", "1200000"]
+ *
+ * Each key under `contracts` names a deployment. Its `file` is a solidity file or build artifact
+ * (relative to the manifest), its `contractName` defaults to the deployment name, and its `args`
+ * are passed to the constructor. Any string of the form `${<deployment>.address}` (or
+ * `.transactionHash`, or `.blockNumber`) is replaced by the corresponding property of an earlier
+ * deployment.
+ *
+ * Deployments are made in dependency order - a deployment comes after every deployment it refers
+ * to. Calls are made after all deployments, in the order in which they are listed. Progress is
+ * saved to a state file after every step, so a manifest whose execution failed part way through
+ * can be run again and will resume where it stopped.
+ */
+
+const { coerceArguments, constructorInputs } = require('./abiArguments');
+const { artifactHash, loadContract } = require('./artifacts');
+const async = require('async');
+const { deployContract, estimateDeploymentGas } = require('./deployContract');
+const fs = require('fs');
+const { allocateGas, fromOptions } = require('./gasStrategies');
+const _ = require('lodash');
+const path = require('path');
+const { recordDeployment } = require('./registry');
+const waitForReceipt = require('./waitForReceipt');
+const yaml = require('js-yaml');
+
+const REFERENCE_REGEX = /\$\{([A-Za-z0-9_$]+)\.(address|transactionHash|blockNumber)\}/g;
+
+/**
+ * Reads a manifest from a JSON or YAML file (YAML if the file extension is .yml or .yaml).
+ *
+ * @param {string} manifestPath - Path to manifest file
+ * @returns {Object} Manifest, with its `path` set to the absolute path of the file
+ */
+function loadManifest(manifestPath) {
+    const contents = fs.readFileSync(manifestPath).toString();
+    const manifest = ['.yml', '.yaml'].includes(path.extname(manifestPath)) ?
+        yaml.safeLoad(contents) :
+        JSON.parse(contents);
+
+    if (!_.isPlainObject(manifest) || !_.isPlainObject(manifest.contracts)) {
+        throw new Error(`Manifest ${manifestPath} does not define any contracts`);
+    }
+
+    return _.assign({ calls: [] }, manifest, { path: path.resolve(manifestPath) });
+}
+
+/**
+ * Lists the deployments referred to in a value from a manifest.
+ *
+ * @param {*} value - Value (e.g. constructor or method arguments)
+ * @returns {string[]} Names of deployments referred to
+ */
+function references(value) {
+    if (_.isString(value)) {
+        const names = [];
+        value.replace(REFERENCE_REGEX, (match, name) => names.push(name));
+        return names;
+    }
+
+    if (_.isArray(value) || _.isPlainObject(value)) {
+        return _.uniq(_.flatMap(_.values(value), references));
+    }
+
+    return [];
+}
+
+/**
+ * Replaces every reference to an earlier deployment in a value from a manifest by its value.
+ *
+ * @param {*} value - Value (e.g. constructor or method arguments)
+ * @param {Object} completedSteps - Results of completed steps, keyed by step id
+ * @returns {*} Value with references replaced
+ */
+function resolveReferences(value, completedSteps) {
+    if (_.isString(value)) {
+        const lookup = (name, property) => _.get(completedSteps, [`deploy:${name}`, property]);
+        const wholeMatch = /^\$\{([A-Za-z0-9_$]+)\.(address|transactionHash|blockNumber)\}$/.exec(value);
+        if (wholeMatch) {
+            return lookup(wholeMatch[1], wholeMatch[2]);
+        }
+        return value.replace(REFERENCE_REGEX, (match, name, property) => lookup(name, property));
+    }
+
+    if (_.isArray(value)) {
+        return value.map(element => resolveReferences(element, completedSteps));
+    }
+
+    if (_.isPlainObject(value)) {
+        return _.mapValues(value, element => resolveReferences(element, completedSteps));
+    }
+
+    return value;
+}
+
+/**
+ * Determines the steps needed to execute a manifest, in the order in which they should be executed.
+ * Each step has an `id` (used to track progress in the state file), a `type` ("deploy" or "call")
+ * and the manifest entry it executes.
+ *
+ * @param {Object} manifest - Manifest, as returned by loadManifest
+ * @returns {Object[]} Steps
+ * @throws {Error} If the manifest refers to unknown deployments or has circular dependencies
+ */
+function planManifest(manifest) {
+    const deploymentNames = Object.keys(manifest.contracts);
+    const problems = [];
+
+    const dependencies = _.mapValues(manifest.contracts, (entry, name) => {
+        const referencedNames = references(entry.args || []);
+        referencedNames
+            .filter(referencedName => !deploymentNames.includes(referencedName))
+            .forEach(referencedName => problems.push(`${name} refers to unknown deployment ${referencedName}`));
+        if (!entry.file) {
+            problems.push(`${name} does not specify a file`);
+        }
+        return referencedNames.filter(referencedName => deploymentNames.includes(referencedName));
+    });
+
+    manifest.calls.forEach((call, index) => {
+        references(call.args || []).concat([call.contract])
+            .filter(referencedName => !deploymentNames.includes(referencedName))
+            .forEach(referencedName => problems.push(`call ${index} refers to unknown deployment ${referencedName}`));
+        if (!call.method) {
+            problems.push(`call ${index} does not specify a method`);
+        }
+    });
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid manifest ${manifest.path}:\n${problems.map(problem => `  ${problem}`).join('\n')}`);
+    }
+
+    // Topological sort which otherwise preserves the order of the deployments in the manifest
+    const ordered = [];
+    while (ordered.length < deploymentNames.length) {
+        const nextName = deploymentNames.find(name => !ordered.includes(name) &&
+            dependencies[name].every(dependency => ordered.includes(dependency)));
+        if (!nextName) {
+            const remaining = deploymentNames.filter(name => !ordered.includes(name));
+            throw new Error(`Invalid manifest ${manifest.path}: circular dependencies between ${remaining.join(', ')}`);
+        }
+        ordered.push(nextName);
+    }
+
+    return ordered.map(name => ({
+        id: `deploy:${name}`,
+        type: 'deploy',
+        name,
+        entry: manifest.contracts[name],
+    })).concat(manifest.calls.map((call, index) => ({
+        id: `call:${index}`,
+        type: 'call',
+        name: `${call.contract}.${call.method}`,
+        entry: call,
+    })));
+}
+
+/**
+ * Reads the state file for a manifest. A missing state file means that no steps have been
+ * completed.
+ *
+ * @param {string} statePath - Path to state file
+ * @returns {Object} State, with `networkId` and `steps` (results of completed steps, keyed by id)
+ */
+function readState(statePath) {
+    if (!fs.existsSync(statePath)) {
+        return { networkId: null, steps: {} };
+    }
+    return JSON.parse(fs.readFileSync(statePath).toString());
+}
+
+/**
+ * Writes the state file for a manifest.
+ *
+ * @param {string} statePath - Path to state file
+ * @param {Object} state - State
+ */
+function writeState(statePath, state) {
+    fs.writeFileSync(statePath, `${JSON.stringify(state, null, 2)}\n`);
+}
+
+/**
+ * Executes a manifest, skipping the steps which a previous execution already completed.
+ *
+ * @param {Object} web3 - Web3 client
+ * @param {Object} manifest - Manifest, as returned by loadManifest
+ * @param {Object} options - Execution options
+ * @param {string} options.from - Address from which to send transactions (default: the `from` key
+ * of the manifest)
+ * @param {number} [options.gas] - Amount of gas to allocate to each transaction, in which case
+ * transactions are not estimated (default: estimate times gasMultiplier)
+ * @param {number} [options.gasMultiplier] - Factor by which to multiply gas estimates (default: 1)
+ * @param {string} [options.gasPrice] - Gas price in wei (default: chosen by the node)
+ * @param {Object} [options.gasStrategy] - Gas strategy (see gasStrategies.js), which replaces the
+ * gas options above. Without one, the strategy is built from the gas options, which may also
+ * include any of the other options accepted by fromOptions in gasStrategies.js.
+ * @param {string} [options.statePath] - Path to state file (default: manifest path with
+ * .state.json appended)
+ * @param {string} [options.registryPath] - Path to deployment registry in which to record
+ * deployments (deployments are not recorded if this is not provided)
+ * @param {Object} [options.compileOptions] - Options for compiling solidity files (see compile.js)
+ * @param {number} [options.confirmations] - Number of confirmations to wait for before a step is
+ * considered complete (default: 1)
+ * @param {number} [options.timeout] - Number of milliseconds to wait for each transaction to be
+ * confirmed (see waitForReceipt.js)
+ * @param {Function} [options.log] - Called with a message describing each step as it happens
+ * @param {callback} callback - Called with an error (which has the `step` that failed), or with
+ * null and the final state
+ */
+function runManifest(web3, manifest, options, callback) {
+    const from = options.from || manifest.from;
+    const statePath = options.statePath || `${manifest.path}.state.json`;
+    const log = options.log || _.noop;
+    const receiptOptions = _.pick(options, ['confirmations', 'timeout']);
+    const baseDirectory = path.dirname(manifest.path);
+
+    let steps;
+    let gasStrategy;
+    try {
+        steps = planManifest(manifest);
+        gasStrategy = options.gasStrategy || fromOptions(web3, options);
+    } catch (e) {
+        return callback(e);
+    }
+
+    const state = readState(statePath);
+
+    // Transactions are only estimated when the gas strategy needs it (i.e. when no gas allocation
+    // was specified)
+    function allocateTransactionGas(estimateGas, next) {
+        if (!gasStrategy.requiresEstimate) {
+            return allocateGas(gasStrategy, null, next);
+        }
+        return estimateGas((err, gasEstimate) => {
+            if (err) {
+                return next(err);
+            }
+            return allocateGas(gasStrategy, gasEstimate, next);
+        });
+    }
+
+    function loadStepContract(name) {
+        const entry = manifest.contracts[name];
+        return loadContract(
+            path.resolve(baseDirectory, entry.file),
+            entry.contractName || name,
+            options.compileOptions,
+        );
+    }
+
+    function executeDeployment(step, networkId, next) {
+        let contract;
+        let contractArgs;
+        try {
+            contract = loadStepContract(step.name);
+            contractArgs = coerceArguments(
+                constructorInputs(contract.abi),
+                resolveReferences(step.entry.args || [], state.steps),
+            );
+        } catch (e) {
+            return next(e);
+        }
+
+        function recordResult(err, deployment) {
+            if (err) {
+                return next(err);
+            }
+
+            if (options.registryPath) {
+                recordDeployment(options.registryPath, networkId, step.name, {
+                    address: deployment.address,
+                    transactionHash: deployment.transactionHash,
+                    blockNumber: deployment.receipt.blockNumber,
+                    deployer: from,
+                    constructorArgs: contractArgs,
+                    artifactHash: artifactHash(contract),
+                });
+            }
+
+            return next(null, {
+                address: deployment.address,
+                transactionHash: deployment.transactionHash,
+                blockNumber: deployment.receipt.blockNumber,
+            });
+        }
+
+        return allocateTransactionGas(
+            done => estimateDeploymentGas(web3, contract, contractArgs, from, done),
+            (gasErr, allocation) => {
+                if (gasErr) {
+                    return next(gasErr);
+                }
+
+                return deployContract(web3, contract, contractArgs, Object.assign({
+                    from,
+                    gas: allocation.gas,
+                    gasPrice: allocation.gasPrice,
+                }, receiptOptions), recordResult);
+            },
+        );
+    }
+
+    function executeCall(step, next) {
+        const callFrom = step.entry.from || from;
+        let method;
+        let methodArgs;
+        try {
+            const contract = loadStepContract(step.entry.contract);
+            const rawArgs = resolveReferences(step.entry.args || [], state.steps);
+            const functionAbi = _.find(contract.abi, item => item.type === 'function' &&
+                item.name === step.entry.method && item.inputs.length === rawArgs.length);
+            if (!functionAbi) {
+                throw new Error(`${contract.contractName} has no method ${step.entry.method} taking ${rawArgs.length} argument(s)`);
+            }
+
+            methodArgs = coerceArguments(functionAbi.inputs, rawArgs);
+            const instance = web3.eth.contract(contract.abi)
+                .at(state.steps[`deploy:${step.entry.contract}`].address);
+            // instance[method] is just one of the overloads of the method
+            method = instance[step.entry.method][functionAbi.inputs.map(input => input.type).join(',')];
+        } catch (e) {
+            return next(e);
+        }
+
+        return allocateTransactionGas(
+            done => method.estimateGas(...methodArgs, { from: callFrom }, done),
+            (gasErr, allocation) => {
+                if (gasErr) {
+                    return next(gasErr);
+                }
+
+                const transactionObject = { from: callFrom, gas: allocation.gas };
+                if (allocation.gasPrice !== undefined) {
+                    transactionObject.gasPrice = allocation.gasPrice;
+                }
+                return method.sendTransaction(
+                    ...methodArgs,
+                    transactionObject,
+                    (err, transactionHash) => {
+                        if (err) {
+                            return next(err);
+                        }
+                        return waitForReceipt(
+                            web3,
+                            transactionHash,
+                            receiptOptions,
+                            (receiptErr, receipt) => {
+                                if (receiptErr) {
+                                    return next(receiptErr);
+                                }
+                                return next(null, {
+                                    transactionHash,
+                                    blockNumber: receipt.blockNumber,
+                                });
+                            },
+                        );
+                    },
+                );
+            },
+        );
+    }
+
+    return web3.version.getNetwork((networkErr, networkId) => {
+        if (networkErr) {
+            return callback(networkErr);
+        }
+
+        if (state.networkId !== null && String(state.networkId) !== String(networkId)) {
+            return callback(new Error(`State file ${statePath} belongs to network ${state.networkId}, but the client is connected to network ${networkId}`));
+        }
+        state.networkId = networkId;
+
+        return async.eachSeries(steps, (step, next) => {
+            if (state.steps[step.id]) {
+                log(`Skipping ${step.type} ${step.name} (already completed)`);
+                return next();
+            }
+
+            log(`Executing ${step.type} ${step.name}...`);
+            const execute = step.type === 'deploy' ?
+                done => executeDeployment(step, networkId, done) :
+                done => executeCall(step, done);
+
+            return execute((err, result) => {
+                if (err) {
+                    // eslint-disable-next-line no-param-reassign
+                    err.step = step;
+                    return next(err);
+                }
+
+                state.steps[step.id] = result;
+                writeState(statePath, state);
+                log(`Completed ${step.type} ${step.name}: ${JSON.stringify(result)}`);
+                return next();
+            });
+        }, err => callback(err || null, state));
+    });
+}
+
+module.exports = {
+    loadManifest,
+    planManifest,
+    resolveReferences,
+    runManifest,
+};
@@ -0,0 +1,153 @@
+/**
+ * @file
+ * HTTP server answering questions about Stem and Stimulus contracts from the events indexed by
+ * eventIndexer.js (see eventQueries.js). Every route answers GET requests with JSON:
+ *
+ * - /status: the last block indexed
+ * - /stem/:address/balances?block=N&account=ADDRESS: balances at block N (default: the last block
+ *   indexed) of the given accounts (default: every account known to the index)
+ * - /stem/:address/holders?block=N: accounts holding tokens at block N, with their balances
+ * - /stem/:address/allowances?owner=ADDRESS&spender=ADDRESS: history of approvals
+ * - /stimulus/:address/participants/:candidate: enrollment timeline of a participant
+ * - /stimulus/:address/payouts: requests, decisions and rewards paid, by stimulus type
+ * - /stimulus/:address/pending: requests awaiting a response from the PI
+ *
+ * Invalid requests are answered with status 400 and the `error` and its `problems`.
+ */
+
+const { loadContract } = require('./artifacts');
+const { ArgumentError } = require('./errors');
+const { readCheckpoint } = require('./eventIndexer');
+const eventQueries = require('./eventQueries');
+const http = require('http');
+const url = require('url');
+const utils = require('web3/lib/utils/utils');
+
+/**
+ * Parses the block number given in a query string, if any.
+ *
+ * @param {string} [value] - Block number given in the query string
+ * @returns {number|undefined} Block number
+ * @throws {ArgumentError} If the value is not a block number
+ */
+function parseBlock(value) {
+    if (value === undefined) {
+        return undefined;
+    }
+    if (!/^\d+$/.test(value)) {
+        throw new ArgumentError(`Invalid block number: ${value}`, [`${value} is not a block number`]);
+    }
+    return Number(value);
+}
+
+/**
+ * Checks the contract address given in a route.
+ *
+ * @param {string} address - Address given in the route
+ * @returns {string} The address
+ * @throws {ArgumentError} If the address is invalid
+ */
+function contractAddress(address) {
+    if (!utils.isAddress(address)) {
+        throw new ArgumentError(
+            `Invalid contract address: ${address}`,
+            [`${address} is not an address`],
+        );
+    }
+    return address;
+}
+
+/**
+ * Creates an HTTP server answering questions from an event index. The server is returned without
+ * listening, so that the caller chooses where it listens.
+ *
+ * @param {Object} web3 - Web3 client, used to read balances from the node
+ * @param {Object} db - levelup database into which events are indexed (see eventIndexer.js)
+ * @param {Object} options - Server options
+ * @param {string} options.stemContractPath - Path to the Stem contract's solidity file or build
+ * artifact, whose ABI is used to read balances
+ * @returns {http.Server} Server
+ */
+function createQueryServer(web3, db, options) {
+    const Stem = web3.eth.contract(loadContract(options.stemContractPath, 'Stem').abi);
+
+    const routes = [
+        [/^\/status$/, (match, query, callback) => readCheckpoint(db, callback)],
+        [/^\/stem\/([^/]+)\/balances$/, (match, query, callback) => eventQueries.balancesAt(
+            db,
+            Stem.at(contractAddress(match[1])),
+            {
+                blockNumber: parseBlock(query.block),
+                accounts: query.account === undefined ? undefined : [].concat(query.account),
+            },
+            callback,
+        )],
+        [/^\/stem\/([^/]+)\/holders$/, (match, query, callback) => eventQueries.holdersAt(
+            db,
+            Stem.at(contractAddress(match[1])),
+            { blockNumber: parseBlock(query.block) },
+            callback,
+        )],
+        [/^\/stem\/([^/]+)\/allowances$/, (match, query, callback) => eventQueries.allowanceHistory(
+            db,
+            contractAddress(match[1]),
+            { owner: query.owner, spender: query.spender },
+            callback,
+        )],
+        [
+            /^\/stimulus\/([^/]+)\/participants\/([^/]+)$/,
+            (match, query, callback) => eventQueries.participantTimeline(
+                db,
+                contractAddress(match[1]),
+                match[2],
+                callback,
+            ),
+        ],
+        [/^\/stimulus\/([^/]+)\/payouts$/, (match, query, callback) => eventQueries.payoutTotals(
+            db,
+            contractAddress(match[1]),
+            callback,
+        )],
+        [/^\/stimulus\/([^/]+)\/pending$/, (match, query, callback) => eventQueries.pendingRequests(
+            db,
+            contractAddress(match[1]),
+            callback,
+        )],
+    ];
+
+    return http.createServer((request, response) => {
+        const respond = (statusCode, body) => {
+            response.writeHead(statusCode, { 'Content-Type': 'application/json' });
+            response.end(JSON.stringify(body));
+        };
+        const respondWithResult = (err, result) => {
+            if (err instanceof ArgumentError) {
+                return respond(400, { error: err.message, problems: err.problems });
+            }
+            if (err) {
+                return respond(500, { error: err.message });
+            }
+            return respond(200, result);
+        };
+
+        if (request.method !== 'GET') {
+            return respond(405, { error: `Method ${request.method} is not allowed` });
+        }
+        const { pathname, query } = url.parse(request.url, true);
+        const route = routes.find(([pattern]) => pattern.test(pathname));
+        if (!route) {
+            return respond(404, { error: `No route for ${pathname}` });
+        }
+
+        const [pattern, handler] = route;
+        try {
+            return handler(pathname.match(pattern), query, respondWithResult);
+        } catch (e) {
+            return respondWithResult(e);
+        }
+    });
+}
+
+module.exports = {
+    createQueryServer,
+};
@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+
+/**
+ * @file
+ * This script serves the questions answered by queryServer.js - balances, holders, allowances,
+ * participant timelines, payouts and pending requests - over HTTP, from a LevelDB database of
+ * events built by nrn-indexer (see indexerCli.js).
+ *
+ * A LevelDB database can only be opened by one process at a time, so nrn-indexer cannot keep
+ * updating the database while it is served. With --follow, this script follows the node and keeps
+ * the database up to date itself, taking the same options as nrn-indexer.
+ */
+
+const {
+    addIndexerOptions,
+    addProviderOptions,
+    indexerOptionsFromArgv,
+    makeClient,
+} = require('./cliOptions.js');
+const { followChain } = require('./eventIndexer.js');
+const connectIndexedContracts = require('./indexerContracts.js');
+const leveldown = require('leveldown');
+const levelup = require('levelup');
+const path = require('path');
+const { createQueryServer } = require('./queryServer.js');
+const yargs = require('yargs');
+
+yargs
+    .usage('$0 [--provider-type {ipc|http|ws}] --provider PATH_TO_PROVIDER [--database PATH] [--port PORT] [--follow]')
+    .option('database', {
+        alias: 'd',
+        describe: 'Path to the LevelDB database of events',
+        type: 'string',
+        default: 'events.leveldb',
+    })
+    .option('host', {
+        describe: 'Host name or address on which to listen',
+        type: 'string',
+        default: 'localhost',
+    })
+    .option('port', {
+        describe: 'Port on which to listen',
+        type: 'number',
+        default: 8080,
+    })
+    .option('follow', {
+        describe: 'Keep indexing the events of the contracts as blocks are mined',
+        type: 'boolean',
+        default: false,
+    });
+
+addProviderOptions(yargs);
+addIndexerOptions(yargs);
+
+yargs.help();
+
+const { argv } = yargs;
+const web3 = makeClient(argv.provider, argv.providerType);
+
+/**
+ * Connects to the contracts to index, if the database is to be kept up to date.
+ *
+ * @param {callback} callback - Called with an error, or with null and the web3 contract instances
+ * to index (none without --follow)
+ */
+function indexedContracts(callback) {
+    if (!argv.follow) {
+        return callback(null, []);
+    }
+    return connectIndexedContracts(web3, argv, callback);
+}
+
+indexedContracts((err, contracts) => {
+    if (err) {
+        console.error(`Error: ${err.message}`);
+        return process.exit(1);
+    }
+
+    const db = levelup(leveldown(path.resolve(argv.database)));
+    let server;
+    try {
+        server = createQueryServer(
+            web3,
+            db,
+            { stemContractPath: path.resolve(argv.stemContractFile) },
+        );
+    } catch (e) {
+        console.error(`Error: ${e.message}`);
+        return db.close(() => process.exit(1));
+    }
+
+    const follower = argv.follow ? followChain(
+        web3,
+        db,
+        contracts,
+        Object.assign(indexerOptionsFromArgv(argv), { log: message => console.log(message) }),
+    ) : null;
+    server.listen(argv.port, argv.host, () => {
+        const { address, port } = server.address();
+        console.log(`Serving ${argv.database} on http://${address}:${port}`);
+    });
+
+    ['SIGINT', 'SIGTERM'].forEach(signal => process.on(signal, () => {
+        console.log('Stopping...');
+        const closeDb = () => db.close(() => process.exit(0));
+        server.close();
+        return follower ? follower.stop(closeDb) : closeDb();
+    }));
+    return server;
+});
@@ -0,0 +1,103 @@
+/**
+ * @file
+ * Registry of contract deployments. The registry is a JSON file mapping network ids to contract
+ * names to the details of the most recent deployment of that contract on that network:
+ *
+ * {
+ *     "<network id>": {
+ *         "<contract name>": {
+ *             "address": "0x...",
+ *             "transactionHash": "0x...",
+ *             "blockNumber": 123,
+ *             "deployer": "0x...",
+ *             "constructorArgs": [...],
+ *             "artifactHash": "...",
+ *             "deployedAt": "<ISO 8601 timestamp>",
+ *             "history": [<earlier deployments, most recent first>]
+ *         }
+ *     }
+ * }
+ */
+
+const fs = require('fs');
+const _ = require('lodash');
+const makeDirectory = require('./makeDirectory');
+const path = require('path');
+
+/**
+ * Default location of the registry: the NRN_BRAINSTEM_REGISTRY environment variable if it is set,
+ * otherwise deployments.json in the current working directory.
+ *
+ * @returns {string} Path to registry file
+ */
+function defaultRegistryPath() {
+    return path.resolve(process.env.NRN_BRAINSTEM_REGISTRY || 'deployments.json');
+}
+
+/**
+ * Reads the registry at the given path. A missing registry is treated as an empty one.
+ *
+ * @param {string} [registryPath] - Path to registry file (default: defaultRegistryPath())
+ * @returns {Object} Registry
+ */
+function readRegistry(registryPath = defaultRegistryPath()) {
+    if (!fs.existsSync(registryPath)) {
+        return {};
+    }
+    return JSON.parse(fs.readFileSync(registryPath).toString());
+}
+
+/**
+ * Records a deployment in the registry, creating the registry if it does not exist. If the
+ * contract has already been deployed to the network, the earlier deployment is moved into the
+ * history of the new one.
+ *
+ * @param {string} registryPath - Path to registry file
+ * @param {string|number} networkId - Id of the network the contract was deployed to
+ * @param {string} contractName - Name of the deployed contract
+ * @param {Object} deployment - Details of the deployment: address, transactionHash, blockNumber,
+ * deployer, constructorArgs and artifactHash
+ * @returns {Object} Recorded registry entry
+ */
+function recordDeployment(registryPath, networkId, contractName, deployment) {
+    const registry = readRegistry(registryPath);
+    const previousEntry = _.get(registry, [String(networkId), contractName]);
+    const history = previousEntry ?
+        [_.omit(previousEntry, 'history')].concat(previousEntry.history || []) :
+        [];
+
+    const entry = _.assign(
+        { deployedAt: new Date().toISOString() },
+        JSON.parse(JSON.stringify(deployment)),
+        { history },
+    );
+    _.set(registry, [String(networkId), contractName], entry);
+
+    makeDirectory(path.dirname(registryPath));
+    fs.writeFileSync(registryPath, `${JSON.stringify(registry, null, 2)}\n`);
+    return entry;
+}
+
+/**
+ * Looks up the most recent deployment of a contract on a network.
+ *
+ * @param {string} registryPath - Path to registry file
+ * @param {string|number} networkId - Id of the network
+ * @param {string} contractName - Name of the contract
+ * @returns {Object} Registry entry for the deployment
+ * @throws {Error} If the contract has not been recorded as deployed on the network
+ */
+function lookupDeployment(registryPath, networkId, contractName) {
+    const entry = _.get(readRegistry(registryPath), [String(networkId), contractName]);
+    if (!entry) {
+        throw new Error(`No deployment of ${contractName} on network ${networkId} recorded in ${registryPath}`);
+    }
+    return entry;
+}
+
+module.exports = {
+    defaultRegistryPath,
+    lookupDeployment,
+    readRegistry,
+    recordDeployment,
+};
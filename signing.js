@@ -0,0 +1,280 @@
+/**
+ * @file
+ * Local transaction signing, for nodes on which the sending account is not unlocked. Transactions
+ * are signed in this process with a key loaded from an encrypted V3 keystore file or given as a raw
+ * private key, and are then broadcast with eth_sendRawTransaction.
+ *
+ * The signing provider wraps the provider of a web3 client. It answers eth_accounts with the
+ * address of its key, and turns every eth_sendTransaction into a signed raw transaction - filling
+ * in the nonce, the chain id (for EIP-155 replay protection) and, if they are missing, the gas
+ * price and gas allocation. Every other request is passed through to the wrapped provider.
+ */
+
+const async = require('async');
+const EthereumTx = require('ethereumjs-tx');
+const ethUtil = require('ethereumjs-util');
+const fs = require('fs');
+const Jsonrpc = require('web3/lib/web3/jsonrpc');
+const Wallet = require('ethereumjs-wallet');
+
+const PRIVATE_KEY_REGEX = /^(0x)?[0-9a-fA-F]{64}$/;
+
+/**
+ * Encodes a numeric transaction field (given as a number or a hex string) canonically, without
+ * leading zero bytes - nodes reject transactions whose fields are not canonical.
+ *
+ * @param {number|string} value - Quantity
+ * @returns {Buffer} Encoded quantity
+ */
+function quantity(value) {
+    return ethUtil.stripZeros(ethUtil.toBuffer(value));
+}
+
+/**
+ * Creates a signer from a raw private key.
+ *
+ * @param {string} privateKey - Hex-encoded private key (with or without 0x prefix)
+ * @returns {Object} Signer, with the `address` and `privateKey` (a Buffer) of the account
+ */
+function signerFromPrivateKey(privateKey) {
+    const trimmedKey = privateKey.trim();
+    if (!PRIVATE_KEY_REGEX.test(trimmedKey)) {
+        throw new Error('Invalid private key: expected 32 hex-encoded bytes');
+    }
+
+    const privateKeyBuffer = ethUtil.toBuffer(ethUtil.addHexPrefix(trimmedKey));
+    if (!ethUtil.isValidPrivate(privateKeyBuffer)) {
+        throw new Error('Invalid private key: not a valid secp256k1 key');
+    }
+
+    return {
+        address: ethUtil.bufferToHex(ethUtil.privateToAddress(privateKeyBuffer)),
+        privateKey: privateKeyBuffer,
+    };
+}
+
+/**
+ * Creates a signer from an encrypted V3 keystore file, as written by geth or parity.
+ *
+ * @param {string} keystorePath - Path to keystore file
+ * @param {string} password - Password with which the keystore was encrypted
+ * @returns {Object} Signer, with the `address` and `privateKey` (a Buffer) of the account
+ */
+function signerFromKeystore(keystorePath, password) {
+    const keystore = JSON.parse(fs.readFileSync(keystorePath).toString());
+    let wallet;
+    try {
+        wallet = Wallet.fromV3(keystore, password, true);
+    } catch (e) {
+        throw new Error(`Could not decrypt keystore ${keystorePath}: ${e.message}`);
+    }
+
+    return {
+        address: wallet.getAddressString(),
+        privateKey: wallet.getPrivateKey(),
+    };
+}
+
+/**
+ * Wraps a web3 provider so that transactions from the signer's account are signed locally.
+ *
+ * Nonces are assigned one transaction at a time: each is the larger of the node's pending
+ * transaction count for the account and one more than the last nonce this provider used. This keeps
+ * transactions sent in quick succession from colliding even if the node is slow to count them.
+ * Transactions which already specify a nonce are signed with that nonce.
+ *
+ * @param {Object} provider - Provider to wrap
+ * @param {Object} signer - Signer, as returned by signerFromPrivateKey or signerFromKeystore
+ * @param {Object} [options] - Signing options
+ * @param {number} [options.chainId] - Chain id to sign transactions for (default: the chain id
+ * reported by the node through eth_chainId, or failing that, its network id)
+ * @returns {Object} Provider
+ */
+function createSigningProvider(provider, signer, options = {}) {
+    let { chainId } = options;
+    let nextNonce = null;
+
+    function request(method, params, callback) {
+        return provider.sendAsync(Jsonrpc.toPayload(method, params), (err, response) => {
+            if (err) {
+                return callback(err);
+            }
+            if (response.error) {
+                const message = response.error.message || JSON.stringify(response.error);
+                return callback(new Error(message));
+            }
+            return callback(null, response.result);
+        });
+    }
+
+    function resolveChainId(callback) {
+        if (chainId) {
+            return callback(null, chainId);
+        }
+
+        return request('eth_chainId', [], (chainIdErr, chainIdHex) => {
+            if (!chainIdErr && chainIdHex) {
+                chainId = parseInt(chainIdHex, 16);
+                return callback(null, chainId);
+            }
+
+            return request('net_version', [], (networkErr, networkId) => {
+                if (networkErr) {
+                    return callback(networkErr);
+                }
+                chainId = parseInt(networkId, 10);
+                return callback(null, chainId);
+            });
+        });
+    }
+
+    function reserveNonce(transaction, callback) {
+        // Callers which manage nonces themselves (see batchSender.js) are trusted to do so
+        if (transaction.nonce !== undefined) {
+            const nonce = Number(transaction.nonce);
+            nextNonce = nextNonce === null ? nonce + 1 : Math.max(nextNonce, nonce + 1);
+            return callback(null, nonce);
+        }
+
+        return request('eth_getTransactionCount', [signer.address, 'pending'], (err, count) => {
+            if (err) {
+                return callback(err);
+            }
+            const pendingCount = parseInt(count, 16);
+            const nonce = nextNonce === null ? pendingCount : Math.max(pendingCount, nextNonce);
+            nextNonce = nonce + 1;
+            return callback(null, nonce);
+        });
+    }
+
+    function fillTransaction(transaction, callback) {
+        return async.parallel({
+            chainId: resolveChainId,
+            gasPrice: done => (transaction.gasPrice !== undefined ?
+                done(null, transaction.gasPrice) :
+                request('eth_gasPrice', [], done)),
+            gas: done => (transaction.gas !== undefined ?
+                done(null, transaction.gas) :
+                request('eth_estimateGas', [transaction], done)),
+        }, (err, filledFields) => {
+            if (err) {
+                return callback(err);
+            }
+            return reserveNonce(transaction, (nonceErr, nonce) => {
+                if (nonceErr) {
+                    return callback(nonceErr);
+                }
+                return callback(null, Object.assign({ nonce }, filledFields));
+            });
+        });
+    }
+
+    // Transactions are signed and sent one at a time, so that nonces are assigned in order
+    const sendQueue = async.queue((transaction, callback) => {
+        if (!transaction.from || transaction.from.toLowerCase() !== signer.address.toLowerCase()) {
+            return callback(new Error(`Cannot sign transaction from ${transaction.from}: the only local key is for ${signer.address}`));
+        }
+
+        return fillTransaction(transaction, (err, fields) => {
+            if (err) {
+                return callback(err);
+            }
+
+            const signedTransaction = new EthereumTx({
+                nonce: quantity(fields.nonce),
+                gasPrice: quantity(fields.gasPrice),
+                gasLimit: quantity(fields.gas),
+                to: transaction.to,
+                value: quantity(transaction.value || 0),
+                data: transaction.data || '0x',
+                chainId: fields.chainId,
+            });
+            signedTransaction.sign(signer.privateKey);
+
+            return request(
+                'eth_sendRawTransaction',
+                [ethUtil.bufferToHex(signedTransaction.serialize())],
+                (sendErr, transactionHash) => {
+                    if (sendErr) {
+                        // The nonce was not used, so it must be looked up again next time
+                        nextNonce = null;
+                        return callback(sendErr);
+                    }
+                    return callback(null, transactionHash);
+                },
+            );
+        });
+    }, 1);
+
+    function intercepts(payload) {
+        return ['eth_accounts', 'eth_sendTransaction'].includes(payload.method);
+    }
+
+    function answerAccounts(payload) {
+        return { jsonrpc: '2.0', id: payload.id, result: [signer.address] };
+    }
+
+    function handle(payload, callback) {
+        if (payload.method === 'eth_accounts') {
+            return callback(null, answerAccounts(payload));
+        }
+
+        return sendQueue.push(payload.params[0], (err, transactionHash) => {
+            if (err) {
+                return callback(err);
+            }
+            return callback(null, { jsonrpc: '2.0', id: payload.id, result: transactionHash });
+        });
+    }
+
+    function send(payload) {
+        if (Array.isArray(payload)) {
+            return payload.some(intercepts) ? payload.map(send) : provider.send(payload);
+        }
+
+        if (!intercepts(payload)) {
+            return provider.send(payload);
+        }
+        if (payload.method === 'eth_accounts') {
+            return answerAccounts(payload);
+        }
+        throw new Error('Locally signed transactions can only be sent asynchronously');
+    }
+
+    return {
+        signer,
+
+        isConnected() {
+            return provider.isConnected();
+        },
+
+        send,
+
+        sendAsync(payload, callback) {
+            if (!Array.isArray(payload)) {
+                return intercepts(payload) ?
+                    handle(payload, callback) :
+                    provider.sendAsync(payload, callback);
+            }
+
+            if (!payload.some(intercepts)) {
+                return provider.sendAsync(payload, callback);
+            }
+
+            return async.mapSeries(payload, (item, next) => {
+                if (!intercepts(item)) {
+                    return provider.sendAsync(item, next);
+                }
+                return handle(item, (err, response) => next(null, err ?
+                    { jsonrpc: '2.0', id: item.id, error: { message: err.message } } :
+                    response));
+            }, callback);
+        },
+    };
+}
+
+module.exports = {
+    createSigningProvider,
+    signerFromKeystore,
+    signerFromPrivateKey,
+};
@@ -0,0 +1,124 @@
+/**
+ * @file
+ * Dry runs - transactions are sent to an in-process ganache chain forked from the node that a web3
+ * client is connected to, rather than to the node itself. The fork sees the state of the real chain
+ * as of its latest block, and the accounts that transactions are sent from are unlocked on it, so
+ * the transactions behave as they would on the real chain without anything being sent there.
+ */
+
+const async = require('async');
+const Ganache = require('ganache-core');
+const _ = require('lodash');
+const Web3 = require('web3');
+
+/**
+ * Creates a web3 client connected to an in-process fork of the chain that the given client is
+ * connected to.
+ *
+ * @param {Object} web3 - Web3 client connected to the chain to fork
+ * @param {string[]} unlockedAccounts - Addresses which should be able to send transactions on the
+ * fork
+ * @param {callback} callback - Called with an error, or with null, the web3 client for the fork and
+ * the block of the real chain from which the fork was made
+ */
+function forkedClient(web3, unlockedAccounts, callback) {
+    return web3.eth.getBlock('latest', (blockErr, block) => {
+        if (blockErr) {
+            return callback(blockErr);
+        }
+
+        const provider = Ganache.provider({
+            fork: web3.currentProvider,
+            fork_block_number: block.number,
+            gasLimit: block.gasLimit,
+            unlocked_accounts: unlockedAccounts,
+        });
+        return callback(null, new Web3(provider), block);
+    });
+}
+
+/**
+ * Determines the gas price at which to report the cost of a dry run: the given price if there is
+ * one, otherwise the price suggested by the real node.
+ *
+ * @param {Object} web3 - Web3 client connected to the real chain
+ * @param {string} [gasPrice] - Gas price in wei
+ * @param {callback} callback - Called with an error, or with null and the gas price (a BigNumber)
+ */
+function resolveGasPrice(web3, gasPrice, callback) {
+    if (gasPrice !== undefined) {
+        return callback(null, web3.toBigNumber(gasPrice));
+    }
+    return web3.eth.getGasPrice(callback);
+}
+
+/**
+ * Gathers the receipts of the transactions made during a dry run and totals their cost.
+ *
+ * @param {Object} web3 - Web3 client connected to the fork
+ * @param {Object[]} transactions - Transactions made, in order, each with a `description` and a
+ * `transactionHash`
+ * @param {BigNumber} gasPrice - Gas price in wei at which to compute the cost
+ * @param {callback} callback - Called with an error, or with null and a summary with the
+ * `transactions` (each extended with the `gasUsed`, `status`, `contractAddress` and `logs` from its
+ * receipt), the `totalGasUsed`, the `gasPrice` and the `totalCost` in wei (a BigNumber)
+ */
+function summarizeTransactions(web3, transactions, gasPrice, callback) {
+    return async.mapSeries(transactions, (transaction, next) => web3.eth.getTransactionReceipt(
+        transaction.transactionHash,
+        (err, receipt) => {
+            if (err) {
+                return next(err);
+            }
+            if (!receipt) {
+                return next(new Error(`Receipt not returned for transaction ${transaction.transactionHash}`));
+            }
+            return next(null, _.assign({}, transaction, _.pick(receipt, ['gasUsed', 'status', 'contractAddress', 'logs'])));
+        },
+    ), (err, summarizedTransactions) => {
+        if (err) {
+            return callback(err);
+        }
+
+        const totalGasUsed = _.sumBy(summarizedTransactions, 'gasUsed');
+        return callback(null, {
+            transactions: summarizedTransactions,
+            totalGasUsed,
+            gasPrice,
+            totalCost: gasPrice.times(totalGasUsed),
+        });
+    });
+}
+
+/**
+ * Formats a dry run summary for display.
+ *
+ * @param {Object} web3 - Web3 client (used for unit conversion)
+ * @param {Object} summary - Summary, as produced by summarizeTransactions
+ * @returns {string} Human readable report
+ */
+function formatSummary(web3, summary) {
+    const lines = [];
+    summary.transactions.forEach((transaction) => {
+        lines.push(`${transaction.description}: ${transaction.transactionHash}`);
+        if (transaction.contractAddress) {
+            lines.push(`  Contract address: ${transaction.contractAddress}`);
+        }
+        lines.push(`  Gas used: ${transaction.gasUsed}`);
+        lines.push(`  Status: ${transaction.status}`);
+        lines.push(`  Logs: ${transaction.logs.length}`);
+        transaction.logs.forEach((log) => {
+            lines.push(`    ${log.address} topics: ${log.topics.join(', ')} data: ${log.data}`);
+        });
+    });
+    lines.push(`Total gas used: ${summary.totalGasUsed}`);
+    lines.push(`Total cost at ${summary.gasPrice.toString(10)} wei per unit of gas: ${web3.fromWei(summary.totalCost, 'ether').toString(10)} ether`);
+    return lines.join('\n');
+}
+
+module.exports = {
+    forkedClient,
+    formatSummary,
+    resolveGasPrice,
+    summarizeTransactions,
+};
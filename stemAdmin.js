@@ -0,0 +1,212 @@
+/**
+ * @file
+ * Administration of a deployed Stem token by its stem master: changing mastery, the supply and the
+ * display information, and whitelisting old Stem contracts for reclamation.
+ *
+ * Every operation checks that the sender is the stem master before sending anything, and once the
+ * transaction is confirmed reads the state it changed back from the contract to make sure that the
+ * change took effect.
+ */
+
+const async = require('async');
+const { PreconditionError, StateVerificationError } = require('./errors');
+const { multiplier } = require('./gasStrategies');
+const getGasEstimateAndCall = require('./getGasEstimateAndCall');
+const _ = require('lodash');
+const utils = require('web3/lib/utils/utils');
+
+/**
+ * The operations reserved to the stem master. Each of them names the `params` of the contract
+ * method, reads the part of the contract state that it changes (as a string, so that states can be
+ * compared), and computes the state expected after the operation from the state before it.
+ */
+const adminOperations = {
+    changeMastery: {
+        description: 'Hand mastery of the token over to another address',
+        params: ['newStemMaster'],
+        read: (stem, args, callback) => stem.stemMaster((err, stemMaster) => callback(
+            err,
+            stemMaster && stemMaster.toLowerCase(),
+        )),
+        expect: (before, [newStemMaster]) => newStemMaster.toLowerCase(),
+    },
+    increaseSupply: {
+        description: 'Mint tokens into the balance of the stem master',
+        params: ['amount'],
+        read: (stem, args, callback) => stem.totalSupply((err, totalSupply) => callback(
+            err,
+            totalSupply && totalSupply.toString(10),
+        )),
+        expect: (before, [amount]) => utils.toBigNumber(before).plus(amount).toString(10),
+    },
+    decreaseSupply: {
+        description: 'Burn tokens from the balance of the stem master',
+        params: ['amount'],
+        read: (stem, args, callback) => stem.totalSupply((err, totalSupply) => callback(
+            err,
+            totalSupply && totalSupply.toString(10),
+        )),
+        expect: (before, [amount]) => utils.toBigNumber(before).minus(amount).toString(10),
+    },
+    changeName: {
+        description: 'Change the name of the token',
+        params: ['newName'],
+        read: (stem, args, callback) => stem.name(callback),
+        expect: (before, [newName]) => newName,
+    },
+    changeSymbol: {
+        description: 'Change the symbol of the token',
+        params: ['newSymbol'],
+        read: (stem, args, callback) => stem.symbol(callback),
+        expect: (before, [newSymbol]) => newSymbol,
+    },
+    whitelistContractForReclamation: {
+        description: 'Allow balances to be reclaimed from an old Stem contract',
+        params: ['oldStem'],
+        read: (stem, [oldStem], callback) => stem.reclamationWhitelist(
+            oldStem,
+            (err, whitelisted) => callback(err, String(whitelisted)),
+        ),
+        expect: () => 'true',
+    },
+};
+
+/**
+ * Reads the display information, supply and master of a Stem token.
+ *
+ * @param {Object} stem - Web3 contract instance of the Stem contract
+ * @param {callback} callback - Called with an error, or with null and the `address`, `name`,
+ * `symbol`, `totalSupply` (a decimal string), `stemMaster` and `masterBalance` (the balance of the
+ * stem master, a decimal string) of the token
+ */
+function stemInfo(stem, callback) {
+    return async.auto({
+        name: next => stem.name(next),
+        symbol: next => stem.symbol(next),
+        totalSupply: next => stem.totalSupply(next),
+        stemMaster: next => stem.stemMaster(next),
+        masterBalance: ['stemMaster', (results, next) => stem.balanceOf(results.stemMaster, next)],
+    }, (err, results) => {
+        if (err) {
+            return callback(err);
+        }
+        return callback(null, {
+            address: stem.address,
+            name: results.name,
+            symbol: results.symbol,
+            totalSupply: results.totalSupply.toString(10),
+            stemMaster: results.stemMaster,
+            masterBalance: results.masterBalance.toString(10),
+        });
+    });
+}
+
+/**
+ * Checks that an address is the stem master of a Stem token.
+ *
+ * @param {Object} stem - Web3 contract instance of the Stem contract
+ * @param {string} from - Address to check
+ * @param {callback} callback - Called with a PreconditionError if the address is not the stem
+ * master, or another error if the check could not be made
+ */
+function checkMastery(stem, from, callback) {
+    return stem.stemMaster((err, stemMaster) => {
+        if (err) {
+            return callback(err);
+        }
+        if (!from || stemMaster.toLowerCase() !== from.toLowerCase()) {
+            return callback(new PreconditionError(
+                `${from} is not the stem master of the Stem token at ${stem.address} (${stemMaster} is)`,
+                { required: stemMaster, actual: from },
+            ));
+        }
+        return callback();
+    });
+}
+
+/**
+ * Performs an operation reserved to the stem master.
+ *
+ * @param {Object} web3 - Web3 client
+ * @param {Object} stem - Web3 contract instance of the Stem contract
+ * @param {string} operationName - Name of the operation (a key of adminOperations, which is also
+ * the name of the contract method)
+ * @param {Array} operationArgs - Arguments to the contract method, already converted to the types
+ * declared in the ABI (see abiArguments.js)
+ * @param {Object} options - Transaction options
+ * @param {string} options.from - Address of the stem master
+ * @param {Function|Object} [options.gasStrategy] - Gas strategy, or assignGas function (see
+ * gasStrategies.js; default: the gas estimate)
+ * @param {number} [options.confirmations] - Number of confirmations to wait for (see
+ * waitForReceipt.js)
+ * @param {number} [options.timeout] - Number of milliseconds to wait for the transaction to be
+ * confirmed
+ * @param {Function} [options.log] - Called with a message as each step completes
+ * @param {callback} callback - Called with an error - a PreconditionError if the sender is not the
+ * stem master, a ContractCallError if the transaction fails, or a StateVerificationError if the
+ * state of the contract is not as expected afterwards - or with null and a report of the
+ * `operation`, its `args`, the `transactionHash` and `receipt`, and the state `before` and `after`
+ */
+function runAdminOperation(web3, stem, operationName, operationArgs, options, callback) {
+    const operation = adminOperations[operationName];
+    if (!operation) {
+        return callback(new Error(`Unknown Stem administration operation: ${operationName}`));
+    }
+
+    const { from } = options;
+    const log = options.log || _.noop;
+    const sendTransaction = getGasEstimateAndCall.withReceipts(
+        web3,
+        _.pick(options, ['confirmations', 'timeout', 'pollInterval']),
+    );
+
+    return async.auto({
+        mastery: next => checkMastery(stem, from, next),
+        before: ['mastery', (results, next) => operation.read(stem, operationArgs, next)],
+        transaction: ['before', (results, next) => {
+            log(`${from} is the stem master; sending ${operationName}...`);
+            return sendTransaction(
+                stem[operationName],
+                from,
+                options.gasStrategy || multiplier(1),
+                ...operationArgs,
+                (err, transactionHash, receipt) => next(err, { transactionHash, receipt }),
+            );
+        }],
+        after: ['transaction', (results, next) => {
+            log(`Transaction ${results.transaction.transactionHash} confirmed in block ${results.transaction.receipt.blockNumber}`);
+            return operation.read(stem, operationArgs, next);
+        }],
+    }, (err, results) => {
+        if (err) {
+            return callback(err);
+        }
+
+        const { transactionHash, receipt } = results.transaction;
+        const expected = operation.expect(results.before, operationArgs);
+        if (results.after !== expected) {
+            return callback(new StateVerificationError(
+                `${operationName} was confirmed in transaction ${transactionHash}, but the contract state is ${results.after} rather than ${expected}`,
+                expected,
+                results.after,
+                receipt,
+            ));
+        }
+
+        return callback(null, {
+            operation: operationName,
+            args: operationArgs,
+            transactionHash,
+            receipt,
+            before: results.before,
+            after: results.after,
+        });
+    });
+}
+
+module.exports = {
+    adminOperations,
+    checkMastery,
+    runAdminOperation,
+    stemInfo,
+};
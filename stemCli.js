@@ -0,0 +1,434 @@
+#!/usr/bin/env node
+
+/**
+ * @file
+ * This script administers a deployed Stem token. It has a subcommand for each operation reserved to
+ * the stem master (see stemAdmin.js), which checks that the sender is the stem master before
+ * sending anything and confirms the change to the contract state once the transaction is
+ * confirmed, and an `info` subcommand which reports the state of the token.
+ *
+ * Holders of the token can check balances and allowances, and transfer and approve tokens (see
+ * stemHolder.js), including changing allowances safely with setAllowance. Amounts are given and
+ * shown in human units, with the number of decimals given by --decimals.
+ *
+ * The `migrate` subcommand reclaims balances from an old Stem contract into the token (see
+ * stemMigration.js).
+ *
+ * The token is identified by its address, or looked up in the deployment registry.
+ */
+
+const { coerceArguments } = require('./abiArguments.js');
+const {
+    addConfirmationOptions,
+    addGasOptions,
+    addProviderOptions,
+    addSigningOptions,
+    makeClient,
+    resolveSenderAddress,
+    signerFromArgv,
+} = require('./cliOptions.js');
+const connect = require('./connect.js');
+const { fromOptions } = require('./gasStrategies.js');
+const _ = require('lodash');
+const path = require('path');
+const { adminOperations, runAdminOperation, stemInfo } = require('./stemAdmin.js');
+const stemHolder = require('./stemHolder.js');
+const {
+    checkMigration,
+    formatMigration,
+    formatReconciliation,
+    listHolders,
+    migrateBalances,
+} = require('./stemMigration.js');
+const { fromBaseUnits, parseDecimals, toBaseUnits } = require('./tokenUnits.js');
+const yargs = require('yargs');
+
+/**
+ * Prints an error and exits.
+ *
+ * @param {Error} err - Error to report
+ */
+function exitWithError(err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+}
+
+/**
+ * Connects to the node and to the Stem token specified by the parsed arguments, and passes them to
+ * an action.
+ *
+ * @param {Object} argv - Parsed arguments
+ * @param {boolean} sendsTransactions - Whether the action sends transactions, in which case a
+ * sender address is required
+ * @param {Function} action - Called with the web3 client, the Stem contract instance and the sender
+ * address
+ */
+function withStem(argv, sendsTransactions, action) {
+    let signer;
+    let senderAddress;
+    try {
+        signer = signerFromArgv(argv);
+        senderAddress = resolveSenderAddress(argv.senderAddress, signer);
+    } catch (e) {
+        return exitWithError(e);
+    }
+
+    if (sendsTransactions && !senderAddress) {
+        return exitWithError(new Error('No sender address specified: use --sender-address, or sign transactions locally'));
+    }
+
+    const web3 = makeClient(argv.provider, argv.providerType, { signer, chainId: argv.chainId });
+    const contractPath = path.resolve(argv.contractFile);
+
+    if (argv.stemAddress) {
+        let stem;
+        try {
+            stem = connect(argv.stemAddress, web3, contractPath, argv.contractName);
+        } catch (e) {
+            return exitWithError(e);
+        }
+        return action(web3, stem, senderAddress);
+    }
+
+    return connect.fromRegistry(
+        web3,
+        contractPath,
+        argv.contractName,
+        { registryPath: argv.registry, registryName: argv.registryName },
+        (err, stem) => {
+            if (err) {
+                return exitWithError(err);
+            }
+            return action(web3, stem, senderAddress);
+        },
+    );
+}
+
+/**
+ * Prints an amount of tokens in human units, followed by the amount in base units.
+ *
+ * @param {string} label - Label for the amount
+ * @param {string|Object} baseUnits - Amount in base units, as a decimal string or BigNumber
+ * @param {number} decimals - Number of decimals of the token
+ */
+function showAmount(label, baseUnits, decimals) {
+    console.log(`${label}: ${fromBaseUnits(baseUnits, decimals)} (${baseUnits.toString(10)} base units)`);
+}
+
+/**
+ * Prints the state of the Stem token.
+ *
+ * @param {Object} argv - Parsed arguments
+ */
+function showInfo(argv) {
+    withStem(argv, false, (web3, stem) => stemInfo(stem, (err, info) => {
+        if (err) {
+            return exitWithError(err);
+        }
+        console.log(`Address: ${info.address}`);
+        console.log(`Name: ${info.name}`);
+        console.log(`Symbol: ${info.symbol}`);
+        showAmount('Total supply', info.totalSupply, argv.decimals);
+        console.log(`Stem master: ${info.stemMaster}`);
+        showAmount('Balance of stem master', info.masterBalance, argv.decimals);
+        return process.exit(0);
+    }));
+}
+
+/**
+ * Builds the gas strategy and the transaction options specified by the parsed arguments.
+ *
+ * @param {Object} web3 - Web3 client
+ * @param {Object} argv - Parsed arguments
+ * @param {string} senderAddress - Address from which to send transactions
+ * @returns {Object} Transaction options (see stemAdmin.js and stemHolder.js)
+ * @throws {Error} If the gas options are inconsistent
+ */
+function transactionOptions(web3, argv, senderAddress) {
+    const gasStrategy = fromOptions(web3, argv);
+    console.log(`Gas strategy: ${gasStrategy.description}`);
+    return {
+        from: senderAddress,
+        gasStrategy,
+        confirmations: argv.confirmations,
+        timeout: argv.timeout,
+        decimals: argv.decimals,
+        log: message => console.log(message),
+    };
+}
+
+/**
+ * Produces the handler for the subcommand performing an administration operation.
+ *
+ * @param {string} operationName - Name of the operation (see stemAdmin.js)
+ * @returns {Function} Handler, taking the parsed arguments
+ */
+function adminHandler(operationName) {
+    const { params } = adminOperations[operationName];
+
+    return argv => withStem(argv, true, (web3, stem, senderAddress) => {
+        let operationArgs;
+        let options;
+        try {
+            const { inputs } = _.find(stem.abi, { type: 'function', name: operationName });
+            operationArgs = coerceArguments(inputs, params.map(param => argv[param]));
+            options = transactionOptions(web3, argv, senderAddress);
+        } catch (e) {
+            return exitWithError(e);
+        }
+
+        return runAdminOperation(
+            web3,
+            stem,
+            operationName,
+            operationArgs,
+            options,
+            (err, report) => {
+                if (err) {
+                    return exitWithError(err);
+                }
+                console.log(`${operationName} confirmed: ${report.before} -> ${report.after}`);
+                return process.exit(0);
+            },
+        );
+    });
+}
+
+/**
+ * Produces the handler for a subcommand performing a holder operation (see stemHolder.js).
+ *
+ * @param {string} operationName - Name of the operation in stemHolder.js, e.g. "transferFrom"
+ * @param {string[]} params - Names of the positional arguments of the subcommand; the last of them
+ * is the amount, in human units
+ * @param {string} [methodName] - Name of the contract method whose ABI declares the types of the
+ * arguments (default: operationName)
+ * @returns {Function} Handler, taking the parsed arguments
+ */
+function holderHandler(operationName, params, methodName = operationName) {
+    return argv => withStem(argv, true, (web3, stem, senderAddress) => {
+        let methodArgs;
+        let options;
+        try {
+            const { inputs } = _.find(stem.abi, { type: 'function', name: methodName });
+            const rawArgs = params.map(param => argv[param]);
+            rawArgs[rawArgs.length - 1] = toBaseUnits(_.last(rawArgs), argv.decimals);
+            methodArgs = coerceArguments(inputs, rawArgs);
+            options = transactionOptions(web3, argv, senderAddress);
+        } catch (e) {
+            return exitWithError(e);
+        }
+
+        return stemHolder[operationName](web3, stem, ...methodArgs, options, (err, result) => {
+            if (err) {
+                return exitWithError(err);
+            }
+            if (result.steps) {
+                showAmount('Allowance', result.after, argv.decimals);
+            } else {
+                console.log(`${operationName} confirmed in transaction ${result.transactionHash} (block ${result.receipt.blockNumber})`);
+            }
+            return process.exit(0);
+        });
+    });
+}
+
+/**
+ * Reclaims balances from an old Stem contract into the token, or with --check-only reports which
+ * balances could be reclaimed.
+ *
+ * @param {Object} argv - Parsed arguments
+ */
+function migrate(argv) {
+    withStem(argv, !argv.checkOnly, (web3, newStem, senderAddress) => {
+        let oldStem;
+        let options;
+        try {
+            oldStem = connect(argv.oldStem, web3, path.resolve(argv.contractFile), 'Stem');
+            options = _.assign(transactionOptions(web3, argv, senderAddress), {
+                fromBlock: argv.fromBlock,
+                accounts: argv.account,
+                holders: argv.holder.length > 0 ? argv.holder : undefined,
+                concurrency: argv.concurrency,
+            });
+        } catch (e) {
+            return exitWithError(e);
+        }
+
+        if (argv.checkOnly) {
+            const holders = next => (options.holders ?
+                next(null, options.holders) :
+                listHolders(oldStem, options, next));
+            return holders((holdersErr, accounts) => {
+                if (holdersErr) {
+                    return exitWithError(holdersErr);
+                }
+                return checkMigration(oldStem, newStem, accounts, (err, migration) => {
+                    if (err) {
+                        return exitWithError(err);
+                    }
+                    console.log(formatMigration(migration, argv.decimals));
+                    return process.exit(0);
+                });
+            });
+        }
+
+        return migrateBalances(web3, oldStem, newStem, options, (err, report) => {
+            if (err) {
+                return exitWithError(err);
+            }
+            console.log(formatMigration(report.migration, argv.decimals));
+            console.log(formatReconciliation(report, argv.decimals));
+            const complete = report.reconciled &&
+                report.batch.succeeded === report.accounts.length;
+            return process.exit(complete ? 0 : 1);
+        });
+    });
+}
+
+yargs
+    .usage('$0 [--provider-type {ipc|http|ws}] --provider PATH_TO_PROVIDER [--stem-address ADDRESS] COMMAND')
+    .option('stem-address', {
+        alias: 'a',
+        describe: 'Address of the Stem token (default: looked up in the deployment registry)',
+        type: 'string',
+    })
+    .option('contract-file', {
+        alias: ['c', 'artifact'],
+        describe: 'Path to the Stem solidity file, or to a build artifact for it',
+        type: 'string',
+        default: path.resolve(__dirname, 'src/stem.sol'),
+    })
+    .option('contract-name', {
+        alias: 'n',
+        describe: 'Name of the Stem contract in the contract file',
+        type: 'string',
+        default: 'Stem',
+    })
+    .option('registry-name', {
+        describe: 'Name under which the Stem token is recorded in the deployment registry (default: the contract name)',
+        type: 'string',
+    })
+    .option('registry', {
+        describe: 'Path to the deployment registry (default: $NRN_BRAINSTEM_REGISTRY or ./deployments.json)',
+        type: 'string',
+    })
+    .option('sender-address', {
+        alias: 's',
+        describe: 'Address from which to send transactions',
+        type: 'string',
+    })
+    .option('decimals', {
+        describe: 'Number of decimals with which token amounts are given and shown',
+        type: 'string',
+        default: '0',
+        coerce: parseDecimals,
+    })
+    .command('info', 'Show the name, symbol, supply and stem master of the token', () => {}, showInfo)
+    .command(
+        'balanceOf <owner>',
+        'Show the balance of an account',
+        commandYargs => commandYargs.positional('owner', { type: 'string' }),
+        argv => withStem(argv, false, (web3, stem) => stem.balanceOf(argv.owner, (err, balance) => {
+            if (err) {
+                return exitWithError(err);
+            }
+            showAmount(`Balance of ${argv.owner}`, balance, argv.decimals);
+            return process.exit(0);
+        })),
+    )
+    .command(
+        'allowance <owner> <spender>',
+        'Show how many tokens an account has allowed another to transfer',
+        commandYargs => commandYargs
+            .positional('owner', { type: 'string' })
+            .positional('spender', { type: 'string' }),
+        argv => withStem(argv, false, (web3, stem) => stem.allowance(
+            argv.owner,
+            argv.spender,
+            (err, allowance) => {
+                if (err) {
+                    return exitWithError(err);
+                }
+                showAmount(`Allowance of ${argv.spender} from ${argv.owner}`, allowance, argv.decimals);
+                return process.exit(0);
+            },
+        )),
+    );
+
+[
+    ['transfer', ['to', 'amount'], 'Transfer tokens from the sender to another account'],
+    ['transferFrom', ['owner', 'to', 'amount'], 'Transfer tokens which another account has allowed the sender to transfer'],
+    ['approve', ['spender', 'amount'], 'Allow another account to transfer tokens from the sender'],
+    ['setAllowance', ['spender', 'amount'], 'Change the allowance of another account to transfer tokens from the sender, resetting it to zero first if necessary', 'approve'],
+].forEach(([operationName, params, description, methodName]) => {
+    yargs.command(
+        [operationName].concat(params.map(param => `<${param}>`)).join(' '),
+        description,
+        commandYargs => params.reduce(
+            (builder, param) => builder.positional(param, { type: 'string' }),
+            commandYargs,
+        ),
+        holderHandler(operationName, params, methodName),
+    );
+});
+
+yargs.command(
+    'migrate <oldStem>',
+    'Reclaim the balances held on an old Stem contract into the token',
+    commandYargs => commandYargs
+        .positional('oldStem', { describe: 'Address of the old Stem contract', type: 'string' })
+        .option('from-block', {
+            describe: 'Block from which to scan the old contract for Transfer events',
+            type: 'number',
+            default: 0,
+        })
+        .option('account', {
+            describe: 'Further account to check for a balance on the old contract, e.g. one which received minted tokens (may be specified multiple times)',
+            type: 'array',
+            string: true,
+            default: [],
+        })
+        .option('holder', {
+            describe: 'Account whose balance to reclaim, instead of scanning for holders (may be specified multiple times)',
+            type: 'array',
+            string: true,
+            default: [],
+        })
+        .option('concurrency', {
+            describe: 'Largest number of reclamations in flight at once',
+            type: 'number',
+            default: 10,
+        })
+        .option('check-only', {
+            describe: 'Only report which balances can be reclaimed, without sending anything',
+            type: 'boolean',
+            default: false,
+        })
+        // Reclamations make nested calls, for which gas estimates fall short (see stemMigration.js)
+        .default('gas-multiplier', '2'),
+    migrate,
+);
+
+_.forEach(adminOperations, (operation, operationName) => {
+    const usage = [operationName].concat(operation.params.map(param => `<${param}>`)).join(' ');
+    yargs.command(
+        usage,
+        `${operation.description} (stem master only)`,
+        commandYargs => operation.params.reduce(
+            (builder, param) => builder.positional(param, { type: 'string' }),
+            commandYargs,
+        ),
+        adminHandler(operationName),
+    );
+});
+
+addProviderOptions(yargs);
+addSigningOptions(yargs);
+addGasOptions(yargs);
+addConfirmationOptions(yargs);
+
+yargs
+    .demandCommand(1, 'Please specify a command')
+    .strict()
+    .help()
+    .parse();
@@ -0,0 +1,291 @@
+/**
+ * @file
+ * Operations available to any holder of a Stem token: balances, allowances, transfers and
+ * approvals.
+ *
+ * Transfers and approvals are checked against the state of the contract before they are sent, so
+ * that a transaction which the contract would reject - for want of balance or allowance (see
+ * _changeHands in stem.sol), or because an existing allowance has to be reset to zero before it is
+ * changed - is explained rather than sent. setAllowance takes care of resetting allowances. Amounts
+ * are given in base units; the `decimals` option only affects how they are shown in messages (see
+ * tokenUnits.js).
+ */
+
+const async = require('async');
+const { PreconditionError } = require('./errors');
+const { multiplier } = require('./gasStrategies');
+const getGasEstimateAndCall = require('./getGasEstimateAndCall');
+const _ = require('lodash');
+const { fromBaseUnits } = require('./tokenUnits');
+const utils = require('web3/lib/utils/utils');
+
+/**
+ * Checks that an account holds enough tokens for a transfer and, if someone else is to transfer
+ * them, that it has allowed them to transfer enough.
+ *
+ * @param {Object} stem - Web3 contract instance of the Stem contract
+ * @param {string} owner - Address of the account from which the tokens are transferred
+ * @param {string} sender - Address which sends the transfer (the owner, or the spender of an
+ * allowance)
+ * @param {string|Object} amount - Amount to transfer, in base units
+ * @param {number} [decimals] - Number of decimals with which to show amounts in messages
+ * (default: 0)
+ * @param {callback} callback - Called with a PreconditionError if the transfer would fail, or with
+ * another error if the checks could not be made
+ */
+function checkTransfer(stem, owner, sender, amount, decimals, callback) {
+    const display = value => fromBaseUnits(value, decimals || 0);
+    const isOwner = owner.toLowerCase() === sender.toLowerCase();
+
+    return async.parallel({
+        balance: next => stem.balanceOf(owner, next),
+        allowance: next => (isOwner ? next(null, null) : stem.allowance(owner, sender, next)),
+    }, (err, { balance, allowance } = {}) => {
+        if (err) {
+            return callback(err);
+        }
+
+        const required = utils.toBigNumber(amount).toString(10);
+        if (balance.lessThan(amount)) {
+            return callback(new PreconditionError(
+                `${owner} holds ${display(balance)} tokens, which is less than the ${display(amount)} to transfer`,
+                { required, actual: balance.toString(10) },
+            ));
+        }
+        if (!isOwner && allowance.lessThan(amount)) {
+            return callback(new PreconditionError(
+                `${owner} has allowed ${sender} to transfer ${display(allowance)} tokens, which is less than the ${display(amount)} to transfer`,
+                { required, actual: allowance.toString(10) },
+            ));
+        }
+        return callback();
+    });
+}
+
+/**
+ * Checks that an allowance can be set. The Stem contract only lets allowances change from or to
+ * zero.
+ *
+ * @param {Object} stem - Web3 contract instance of the Stem contract
+ * @param {string} owner - Address of the account whose tokens may be spent
+ * @param {string} spender - Address which may spend them
+ * @param {string|Object} amount - New allowance, in base units
+ * @param {number} [decimals] - Number of decimals with which to show amounts in messages
+ * (default: 0)
+ * @param {callback} callback - Called with a PreconditionError if the approval would fail, or with
+ * another error if the check could not be made
+ */
+function checkApproval(stem, owner, spender, amount, decimals, callback) {
+    return stem.allowance(owner, spender, (err, allowance) => {
+        if (err) {
+            return callback(err);
+        }
+        if (!utils.toBigNumber(amount).isZero() && !allowance.isZero()) {
+            return callback(new PreconditionError(
+                `${owner} has already allowed ${spender} to transfer ${fromBaseUnits(allowance, decimals || 0)} tokens; the allowance has to be set to zero before it can be changed`,
+                { required: '0', actual: allowance.toString(10) },
+            ));
+        }
+        return callback();
+    });
+}
+
+/**
+ * Sends a transaction to the Stem contract once a check has passed.
+ *
+ * @param {Object} web3 - Web3 client
+ * @param {Function} check - Function taking a callback, which it calls with an error if the
+ * transaction should not be sent
+ * @param {Function} contractMethod - Contract method to call
+ * @param {Array} methodArgs - Arguments to the contract method
+ * @param {Object} options - Transaction options (see transfer)
+ * @param {callback} callback - Called with an error, or with null and the `transactionHash` and
+ * `receipt` of the transaction
+ */
+function checkAndSend(web3, check, contractMethod, methodArgs, options, callback) {
+    const sendTransaction = getGasEstimateAndCall.withReceipts(
+        web3,
+        _.pick(options, ['confirmations', 'timeout', 'pollInterval']),
+    );
+
+    return check((checkErr) => {
+        if (checkErr) {
+            return callback(checkErr);
+        }
+        return sendTransaction(
+            contractMethod,
+            options.from,
+            options.gasStrategy || multiplier(1),
+            ...methodArgs,
+            (err, transactionHash, receipt) => {
+                if (err) {
+                    return callback(err);
+                }
+                return callback(null, { transactionHash, receipt });
+            },
+        );
+    });
+}
+
+/**
+ * Transfers tokens from the sender to another account.
+ *
+ * @param {Object} web3 - Web3 client
+ * @param {Object} stem - Web3 contract instance of the Stem contract
+ * @param {string} to - Address of the recipient
+ * @param {string|Object} amount - Amount to transfer, in base units
+ * @param {Object} options - Transaction options
+ * @param {string} options.from - Address of the sender
+ * @param {Function|Object} [options.gasStrategy] - Gas strategy, or assignGas function (see
+ * gasStrategies.js; default: the gas estimate)
+ * @param {number} [options.confirmations] - Number of confirmations to wait for (see
+ * waitForReceipt.js)
+ * @param {number} [options.timeout] - Number of milliseconds to wait for the transaction to be
+ * confirmed
+ * @param {number} [options.decimals] - Number of decimals with which to show amounts in messages
+ * @param {callback} callback - Called with an error - a PreconditionError if the sender does not
+ * hold enough tokens, or a ContractCallError if the transaction fails - or with null and the
+ * `transactionHash` and `receipt` of the transfer
+ */
+function transfer(web3, stem, to, amount, options, callback) {
+    return checkAndSend(
+        web3,
+        done => checkTransfer(stem, options.from, options.from, amount, options.decimals, done),
+        stem.transfer,
+        [to, amount],
+        options,
+        callback,
+    );
+}
+
+/**
+ * Transfers tokens from an account which has allowed the sender to transfer them.
+ *
+ * @param {Object} web3 - Web3 client
+ * @param {Object} stem - Web3 contract instance of the Stem contract
+ * @param {string} owner - Address of the account from which to transfer the tokens
+ * @param {string} to - Address of the recipient
+ * @param {string|Object} amount - Amount to transfer, in base units
+ * @param {Object} options - Transaction options (see transfer)
+ * @param {callback} callback - Called with an error - a PreconditionError if the owner does not
+ * hold enough tokens or has not allowed the sender to transfer enough, or a ContractCallError if
+ * the transaction fails - or with null and the `transactionHash` and `receipt` of the transfer
+ */
+function transferFrom(web3, stem, owner, to, amount, options, callback) {
+    return checkAndSend(
+        web3,
+        done => checkTransfer(stem, owner, options.from, amount, options.decimals, done),
+        stem.transferFrom,
+        [owner, to, amount],
+        options,
+        callback,
+    );
+}
+
+/**
+ * Allows another account to transfer tokens from the sender.
+ *
+ * @param {Object} web3 - Web3 client
+ * @param {Object} stem - Web3 contract instance of the Stem contract
+ * @param {string} spender - Address of the account which may transfer the tokens
+ * @param {string|Object} amount - Allowance, in base units
+ * @param {Object} options - Transaction options (see transfer)
+ * @param {callback} callback - Called with an error - a PreconditionError if an existing allowance
+ * has to be reset to zero first, or a ContractCallError if the transaction fails - or with null
+ * and the `transactionHash` and `receipt` of the approval
+ */
+function approve(web3, stem, spender, amount, options, callback) {
+    return checkAndSend(
+        web3,
+        done => checkApproval(stem, options.from, spender, amount, options.decimals, done),
+        stem.approve,
+        [spender, amount],
+        options,
+        callback,
+    );
+}
+
+/**
+ * Sets the allowance of another account to transfer tokens from the sender to any amount. Since the
+ * Stem contract only lets allowances change from or to zero, an existing allowance is first reset
+ * to zero, and the new allowance is only set once the reset is confirmed. Note that the spender
+ * can still transfer tokens under the old allowance until the reset is mined.
+ *
+ * @param {Object} web3 - Web3 client
+ * @param {Object} stem - Web3 contract instance of the Stem contract
+ * @param {string} spender - Address of the account which may transfer the tokens
+ * @param {string|Object} amount - New allowance, in base units
+ * @param {Object} options - Transaction options (see transfer)
+ * @param {Function} [options.log] - Called with a message as each step completes
+ * @param {callback} callback - Called with an error (a ContractCallError if either transaction
+ * fails), or with null and a report of the allowance `before` and `after` (decimal strings) and the
+ * `steps` taken - each with its `action` ("reset" or "set"), `transactionHash` and `receipt`
+ */
+function setAllowance(web3, stem, spender, amount, options, callback) {
+    const owner = options.from;
+    const target = utils.toBigNumber(amount);
+    const display = value => fromBaseUnits(value, options.decimals || 0);
+    const log = options.log || _.noop;
+    const steps = [];
+
+    function approveStep(action, value, next) {
+        log(`${action === 'reset' ? 'Resetting' : 'Setting'} allowance of ${spender} from ${owner} to ${display(value)}...`);
+        return approve(web3, stem, spender, value.toString(10), options, (err, result) => {
+            if (err) {
+                return next(err);
+            }
+            log(`Allowance ${action === 'reset' ? 'reset' : 'set'} in transaction ${result.transactionHash} (block ${result.receipt.blockNumber})`);
+            steps.push(Object.assign({ action }, result));
+            return next();
+        });
+    }
+
+    return stem.allowance(owner, spender, (err, before) => {
+        if (err) {
+            return callback(err);
+        }
+
+        log(`Current allowance of ${spender} from ${owner}: ${display(before)}`);
+        if (before.equals(target)) {
+            log('Allowance is already at the requested amount; nothing to do');
+            return callback(null, {
+                before: before.toString(10),
+                after: before.toString(10),
+                steps,
+            });
+        }
+
+        const actions = [];
+        if (!before.isZero()) {
+            actions.push(next => approveStep('reset', utils.toBigNumber(0), next));
+        }
+        if (!target.isZero()) {
+            actions.push(next => approveStep('set', target, next));
+        }
+
+        return async.series(actions, (approveErr) => {
+            if (approveErr) {
+                return callback(approveErr);
+            }
+            return stem.allowance(owner, spender, (afterErr, after) => {
+                if (afterErr) {
+                    return callback(afterErr);
+                }
+                return callback(null, {
+                    before: before.toString(10),
+                    after: after.toString(10),
+                    steps,
+                });
+            });
+        });
+    });
+}
+
+module.exports = {
+    approve,
+    checkApproval,
+    checkTransfer,
+    setAllowance,
+    transfer,
+    transferFrom,
+};
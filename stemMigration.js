@@ -0,0 +1,287 @@
+/**
+ * @file
+ * Migration of balances from an old Stem contract to a new one, through the new contract's
+ * reclaimBalanceFrom method. For a balance to be reclaimed, the stem master of the new contract
+ * must have whitelisted the old contract (whitelistContractForReclamation), and the holder must
+ * have approved the new contract to transfer their balance on the old one. Reclamations can then
+ * be sent by anyone.
+ *
+ * Holders are found by scanning the Transfer events of the old contract. Tokens which were minted
+ * (by the constructor or increaseSupply) rather than transferred do not show up in those events,
+ * so the stem master of the old contract is always checked as well, and other accounts can be
+ * added explicitly.
+ */
+
+const async = require('async');
+const { formatReport, sendBatch } = require('./batchSender');
+const { PreconditionError } = require('./errors');
+const { multiplier } = require('./gasStrategies');
+const _ = require('lodash');
+const { fromBaseUnits } = require('./tokenUnits');
+const utils = require('web3/lib/utils/utils');
+
+// reclaimBalanceFrom calls back into the old contract and into itself, and gas estimates for such
+// nested calls fall short of what the outer call needs to leave the inner ones
+const RECLAMATION_GAS_MULTIPLIER = 2;
+
+/**
+ * Lists the accounts which hold a balance on a Stem contract.
+ *
+ * @param {Object} stem - Web3 contract instance of the Stem contract
+ * @param {Object} [options] - Scan options
+ * @param {number} [options.fromBlock] - Block from which to scan for Transfer events (default: 0)
+ * @param {string[]} [options.accounts] - Further accounts to check
+ * @param {callback} callback - Called with an error, or with null and the addresses of the accounts
+ * with a non-zero balance, in the order in which they were first seen
+ */
+function listHolders(stem, options, callback) {
+    const transfers = stem.Transfer({}, { fromBlock: options.fromBlock || 0, toBlock: 'latest' });
+
+    return async.parallel({
+        events: next => transfers.get(next),
+        stemMaster: next => stem.stemMaster(next),
+    }, (err, { events, stemMaster } = {}) => {
+        if (err) {
+            return callback(err);
+        }
+
+        const candidates = _.uniq([stemMaster]
+            .concat(_.flatMap(events, event => _.at(event.args, ['_from', '_to'])))
+            .concat(options.accounts || [])
+            .map(account => account.toLowerCase()));
+
+        return async.filterSeries(
+            candidates,
+            (account, next) => stem.balanceOf(account, (balanceErr, balance) => next(
+                balanceErr,
+                balance && !balance.isZero(),
+            )),
+            callback,
+        );
+    });
+}
+
+/**
+ * Checks which balances can be reclaimed from an old Stem contract by a new one.
+ *
+ * @param {Object} oldStem - Web3 contract instance of the old Stem contract
+ * @param {Object} newStem - Web3 contract instance of the new Stem contract
+ * @param {string[]} holders - Addresses of the accounts holding balances on the old contract
+ * @param {callback} callback - Called with an error, or with null and the status of the migration:
+ * whether the old contract is `whitelisted` by the new one, and for each of the `holders` the
+ * `account`, its `balance` on the old contract and the `allowance` it has given the new contract
+ * there (decimal strings), and its `status` - "ready" if the balance can be reclaimed,
+ * "needs-approval" if the allowance does not cover the balance, "empty" if there is no balance, or
+ * "reclaimed" for the new contract itself, which holds the balances reclaimed so far
+ */
+function checkMigration(oldStem, newStem, holders, callback) {
+    return async.parallel({
+        whitelisted: next => newStem.reclamationWhitelist(oldStem.address, next),
+        holders: next => async.mapSeries(holders, (account, holderNext) => async.parallel({
+            balance: balanceNext => oldStem.balanceOf(account, balanceNext),
+            allowance: allowanceNext => oldStem.allowance(
+                account,
+                newStem.address,
+                allowanceNext,
+            ),
+        }, (err, { balance, allowance } = {}) => {
+            if (err) {
+                return holderNext(err);
+            }
+            let status = allowance.lessThan(balance) ? 'needs-approval' : 'ready';
+            if (account.toLowerCase() === newStem.address.toLowerCase()) {
+                // The new contract holds the balances it has already reclaimed
+                status = 'reclaimed';
+            } else if (balance.isZero()) {
+                // The new contract cannot reclaim nothing: its increaseSupply would fail
+                status = 'empty';
+            }
+            return holderNext(null, {
+                account,
+                balance: balance.toString(10),
+                allowance: allowance.toString(10),
+                status,
+            });
+        }), next),
+    }, callback);
+}
+
+/**
+ * Reads the balances of accounts on the old and new Stem contracts, and the supply of the new one.
+ *
+ * @param {Object} oldStem - Web3 contract instance of the old Stem contract
+ * @param {Object} newStem - Web3 contract instance of the new Stem contract
+ * @param {string[]} accounts - Addresses of the accounts
+ * @param {callback} callback - Called with an error, or with null and the `newSupply` and the
+ * `oldBalances` and `newBalances` of the accounts (BigNumbers)
+ */
+function readBalances(oldStem, newStem, accounts, callback) {
+    return async.parallel({
+        newSupply: next => newStem.totalSupply(next),
+        oldBalances: next => async.mapSeries(
+            accounts,
+            (account, balanceNext) => oldStem.balanceOf(account, balanceNext),
+            next,
+        ),
+        newBalances: next => async.mapSeries(
+            accounts,
+            (account, balanceNext) => newStem.balanceOf(account, balanceNext),
+            next,
+        ),
+    }, callback);
+}
+
+/**
+ * Reclaims the balances of the holders of an old Stem contract into a new one, and reconciles the
+ * balances and supply of the two contracts afterwards.
+ *
+ * @param {Object} web3 - Web3 client
+ * @param {Object} oldStem - Web3 contract instance of the old Stem contract
+ * @param {Object} newStem - Web3 contract instance of the new Stem contract
+ * @param {Object} options - Migration options
+ * @param {string} options.from - Address from which to send the reclamations
+ * @param {string[]} [options.holders] - Accounts whose balances to reclaim (default: those listed
+ * by listHolders)
+ * @param {number} [options.fromBlock] - Block from which to scan for holders (see listHolders)
+ * @param {string[]} [options.accounts] - Further accounts to check for balances (see listHolders)
+ * @param {Function|Object} [options.gasStrategy] - Gas strategy for the reclamations (default:
+ * twice the gas estimate; see batchSender.js, as for the `concurrency`, `confirmations` and
+ * `timeout` options)
+ * @param {Function} [options.log] - Called with a message as each step completes
+ * @param {callback} callback - Called with an error - a PreconditionError if the old contract has
+ * not been whitelisted by the new one - or with null and the reconciliation report: the status of
+ * the migration (see checkMigration), the `batch` report for the reclamations (see batchSender.js),
+ * the supply of the new contract `before` and `after` and the amount `reclaimed` (decimal
+ * strings), the `accounts` whose balances were reclaimed with their balances on both contracts
+ * before and after, and whether the balances and supply were `reconciled`
+ */
+function migrateBalances(web3, oldStem, newStem, options, callback) {
+    const log = options.log || _.noop;
+
+    return async.auto({
+        holders: next => (options.holders ?
+            next(null, options.holders) :
+            listHolders(oldStem, options, next)),
+        migration: ['holders', (results, next) => {
+            log(`Found ${results.holders.length} accounts with balances on ${oldStem.address}`);
+            return checkMigration(oldStem, newStem, results.holders, next);
+        }],
+        ready: ['migration', (results, next) => {
+            if (!results.migration.whitelisted) {
+                return next(new PreconditionError(
+                    `The Stem contract at ${newStem.address} has not whitelisted ${oldStem.address} for reclamation; its stem master must call whitelistContractForReclamation first`,
+                    { required: true, actual: false },
+                ));
+            }
+            const ready = results.migration.holders.filter(holder => holder.status === 'ready');
+            const unapproved = results.migration.holders
+                .filter(holder => holder.status === 'needs-approval');
+            log(`${ready.length} accounts are ready to be reclaimed, ${unapproved.length} still have to approve ${newStem.address}`);
+            return next(null, ready);
+        }],
+        before: ['ready', (results, next) => readBalances(
+            oldStem,
+            newStem,
+            _.map(results.ready, 'account'),
+            next,
+        )],
+        batch: ['before', (results, next) => sendBatch(
+            web3,
+            results.ready.map(holder => ({
+                contractMethod: newStem.reclaimBalanceFrom,
+                args: [oldStem.address, holder.account, holder.balance],
+                description: `Reclaim ${holder.balance} for ${holder.account}`,
+            })),
+            _.defaults({}, options, { gasStrategy: multiplier(RECLAMATION_GAS_MULTIPLIER) }),
+            next,
+        )],
+        after: ['batch', (results, next) => readBalances(
+            oldStem,
+            newStem,
+            _.map(results.ready, 'account'),
+            next,
+        )],
+    }, (err, results) => {
+        if (err) {
+            return callback(err);
+        }
+
+        const { before, after } = results;
+        let reclaimed = utils.toBigNumber(0);
+        let balancesReconciled = true;
+        const accounts = results.ready.map((holder, index) => {
+            const succeeded = results.batch.results[index].status === 'succeeded';
+            const amount = succeeded ? holder.balance : '0';
+            reclaimed = reclaimed.plus(amount);
+            const account = {
+                account: holder.account,
+                status: results.batch.results[index].status,
+                reclaimed: amount,
+                oldBalanceBefore: before.oldBalances[index].toString(10),
+                oldBalanceAfter: after.oldBalances[index].toString(10),
+                newBalanceBefore: before.newBalances[index].toString(10),
+                newBalanceAfter: after.newBalances[index].toString(10),
+            };
+            balancesReconciled = balancesReconciled &&
+                before.oldBalances[index].minus(amount).equals(after.oldBalances[index]) &&
+                before.newBalances[index].plus(amount).equals(after.newBalances[index]);
+            return account;
+        });
+
+        return callback(null, {
+            oldStem: oldStem.address,
+            newStem: newStem.address,
+            migration: results.migration,
+            batch: results.batch,
+            accounts,
+            before: before.newSupply.toString(10),
+            after: after.newSupply.toString(10),
+            reclaimed: reclaimed.toString(10),
+            reconciled: balancesReconciled &&
+                before.newSupply.plus(reclaimed).equals(after.newSupply),
+        });
+    });
+}
+
+/**
+ * Formats the status of a migration (see checkMigration) for display.
+ *
+ * @param {Object} migration - Status of the migration
+ * @param {number} [decimals] - Number of decimals with which to show amounts (default: 0)
+ * @returns {string} Formatted status
+ */
+function formatMigration(migration, decimals = 0) {
+    const lines = [`Old contract whitelisted: ${migration.whitelisted ? 'yes' : 'no'}`];
+    migration.holders.forEach((holder) => {
+        lines.push(`${holder.account}: balance ${fromBaseUnits(holder.balance, decimals)}, approved ${fromBaseUnits(holder.allowance, decimals)} - ${holder.status}`);
+    });
+    return lines.join('\n');
+}
+
+/**
+ * Formats a reconciliation report (see migrateBalances) for display.
+ *
+ * @param {Object} report - Reconciliation report
+ * @param {number} [decimals] - Number of decimals with which to show amounts (default: 0)
+ * @returns {string} Formatted report
+ */
+function formatReconciliation(report, decimals = 0) {
+    const display = value => fromBaseUnits(value, decimals);
+    const lines = [formatReport(report.batch), '', 'Reconciliation:'];
+    report.accounts.forEach((account) => {
+        lines.push(`${account.account} (${account.status}): old ${display(account.oldBalanceBefore)} -> ${display(account.oldBalanceAfter)}, new ${display(account.newBalanceBefore)} -> ${display(account.newBalanceAfter)}`);
+    });
+    lines.push(`Supply of ${report.newStem}: ${display(report.before)} + ${display(report.reclaimed)} reclaimed = ${display(report.after)}`);
+    lines.push(report.reconciled ?
+        'Balances and supply reconcile.' :
+        'Balances and supply DO NOT reconcile - other transactions may have touched these accounts during the migration.');
+    return lines.join('\n');
+}
+
+module.exports = {
+    checkMigration,
+    formatMigration,
+    formatReconciliation,
+    listHolders,
+    migrateBalances,
+};
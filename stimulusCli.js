@@ -0,0 +1,275 @@
+#!/usr/bin/env node
+
+/**
+ * @file
+ * This script lets the principal investigator (PI) of a data trial review the requests made to its
+ * Stimulus contract (see stimulusReview.js): the `pending` subcommand lists the enrollments and
+ * data submissions awaiting a decision, `accept` and `reject` decide on one of them, and `respond`
+ * sends the decisions listed in a CSV file - such as the output of `pending --csv`, with the
+ * decision column filled in.
+ *
+ * Before any decision is sent, the script checks that the sender is the PI and that the PI's Stem
+ * allowance to the Stimulus contract covers the rewards of the accepted requests.
+ *
+ * The Stimulus contract is identified by its address, or looked up in the deployment registry; the
+ * Stem token it pays rewards in is the one it records.
+ */
+
+const {
+    addConfirmationOptions,
+    addGasOptions,
+    addProviderOptions,
+    addSigningOptions,
+    makeClient,
+    resolveSenderAddress,
+    signerFromArgv,
+} = require('./cliOptions.js');
+const { formatReport } = require('./batchSender.js');
+const connect = require('./connect.js');
+const fs = require('fs');
+const { fromOptions } = require('./gasStrategies.js');
+const path = require('path');
+const {
+    formatPendingRequests,
+    listPendingRequests,
+    parseDecision,
+    parseDecisions,
+    respondToRequests,
+} = require('./stimulusReview.js');
+const yargs = require('yargs');
+
+/**
+ * Prints an error and exits.
+ *
+ * @param {Error} err - Error to report
+ */
+function exitWithError(err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+}
+
+/**
+ * Connects to the node, to the Stimulus contract specified by the parsed arguments and to the Stem
+ * token it pays rewards in, and passes them to an action.
+ *
+ * @param {Object} argv - Parsed arguments
+ * @param {boolean} sendsTransactions - Whether the action sends transactions, in which case a
+ * sender address is required
+ * @param {Function} action - Called with the web3 client, the Stimulus and Stem contract instances
+ * and the sender address
+ */
+function withStimulus(argv, sendsTransactions, action) {
+    let signer;
+    let senderAddress;
+    try {
+        signer = signerFromArgv(argv);
+        senderAddress = resolveSenderAddress(argv.senderAddress, signer);
+    } catch (e) {
+        return exitWithError(e);
+    }
+
+    if (sendsTransactions && !senderAddress) {
+        return exitWithError(new Error('No sender address specified: use --sender-address, or sign transactions locally'));
+    }
+
+    const web3 = makeClient(argv.provider, argv.providerType, { signer, chainId: argv.chainId });
+    const contractPath = path.resolve(argv.contractFile);
+
+    function withStem(err, stimulus) {
+        if (err) {
+            return exitWithError(err);
+        }
+        return stimulus.nrn((nrnErr, stemAddress) => {
+            let stem;
+            try {
+                if (nrnErr) {
+                    throw nrnErr;
+                }
+                stem = connect(stemAddress, web3, path.resolve(argv.stemContractFile), 'Stem');
+            } catch (e) {
+                return exitWithError(e);
+            }
+            return action(web3, stimulus, stem, senderAddress);
+        });
+    }
+
+    if (argv.stimulusAddress) {
+        let stimulus;
+        try {
+            stimulus = connect(argv.stimulusAddress, web3, contractPath, argv.contractName);
+        } catch (e) {
+            return exitWithError(e);
+        }
+        return withStem(null, stimulus);
+    }
+
+    return connect.fromRegistry(
+        web3,
+        contractPath,
+        argv.contractName,
+        { registryPath: argv.registry, registryName: argv.registryName },
+        withStem,
+    );
+}
+
+/**
+ * Lists the requests awaiting a decision.
+ *
+ * @param {Object} argv - Parsed arguments
+ */
+function showPending(argv) {
+    withStimulus(argv, false, (web3, stimulus) => listPendingRequests(
+        stimulus,
+        { fromBlock: argv.fromBlock },
+        (err, requests) => {
+            if (err) {
+                return exitWithError(err);
+            }
+            console.log(formatPendingRequests(requests, argv.csv));
+            return process.exit(0);
+        },
+    ));
+}
+
+/**
+ * Sends decisions on requests, and reports the outcome of each.
+ *
+ * @param {Object} argv - Parsed arguments
+ * @param {Function} getDecisions - Returns the decisions to send (see stimulusReview.js), or throws
+ * an error if they cannot be determined
+ */
+function sendDecisions(argv, getDecisions) {
+    withStimulus(argv, true, (web3, stimulus, stem, senderAddress) => {
+        let decisions;
+        let gasStrategy;
+        try {
+            decisions = getDecisions();
+            gasStrategy = fromOptions(web3, argv);
+        } catch (e) {
+            return exitWithError(e);
+        }
+        console.log(`Gas strategy: ${gasStrategy.description}`);
+
+        const options = {
+            from: senderAddress,
+            gasStrategy,
+            concurrency: argv.concurrency,
+            confirmations: argv.confirmations,
+            timeout: argv.timeout,
+        };
+        return respondToRequests(web3, stimulus, stem, decisions, options, (err, report) => {
+            if (err) {
+                return exitWithError(err);
+            }
+            console.log(`Rewards: ${report.rewards} (allowance ${report.allowance}, balance ${report.balance})`);
+            console.log(formatReport(report));
+            return process.exit(report.succeeded === report.results.length ? 0 : 1);
+        });
+    });
+}
+
+/**
+ * Produces the handler for the subcommand deciding on a single request.
+ *
+ * @param {string} decision - "accept" or "reject"
+ * @returns {Function} Handler, taking the parsed arguments
+ */
+function decisionHandler(decision) {
+    return argv => sendDecisions(argv, () => [parseDecision(
+        argv.candidate,
+        argv.stimulusType,
+        argv.stimulusId,
+        decision,
+    )]);
+}
+
+yargs
+    .usage('$0 [--provider-type {ipc|http|ws}] --provider PATH_TO_PROVIDER [--stimulus-address ADDRESS] COMMAND')
+    .option('stimulus-address', {
+        alias: 'a',
+        describe: 'Address of the Stimulus contract (default: looked up in the deployment registry)',
+        type: 'string',
+    })
+    .option('contract-file', {
+        alias: ['c', 'artifact'],
+        describe: 'Path to the Stimulus solidity file, or to a build artifact for it',
+        type: 'string',
+        default: path.resolve(__dirname, 'src/stimulus.sol'),
+    })
+    .option('stem-contract-file', {
+        describe: 'Path to the Stem solidity file, or to a build artifact for it',
+        type: 'string',
+        default: path.resolve(__dirname, 'src/stem.sol'),
+    })
+    .option('contract-name', {
+        alias: 'n',
+        describe: 'Name of the Stimulus contract in the contract file',
+        type: 'string',
+        default: 'Stimulus',
+    })
+    .option('registry-name', {
+        describe: 'Name under which the Stimulus contract is recorded in the deployment registry (default: the contract name)',
+        type: 'string',
+    })
+    .option('registry', {
+        describe: 'Path to the deployment registry (default: $NRN_BRAINSTEM_REGISTRY or ./deployments.json)',
+        type: 'string',
+    })
+    .option('sender-address', {
+        alias: 's',
+        describe: 'Address from which to send transactions (the PI)',
+        type: 'string',
+    })
+    .option('concurrency', {
+        describe: 'Largest number of decisions in flight at once',
+        type: 'number',
+        default: 10,
+    })
+    .command(
+        'pending',
+        'List the enrollments and data submissions awaiting a decision',
+        commandYargs => commandYargs
+            .option('from-block', {
+                describe: 'Block from which to scan for requests',
+                type: 'number',
+                default: 0,
+            })
+            .option('csv', {
+                describe: 'Print the requests as CSV, with a decision column to fill in for the respond command',
+                type: 'boolean',
+                default: false,
+            }),
+        showPending,
+    )
+    .command(
+        'respond <decisionsFile>',
+        'Send the decisions listed in a CSV file (candidate,stimulusType,stimulusId,accept|reject)',
+        commandYargs => commandYargs.positional('decisionsFile', { type: 'string' }),
+        argv => sendDecisions(
+            argv,
+            () => parseDecisions(fs.readFileSync(argv.decisionsFile, 'utf8')),
+        ),
+    );
+
+['accept', 'reject'].forEach((decision) => {
+    yargs.command(
+        `${decision} <candidate> <stimulusType> <stimulusId>`,
+        `${decision === 'accept' ? 'Accept' : 'Reject'} an enrollment (stimulus type 0) or a data submission`,
+        commandYargs => commandYargs
+            .positional('candidate', { type: 'string' })
+            .positional('stimulusType', { type: 'string' })
+            .positional('stimulusId', { type: 'string' }),
+        decisionHandler(decision),
+    );
+});
+
+addProviderOptions(yargs);
+addSigningOptions(yargs);
+addGasOptions(yargs);
+addConfirmationOptions(yargs);
+
+yargs
+    .demandCommand(1, 'Please specify a command')
+    .strict()
+    .help()
+    .parse();
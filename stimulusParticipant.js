@@ -0,0 +1,265 @@
+/**
+ * @file
+ * Client for the participants of a data trial, through its Stimulus contract: enrolling, checking
+ * the participant's status, submitting data, and waiting for the principal investigator (PI) to
+ * respond.
+ *
+ * The contract records a status for each participant (see src/stimulus.sol), which this module
+ * names: 0 "none", 1 "enrolled", 2 "rejected" and 3 "accepted". Rejected participants cannot enroll
+ * again, and only accepted participants can submit data; calls which the contract would reject for
+ * these reasons fail with a PreconditionError rather than being sent. So do enrollments of
+ * participants who have already enrolled, which the contract would accept: enrolling sets the
+ * status back to "enrolled", so an accepted participant could no longer submit data.
+ *
+ * Every method of the client takes a callback or, without one, returns a promise.
+ */
+
+const { ArgumentError, DecisionTimeoutError, PreconditionError } = require('./errors');
+const connect = require('./connect');
+const { multiplier } = require('./gasStrategies');
+const getGasEstimateAndCall = require('./getGasEstimateAndCall');
+const _ = require('lodash');
+const path = require('path');
+const withOptionalCallback = require('./withOptionalCallback');
+
+const STATUSES = ['none', 'enrolled', 'rejected', 'accepted'];
+const STIMULUS_TYPES = 5;
+const DEFAULT_POLL_INTERVAL = 1000;
+
+/**
+ * Names a participant status recorded by the Stimulus contract.
+ *
+ * @param {number|Object} code - Status code (a number or BigNumber)
+ * @returns {string} Name of the status
+ * @throws {ArgumentError} If the code is not a known status
+ */
+function statusName(code) {
+    const name = STATUSES[Number(code)];
+    if (!name) {
+        throw new ArgumentError(`Unknown participant status ${code}`, [`${code} is not a status`]);
+    }
+    return name;
+}
+
+/**
+ * Creates a client acting on behalf of a participant in the data trial run by a Stimulus contract.
+ *
+ * @param {Object} web3 - Web3 client, able to send transactions from the participant's address
+ * @param {string} stimulusAddress - Address of the Stimulus contract
+ * @param {Object} options - Client options
+ * @param {string} options.from - Address of the participant
+ * @param {string} [options.contractPath] - Path to the Stimulus solidity file, or to a build
+ * artifact for it (default: src/stimulus.sol)
+ * @param {Function|Object} [options.gasStrategy] - Gas strategy, or assignGas function (see
+ * gasStrategies.js; default: the gas estimate)
+ * @param {number} [options.confirmations] - Number of confirmations to wait for (see
+ * waitForReceipt.js)
+ * @param {number} [options.timeout] - Number of milliseconds to wait for each transaction to be
+ * confirmed
+ * @param {number} [options.pollInterval] - Number of milliseconds between polls for receipts and
+ * decisions (default: 1000)
+ * @returns {Object} Client, with the `stimulus` contract instance, the participant's `address`,
+ * and the methods `status`, `enroll`, `submit` and `waitForDecision`
+ * @throws {CompilationError} If the Stimulus contract does not compile
+ */
+function participantClient(web3, stimulusAddress, options) {
+    const participant = options.from;
+    const stimulus = connect(
+        stimulusAddress,
+        web3,
+        options.contractPath || path.resolve(__dirname, 'src/stimulus.sol'),
+        'Stimulus',
+    );
+    const sendTransaction = getGasEstimateAndCall.withReceipts(
+        web3,
+        _.pick(options, ['confirmations', 'timeout', 'pollInterval']),
+    );
+
+    /**
+     * Reads the participant's status.
+     *
+     * @param {callback} callback - Called with an error, or with null and the name of the status
+     */
+    function status(callback) {
+        return stimulus.status(participant, (err, code) => {
+            if (err) {
+                return callback(err);
+            }
+            let name;
+            try {
+                name = statusName(code);
+            } catch (e) {
+                return callback(e);
+            }
+            return callback(null, name);
+        });
+    }
+
+    /**
+     * Checks the participant's status, then sends a transaction.
+     *
+     * @param {Function} check - Called with the name of the status; returns an error if the
+     * transaction should not be sent
+     * @param {Function} contractMethod - Contract method to call
+     * @param {Array} methodArgs - Arguments to the contract method
+     * @param {callback} callback - Called with an error, or with null and the `transactionHash` and
+     * `receipt` of the transaction
+     */
+    function checkAndSend(check, contractMethod, methodArgs, callback) {
+        return status((statusErr, currentStatus) => {
+            const checkErr = statusErr || check(currentStatus);
+            if (checkErr) {
+                return callback(checkErr);
+            }
+            return sendTransaction(
+                contractMethod,
+                participant,
+                options.gasStrategy || multiplier(1),
+                ...methodArgs,
+                (err, transactionHash, receipt) => {
+                    if (err) {
+                        return callback(err);
+                    }
+                    return callback(null, { transactionHash, receipt });
+                },
+            );
+        });
+    }
+
+    /**
+     * Asks to enroll in the data trial. Only participants who have not enrolled yet can enroll:
+     * rejected participants cannot enroll again, and enrolling again would set the status of an
+     * accepted participant back to "enrolled".
+     *
+     * @param {string|number|Object} stimulusId - Id identifying the enrollment
+     * @param {callback} callback - Called with an error - a PreconditionError if the participant
+     * has already enrolled - or with null and the `transactionHash` and `receipt` of the request
+     */
+    function enroll(stimulusId, callback) {
+        const reasons = {
+            enrolled: 'has already enrolled in the data trial run by',
+            rejected: 'has been rejected from the data trial run by',
+            accepted: 'has already been accepted into the data trial run by',
+        };
+        return checkAndSend(
+            currentStatus => (currentStatus !== 'none' ?
+                new PreconditionError(
+                    `${participant} ${reasons[currentStatus]} ${stimulus.address} and cannot enroll again`,
+                    { required: 'none', actual: currentStatus },
+                ) :
+                null),
+            stimulus.enroll,
+            [stimulusId],
+            callback,
+        );
+    }
+
+    /**
+     * Submits data to the data trial. Only participants who have been accepted can submit data.
+     *
+     * @param {number} stimulusType - Type of the data (1 to 4)
+     * @param {string|number|Object} stimulusId - Id identifying the submission
+     * @param {callback} callback - Called with an error - an ArgumentError if the stimulus type is
+     * invalid, or a PreconditionError if the participant has not been accepted - or with null and
+     * the `transactionHash` and `receipt` of the request
+     */
+    function submit(stimulusType, stimulusId, callback) {
+        const type = Number(stimulusType);
+        if (!Number.isInteger(type) || type < 1 || type >= STIMULUS_TYPES) {
+            return callback(new ArgumentError(
+                `Invalid stimulus type ${stimulusType}: data submissions have types 1 to ${STIMULUS_TYPES - 1}`,
+                [`${stimulusType} is not a submission type`],
+            ));
+        }
+        return checkAndSend(
+            currentStatus => (currentStatus !== 'accepted' ?
+                new PreconditionError(
+                    `${participant} has not been accepted into the data trial run by ${stimulus.address} (status: ${currentStatus}), so cannot submit data`,
+                    { required: 'accepted', actual: currentStatus },
+                ) :
+                null),
+            stimulus.submit,
+            [type, stimulusId],
+            callback,
+        );
+    }
+
+    /**
+     * Waits for the PI to respond to one of the participant's requests, by polling for the matching
+     * StimulusResponse event. A response made before the call is found straight away.
+     *
+     * @param {string|number|Object} stimulusId - Id of the request
+     * @param {Object} [waitOptions] - Waiting options
+     * @param {number} [waitOptions.stimulusType] - Stimulus type of the request (default: any)
+     * @param {number} [waitOptions.fromBlock] - Block from which to look for the response (default:
+     * 0)
+     * @param {number} [waitOptions.timeout] - Number of milliseconds after which to give up
+     * (default: wait indefinitely)
+     * @param {callback} callback - Called with an error - a DecisionTimeoutError if there was no
+     * response in time - or with null and the decision: whether the request was `accepted`, its
+     * `stimulusType` (a number) and `stimulusId` (a decimal string), and the `blockNumber` and
+     * `transactionHash` of the response
+     */
+    function waitForDecision(stimulusId, waitOptions, callback) {
+        const { stimulusType, timeout } = waitOptions || {};
+        const pollInterval = options.pollInterval || DEFAULT_POLL_INTERVAL;
+        const filter = _.omitBy({ _candidate: participant, _stimulusType: stimulusType }, _.isNil);
+        const startTime = Date.now();
+        let fromBlock = (waitOptions && waitOptions.fromBlock) || 0;
+
+        function poll() {
+            return web3.eth.getBlockNumber((blockErr, toBlock) => {
+                if (blockErr) {
+                    return callback(blockErr);
+                }
+                const responses = stimulus.StimulusResponse(filter, { fromBlock, toBlock });
+                return responses.get((err, events) => {
+                    if (err) {
+                        return callback(err);
+                    }
+                    const response = _.find(
+                        events,
+                        event => _.get(event.args, '_stimulusId').equals(stimulusId),
+                    );
+                    if (response) {
+                        const [type, id, accepted] =
+                            _.at(response.args, ['_stimulusType', '_stimulusId', '_accepted']);
+                        return callback(null, {
+                            accepted,
+                            stimulusType: type.toNumber(),
+                            stimulusId: id.toString(10),
+                            blockNumber: response.blockNumber,
+                            transactionHash: response.transactionHash,
+                        });
+                    }
+
+                    if (timeout && Date.now() - startTime >= timeout) {
+                        return callback(new DecisionTimeoutError(
+                            `No response to request ${stimulusId} of ${participant} after ${timeout}ms`,
+                            _.omitBy({ candidate: participant, stimulusId, stimulusType }, _.isNil),
+                        ));
+                    }
+                    fromBlock = toBlock + 1;
+                    return setTimeout(poll, pollInterval);
+                });
+            });
+        }
+
+        return poll();
+    }
+
+    return {
+        stimulus,
+        address: participant,
+        status: withOptionalCallback(status, 0),
+        enroll: withOptionalCallback(enroll, 1),
+        submit: withOptionalCallback(submit, 2),
+        waitForDecision: withOptionalCallback(waitForDecision, 2),
+    };
+}
+
+module.exports = {
+    STATUSES,
+    participantClient,
+    statusName,
+};
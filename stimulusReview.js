@@ -0,0 +1,360 @@
+/**
+ * @file
+ * Review of Stimulus requests by the principal investigator (PI) of a data trial: finding the
+ * enrollments and data submissions awaiting a decision, and accepting or rejecting them.
+ *
+ * Accepting a request pays the participant the reward for its stimulus type, which the Stimulus
+ * contract transfers from the PI's Stem balance under the allowance the PI has given it. Decisions
+ * are only sent if that allowance (and the PI's balance) covers the rewards of every acceptance.
+ */
+
+const async = require('async');
+const { sendBatch } = require('./batchSender');
+const { ArgumentError, PreconditionError } = require('./errors');
+const _ = require('lodash');
+const utils = require('web3/lib/utils/utils');
+
+const ENROLLMENT = 0;
+const ENROLLED_STATUS = 1;
+const STIMULUS_TYPES = 5;
+
+const DECISIONS = {
+    accept: true,
+    accepted: true,
+    yes: true,
+    true: true,
+    reject: false,
+    rejected: false,
+    no: false,
+    false: false,
+};
+
+/**
+ * Identifies a request by its candidate, stimulus type and stimulus id.
+ *
+ * @param {Object} request - Request (or decision, or event arguments)
+ * @returns {string} Key
+ */
+function requestKey({ candidate, stimulusType, stimulusId }) {
+    return [candidate.toLowerCase(), stimulusType.toString(10), stimulusId.toString(10)].join(':');
+}
+
+/**
+ * Lists the requests made to a Stimulus contract which await a decision by the PI: enrollments of
+ * participants who are still enrolling (status 1 - only their latest enrollment request is listed),
+ * and data submissions to which the PI has not responded.
+ *
+ * @param {Object} stimulus - Web3 contract instance of the Stimulus contract
+ * @param {Object} [options] - Scan options
+ * @param {number} [options.fromBlock] - Block from which to scan for events (default: 0)
+ * @param {callback} callback - Called with an error, or with null and the pending requests, in the
+ * order in which they were made - each with its `kind` ("enrollment" or "submission"),
+ * `candidate`, `stimulusType` (a number), `stimulusId` (a decimal string), and the `blockNumber`
+ * and `transactionHash` of the request
+ */
+function listPendingRequests(stimulus, options, callback) {
+    const range = { fromBlock: options.fromBlock || 0, toBlock: 'latest' };
+
+    return async.parallel({
+        requests: next => stimulus.StimulusRequest({}, range).get(next),
+        responses: next => stimulus.StimulusResponse({}, range).get(next),
+    }, (err, { requests, responses } = {}) => {
+        if (err) {
+            return callback(err);
+        }
+
+        const toRequest = (event) => {
+            const [candidate, stimulusType, stimulusId] =
+                _.at(event.args, ['_candidate', '_stimulusType', '_stimulusId']);
+            return {
+                candidate,
+                stimulusType: stimulusType.toNumber(),
+                stimulusId: stimulusId.toString(10),
+                blockNumber: event.blockNumber,
+                transactionHash: event.transactionHash,
+            };
+        };
+        const allRequests = requests.map(toRequest);
+        const responded = new Set(responses.map(event => requestKey(toRequest(event))));
+
+        const submissions = allRequests
+            .filter(request => request.stimulusType !== ENROLLMENT)
+            .filter(request => !responded.has(requestKey(request)))
+            .map(request => Object.assign({ kind: 'submission' }, request));
+
+        const latestEnrollments = _.values(_.keyBy(
+            allRequests.filter(request => request.stimulusType === ENROLLMENT),
+            request => request.candidate.toLowerCase(),
+        ));
+        return async.filterSeries(
+            latestEnrollments,
+            (request, next) => stimulus.status(request.candidate, (statusErr, status) => next(
+                statusErr,
+                status && status.toNumber() === ENROLLED_STATUS,
+            )),
+            (filterErr, enrollments) => {
+                if (filterErr) {
+                    return callback(filterErr);
+                }
+                const pending = enrollments
+                    .map(request => Object.assign({ kind: 'enrollment' }, request))
+                    .concat(submissions);
+                return callback(null, _.sortBy(pending, ['blockNumber']));
+            },
+        );
+    });
+}
+
+/**
+ * Parses a decision on a Stimulus request.
+ *
+ * @param {string} candidate - Address of the participant who made the request
+ * @param {string} stimulusType - Stimulus type of the request (0 for an enrollment)
+ * @param {string} stimulusId - Stimulus id of the request
+ * @param {string} decision - "accept" or "reject" (or "yes"/"no", "true"/"false")
+ * @returns {Object} Decision, with its `candidate`, `stimulusType` (a number), `stimulusId` (a
+ * decimal string) and whether to `accept`
+ * @throws {ArgumentError} If any of the values is invalid
+ */
+function parseDecision(candidate, stimulusType, stimulusId, decision) {
+    const problems = [];
+    const type = String(stimulusType);
+    const id = String(stimulusId);
+    const verdict = String(decision).toLowerCase();
+
+    if (!utils.isAddress(candidate)) {
+        problems.push(`${candidate} is not an address`);
+    }
+    if (!/^[0-9]+$/.test(type) || parseInt(type, 10) >= STIMULUS_TYPES) {
+        problems.push(`${type} is not a stimulus type (0 to ${STIMULUS_TYPES - 1})`);
+    }
+    if (!/^[0-9]+$/.test(id)) {
+        problems.push(`${id} is not a stimulus id`);
+    }
+    if (!_.has(DECISIONS, verdict)) {
+        problems.push(`"${decision}" is not a decision (accept or reject)`);
+    }
+
+    if (problems.length > 0) {
+        throw new ArgumentError(`Invalid decision: ${problems.join(', ')}`, problems);
+    }
+    return {
+        candidate,
+        stimulusType: parseInt(type, 10),
+        stimulusId: utils.toBigNumber(id).toString(10),
+        accept: DECISIONS[verdict],
+    };
+}
+
+/**
+ * Parses decisions on Stimulus requests from CSV, one per line: the candidate address, the
+ * stimulus type, the stimulus id and the decision (see parseDecision). Blank lines, lines starting
+ * with "#" and a header line starting with "candidate" are ignored.
+ *
+ * @param {string} csv - CSV text
+ * @returns {Object[]} Decisions (see parseDecision)
+ * @throws {ArgumentError} If any line is malformed, listing the problems on each line
+ */
+function parseDecisions(csv) {
+    const problems = [];
+    const decisions = [];
+
+    csv.split(/\r?\n/).forEach((line, index) => {
+        const fields = line.split(',').map(field => field.trim());
+        if (!line.trim() || line.trim().startsWith('#') || fields[0].toLowerCase() === 'candidate') {
+            return;
+        }
+
+        if (fields.length !== 4) {
+            problems.push(`line ${index + 1}: expected 4 fields, found ${fields.length}`);
+            return;
+        }
+        try {
+            decisions.push(parseDecision(...fields));
+        } catch (e) {
+            if (!(e instanceof ArgumentError)) {
+                throw e;
+            }
+            problems.push(`line ${index + 1}: ${e.problems.join(', ')}`);
+        }
+    });
+
+    if (problems.length > 0) {
+        throw new ArgumentError(`Invalid decisions:\n  ${problems.join('\n  ')}`, problems);
+    }
+    return decisions;
+}
+
+/**
+ * Checks that an address is the PI of a Stimulus contract.
+ *
+ * @param {Object} stimulus - Web3 contract instance of the Stimulus contract
+ * @param {string} from - Address to check
+ * @param {callback} callback - Called with a PreconditionError if the address is not the PI, or
+ * another error if the check could not be made
+ */
+function checkPrincipalInvestigator(stimulus, from, callback) {
+    return stimulus.principalInvestigator((err, principalInvestigator) => {
+        if (err) {
+            return callback(err);
+        }
+        if (!from || principalInvestigator.toLowerCase() !== from.toLowerCase()) {
+            return callback(new PreconditionError(
+                `${from} is not the principal investigator of the Stimulus contract at ${stimulus.address} (${principalInvestigator} is)`,
+                { required: principalInvestigator, actual: from },
+            ));
+        }
+        return callback();
+    });
+}
+
+/**
+ * Checks that the PI's Stem allowance to a Stimulus contract, and the PI's balance, cover the
+ * rewards for the accepted decisions.
+ *
+ * @param {Object} stimulus - Web3 contract instance of the Stimulus contract
+ * @param {Object} stem - Web3 contract instance of the Stem contract in which the Stimulus contract
+ * pays rewards
+ * @param {Object[]} decisions - Decisions (see parseDecision)
+ * @param {callback} callback - Called with an error - a PreconditionError if the allowance or the
+ * balance falls short - or with null and the `rewards` for the decisions, the `allowance` and the
+ * `balance` (decimal strings)
+ */
+function checkRewardAllowance(stimulus, stem, decisions, callback) {
+    return async.auto({
+        principalInvestigator: next => stimulus.principalInvestigator(next),
+        rewards: next => async.timesSeries(
+            STIMULUS_TYPES,
+            (stimulusType, rewardNext) => stimulus.rewards(stimulusType, rewardNext),
+            next,
+        ),
+        allowance: ['principalInvestigator', (results, next) => stem.allowance(
+            results.principalInvestigator,
+            stimulus.address,
+            next,
+        )],
+        balance: ['principalInvestigator', (results, next) => stem.balanceOf(
+            results.principalInvestigator,
+            next,
+        )],
+    }, (err, results) => {
+        if (err) {
+            return callback(err);
+        }
+
+        const total = decisions
+            .filter(decision => decision.accept)
+            .reduce(
+                (sum, decision) => sum.plus(results.rewards[decision.stimulusType]),
+                utils.toBigNumber(0),
+            );
+        const details = {
+            rewards: total.toString(10),
+            allowance: results.allowance.toString(10),
+            balance: results.balance.toString(10),
+        };
+
+        if (results.allowance.lessThan(total)) {
+            return callback(new PreconditionError(
+                `The rewards for the accepted requests come to ${details.rewards}, but ${results.principalInvestigator} has only allowed the Stimulus contract at ${stimulus.address} to pay out ${details.allowance}; raise the allowance first (e.g. with nrn-stem setAllowance)`,
+                details,
+            ));
+        }
+        if (results.balance.lessThan(total)) {
+            return callback(new PreconditionError(
+                `The rewards for the accepted requests come to ${details.rewards}, but ${results.principalInvestigator} only holds ${details.balance}`,
+                details,
+            ));
+        }
+        return callback(null, details);
+    });
+}
+
+/**
+ * Sends the PI's decisions on Stimulus requests, once it has been checked that the sender is the
+ * PI and that the rewards for the acceptances can be paid.
+ *
+ * @param {Object} web3 - Web3 client
+ * @param {Object} stimulus - Web3 contract instance of the Stimulus contract
+ * @param {Object} stem - Web3 contract instance of the Stem contract in which the Stimulus contract
+ * pays rewards
+ * @param {Object[]} decisions - Decisions (see parseDecision)
+ * @param {Object} options - Sending options (see batchSender.js)
+ * @param {string} options.from - Address of the PI
+ * @param {callback} callback - Called with an error - a PreconditionError if the checks fail - or
+ * with null and the batch report (see batchSender.js), to which the `rewards`, `allowance` and
+ * `balance` checked are added
+ */
+function respondToRequests(web3, stimulus, stem, decisions, options, callback) {
+    return async.series({
+        principalInvestigator: next => checkPrincipalInvestigator(stimulus, options.from, next),
+        funds: next => checkRewardAllowance(stimulus, stem, decisions, next),
+    }, (err, checks) => {
+        if (err) {
+            return callback(err);
+        }
+
+        const items = decisions.map((decision) => {
+            const verb = decision.accept ? 'Accept' : 'Reject';
+            if (decision.stimulusType === ENROLLMENT) {
+                return {
+                    contractMethod: stimulus.respondToEnrollment,
+                    args: [decision.candidate, decision.stimulusId, decision.accept],
+                    description: `${verb} enrollment ${decision.stimulusId} of ${decision.candidate}`,
+                };
+            }
+            return {
+                contractMethod: stimulus.respond,
+                args: [
+                    decision.candidate,
+                    decision.stimulusType,
+                    decision.stimulusId,
+                    decision.accept,
+                ],
+                description: `${verb} submission ${decision.stimulusId} (type ${decision.stimulusType}) of ${decision.candidate}`,
+            };
+        });
+
+        return sendBatch(web3, items, options, (batchErr, report) => {
+            if (batchErr) {
+                return callback(batchErr);
+            }
+            return callback(null, Object.assign(report, checks.funds));
+        });
+    });
+}
+
+/**
+ * Formats pending requests (see listPendingRequests) for display, or as CSV to be filled in with
+ * decisions and passed back to parseDecisions.
+ *
+ * @param {Object[]} requests - Pending requests
+ * @param {boolean} [csv] - Whether to format the requests as CSV (default: false)
+ * @returns {string} Formatted requests
+ */
+function formatPendingRequests(requests, csv = false) {
+    if (csv) {
+        return ['candidate,stimulusType,stimulusId,decision']
+            .concat(requests.map(request => `${request.candidate},${request.stimulusType},${request.stimulusId},`))
+            .join('\n');
+    }
+    if (requests.length === 0) {
+        return 'No pending requests';
+    }
+    return requests.map((request) => {
+        const kind = request.kind === 'enrollment' ?
+            'enrollment' :
+            `submission (type ${request.stimulusType})`;
+        return `${kind} ${request.stimulusId} from ${request.candidate} in block ${request.blockNumber}`;
+    }).join('\n');
+}
+
+module.exports = {
+    checkPrincipalInvestigator,
+    checkRewardAllowance,
+    formatPendingRequests,
+    listPendingRequests,
+    parseDecision,
+    parseDecisions,
+    respondToRequests,
+};
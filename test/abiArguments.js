@@ -0,0 +1,122 @@
+/**
+ * This file contains tests for the ABI-driven argument conversion available in ../abiArguments.js.
+ */
+
+const abiArguments = require('../abiArguments.js');
+const assert = require('assert');
+const compile = require('../compile.js');
+const { ArgumentError } = require('../errors.js');
+const _ = require('lodash');
+const path = require('path');
+
+const ADDRESS = '0x1234567890123456789012345678901234567890';
+
+const stimulusPath = path.resolve(__dirname, '../src/stimulus.sol');
+const stimulusAbi = _.get(compile(stimulusPath), ['contracts', stimulusPath, 'Stimulus', 'abi']);
+
+describe('constructorInputs', () => {
+    it('should return the constructor inputs declared in an ABI', (done) => {
+        assert.deepStrictEqual(
+            abiArguments.constructorInputs(stimulusAbi).map(input => input.type),
+            ['address', 'uint256[5]'],
+        );
+        return done();
+    });
+
+    it('should return no inputs for an ABI without a constructor', (done) => {
+        assert.deepStrictEqual(abiArguments.constructorInputs([]), []);
+        return done();
+    });
+});
+
+describe('coerceArgument', () => {
+    it('should convert integers into big numbers without losing precision', (done) => {
+        const value = abiArguments.coerceArgument('uint256', '123456789012345678901234567890');
+        assert.strictEqual(value.toString(10), '123456789012345678901234567890');
+        assert.strictEqual(abiArguments.coerceArgument('uint8', '0xff').toString(10), '255');
+        assert.strictEqual(abiArguments.coerceArgument('int8', '-128').toString(10), '-128');
+        assert.strictEqual(abiArguments.coerceArgument('uint256', 42).toString(10), '42');
+        return done();
+    });
+
+    it('should reject integers which are malformed or out of range', (done) => {
+        assert.throws(() => abiArguments.coerceArgument('uint256', '12abc'), /is not an integer/);
+        assert.throws(() => abiArguments.coerceArgument('uint256', '1.5'), /is not an integer/);
+        assert.throws(() => abiArguments.coerceArgument('uint256', '-1'), /out of range for uint256/);
+        assert.throws(() => abiArguments.coerceArgument('uint8', '256'), /out of range for uint8/);
+        assert.throws(() => abiArguments.coerceArgument('int8', '128'), /out of range for int8/);
+        assert.throws(() => abiArguments.coerceArgument('uint256', 2 ** 60), /cannot be represented exactly/);
+        return done();
+    });
+
+    it('should convert booleans', (done) => {
+        assert.strictEqual(abiArguments.coerceArgument('bool', 'true'), true);
+        assert.strictEqual(abiArguments.coerceArgument('bool', 'FALSE'), false);
+        assert.strictEqual(abiArguments.coerceArgument('bool', '1'), true);
+        assert.strictEqual(abiArguments.coerceArgument('bool', false), false);
+        assert.throws(() => abiArguments.coerceArgument('bool', 'yes'), /is not a boolean/);
+        return done();
+    });
+
+    it('should validate addresses', (done) => {
+        assert.strictEqual(abiArguments.coerceArgument('address', ADDRESS), ADDRESS);
+        assert.throws(() => abiArguments.coerceArgument('address', '0x1234'), /is not a valid address/);
+        return done();
+    });
+
+    it('should validate dynamic and fixed-size byte arrays', (done) => {
+        assert.strictEqual(abiArguments.coerceArgument('bytes', '0xdeadbeef'), '0xdeadbeef');
+        assert.strictEqual(abiArguments.coerceArgument('bytes4', '0xdeadbeef'), '0xdeadbeef');
+        assert.throws(() => abiArguments.coerceArgument('bytes', '0xabc'), /whole bytes/);
+        assert.throws(() => abiArguments.coerceArgument('bytes2', '0xdeadbeef'), /exactly 2 bytes/);
+        return done();
+    });
+
+    it('should convert fixed and dynamic arrays given as lists or JSON', (done) => {
+        const rewards = abiArguments.coerceArgument('uint256[5]', '10000000,5000000,1000000,0,0');
+        assert.deepStrictEqual(
+            rewards.map(reward => reward.toString(10)),
+            ['10000000', '5000000', '1000000', '0', '0'],
+        );
+        assert.deepStrictEqual(abiArguments.coerceArgument('bool[]', '[true, false]'), [true, false]);
+        assert.deepStrictEqual(abiArguments.coerceArgument('address[]', ''), []);
+        const nested = abiArguments.coerceArgument('uint8[2][]', '[[1, 2], [3, 4]]');
+        assert.deepStrictEqual(
+            nested.map(pair => pair.map(value => value.toNumber())),
+            [[1, 2], [3, 4]],
+        );
+        assert.throws(() => abiArguments.coerceArgument('uint256[5]', '1,2,3'), /expected 5 elements/);
+        assert.throws(() => abiArguments.coerceArgument('uint256[]', '1,x'), /element 1: x is not an integer/);
+        return done();
+    });
+});
+
+describe('coerceArguments', () => {
+    const inputs = abiArguments.constructorInputs(stimulusAbi);
+
+    it('should convert each argument to the type of the corresponding input', (done) => {
+        const [nrn, rewards] = abiArguments.coerceArguments(inputs, [ADDRESS, '1,2,3,4,5']);
+        assert.strictEqual(nrn, ADDRESS);
+        assert.deepStrictEqual(rewards.map(reward => reward.toNumber()), [1, 2, 3, 4, 5]);
+        return done();
+    });
+
+    it('should reject the wrong number of arguments', (done) => {
+        assert.throws(
+            () => abiArguments.coerceArguments(inputs, [ADDRESS]),
+            error => error instanceof ArgumentError && /expected 2 argument\(s\)/.test(error.message),
+        );
+        return done();
+    });
+
+    it('should report every invalid argument at once', (done) => {
+        assert.throws(
+            () => abiArguments.coerceArguments(inputs, ['0x1234', '1,2,3']),
+            error => error instanceof ArgumentError &&
+                error.problems.length === 2 &&
+                /argument 0 \(address _nrn\)/.test(error.message) &&
+                /argument 1 \(uint256\[5\] _rewards\)/.test(error.message),
+        );
+        return done();
+    });
+});
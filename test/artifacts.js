@@ -0,0 +1,94 @@
+/**
+ * This file contains tests for the build artifact functionality available in ../artifacts.js.
+ */
+
+const artifacts = require('../artifacts.js');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const sourceDirectory = path.resolve(__dirname, '../src');
+const stemPath = path.resolve(sourceDirectory, 'stem.sol');
+
+describe('buildArtifacts', () => {
+    const outputDirectory = path.join(
+        fs.mkdtempSync(path.join(os.tmpdir(), 'nrn-brainstem-build-')),
+        'build',
+    );
+    let artifactPaths;
+
+    before(function buildAll() {
+        // Compiling every contract from scratch can take a while
+        this.timeout(20000);
+        artifactPaths = artifacts.buildArtifacts(sourceDirectory, outputDirectory);
+    });
+
+    it('should write one artifact per contract defined in the source directory', (done) => {
+        assert.deepStrictEqual(
+            artifactPaths.map(artifactPath => path.basename(artifactPath)).sort(),
+            ['Stem.json', 'Stimulus.json'],
+        );
+        assert.deepStrictEqual(fs.readdirSync(outputDirectory).sort(), ['Stem.json', 'Stimulus.json']);
+        return done();
+    });
+
+    it('should include the ABI, bytecode, compiler details and source hash in each artifact', (done) => {
+        const artifact = artifacts.readArtifact(path.join(outputDirectory, 'Stimulus.json'));
+        assert.strictEqual(artifact.contractName, 'Stimulus');
+        assert.strictEqual(artifact.sourcePath, path.relative(process.cwd(), path.join(sourceDirectory, 'stimulus.sol')));
+        assert(artifact.abi.some(item => item.name === 'respondToEnrollment'));
+        assert(/^0x[0-9a-f]+$/.test(artifact.bytecode));
+        assert(/^0x[0-9a-f]+$/.test(artifact.deployedBytecode));
+        assert(!!artifact.compiler.version);
+        assert.strictEqual(artifact.compiler.settings.optimizer.enabled, true);
+        assert(/^[0-9a-f]{64}$/.test(artifact.sourceHash));
+        return done();
+    });
+
+    it('should produce the same contract whether it is loaded from an artifact or from source', function runTest(done) {
+        this.timeout(10000);
+
+        const fromArtifact = artifacts.loadContract(path.join(outputDirectory, 'Stem.json'));
+        const fromSource = artifacts.loadContract(stemPath, 'Stem');
+        assert.deepStrictEqual(fromArtifact.abi, fromSource.abi);
+        assert.strictEqual(fromArtifact.bytecode, fromSource.bytecode);
+        assert.strictEqual(fromArtifact.sourceHash, fromSource.sourceHash);
+        return done();
+    });
+
+    it('should report the warnings of contracts loaded from source', function runTest(done) {
+        this.timeout(10000);
+
+        const warningPath = path.join(
+            fs.mkdtempSync(path.join(os.tmpdir(), 'nrn-brainstem-warning-')),
+            'Warning.sol',
+        );
+        fs.writeFileSync(warningPath, [
+            'pragma solidity ^0.4.21;',
+            'contract Warning {',
+            '    function f() public returns (uint256) {',
+            '        uint256 unused;',
+            '        return 1;',
+            '    }',
+            '}',
+        ].join('\n'));
+
+        const fromSource = artifacts.loadContractWithDiagnostics(warningPath, 'Warning');
+        assert.strictEqual(fromSource.artifact.contractName, 'Warning');
+        assert(fromSource.diagnostics.length > 0);
+        assert(fromSource.diagnostics.every(diagnostic => diagnostic.severity === 'warning'));
+
+        const fromArtifact = artifacts.loadContractWithDiagnostics(path.join(outputDirectory, 'Stem.json'));
+        assert.deepStrictEqual(fromArtifact.diagnostics, []);
+        return done();
+    });
+
+    it('should refuse to load an artifact under the wrong contract name', (done) => {
+        assert.throws(
+            () => artifacts.loadContract(path.join(outputDirectory, 'Stem.json'), 'Stimulus'),
+            /is for contract Stem, not Stimulus/,
+        );
+        return done();
+    });
+});
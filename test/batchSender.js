@@ -0,0 +1,176 @@
+/**
+ * This file contains tests for the batch sending functionality available in ../batchSender.js.
+ */
+
+const assert = require('assert');
+const async = require('async');
+const batchSender = require('../batchSender.js');
+const { ContractRevertError } = require('../errors.js');
+const { deployStem, startChain } = require('./fixtures.js');
+const signing = require('../signing.js');
+const Web3 = require('web3');
+
+const PRIVATE_KEY = '0x4c0883a69102937d6231471b5dbb6204fe5129617082792ae468d01a3f362318';
+const ADDRESS = '0x2c7536e3605d9c16a7a3d7b1898e529396a65c23';
+
+describe('batch sender', () => {
+    let web3;
+    let accounts;
+    let stemInstance;
+
+    before(function setUp(done) {
+        this.timeout(20000);
+
+        return async.waterfall([
+            next => startChain({}, next),
+            (client, result, next) => {
+                web3 = client;
+                accounts = result;
+                return deployStem(web3, accounts[0], next);
+            },
+            (instance, next) => {
+                stemInstance = instance;
+                return next();
+            },
+        ], done);
+    });
+
+    it('should send transactions with consecutive nonces and report their receipts', function runTest(done) {
+        this.timeout(20000);
+
+        const recipients = accounts.slice(1, 7);
+        const items = recipients.map(recipient => ({
+            contractMethod: stemInstance.transfer,
+            args: [recipient, 100],
+        }));
+
+        return async.waterfall([
+            next => web3.eth.getTransactionCount(accounts[0], 'pending', next),
+            (firstNonce, next) => batchSender.sendBatch(
+                web3,
+                items,
+                { from: accounts[0], concurrency: 3 },
+                (err, report) => next(err, firstNonce, report),
+            ),
+            (firstNonce, report, next) => {
+                assert.strictEqual(report.succeeded, recipients.length);
+                assert.strictEqual(report.failed, 0);
+                assert.deepStrictEqual(
+                    report.results.map(result => result.nonce).sort((a, b) => a - b),
+                    recipients.map((recipient, index) => firstNonce + index),
+                );
+                report.results.forEach((result, index) => {
+                    assert.strictEqual(result.index, index);
+                    assert.strictEqual(result.receipt.transactionHash, result.transactionHash);
+                    assert.strictEqual(
+                        result.description,
+                        `transfer("${recipients[index]}", 100) from ${accounts[0]}`,
+                    );
+                });
+                return async.map(
+                    recipients,
+                    (recipient, balanceNext) => stemInstance.balanceOf(recipient, balanceNext),
+                    next,
+                );
+            },
+            (balances, next) => {
+                assert(balances.every(balance => balance.toNumber() === 100));
+                return next();
+            },
+        ], done);
+    });
+
+    it('should report failed items without holding up the rest, and retry them', function runTest(done) {
+        this.timeout(20000);
+
+        // accounts[1] has not approved accounts[0] to transfer its tokens
+        const items = [
+            { contractMethod: stemInstance.transfer, args: [accounts[7], 5] },
+            {
+                contractMethod: stemInstance.transferFrom,
+                args: [accounts[1], accounts[7], 10],
+                description: 'Transfer from accounts[1]',
+            },
+            { contractMethod: stemInstance.transfer, args: [accounts[8], 5] },
+        ];
+        const options = { from: accounts[0] };
+
+        return async.waterfall([
+            next => batchSender.sendBatch(web3, items, options, next),
+            (report, next) => {
+                assert.strictEqual(report.succeeded, 2);
+                assert.strictEqual(report.failed, 1);
+                assert.deepStrictEqual(
+                    report.results.map(result => result.status),
+                    ['succeeded', 'failed', 'succeeded'],
+                );
+
+                const failure = report.results[1];
+                assert(failure.error instanceof ContractRevertError);
+                assert.strictEqual(failure.transactionHash, null);
+                assert.strictEqual(failure.nonce, null);
+                assert.strictEqual(report.results[2].nonce, report.results[0].nonce + 1);
+
+                const formatted = batchSender.formatReport(report);
+                assert(formatted.includes('#1 Transfer from accounts[1]: failed: transferFrom'));
+                assert(formatted.endsWith('2 succeeded, 1 failed, 0 pending'));
+
+                return stemInstance.approve(
+                    accounts[0],
+                    10,
+                    { from: accounts[1] },
+                    err => next(err, report),
+                );
+            },
+            (report, next) => batchSender.retryFailures(web3, items, report, options, next),
+            (report, next) => {
+                assert.strictEqual(report.succeeded, 3);
+                assert.strictEqual(report.failed, 0);
+                assert.deepStrictEqual(report.results.map(result => result.attempts), [1, 2, 1]);
+                assert.strictEqual(report.results[1].index, 1);
+                return stemInstance.balanceOf(accounts[7], next);
+            },
+            (balance, next) => {
+                assert.strictEqual(balance.toNumber(), 15);
+                return next();
+            },
+        ], done);
+    });
+
+    it('should send batches signed locally with the nonces it assigns', function runTest(done) {
+        this.timeout(20000);
+
+        let signingWeb3;
+        return async.waterfall([
+            next => startChain(
+                { accounts: [{ secretKey: PRIVATE_KEY, balance: '0x56bc75e2d63100000' }] },
+                next,
+            ),
+            (ganacheWeb3, ganacheAccounts, next) => {
+                signingWeb3 = new Web3();
+                signingWeb3.setProvider(signing.createSigningProvider(
+                    ganacheWeb3.currentProvider,
+                    signing.signerFromPrivateKey(PRIVATE_KEY),
+                ));
+                return deployStem(signingWeb3, ADDRESS, next);
+            },
+            (instance, next) => batchSender.sendBatch(
+                signingWeb3,
+                [1, 2, 3, 4].map(amount => ({
+                    contractMethod: instance.transfer,
+                    args: [accounts[1], amount],
+                })),
+                { from: ADDRESS, concurrency: 4 },
+                next,
+            ),
+            (report, next) => {
+                assert.strictEqual(report.succeeded, 4);
+                assert.deepStrictEqual(
+                    report.results.map(result => result.nonce).sort((a, b) => a - b),
+                    [1, 2, 3, 4],
+                );
+                return next();
+            },
+        ], done);
+    });
+});
@@ -0,0 +1,245 @@
+/**
+ * This file contains tests for the command line option parsers available in ../cliOptions.js.
+ */
+
+const assert = require('assert');
+const cliOptions = require('../cliOptions.js');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Wallet = require('ethereumjs-wallet');
+const yargs = require('yargs');
+
+const PRIVATE_KEY = '0x4c0883a69102937d6231471b5dbb6204fe5129617082792ae468d01a3f362318';
+const ADDRESS = '0x2c7536e3605d9c16a7a3d7b1898e529396a65c23';
+
+describe('parseGas', () => {
+    it('should accept positive integers', (done) => {
+        assert.strictEqual(cliOptions.parseGas('21000'), 21000);
+        assert.strictEqual(cliOptions.parseGas(' 4700000 '), 4700000);
+        assert.strictEqual(cliOptions.parseGas(300000), 300000);
+        return done();
+    });
+
+    it('should reject anything else', (done) => {
+        ['', 'abc', '12abc', '1.5', '-1', '0', '1e6', '0x5208', '99999999999999999999'].forEach((value) => {
+            assert.throws(() => cliOptions.parseGas(value), /Invalid amount of gas/);
+        });
+        return done();
+    });
+});
+
+describe('parseWei', () => {
+    it('should accept non-negative integers of any size, returning them as strings', (done) => {
+        assert.strictEqual(cliOptions.parseWei('0'), '0');
+        assert.strictEqual(cliOptions.parseWei('20000000000'), '20000000000');
+        assert.strictEqual(cliOptions.parseWei('000123456789012345678901234567890'), '123456789012345678901234567890');
+        return done();
+    });
+
+    it('should reject anything else', (done) => {
+        ['', 'abc', '1.5', '-1', '1e9'].forEach((value) => {
+            assert.throws(() => cliOptions.parseWei(value), /Invalid amount of wei/);
+        });
+        return done();
+    });
+});
+
+describe('parseMultiplier', () => {
+    it('should accept positive numbers', (done) => {
+        assert.strictEqual(cliOptions.parseMultiplier('2'), 2);
+        assert.strictEqual(cliOptions.parseMultiplier('1.25'), 1.25);
+        return done();
+    });
+
+    it('should reject anything else', (done) => {
+        ['', 'abc', '0', '-1', 'Infinity'].forEach((value) => {
+            assert.throws(() => cliOptions.parseMultiplier(value), /Invalid multiplier/);
+        });
+        return done();
+    });
+});
+
+describe('parseConfirmations', () => {
+    it('should accept positive integers', (done) => {
+        assert.strictEqual(cliOptions.parseConfirmations('1'), 1);
+        assert.strictEqual(cliOptions.parseConfirmations(' 12 '), 12);
+        return done();
+    });
+
+    it('should reject anything else', (done) => {
+        ['', 'abc', '0', '-1', '1.5', '99999999999999999999'].forEach((value) => {
+            assert.throws(() => cliOptions.parseConfirmations(value), /Invalid number of confirmations/);
+        });
+        return done();
+    });
+});
+
+describe('parseTimeout', () => {
+    it('should convert positive numbers of seconds to milliseconds', (done) => {
+        assert.strictEqual(cliOptions.parseTimeout('300'), 300000);
+        assert.strictEqual(cliOptions.parseTimeout('0.5'), 500);
+        return done();
+    });
+
+    it('should reject anything else', (done) => {
+        ['', 'abc', '0', '-1', 'Infinity'].forEach((value) => {
+            assert.throws(() => cliOptions.parseTimeout(value), /Invalid timeout/);
+        });
+        return done();
+    });
+});
+
+describe('positiveInteger', () => {
+    it('should produce parsers accepting positive integers', (done) => {
+        const parseBatchSize = cliOptions.positiveInteger('batch size');
+        assert.strictEqual(parseBatchSize('1000'), 1000);
+        assert.strictEqual(parseBatchSize(' 7 '), 7);
+        ['', 'abc', '0', '-1', '1.5', '99999999999999999999'].forEach((value) => {
+            assert.throws(() => parseBatchSize(value), /Invalid batch size: .* \(expected a positive integer\)/);
+        });
+        return done();
+    });
+});
+
+describe('nonNegativeInteger', () => {
+    it('should produce parsers accepting non-negative integers', (done) => {
+        const parseBlockNumber = cliOptions.nonNegativeInteger('block number');
+        assert.strictEqual(parseBlockNumber('0'), 0);
+        assert.strictEqual(parseBlockNumber('120'), 120);
+        ['', 'abc', '-1', '1.5', '0x10', '99999999999999999999'].forEach((value) => {
+            assert.throws(() => parseBlockNumber(value), /Invalid block number: .* \(expected a non-negative integer\)/);
+        });
+        return done();
+    });
+});
+
+describe('positiveSeconds', () => {
+    it('should produce parsers converting positive numbers of seconds to milliseconds', (done) => {
+        const parsePollInterval = cliOptions.positiveSeconds('poll interval');
+        assert.strictEqual(parsePollInterval('5'), 5000);
+        assert.strictEqual(parsePollInterval('0.5'), 500);
+        ['', 'abc', '0', '-1', 'Infinity'].forEach((value) => {
+            assert.throws(() => parsePollInterval(value), /Invalid poll interval/);
+        });
+        return done();
+    });
+});
+
+describe('addIndexerOptions', () => {
+    function parseIndexerOptions(args) {
+        const argv = cliOptions.addIndexerOptions(yargs([]))
+            .exitProcess(false)
+            .fail((message, err) => {
+                throw err || new Error(message);
+            })
+            .parse(args);
+        return cliOptions.indexerOptionsFromArgv(argv);
+    }
+
+    it('should parse the block to start from and the poll interval, in seconds', (done) => {
+        const defaults = parseIndexerOptions([]);
+        assert.strictEqual(defaults.fromBlock, 0);
+        assert.strictEqual(defaults.pollInterval, 5000);
+
+        const options = parseIndexerOptions(['--from-block', '120', '--poll-interval', '0.5']);
+        assert.strictEqual(options.fromBlock, 120);
+        assert.strictEqual(options.pollInterval, 500);
+        return done();
+    });
+
+    it('should reject malformed blocks to start from and poll intervals', (done) => {
+        ['abc', '1.5', '0x10', '99999999999999999999'].forEach((value) => {
+            assert.throws(
+                () => parseIndexerOptions(['--from-block', value]),
+                /Invalid block number/,
+            );
+        });
+        ['abc', '0', 'Infinity'].forEach((value) => {
+            assert.throws(
+                () => parseIndexerOptions(['--poll-interval', value]),
+                /Invalid poll interval/,
+            );
+        });
+        return done();
+    });
+});
+
+describe('signerFromArgv', () => {
+    it('should sign with the private key held by the named environment variable', (done) => {
+        const signer = cliOptions.signerFromArgv(
+            { privateKeyEnv: 'DEPLOYER_KEY' },
+            { DEPLOYER_KEY: PRIVATE_KEY },
+        );
+        assert.strictEqual(signer.address, ADDRESS);
+        return done();
+    });
+
+    it('should sign with a keystore decrypted with the password from a file', function runTest(done) {
+        this.timeout(10000);
+
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'nrn-brainstem-keystore-'));
+        const keystorePath = path.join(directory, 'keystore.json');
+        const passwordPath = path.join(directory, 'password');
+        const wallet = Wallet.fromPrivateKey(Buffer.from(PRIVATE_KEY.slice(2), 'hex'));
+        const keystore = wallet.toV3('hunter2', { kdf: 'pbkdf2', c: 1 });
+        fs.writeFileSync(keystorePath, JSON.stringify(keystore));
+        fs.writeFileSync(passwordPath, 'hunter2\n');
+
+        const signer = cliOptions.signerFromArgv({
+            keystore: keystorePath,
+            passwordFile: passwordPath,
+        });
+        assert.strictEqual(signer.address, ADDRESS);
+        assert.throws(
+            () => cliOptions.signerFromArgv(
+                { keystore: keystorePath },
+                { NRN_BRAINSTEM_KEYSTORE_PASSWORD: 'wrong' },
+            ),
+            /Could not decrypt keystore/,
+        );
+        return done();
+    });
+
+    it('should sign on the node unless a key is given', (done) => {
+        assert.strictEqual(cliOptions.signerFromArgv({}, {}), null);
+        return done();
+    });
+
+    it('should reject inconsistent or missing keys', (done) => {
+        assert.throws(
+            () => cliOptions.signerFromArgv({ keystore: 'keystore.json', privateKeyEnv: 'KEY' }, {}),
+            /Only one of --keystore and --private-key-env/,
+        );
+        assert.throws(
+            () => cliOptions.signerFromArgv({ privateKeyEnv: 'KEY' }, {}),
+            /KEY does not hold a private key/,
+        );
+        assert.throws(
+            () => cliOptions.signerFromArgv({ privateKeyEnv: 'KEY' }, { KEY: '0x1234' }),
+            /Invalid private key/,
+        );
+        assert.throws(
+            () => cliOptions.signerFromArgv({ keystore: 'keystore.json' }, {}),
+            /No keystore password given/,
+        );
+        return done();
+    });
+});
+
+describe('resolveSenderAddress', () => {
+    it('should send from the signing key, which any explicit sender address must match', (done) => {
+        const signer = { address: ADDRESS };
+        assert.strictEqual(cliOptions.resolveSenderAddress(undefined, signer), ADDRESS);
+        assert.strictEqual(
+            cliOptions.resolveSenderAddress(ADDRESS.toUpperCase().replace('0X', '0x'), signer),
+            ADDRESS,
+        );
+        assert.throws(
+            () => cliOptions.resolveSenderAddress('0x1111111111111111111111111111111111111111', signer),
+            /does not match the signing key/,
+        );
+        assert.strictEqual(cliOptions.resolveSenderAddress(ADDRESS, null), ADDRESS);
+        return done();
+    });
+});
@@ -4,12 +4,17 @@
 
 const assert = require('assert');
 const compile = require('../compile.js');
+const compilerVersions = require('../compilerVersions.js');
+const { CompilationError } = require('../errors.js');
 const fs = require('fs');
 const _ = require('lodash');
+const makeDirectory = require('../makeDirectory.js');
+const os = require('os');
 const path = require('path');
 const solc = require('solc');
 
 const consensysTokenPath = path.resolve(__dirname, 'contracts/consensys/EIP20.sol');
+const stemPath = path.resolve(__dirname, '../src/stem.sol');
 
 const warningRegex = /Warning:/;
 
@@ -29,8 +34,319 @@ describe('compile', () => {
         this.timeout(10000);
 
         const compilationResult = compile(consensysTokenPath);
-        const nonWarningErrors = _.get(compilationResult, 'errors', []).filter(message => !warningRegex.test(message));
+        const nonWarningErrors = compilationResult.diagnostics.filter(diagnostic => diagnostic.severity !== 'warning');
         assert.strictEqual(nonWarningErrors.length, 0);
         return done();
     });
+
+    it('should produce the standard JSON outputs for each contract by default', (done) => {
+        const compilationResult = compile(stemPath);
+        const compiledContract = _.get(compilationResult, ['contracts', stemPath, 'Stem']);
+        assert(Array.isArray(compiledContract.abi));
+        assert(!!_.get(compiledContract, ['evm', 'bytecode', 'object']));
+        assert(!!_.get(compiledContract, ['evm', 'bytecode', 'sourceMap']));
+        assert(!!_.get(compiledContract, ['evm', 'deployedBytecode', 'object']));
+        assert(!!_.get(compiledContract, ['evm', 'deployedBytecode', 'sourceMap']));
+        assert.strictEqual(
+            _.get(compiledContract, ['evm', 'methodIdentifiers', 'transfer(address,uint256)']),
+            'a9059cbb',
+        );
+        assert(!!_.get(compiledContract, ['evm', 'gasEstimates', 'external']));
+        return done();
+    });
+
+    it('should only produce the outputs requested in outputSelection', (done) => {
+        const compilationResult = compile(stemPath, {
+            outputSelection: { '*': { '*': ['abi'] } },
+        });
+        const compiledContract = _.get(compilationResult, ['contracts', stemPath, 'Stem']);
+        assert(Array.isArray(compiledContract.abi));
+        assert.strictEqual(_.get(compiledContract, ['evm', 'bytecode']), undefined);
+        return done();
+    });
+
+    it('should produce different bytecode with the optimizer disabled', (done) => {
+        const bytecodePath = ['contracts', stemPath, 'Stem', 'evm', 'bytecode', 'object'];
+        const optimized = _.get(compile(stemPath), bytecodePath);
+        const unoptimized = _.get(
+            compile(stemPath, { optimizer: { enabled: false } }),
+            bytecodePath,
+        );
+        assert.notStrictEqual(optimized, unoptimized);
+        return done();
+    });
+});
+
+describe('compile import resolution', () => {
+    const fixtureRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'nrn-brainstem-imports-'));
+    const mainPath = path.join(fixtureRoot, 'contracts', 'Main.sol');
+    const missingPath = path.join(fixtureRoot, 'contracts', 'Missing.sol');
+
+    /**
+     * Writes a library contract with the given name to the given path under the fixture root.
+     *
+     * @param {string} relativePath - Path of the file relative to the fixture root
+     * @param {string} contractName - Name of the library in the file
+     */
+    function writeLibrary(relativePath, contractName) {
+        const libraryPath = path.join(fixtureRoot, relativePath);
+        makeDirectory(path.dirname(libraryPath));
+        fs.writeFileSync(
+            libraryPath,
+            `pragma solidity ^0.4.21;\n\nlibrary ${contractName} {\n    function one() internal pure returns (uint256) { return 1; }\n}\n`,
+        );
+    }
+
+    before(() => {
+        writeLibrary('lib/Remapped.sol', 'Remapped');
+        writeLibrary('include/shared/Included.sol', 'Included');
+        writeLibrary('node_modules/package-lib/contracts/Packaged.sol', 'Packaged');
+        makeDirectory(path.dirname(mainPath));
+        fs.writeFileSync(mainPath, [
+            'pragma solidity ^0.4.21;',
+            'import "remapped/Remapped.sol";',
+            'import "shared/Included.sol";',
+            'import "package-lib/contracts/Packaged.sol";',
+            'contract Main {',
+            '    function three() public pure returns (uint256) {',
+            '        return Remapped.one() + Included.one() + Packaged.one();',
+            '    }',
+            '}',
+        ].join('\n'));
+        fs.writeFileSync(missingPath, 'pragma solidity ^0.4.21;\nimport "nowhere/Nothing.sol";\n');
+    });
+
+    it('should resolve imports through remappings, include paths and node_modules', function runTest(done) {
+        this.timeout(10000);
+
+        const compilationResult = compile(mainPath, {
+            remappings: [`remapped/=${path.join(fixtureRoot, 'lib')}/`],
+            includePaths: [path.join(fixtureRoot, 'include')],
+        });
+        const errors = compilationResult.diagnostics.filter(diagnostic => diagnostic.severity !== 'warning');
+        assert.deepStrictEqual(errors, []);
+        assert(!!_.get(compilationResult, ['contracts', mainPath, 'Main', 'evm', 'bytecode', 'object']));
+        return done();
+    });
+
+    it('should report every location that was tried for an unresolvable import', (done) => {
+        const compilationResult = compile(missingPath, {
+            includePaths: [path.join(fixtureRoot, 'include')],
+        });
+        const messages = _.get(compilationResult, 'errors', []).map(error => error.formattedMessage).join('\n');
+        assert(messages.includes('Tried:'));
+        assert(messages.includes(path.join(fixtureRoot, 'include', 'nowhere', 'Nothing.sol')));
+        assert(messages.includes(path.join(fixtureRoot, 'contracts', 'node_modules', 'nowhere', 'Nothing.sol')));
+        return done();
+    });
+});
+
+describe('compiler version selection', () => {
+    const bundledVersion = solc.version().replace(/\+.*$/, '');
+    const compilerCache = fs.mkdtempSync(path.join(os.tmpdir(), 'nrn-brainstem-solc-'));
+    const sourcesDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'nrn-brainstem-pragmas-'));
+    const unsatisfiablePath = path.join(sourcesDirectory, 'Unsatisfiable.sol');
+
+    before(() => {
+        fs.writeFileSync(
+            path.join(compilerCache, 'soljson-v0.4.24+commit.e67f0147.js'),
+            'module.exports = {};',
+        );
+        fs.writeFileSync(path.join(compilerCache, 'soljson-v0.5.0-nightly.2018.5.1+commit.9bfc4a36.js'), '');
+        fs.writeFileSync(
+            unsatisfiablePath,
+            'pragma solidity ^0.4.21;\nimport "./Future.sol";\ncontract Unsatisfiable {}\n',
+        );
+        fs.writeFileSync(
+            path.join(sourcesDirectory, 'Future.sol'),
+            'pragma solidity ^0.3.0;\ncontract Future {}\n',
+        );
+    });
+
+    it('should read the pragma of every source', (done) => {
+        const ranges = compilerVersions.pragmaRanges({
+            'a.sol': 'pragma solidity ^0.4.21;\ncontract A {}',
+            'b.sol': '// pragma solidity ^0.3.0;\npragma solidity >=0.4.22 <0.5.0;\ncontract B {}',
+            'c.sol': 'contract C {}',
+        });
+        assert.deepStrictEqual(ranges, {
+            'a.sol': '^0.4.21',
+            'b.sol': '>=0.4.22 <0.5.0',
+        });
+        return done();
+    });
+
+    it('should list release builds in the compiler cache alongside the installed solc', (done) => {
+        const versions = compilerVersions.availableCompilers(compilerCache)
+            .map(compiler => compiler.longVersion);
+        assert(versions.includes('0.4.24+commit.e67f0147'));
+        assert(versions.some(version => version.startsWith(bundledVersion)));
+        assert(!versions.some(version => version.includes('nightly')));
+        return done();
+    });
+
+    it('should choose the newest available compiler satisfying every pragma', (done) => {
+        const compiler = compilerVersions.selectCompiler({
+            'a.sol': 'pragma solidity >=0.4.21 <0.4.25;',
+            'b.sol': 'pragma solidity ^0.4.24;',
+        }, { compilerCache });
+        assert.strictEqual(compiler.longVersion, '0.4.24+commit.e67f0147');
+        return done();
+    });
+
+    it('should use an explicitly requested version', (done) => {
+        const compiler = compilerVersions.selectCompiler(
+            { 'a.sol': 'pragma solidity ^0.4.21;' },
+            { compilerCache, solcVersion: '0.4.24' },
+        );
+        assert.strictEqual(compiler.longVersion, '0.4.24+commit.e67f0147');
+        return done();
+    });
+
+    it('should fail when the requested version is not available', (done) => {
+        assert.throws(
+            () => compilerVersions.selectCompiler(
+                { 'a.sol': 'pragma solidity ^0.4.21;' },
+                { compilerCache, solcVersion: '0.4.22' },
+            ),
+            /Requested solc version 0\.4\.22 is not available/,
+        );
+        return done();
+    });
+
+    it('should fail, naming the offending file, when no compiler satisfies every pragma', (done) => {
+        assert.throws(
+            () => compile(unsatisfiablePath, { compilerCache }),
+            error => /No available solc version satisfies every pragma/.test(error.message) &&
+                error.message.includes(`${path.join(sourcesDirectory, 'Future.sol')}: ^0.3.0`),
+        );
+        return done();
+    });
+
+    it('should report the compiler version used', function runTest(done) {
+        this.timeout(10000);
+
+        const compilationResult = compile(stemPath, { solcVersion: bundledVersion });
+        assert(compilationResult.compiler.version.startsWith(bundledVersion));
+        assert.strictEqual(compilationResult.compiler.settings.optimizer.enabled, true);
+        return done();
+    });
+});
+
+describe('compilation cache', () => {
+    const cacheDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'nrn-brainstem-cache-'));
+    const sourcesDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'nrn-brainstem-cached-'));
+    const parentPath = path.join(sourcesDirectory, 'Parent.sol');
+    const childPath = path.join(sourcesDirectory, 'Child.sol');
+
+    before(() => {
+        fs.writeFileSync(
+            parentPath,
+            'pragma solidity ^0.4.21;\nimport "./Child.sol";\ncontract Parent is Child {}\n',
+        );
+        fs.writeFileSync(
+            childPath,
+            'pragma solidity ^0.4.21;\ncontract Child {\n    uint256 public value = 1;\n}\n',
+        );
+    });
+
+    it('should store successful compilations and return them on repeated calls', function runTest(done) {
+        this.timeout(10000);
+
+        const firstResult = compile(parentPath, { cacheDirectory });
+        assert.strictEqual(fs.readdirSync(cacheDirectory).length, 1);
+
+        const secondResult = compile(parentPath, { cacheDirectory });
+        assert.deepStrictEqual(secondResult, firstResult);
+        assert.strictEqual(fs.readdirSync(cacheDirectory).length, 1);
+        return done();
+    });
+
+    it('should not reuse a cached compilation after an imported file changes', function runTest(done) {
+        this.timeout(10000);
+
+        const bytecodePath = ['contracts', parentPath, 'Parent', 'evm', 'bytecode', 'object'];
+        const originalResult = compile(parentPath, { cacheDirectory });
+        fs.writeFileSync(
+            childPath,
+            'pragma solidity ^0.4.21;\ncontract Child {\n    uint256 public value = 2;\n}\n',
+        );
+        const modifiedResult = compile(parentPath, { cacheDirectory });
+
+        assert.notStrictEqual(modifiedResult.sourceHash, originalResult.sourceHash);
+        assert.notStrictEqual(
+            _.get(modifiedResult, bytecodePath),
+            _.get(originalResult, bytecodePath),
+        );
+        assert.strictEqual(fs.readdirSync(cacheDirectory).length, 2);
+        return done();
+    });
+
+    it('should not use the cache when it is disabled', (done) => {
+        const uncachedDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'nrn-brainstem-uncached-'));
+        compile(parentPath, { cache: false, cacheDirectory: uncachedDirectory });
+        assert.strictEqual(fs.readdirSync(uncachedDirectory).length, 0);
+        return done();
+    });
+});
+
+describe('compilation diagnostics', () => {
+    const sourcesDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'nrn-brainstem-diagnostics-'));
+    const brokenPath = path.join(sourcesDirectory, 'Broken.sol');
+    const warningPath = path.join(sourcesDirectory, 'Warning.sol');
+
+    before(() => {
+        fs.writeFileSync(brokenPath, [
+            'pragma solidity ^0.4.21;',
+            'contract Broken {',
+            '    function f() public {',
+            '        undeclared = 1;',
+            '    }',
+            '}',
+        ].join('\n'));
+        fs.writeFileSync(warningPath, [
+            'pragma solidity ^0.4.21;',
+            'contract Warning {',
+            '    function f() public returns (uint256) {',
+            '        uint256 unused;',
+            '        return 1;',
+            '    }',
+            '}',
+        ].join('\n'));
+    });
+
+    it('should report the severity, file, line and column of each problem', (done) => {
+        const compilationResult = compile(brokenPath, { cache: false });
+        assert.strictEqual(compilationResult.diagnostics.length, 1);
+        const diagnostic = compilationResult.diagnostics[0];
+        assert.strictEqual(diagnostic.severity, 'error');
+        assert.strictEqual(diagnostic.type, 'DeclarationError');
+        assert.strictEqual(diagnostic.file, brokenPath);
+        assert.strictEqual(diagnostic.line, 4);
+        assert.strictEqual(diagnostic.column, 9);
+        assert.strictEqual(diagnostic.message, 'Undeclared identifier.');
+        return done();
+    });
+
+    it('should throw a CompilationError with a readable report in strict mode', (done) => {
+        assert.throws(
+            () => compile(brokenPath, { cache: false, strict: true }),
+            error => error instanceof CompilationError &&
+                error.diagnostics.length === 1 &&
+                error.message.includes(brokenPath) &&
+                error.message.includes('4:9') &&
+                error.message.includes('Undeclared identifier.'),
+        );
+        return done();
+    });
+
+    it('should only throw on warnings in strict mode when warnings are treated as errors', (done) => {
+        const compilationResult = compile(warningPath, { strict: true });
+        assert(compilationResult.diagnostics.some(diagnostic => diagnostic.severity === 'warning'));
+        assert.throws(
+            () => compile(warningPath, { strict: true, warningsAsErrors: true }),
+            CompilationError,
+        );
+        return done();
+    });
 });
@@ -0,0 +1,160 @@
+/**
+ * This file contains tests for the promise-returning interfaces to contracts available in
+ * ../contractPromises.js, ../connect.js and ../getGasEstimateAndCall.js.
+ */
+
+const assert = require('assert');
+const connect = require('../connect.js');
+const { ContractCallError, TransactionRevertedError } = require('../errors.js');
+const { deployStem, startChain, stemPath } = require('./fixtures.js');
+const fs = require('fs');
+const getGasEstimateAndCall = require('../getGasEstimateAndCall.js');
+const os = require('os');
+const path = require('path');
+const { recordDeployment } = require('../registry.js');
+
+describe('promise interfaces', () => {
+    let web3;
+    let accounts;
+    let stemInstance;
+
+    beforeEach(function setUp() {
+        this.timeout(10000);
+
+        return new Promise((resolve, reject) => startChain(
+            { vmErrorsOnRPCResponse: false },
+            (err, client, result) => (err ? reject(err) : resolve([client, result])),
+        )).then(([client, result]) => {
+            web3 = client;
+            accounts = result;
+            return new Promise((resolve, reject) => deployStem(
+                web3,
+                accounts[0],
+                (err, deployedStem) => (err ? reject(err) : resolve(deployedStem)),
+            ));
+        }).then((deployedStem) => {
+            stemInstance = deployedStem;
+        });
+    });
+
+    it('should call contract methods and send transactions to them', async () => {
+        const transactionHash = await stemInstance.promises.changeName(
+            'Renamed',
+            { from: accounts[0], gas: 100000 },
+        );
+        assert(/^0x[0-9a-f]{64}$/.test(transactionHash));
+
+        assert.strictEqual(await stemInstance.promises.name(), 'Renamed');
+        const balance = await stemInstance.promises.balanceOf.call(accounts[0]);
+        assert.strictEqual(balance.toString(10), '1200000');
+    });
+
+    it('should reject failed calls with the method, arguments and sender', async () => {
+        // The node holds no key for this account, so it cannot send the transaction
+        const stranger = '0x1111111111111111111111111111111111111111';
+        try {
+            await stemInstance.promises.transfer(accounts[2], 5, { from: stranger, gas: 100000 });
+        } catch (err) {
+            assert(err instanceof ContractCallError);
+            assert.strictEqual(err.methodName, 'transfer');
+            assert.deepStrictEqual(err.args, [accounts[2], 5]);
+            assert.strictEqual(err.from, stranger);
+            assert(err.message.startsWith(`transfer("${accounts[2]}", 5) from ${stranger} failed: `));
+            return;
+        }
+        assert.fail('transfer should have failed');
+    });
+
+    it('should return a promise from getGasEstimateAndCall when no callback is given', async () => {
+        const estimateAndCall = getGasEstimateAndCall.withReceipts(web3);
+        const receipt = await estimateAndCall(
+            stemInstance.changeSymbol,
+            accounts[0],
+            gasEstimate => 2 * gasEstimate,
+            'NRN',
+        );
+        assert.strictEqual(parseInt(receipt.status, 16), 1);
+
+        const symbol = await getGasEstimateAndCall(
+            stemInstance.symbol,
+            accounts[0],
+            gasEstimate => gasEstimate,
+        );
+        assert.strictEqual(symbol, 'NRN');
+    });
+
+    it('should report failures of getGasEstimateAndCall with the method, arguments and sender', (done) => {
+        // The estimate succeeds, but the transaction runs out of gas
+        getGasEstimateAndCall.withReceipts(web3)(
+            stemInstance.changeSymbol,
+            accounts[0],
+            () => 23000,
+            'NRN',
+            (err) => {
+                assert(err instanceof ContractCallError);
+                assert.strictEqual(err.methodName, 'changeSymbol');
+                assert.deepStrictEqual(err.args, ['NRN']);
+                assert.strictEqual(err.from, accounts[0]);
+                assert(err.cause instanceof TransactionRevertedError);
+                return done();
+            },
+        );
+    });
+
+    it('should return a promise from connect.fromRegistry when no callback is given', async () => {
+        const registryPath = path.join(
+            fs.mkdtempSync(path.join(os.tmpdir(), 'nrn-brainstem-test-')),
+            'deployments.json',
+        );
+        recordDeployment(registryPath, '1337', 'Stem', { address: stemInstance.address });
+
+        const connected = await connect.fromRegistry(
+            web3,
+            stemPath,
+            'Stem',
+            { registryPath, networkId: '1337' },
+        );
+        assert.strictEqual(connected.address, stemInstance.address);
+        assert.strictEqual(await connected.promises.symbol(), 'STM');
+
+        await assert.rejects(
+            connect.fromRegistry(web3, stemPath, 'Stimulus', { registryPath, networkId: '1337' }),
+            /Stimulus/,
+        );
+    });
+
+    it('should let the options of connect.fromRegistry be omitted', async () => {
+        const registryPath = path.join(
+            fs.mkdtempSync(path.join(os.tmpdir(), 'nrn-brainstem-test-')),
+            'deployments.json',
+        );
+        const networkId = await new Promise((resolve, reject) => web3.version.getNetwork(
+            (err, result) => (err ? reject(err) : resolve(result)),
+        ));
+        recordDeployment(registryPath, networkId, 'Stem', { address: stemInstance.address });
+
+        const originalRegistryPath = process.env.NRN_BRAINSTEM_REGISTRY;
+        process.env.NRN_BRAINSTEM_REGISTRY = registryPath;
+        try {
+            const connected = await connect.fromRegistry(web3, stemPath, 'Stem');
+            assert.strictEqual(connected.address, stemInstance.address);
+
+            const connectedWithCallback = await new Promise((resolve, reject) => {
+                const result = connect.fromRegistry(
+                    web3,
+                    stemPath,
+                    'Stem',
+                    (err, instance) => (err ? reject(err) : resolve(instance)),
+                );
+                assert.strictEqual(result, undefined);
+            });
+            assert.strictEqual(connectedWithCallback.address, stemInstance.address);
+        } finally {
+            if (originalRegistryPath === undefined) {
+                delete process.env.NRN_BRAINSTEM_REGISTRY;
+            } else {
+                process.env.NRN_BRAINSTEM_REGISTRY = originalRegistryPath;
+            }
+        }
+    });
+});
@@ -0,0 +1,27 @@
+pragma solidity ^0.4.24;
+
+/**
+ * Fails in each of the ways that diagnoseFailure.js can tell apart.
+ */
+contract Failures {
+    uint256 public total;
+
+    function revertWithReason(uint256 amount) public returns (bool) {
+        require(amount > 5, "amount too small");
+        total = amount;
+        return true;
+    }
+
+    function failAssertion(uint256 amount) public returns (bool) {
+        assert(amount > 5);
+        total = amount;
+        return true;
+    }
+
+    function exhaustGas(uint256 iterations) public returns (bool) {
+        for (uint256 i = 0; i < iterations; i++) {
+            total += i;
+        }
+        return true;
+    }
+}
@@ -0,0 +1,16 @@
+pragma solidity ^0.4.24;
+
+/**
+ * Adds to a total through an overloaded method, for manifests to call each overload of.
+ */
+contract Overloads {
+    uint256 public total;
+
+    function add(uint256 amount) public {
+        total += amount;
+    }
+
+    function add(uint256 amount, uint256 times) public {
+        total += amount * times;
+    }
+}
@@ -0,0 +1,140 @@
+/**
+ * This file contains tests for the failure diagnosis functionality available in
+ * ../diagnoseFailure.js, and for its use by ../getGasEstimateAndCall.js.
+ */
+
+const assert = require('assert');
+const async = require('async');
+const diagnoseFailure = require('../diagnoseFailure.js');
+const {
+    ContractCallError,
+    ContractInvalidOpcodeError,
+    ContractOutOfGasError,
+    ContractRevertError,
+} = require('../errors.js');
+const { deploy, deployStem, startChain } = require('./fixtures.js');
+const { fixedGas } = require('../gasStrategies.js');
+const getGasEstimateAndCall = require('../getGasEstimateAndCall.js');
+const path = require('path');
+
+const failuresPath = path.resolve(__dirname, 'contracts/Failures.sol');
+
+describe('failure diagnosis', () => {
+    let web3;
+    let accounts;
+    let stemInstance;
+    let failuresInstance;
+
+    before(function setUp(done) {
+        this.timeout(20000);
+
+        return async.waterfall([
+            next => startChain({}, next),
+            (client, result, next) => {
+                web3 = client;
+                accounts = result;
+                return deployStem(web3, accounts[0], next);
+            },
+            (instance, next) => {
+                stemInstance = instance;
+                return deploy(web3, failuresPath, 'Failures', [], accounts[0], next);
+            },
+            (instance, next) => {
+                failuresInstance = instance;
+                return next();
+            },
+        ], done);
+    });
+
+    it('should report failed requires as reverts, naming the method', (done) => {
+        // accounts[1] has no allowance from accounts[0]
+        getGasEstimateAndCall(
+            stemInstance.transferFrom,
+            accounts[1],
+            gasEstimate => gasEstimate,
+            accounts[0],
+            accounts[1],
+            10,
+            (err) => {
+                assert(err instanceof ContractRevertError);
+                assert(err instanceof ContractCallError);
+                assert.strictEqual(err.methodName, 'transferFrom');
+                assert.deepStrictEqual(err.args, [accounts[0], accounts[1], 10]);
+                assert.strictEqual(err.from, accounts[1]);
+                assert.strictEqual(err.reason, null);
+                assert(/reverts \(a require\(\) or revert\(\) in transferFrom failed\)$/.test(err.message));
+                return done();
+            },
+        );
+    });
+
+    it('should report the reasons given for reverts', (done) => {
+        getGasEstimateAndCall(
+            failuresInstance.revertWithReason,
+            accounts[0],
+            gasEstimate => gasEstimate,
+            1,
+            (err) => {
+                assert(err instanceof ContractRevertError);
+                assert.strictEqual(err.reason, 'amount too small');
+                assert(err.message.endsWith('reverts: amount too small'));
+                return done();
+            },
+        );
+    });
+
+    it('should report failed assertions as invalid opcodes', (done) => {
+        getGasEstimateAndCall(
+            failuresInstance.failAssertion,
+            accounts[0],
+            gasEstimate => gasEstimate,
+            1,
+            (err) => {
+                assert(err instanceof ContractInvalidOpcodeError);
+                assert.strictEqual(err.methodName, 'failAssertion');
+                return done();
+            },
+        );
+    });
+
+    it('should report calls which run out of gas', function runTest(done) {
+        this.timeout(10000);
+
+        // Ten iterations need about 58000 gas. Loops which exhaust the block gas limit are avoided,
+        // as ganache takes minutes to estimate their gas
+        getGasEstimateAndCall(
+            failuresInstance.exhaustGas,
+            accounts[0],
+            fixedGas(40000),
+            10,
+            (err) => {
+                assert(err instanceof ContractOutOfGasError);
+                assert.strictEqual(err.methodName, 'exhaustGas');
+                return done();
+            },
+        );
+    });
+
+    it('should name methods of unlabelled instances by their function selector', function runTest(done) {
+        this.timeout(10000);
+
+        const instance = web3.eth.contract(stemInstance.abi).at(stemInstance.address);
+        getGasEstimateAndCall(instance.changeName, accounts[1], gas => gas, 'Impostor', (err) => {
+            assert(err instanceof ContractRevertError);
+            assert(/^function 0x[0-9a-f]{8}$/.test(err.methodName));
+            return done();
+        });
+    });
+
+    it('should fall back to the original error when the call succeeds', (done) => {
+        const contractMethod = {
+            methodName: 'flaky',
+            call: (...args) => args[args.length - 1](null, true),
+        };
+        diagnoseFailure(contractMethod, [1], accounts[0], new Error('gas required exceeds allowance'), (err) => {
+            assert.strictEqual(err.constructor, ContractCallError);
+            assert(err.message.startsWith(`flaky(1) from ${accounts[0]} failed: gas required exceeds allowance (the same call succeeds`));
+            return done();
+        });
+    });
+});
@@ -0,0 +1,286 @@
+/**
+ * This file contains tests for the event indexer available in ../eventIndexer.js.
+ *
+ * Chain reorganizations are simulated by taking a snapshot of the ganache-core chain, indexing
+ * blocks mined after it, reverting to the snapshot and mining different blocks in their place.
+ */
+
+const assert = require('assert');
+const async = require('async');
+const eventIndexer = require('../eventIndexer.js');
+const { deployStem, deployStimulus, startChain } = require('./fixtures.js');
+const levelup = require('levelup');
+const memdown = require('memdown');
+
+describe('Event indexer', () => {
+    let web3;
+    let accounts;
+    let stem;
+    let stimulus;
+    let db;
+
+    /**
+     * Sends a JSON-RPC request to the ganache-core provider.
+     *
+     * @param {string} method - JSON-RPC method
+     * @param {Array} params - Parameters of the method
+     * @param {callback} callback - Called with an error, or with null and the result
+     */
+    function rpc(method, params, callback) {
+        web3.currentProvider.sendAsync(
+            {
+                jsonrpc: '2.0',
+                method,
+                params,
+                id: Date.now(),
+            },
+            (err, response) => callback(err, response && response.result),
+        );
+    }
+
+    /**
+     * Transfers Stem tokens from the stem master.
+     *
+     * @param {string} to - Recipient
+     * @param {number} amount - Amount to transfer
+     * @param {callback} callback - Called once the transfer is mined
+     */
+    function transfer(to, amount, callback) {
+        return stem.transfer(to, amount, { from: accounts[0] }, err => callback(err));
+    }
+
+    before(function setUp(done) {
+        this.timeout(20000);
+
+        db = levelup(memdown());
+
+        return async.waterfall([
+            next => startChain({}, next),
+            (client, result, next) => {
+                web3 = client;
+                accounts = result;
+                return deployStem(web3, accounts[0], next);
+            },
+            (instance, next) => {
+                stem = instance;
+                return deployStimulus(web3, accounts[0], stem.address, [100, 50, 10, 0, 0], next);
+            },
+            (instance, next) => {
+                stimulus = instance;
+                return async.series([
+                    seriesNext => transfer(accounts[1], 100, seriesNext),
+                    seriesNext => stem.approve(
+                        stimulus.address,
+                        500,
+                        { from: accounts[0] },
+                        seriesNext,
+                    ),
+                    seriesNext => stimulus.enroll(
+                        1,
+                        { from: accounts[1], gas: 200000 },
+                        seriesNext,
+                    ),
+                    seriesNext => stimulus.respondToEnrollment(
+                        accounts[1],
+                        1,
+                        true,
+                        { from: accounts[0], gas: 200000 },
+                        seriesNext,
+                    ),
+                ], err => next(err));
+            },
+        ], done);
+    });
+
+    after(done => db.close(done));
+
+    it('should index the events of the contracts up to the head of the chain', (done) => {
+        async.waterfall([
+            next => eventIndexer.catchUp(web3, db, [stem, stimulus], { batchSize: 2 }, next),
+            (checkpoint, next) => web3.eth.getBlock('latest', (err, block) => {
+                if (err) {
+                    return next(err);
+                }
+                assert.deepStrictEqual(
+                    checkpoint,
+                    { blockNumber: block.number, blockHash: block.hash },
+                );
+                return eventIndexer.readEvents(db, {}, next);
+            }),
+            (events, next) => {
+                assert.deepStrictEqual(
+                    events.map(event => event.event),
+                    ['Transfer', 'Approval', 'StimulusRequest', 'Transfer', 'StimulusResponse'],
+                );
+                assert.deepStrictEqual(events[0].args, {
+                    from: accounts[0],
+                    to: accounts[1],
+                    value: '100',
+                });
+                assert.deepStrictEqual(events[4].args, {
+                    candidate: accounts[1],
+                    stimulusType: '0',
+                    stimulusId: '1',
+                    accepted: true,
+                });
+                assert.strictEqual(events[4].address, stimulus.address);
+                return eventIndexer.readEvents(
+                    db,
+                    { event: 'Transfer', fromBlock: events[1].blockNumber },
+                    next,
+                );
+            },
+            (transfers, next) => {
+                assert.deepStrictEqual(
+                    transfers.map(event => event.args),
+                    [{ from: accounts[0], to: accounts[1], value: '100' }],
+                );
+                return next();
+            },
+        ], done);
+    });
+
+    it('should resume from its checkpoint', (done) => {
+        async.waterfall([
+            next => transfer(accounts[2], 20, next),
+            next => eventIndexer.indexBlocks(web3, db, [stem, stimulus], {}, next),
+            (report, next) => {
+                assert.strictEqual(report.fromBlock, report.toBlock);
+                assert.strictEqual(report.events, 1);
+                assert.strictEqual(report.rolledBackTo, null);
+                assert(report.caughtUp);
+                return eventIndexer.indexBlocks(web3, db, [stem, stimulus], {}, next);
+            },
+            (report, next) => {
+                assert.strictEqual(report.toBlock, null);
+                assert.strictEqual(report.events, 0);
+                return next();
+            },
+        ], done);
+    });
+
+    it('should roll back the events of blocks which are reorganized away', (done) => {
+        let snapshot;
+        let checkpoint;
+
+        async.waterfall([
+            next => rpc('evm_snapshot', [], next),
+            (result, next) => {
+                snapshot = result;
+                return eventIndexer.readCheckpoint(db, next);
+            },
+            (result, next) => {
+                checkpoint = result;
+                return async.series([
+                    seriesNext => transfer(accounts[3], 30, seriesNext),
+                    seriesNext => transfer(accounts[3], 31, seriesNext),
+                ], err => next(err));
+            },
+            next => eventIndexer.catchUp(web3, db, [stem, stimulus], {}, err => next(err)),
+            next => rpc('evm_revert', [snapshot], err => next(err)),
+            next => async.series([
+                seriesNext => transfer(accounts[4], 40, seriesNext),
+                seriesNext => transfer(accounts[4], 41, seriesNext),
+                seriesNext => transfer(accounts[4], 42, seriesNext),
+            ], err => next(err)),
+            next => eventIndexer.indexBlocks(web3, db, [stem, stimulus], {}, next),
+            (report, next) => {
+                assert.strictEqual(report.rolledBackTo, checkpoint.blockNumber);
+                assert.strictEqual(report.fromBlock, checkpoint.blockNumber + 1);
+                assert.strictEqual(report.events, 3);
+                return eventIndexer.readEvents(
+                    db,
+                    { event: 'Transfer', fromBlock: checkpoint.blockNumber + 1 },
+                    next,
+                );
+            },
+            (transfers, next) => {
+                assert.deepStrictEqual(
+                    transfers.map(event => [event.args.to, event.args.value]),
+                    [[accounts[4], '40'], [accounts[4], '41'], [accounts[4], '42']],
+                );
+                return next();
+            },
+        ], done);
+    });
+
+    it('should rebuild the index after a reorganization deeper than the blocks kept', (done) => {
+        const shallowDb = levelup(memdown());
+        const options = { maxReorgDepth: 1 };
+        let snapshot;
+
+        async.waterfall([
+            next => eventIndexer.catchUp(web3, shallowDb, [stem, stimulus], options, next),
+            (checkpoint, next) => rpc('evm_snapshot', [], next),
+            (result, next) => {
+                snapshot = result;
+                return async.series([
+                    seriesNext => transfer(accounts[5], 50, seriesNext),
+                    seriesNext => transfer(accounts[5], 51, seriesNext),
+                ], err => next(err));
+            },
+            next => eventIndexer.catchUp(
+                web3,
+                shallowDb,
+                [stem, stimulus],
+                options,
+                err => next(err),
+            ),
+            next => rpc('evm_revert', [snapshot], err => next(err)),
+            next => async.series([
+                seriesNext => transfer(accounts[6], 60, seriesNext),
+                seriesNext => transfer(accounts[6], 61, seriesNext),
+            ], err => next(err)),
+            next => eventIndexer.indexBlocks(web3, shallowDb, [stem, stimulus], options, next),
+            (report, next) => {
+                assert.strictEqual(report.rolledBackTo, -1);
+                assert.strictEqual(report.fromBlock, 0);
+                return eventIndexer.catchUp(web3, shallowDb, [stem, stimulus], options, next);
+            },
+            (checkpoint, next) => eventIndexer.readEvents(shallowDb, { event: 'Transfer' }, next),
+            (transfers, next) => {
+                const recipients = transfers.map(event => event.args.to);
+                assert(recipients.includes(accounts[6]));
+                assert(!recipients.includes(accounts[5]));
+                return shallowDb.close(next);
+            },
+        ], done);
+    });
+
+    it('should follow the chain as blocks are mined', function runTest(done) {
+        this.timeout(10000);
+
+        const follower = eventIndexer.followChain(web3, db, [stem, stimulus], { pollInterval: 50 });
+        let transferBlock;
+        let indexedBlock = -1;
+
+        async.waterfall([
+            next => stem.transfer(accounts[7], 70, { from: accounts[0] }, next),
+            (transactionHash, next) => web3.eth.getTransactionReceipt(transactionHash, next),
+            (receipt, next) => {
+                transferBlock = receipt.blockNumber;
+                return async.until(
+                    () => indexedBlock >= transferBlock,
+                    untilNext => setTimeout(() => eventIndexer.readCheckpoint(
+                        db,
+                        (err, checkpoint) => {
+                            indexedBlock = checkpoint ? checkpoint.blockNumber : -1;
+                            return untilNext(err);
+                        },
+                    ), 50),
+                    next,
+                );
+            },
+            next => eventIndexer.readEvents(db, { fromBlock: transferBlock }, next),
+        ], (err, events) => follower.stop(() => {
+            if (err) {
+                return done(err);
+            }
+            assert.deepStrictEqual(
+                events.map(event => event.args),
+                [{ from: accounts[0], to: accounts[7], value: '70' }],
+            );
+            return done();
+        }));
+    });
+});
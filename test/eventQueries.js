@@ -0,0 +1,203 @@
+/**
+ * This file contains tests for the queries over the event index available in ../eventQueries.js.
+ */
+
+const assert = require('assert');
+const async = require('async');
+const { ArgumentError } = require('../errors.js');
+const { catchUp } = require('../eventIndexer.js');
+const eventQueries = require('../eventQueries.js');
+const { deployStem, deployStimulus, startChain } = require('./fixtures.js');
+const levelup = require('levelup');
+const memdown = require('memdown');
+
+describe('Event queries', () => {
+    let web3;
+    let accounts;
+    let stem;
+    let stimulus;
+    let db;
+    let firstTransferBlock;
+
+    /**
+     * Sends a transaction from the given account and waits for it to be mined.
+     *
+     * @param {Function} method - Contract method sending the transaction
+     * @param {Array} args - Arguments of the method
+     * @param {string} from - Sender
+     * @param {callback} callback - Called with an error, or with null and the receipt
+     */
+    function send(method, args, from, callback) {
+        return method(...args, { from, gas: 200000 }, (err, transactionHash) => {
+            if (err) {
+                return callback(err);
+            }
+            return web3.eth.getTransactionReceipt(transactionHash, callback);
+        });
+    }
+
+    before(function setUp(done) {
+        this.timeout(20000);
+
+        db = levelup(memdown());
+
+        return async.waterfall([
+            next => startChain({}, next),
+            (client, result, next) => {
+                web3 = client;
+                accounts = result;
+                return deployStem(web3, accounts[0], next);
+            },
+            (instance, next) => {
+                stem = instance;
+                return deployStimulus(web3, accounts[0], stem.address, [100, 50, 10, 0, 0], next);
+            },
+            (instance, next) => {
+                stimulus = instance;
+                return send(stem.transfer, [accounts[1], 100], accounts[0], next);
+            },
+            (receipt, next) => {
+                firstTransferBlock = receipt.blockNumber;
+                return async.eachSeries([
+                    [stem.approve, [stimulus.address, 500], accounts[0]],
+                    [stem.approve, [accounts[4], 7], accounts[0]],
+                    [stimulus.enroll, [1], accounts[1]],
+                    [stimulus.respondToEnrollment, [accounts[1], 1, true], accounts[0]],
+                    [stimulus.submit, [1, 5], accounts[1]],
+                    [stimulus.respond, [accounts[1], 1, 5, true], accounts[0]],
+                    [stimulus.submit, [2, 6], accounts[1]],
+                    [stimulus.enroll, [2], accounts[2]],
+                    [stimulus.enroll, [3], accounts[3]],
+                    [stimulus.respondToEnrollment, [accounts[3], 3, false], accounts[0]],
+                ], ([method, args, from], eachNext) => send(
+                    method,
+                    args,
+                    from,
+                    err => eachNext(err),
+                ), next);
+            },
+            next => catchUp(web3, db, [stem, stimulus], {}, err => next(err)),
+        ], done);
+    });
+
+    after(done => db.close(done));
+
+    it('should read balances and holders at a block', (done) => {
+        async.waterfall([
+            next => eventQueries.holdersAt(db, stem, {}, next),
+            (result, next) => {
+                assert.deepStrictEqual(result.holders, [
+                    { account: accounts[0], balance: '1199750' },
+                    { account: accounts[1], balance: '250' },
+                ]);
+                return eventQueries.balancesAt(
+                    db,
+                    stem,
+                    { blockNumber: firstTransferBlock, accounts: [accounts[1], accounts[2]] },
+                    next,
+                );
+            },
+            (result, next) => {
+                assert.deepStrictEqual(result, {
+                    blockNumber: firstTransferBlock,
+                    balances: [
+                        { account: accounts[1], balance: '100' },
+                        { account: accounts[2], balance: '0' },
+                    ],
+                });
+                return eventQueries.balancesAt(db, stem, { blockNumber: 1000 }, (err) => {
+                    assert(err instanceof ArgumentError);
+                    return next();
+                });
+            },
+        ], done);
+    });
+
+    it('should list the approvals made by an owner to a spender', (done) => {
+        eventQueries.allowanceHistory(
+            db,
+            stem.address,
+            { owner: accounts[0], spender: stimulus.address },
+            (err, approvals) => {
+                if (err) {
+                    return done(err);
+                }
+                assert.deepStrictEqual(
+                    approvals.map(({ owner, spender, allowance }) => [owner, spender, allowance]),
+                    [[accounts[0], stimulus.address, '500']],
+                );
+                return done();
+            },
+        );
+    });
+
+    it('should trace the timeline of a participant', (done) => {
+        eventQueries.participantTimeline(db, stimulus.address, accounts[1], (err, timeline) => {
+            if (err) {
+                return done(err);
+            }
+            assert.deepStrictEqual(
+                timeline.map(entry => [
+                    entry.kind,
+                    entry.stimulusType,
+                    entry.stimulusId,
+                    entry.status,
+                    entry.reward,
+                ]),
+                [
+                    ['request', 0, '1', 'enrolled', undefined],
+                    ['response', 0, '1', 'accepted', '100'],
+                    ['request', 1, '5', 'accepted', undefined],
+                    ['response', 1, '5', 'accepted', '50'],
+                    ['request', 2, '6', 'accepted', undefined],
+                ],
+            );
+            return done();
+        });
+    });
+
+    it('should total payouts by stimulus type', (done) => {
+        eventQueries.payoutTotals(db, stimulus.address, (err, totals) => {
+            if (err) {
+                return done(err);
+            }
+            assert.deepStrictEqual(totals.slice(0, 3), [
+                {
+                    stimulusType: 0,
+                    requests: 3,
+                    accepted: 1,
+                    rejected: 1,
+                    paid: '100',
+                },
+                {
+                    stimulusType: 1,
+                    requests: 1,
+                    accepted: 1,
+                    rejected: 0,
+                    paid: '50',
+                },
+                {
+                    stimulusType: 2,
+                    requests: 1,
+                    accepted: 0,
+                    rejected: 0,
+                    paid: '0',
+                },
+            ]);
+            return done();
+        });
+    });
+
+    it('should list the requests awaiting a response', (done) => {
+        eventQueries.pendingRequests(db, stimulus.address, (err, pending) => {
+            if (err) {
+                return done(err);
+            }
+            assert.deepStrictEqual(
+                pending.map(request => [request.kind, request.candidate, request.stimulusId]),
+                [['submission', accounts[1], '6'], ['enrollment', accounts[2], '2']],
+            );
+            return done();
+        });
+    });
+});
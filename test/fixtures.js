@@ -0,0 +1,87 @@
+/**
+ * This file contains the fixtures shared by the test files: a web3 client connected to a chain
+ * simulated by ganache, and Stem and Stimulus contracts deployed to it.
+ */
+
+const { loadContract } = require('../artifacts.js');
+const async = require('async');
+const connect = require('../connect.js');
+const { deployContract } = require('../deployContract.js');
+const Ganache = require('ganache-core');
+const path = require('path');
+const Web3 = require('web3');
+
+const stemPath = path.resolve(__dirname, '../src/stem.sol');
+const stimulusPath = path.resolve(__dirname, '../src/stimulus.sol');
+
+/**
+ * Starts a fresh chain simulated by ganache.
+ *
+ * @param {Object} providerOptions - Options for the ganache provider
+ * @param {callback} callback - Called with an error, or with null, a web3 client connected to the
+ * chain and the accounts of the chain
+ */
+function startChain(providerOptions, callback) {
+    const web3 = new Web3();
+    web3.setProvider(Ganache.provider(providerOptions));
+    return web3.eth.getAccounts((err, accounts) => callback(err, web3, accounts));
+}
+
+/**
+ * Deploys a contract and connects to it.
+ *
+ * @param {Object} web3 - Web3 client
+ * @param {string} contractPath - Path to the solidity file defining the contract
+ * @param {string} contractName - Name of the contract
+ * @param {Array} contractArgs - Arguments to the constructor of the contract
+ * @param {string} from - Address from which to deploy the contract
+ * @param {callback} callback - Called with an error, or with null and the web3 contract instance
+ */
+function deploy(web3, contractPath, contractName, contractArgs, from, callback) {
+    return async.waterfall([
+        next => deployContract(
+            web3,
+            loadContract(contractPath, contractName),
+            contractArgs,
+            { from, gas: 2000000 },
+            next,
+        ),
+        (deployment, next) => next(
+            null,
+            connect(deployment.address, web3, contractPath, contractName),
+        ),
+    ], callback);
+}
+
+/**
+ * Deploys a Stem contract whose deployer holds its whole supply of 1200000 tokens.
+ *
+ * @param {Object} web3 - Web3 client
+ * @param {string} from - Address from which to deploy the contract
+ * @param {callback} callback - Called with an error, or with null and the web3 contract instance
+ */
+function deployStem(web3, from, callback) {
+    return deploy(web3, stemPath, 'Stem', ['Stem', 'STM', 1200000], from, callback);
+}
+
+/**
+ * Deploys a Stimulus contract paying rewards in the tokens of a Stem contract.
+ *
+ * @param {Object} web3 - Web3 client
+ * @param {string} from - Address from which to deploy the contract
+ * @param {string} stemAddress - Address of the Stem contract
+ * @param {Array} rewards - Reward for each stimulus type
+ * @param {callback} callback - Called with an error, or with null and the web3 contract instance
+ */
+function deployStimulus(web3, from, stemAddress, rewards, callback) {
+    return deploy(web3, stimulusPath, 'Stimulus', [stemAddress, rewards], from, callback);
+}
+
+module.exports = {
+    deploy,
+    deployStem,
+    deployStimulus,
+    startChain,
+    stemPath,
+    stimulusPath,
+};
@@ -0,0 +1,168 @@
+/**
+ * This file contains tests for the gas strategies available in ../gasStrategies.js.
+ */
+
+const assert = require('assert');
+const async = require('async');
+const { GasAllocationError } = require('../errors.js');
+const { deployStem, startChain } = require('./fixtures.js');
+const gasStrategies = require('../gasStrategies.js');
+const getGasEstimateAndCall = require('../getGasEstimateAndCall.js');
+const utils = require('web3/lib/utils/utils');
+
+// Gas price suggested by the node
+const NODE_GAS_PRICE = '20000000000';
+
+describe('gas strategies', () => {
+    let web3;
+    let accounts;
+
+    before((done) => {
+        startChain({ gasPrice: utils.toHex(NODE_GAS_PRICE) }, (err, client, result) => {
+            if (err) {
+                return done(err);
+            }
+            web3 = client;
+            accounts = result;
+            return done();
+        });
+    });
+
+    it('should multiply the estimate, up to the ceiling', (done) => {
+        const strategy = gasStrategies.multiplier(2, 150000);
+        async.series([
+            next => gasStrategies.allocateGas(strategy, 50000, next),
+            next => gasStrategies.allocateGas(strategy, 100000, next),
+        ], (err, allocations) => {
+            if (err) {
+                return done(err);
+            }
+            assert.deepStrictEqual(allocations.map(allocation => allocation.gas), [100000, 150000]);
+            assert.strictEqual(allocations[0].gasPrice, undefined);
+            return done();
+        });
+    });
+
+    it('should refuse to allocate gas when the estimate exceeds the ceiling', (done) => {
+        gasStrategies.allocateGas(gasStrategies.multiplier(2, 150000), 200000, (err) => {
+            assert(err instanceof GasAllocationError);
+            assert.strictEqual(err.allocation.gasEstimate, 200000);
+            return done();
+        });
+    });
+
+    it('should set fixed gas prices, or multiples of the gas price suggested by the node', (done) => {
+        async.series([
+            next => gasStrategies.allocateGas(gasStrategies.fixedGasPrice('7'), 21000, next),
+            next => gasStrategies.allocateGas(gasStrategies.nodeGasPrice(web3, 1.5), 21000, next),
+        ], (err, allocations) => {
+            if (err) {
+                return done(err);
+            }
+            assert.deepStrictEqual(
+                allocations.map(allocation => allocation.gasPrice),
+                ['7', '30000000000'],
+            );
+            return done();
+        });
+    });
+
+    it('should refuse to allocate gas which could cost more than the budget', (done) => {
+        const strategy = gasStrategies.compose(
+            gasStrategies.fixedGas(100000),
+            gasStrategies.budget(web3, '1999999999999999'),
+        );
+        gasStrategies.allocateGas(strategy, null, (err) => {
+            assert(err instanceof GasAllocationError);
+            assert.strictEqual(err.allocation.cost, '2000000000000000');
+            assert.strictEqual(err.allocation.gasPrice, NODE_GAS_PRICE);
+            assert.strictEqual(err.allocation.budget, '1999999999999999');
+            return done();
+        });
+    });
+
+    it('should pin the gas price checked against the budget', (done) => {
+        const strategy = gasStrategies.compose(
+            gasStrategies.fixedGas(100000),
+            gasStrategies.budget(web3, '2000000000000000'),
+        );
+        gasStrategies.allocateGas(strategy, null, (err, allocation) => {
+            if (err) {
+                return done(err);
+            }
+            assert.deepStrictEqual(allocation, {
+                gasEstimate: null,
+                gas: 100000,
+                gasPrice: NODE_GAS_PRICE,
+            });
+            return done();
+        });
+    });
+
+    it('should build strategies from command line options', (done) => {
+        const fixed = gasStrategies.fromOptions(web3, { gas: 50000, gasPrice: '1' });
+        assert(!fixed.requiresEstimate);
+
+        const estimated = gasStrategies.fromOptions(web3, {
+            gasMultiplier: 1.5,
+            gasCeiling: 60000,
+        });
+        assert(estimated.requiresEstimate);
+
+        assert.throws(
+            () => gasStrategies.fromOptions(web3, { gasPrice: '1', gasPriceMultiplier: 2 }),
+            /cannot be used together/,
+        );
+
+        return gasStrategies.allocateGas(fixed, null, (err, allocation) => {
+            if (err) {
+                return done(err);
+            }
+            assert.strictEqual(allocation.gas, 50000);
+            assert.strictEqual(allocation.gasPrice, '1');
+            return gasStrategies.allocateGas(estimated, null, (estimateErr) => {
+                assert(/requires a gas estimate/.test(estimateErr.message));
+                return done();
+            });
+        });
+    });
+
+    it('should be accepted by getGasEstimateAndCall in place of assignGas', function runTest(done) {
+        this.timeout(10000);
+
+        let stemInstance;
+        return async.waterfall([
+            next => deployStem(web3, accounts[0], next),
+            (deployedStem, next) => {
+                stemInstance = deployedStem;
+                return getGasEstimateAndCall(
+                    stemInstance.changeName,
+                    accounts[0],
+                    gasStrategies.compose(
+                        gasStrategies.multiplier(2),
+                        gasStrategies.nodeGasPrice(web3, 2),
+                    ),
+                    'Renamed',
+                    next,
+                );
+            },
+            (transactionHash, receipt, next) => web3.eth.getTransaction(transactionHash, next),
+            (transaction, next) => {
+                assert.strictEqual(transaction.gasPrice.toString(10), '40000000000');
+                return getGasEstimateAndCall(
+                    stemInstance.changeName,
+                    accounts[0],
+                    gasStrategies.compose(
+                        gasStrategies.multiplier(2),
+                        gasStrategies.budget(web3, 1),
+                    ),
+                    'Unaffordable',
+                    (err) => {
+                        assert(err.cause instanceof GasAllocationError);
+                        return next();
+                    },
+                );
+            },
+        ], done);
+    });
+});
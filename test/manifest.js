@@ -0,0 +1,245 @@
+/**
+ * This file contains tests for the deployment manifest functionality available in ../manifest.js.
+ */
+
+// Manifests refer to earlier deployments with ${...} placeholders inside ordinary strings
+/* eslint-disable no-template-curly-in-string */
+
+const assert = require('assert');
+const { loadContract } = require('../artifacts.js');
+const { startChain } = require('./fixtures.js');
+const fs = require('fs');
+const manifests = require('../manifest.js');
+const os = require('os');
+const path = require('path');
+const registry = require('../registry.js');
+
+const sourceDirectory = path.resolve(__dirname, '../src');
+
+/**
+ * Writes a manifest to a fresh temporary directory.
+ *
+ * @param {string} filename - Name of manifest file (its extension determines its format)
+ * @param {string} contents - Contents of manifest file
+ * @returns {string} Path to manifest file
+ */
+function writeManifest(filename, contents) {
+    const manifestPath = path.join(
+        fs.mkdtempSync(path.join(os.tmpdir(), 'nrn-brainstem-manifest-')),
+        filename,
+    );
+    fs.writeFileSync(manifestPath, contents);
+    return manifestPath;
+}
+
+const systemManifest = {
+    contracts: {
+        Stimulus: {
+            file: path.join(sourceDirectory, 'stimulus.sol'),
+            args: ['${Stem.address}', ['10000000', '5000000', '1000000', '0', '0']],
+        },
+        Stem: {
+            file: path.join(sourceDirectory, 'stem.sol'),
+            args: ['Stem', 'STM', '1200000'],
+        },
+    },
+    calls: [
+        { contract: 'Stem', method: 'approve', args: ['${Stimulus.address}', '1200000'] },
+    ],
+};
+
+describe('loadManifest', () => {
+    it('should load JSON manifests', (done) => {
+        const manifestPath = writeManifest('system.json', JSON.stringify(systemManifest));
+        const manifest = manifests.loadManifest(manifestPath);
+        assert.strictEqual(manifest.path, manifestPath);
+        assert.deepStrictEqual(manifest.contracts, systemManifest.contracts);
+        assert.deepStrictEqual(manifest.calls, systemManifest.calls);
+        return done();
+    });
+
+    it('should load YAML manifests', (done) => {
+        const manifestPath = writeManifest('system.yml', [
+            'contracts:',
+            '  Stem:',
+            '    file: stem.sol',
+            '    args: [Stem, STM, "1200000"]',
+        ].join('\n'));
+        const manifest = manifests.loadManifest(manifestPath);
+        assert.deepStrictEqual(manifest.contracts.Stem.args, ['Stem', 'STM', '1200000']);
+        assert.deepStrictEqual(manifest.calls, []);
+        return done();
+    });
+
+    it('should reject manifests which do not define any contracts', (done) => {
+        const manifestPath = writeManifest('empty.json', '{"calls": []}');
+        assert.throws(() => manifests.loadManifest(manifestPath), /does not define any contracts/);
+        return done();
+    });
+});
+
+describe('planManifest', () => {
+    it('should deploy contracts after the contracts they refer to, then make calls in order', (done) => {
+        const steps = manifests.planManifest(Object.assign({ path: 'system.json' }, systemManifest));
+        assert.deepStrictEqual(
+            steps.map(step => step.id),
+            ['deploy:Stem', 'deploy:Stimulus', 'call:0'],
+        );
+        assert.strictEqual(steps[2].name, 'Stem.approve');
+        return done();
+    });
+
+    it('should report every reference to an unknown deployment', (done) => {
+        const manifest = {
+            path: 'broken.json',
+            contracts: { Stimulus: { file: 'stimulus.sol', args: ['${Stem.address}', []] } },
+            calls: [{ contract: 'Stem', method: 'approve', args: [] }],
+        };
+        assert.throws(
+            () => manifests.planManifest(manifest),
+            err => /Stimulus refers to unknown deployment Stem/.test(err.message) &&
+                /call 0 refers to unknown deployment Stem/.test(err.message),
+        );
+        return done();
+    });
+
+    it('should reject circular dependencies', (done) => {
+        const manifest = {
+            path: 'circular.json',
+            contracts: {
+                A: { file: 'a.sol', args: ['${B.address}'] },
+                B: { file: 'b.sol', args: ['${A.address}'] },
+            },
+            calls: [],
+        };
+        assert.throws(() => manifests.planManifest(manifest), /circular dependencies between A, B/);
+        return done();
+    });
+});
+
+describe('resolveReferences', () => {
+    it('should replace references with the results of completed deployments', (done) => {
+        const completedSteps = {
+            'deploy:Stem': { address: '0x1111111111111111111111111111111111111111', blockNumber: 4 },
+        };
+        assert.deepStrictEqual(
+            manifests.resolveReferences(
+                ['${Stem.address}', ['${Stem.blockNumber}'], 'at ${Stem.address}'],
+                completedSteps,
+            ),
+            [
+                '0x1111111111111111111111111111111111111111',
+                [4],
+                'at 0x1111111111111111111111111111111111111111',
+            ],
+        );
+        return done();
+    });
+});
+
+describe('runManifest', () => {
+    let web3;
+    let sender;
+    let manifest;
+    let registryPath;
+
+    before((done) => {
+        manifest = manifests.loadManifest(writeManifest('system.json', JSON.stringify(systemManifest)));
+        registryPath = path.join(path.dirname(manifest.path), 'deployments.json');
+        return startChain({}, (err, client, accounts) => {
+            if (err) {
+                return done(err);
+            }
+            web3 = client;
+            [sender] = accounts;
+            return done();
+        });
+    });
+
+    it('should deploy the system, make the calls and record the deployments', function runTest(done) {
+        this.timeout(20000);
+
+        const options = { from: sender, registryPath };
+        return manifests.runManifest(web3, manifest, options, (err, state) => {
+            if (err) {
+                return done(err);
+            }
+
+            const stemAddress = state.steps['deploy:Stem'].address;
+            const stimulusAddress = state.steps['deploy:Stimulus'].address;
+            assert.strictEqual(
+                registry.lookupDeployment(registryPath, state.networkId, 'Stimulus').address,
+                stimulusAddress,
+            );
+            assert(/^0x[0-9a-f]{64}$/.test(state.steps['call:0'].transactionHash));
+
+            const stemAbi = loadContract(systemManifest.contracts.Stem.file, 'Stem').abi;
+            const stem = web3.eth.contract(stemAbi).at(stemAddress);
+            return stem.allowance(sender, stimulusAddress, (allowanceErr, allowance) => {
+                if (allowanceErr) {
+                    return done(allowanceErr);
+                }
+                assert.strictEqual(allowance.toString(), '1200000');
+                return done();
+            });
+        });
+    });
+
+    it('should call the overload of a method which takes the arguments given', function runTest(done) {
+        this.timeout(20000);
+
+        const overloadsFile = path.resolve(__dirname, 'contracts/Overloads.sol');
+        const overloadsManifest = manifests.loadManifest(writeManifest('overloads.json', JSON.stringify({
+            contracts: { Overloads: { file: overloadsFile, args: [] } },
+            calls: [
+                { contract: 'Overloads', method: 'add', args: ['3', '4'] },
+                { contract: 'Overloads', method: 'add', args: ['5'] },
+            ],
+        })));
+        return manifests.runManifest(web3, overloadsManifest, { from: sender }, (err, state) => {
+            if (err) {
+                return done(err);
+            }
+
+            const overloads = web3.eth.contract(loadContract(overloadsFile, 'Overloads').abi)
+                .at(state.steps['deploy:Overloads'].address);
+            return overloads.total((totalErr, total) => {
+                if (totalErr) {
+                    return done(totalErr);
+                }
+                assert.strictEqual(total.toString(), '17');
+                return done();
+            });
+        });
+    });
+
+    it('should skip completed steps when it is run again', (done) => {
+        const messages = [];
+        return manifests.runManifest(web3, manifest, {
+            from: sender,
+            registryPath,
+            log: message => messages.push(message),
+        }, (err) => {
+            if (err) {
+                return done(err);
+            }
+            assert.deepStrictEqual(messages, [
+                'Skipping deploy Stem (already completed)',
+                'Skipping deploy Stimulus (already completed)',
+                'Skipping call Stem.approve (already completed)',
+            ]);
+            return done();
+        });
+    });
+
+    it('should report inconsistent gas options through its callback', (done) => {
+        manifests.runManifest(web3, manifest, {
+            from: sender,
+            gasPrice: '1',
+            gasPriceMultiplier: 2,
+        }, (err) => {
+            assert(/cannot be used together/.test(err.message));
+            return done();
+        });
+    });
+});
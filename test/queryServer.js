@@ -0,0 +1,117 @@
+/**
+ * This file contains tests for the HTTP server over the event index available in
+ * ../queryServer.js. The queries themselves are tested in ./eventQueries.js.
+ */
+
+const assert = require('assert');
+const async = require('async');
+const { catchUp } = require('../eventIndexer.js');
+const { deployStem, startChain, stemPath } = require('./fixtures.js');
+const http = require('http');
+const levelup = require('levelup');
+const memdown = require('memdown');
+const { createQueryServer } = require('../queryServer.js');
+
+describe('Query server', () => {
+    let web3;
+    let accounts;
+    let stemAddress;
+    let db;
+    let server;
+
+    /**
+     * Sends a request to the server.
+     *
+     * @param {string} method - HTTP method
+     * @param {string} requestPath - Path of the request, including its query string
+     * @param {callback} callback - Called with an error, or with null, the status code of the
+     * response and its parsed body
+     */
+    function request(method, requestPath, callback) {
+        const { port } = server.address();
+        const req = http.request({ method, port, path: requestPath }, (res) => {
+            let body = '';
+            res.setEncoding('utf8');
+            res.on('data', (chunk) => {
+                body += chunk;
+            });
+            res.on('end', () => callback(null, res.statusCode, JSON.parse(body)));
+        });
+        req.on('error', callback);
+        req.end();
+    }
+
+    before(function setUp(done) {
+        this.timeout(20000);
+
+        db = levelup(memdown());
+
+        return async.waterfall([
+            next => startChain({}, next),
+            (client, result, next) => {
+                web3 = client;
+                accounts = result;
+                return deployStem(web3, accounts[0], next);
+            },
+            (stem, next) => {
+                stemAddress = stem.address;
+                return stem.transfer(
+                    accounts[1],
+                    100,
+                    { from: accounts[0] },
+                    err => next(err, stem),
+                );
+            },
+            (stem, next) => catchUp(web3, db, [stem], {}, err => next(err)),
+            (next) => {
+                server = createQueryServer(web3, db, { stemContractPath: stemPath });
+                return server.listen(0, 'localhost', next);
+            },
+        ], done);
+    });
+
+    after(done => server.close(() => db.close(done)));
+
+    it('should answer questions about the index', (done) => {
+        async.waterfall([
+            next => request('GET', '/status', next),
+            (statusCode, checkpoint, next) => {
+                assert.strictEqual(statusCode, 200);
+                return request('GET', `/stem/${stemAddress}/holders?block=${checkpoint.blockNumber}`, next);
+            },
+            (statusCode, result, next) => {
+                assert.strictEqual(statusCode, 200);
+                assert.deepStrictEqual(result.holders, [
+                    { account: accounts[0], balance: '1199900' },
+                    { account: accounts[1], balance: '100' },
+                ]);
+                return request('GET', `/stem/${stemAddress}/balances?account=${accounts[2]}`, next);
+            },
+            (statusCode, result, next) => {
+                assert.strictEqual(statusCode, 200);
+                assert.deepStrictEqual(result.balances, [{ account: accounts[2], balance: '0' }]);
+                return next();
+            },
+        ], done);
+    });
+
+    it('should reject invalid requests', (done) => {
+        async.series([
+            next => request('GET', '/stem/0x1234/holders', next),
+            next => request('GET', `/stem/${stemAddress}/balances?block=latest`, next),
+            next => request('GET', `/stem/${stemAddress}/balances?block=1000`, next),
+            next => request('GET', '/stem', next),
+            next => request('POST', '/status', next),
+        ], (err, responses) => {
+            if (err) {
+                return done(err);
+            }
+            assert.deepStrictEqual(
+                responses.map(([statusCode]) => statusCode),
+                [400, 400, 400, 404, 405],
+            );
+            assert.deepStrictEqual(responses[0][1].problems, ['0x1234 is not an address']);
+            return done();
+        });
+    });
+});
@@ -0,0 +1,101 @@
+/**
+ * This file contains tests for the deployment registry available in ../registry.js.
+ */
+
+const assert = require('assert');
+const connect = require('../connect.js');
+const { stemPath } = require('./fixtures.js');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const registry = require('../registry.js');
+const Web3 = require('web3');
+
+const STEM_ADDRESS = '0x1111111111111111111111111111111111111111';
+const NEW_STEM_ADDRESS = '0x2222222222222222222222222222222222222222';
+const DEPLOYER = '0x3333333333333333333333333333333333333333';
+
+describe('deployment registry', () => {
+    const registryPath = path.join(
+        fs.mkdtempSync(path.join(os.tmpdir(), 'nrn-brainstem-registry-')),
+        'nested',
+        'deployments.json',
+    );
+
+    it('should treat a missing registry as empty', (done) => {
+        assert.deepStrictEqual(registry.readRegistry(registryPath), {});
+        return done();
+    });
+
+    it('should record deployments by network id and contract name', (done) => {
+        registry.recordDeployment(registryPath, 3, 'Stem', {
+            address: STEM_ADDRESS,
+            transactionHash: '0xabc',
+            blockNumber: 10,
+            deployer: DEPLOYER,
+            constructorArgs: ['Stem', 'STM', '1200000'],
+            artifactHash: 'deadbeef',
+        });
+
+        const entry = registry.readRegistry(registryPath)['3'].Stem;
+        assert.strictEqual(entry.address, STEM_ADDRESS);
+        assert.strictEqual(entry.transactionHash, '0xabc');
+        assert.strictEqual(entry.blockNumber, 10);
+        assert.strictEqual(entry.deployer, DEPLOYER);
+        assert.deepStrictEqual(entry.constructorArgs, ['Stem', 'STM', '1200000']);
+        assert.strictEqual(entry.artifactHash, 'deadbeef');
+        assert(!Number.isNaN(Date.parse(entry.deployedAt)));
+        assert.deepStrictEqual(entry.history, []);
+        return done();
+    });
+
+    it('should keep earlier deployments of a contract in its history', (done) => {
+        registry.recordDeployment(registryPath, '3', 'Stem', {
+            address: NEW_STEM_ADDRESS,
+            transactionHash: '0xdef',
+            blockNumber: 20,
+            deployer: DEPLOYER,
+            constructorArgs: ['Stem', 'STM', '1200000'],
+            artifactHash: 'deadbeef',
+        });
+
+        const entry = registry.lookupDeployment(registryPath, 3, 'Stem');
+        assert.strictEqual(entry.address, NEW_STEM_ADDRESS);
+        assert.strictEqual(entry.history.length, 1);
+        assert.strictEqual(entry.history[0].address, STEM_ADDRESS);
+        assert.strictEqual(entry.history[0].history, undefined);
+        return done();
+    });
+
+    it('should let contracts be connected to under the name they were recorded under', function runTest(done) {
+        this.timeout(20000);
+
+        registry.recordDeployment(registryPath, '3', 'Token', { address: STEM_ADDRESS });
+        return connect.fromRegistry(
+            new Web3(),
+            stemPath,
+            'Stem',
+            { registryPath, networkId: '3', registryName: 'Token' },
+            (err, stem) => {
+                if (err) {
+                    return done(err);
+                }
+                assert.strictEqual(stem.address, STEM_ADDRESS);
+                assert.strictEqual(typeof stem.changeName, 'function');
+                return done();
+            },
+        );
+    });
+
+    it('should fail to look up a contract which was not deployed to the given network', (done) => {
+        assert.throws(
+            () => registry.lookupDeployment(registryPath, 1, 'Stem'),
+            /No deployment of Stem on network 1/,
+        );
+        assert.throws(
+            () => registry.lookupDeployment(registryPath, 3, 'Stimulus'),
+            /No deployment of Stimulus on network 3/,
+        );
+        return done();
+    });
+});
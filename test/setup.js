@@ -0,0 +1,29 @@
+/**
+ * This file contains hooks which apply to every test file. It is loaded before them through
+ * ./mocha.opts.
+ *
+ * Compiling contracts caches the results, by default under the home directory (see ../compile.js).
+ * The tests use a fresh cache directory instead, so that they neither fill the developer's cache
+ * nor read stale entries from it, and remove it once they are done.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const CACHE_VARIABLE = 'NRN_BRAINSTEM_COMPILATION_CACHE';
+const originalCacheDirectory = process.env[CACHE_VARIABLE];
+
+// Set when this file is loaded rather than in a hook, as some test files compile contracts while
+// their suites are being defined
+const cacheDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'nrn-brainstem-compilations-'));
+process.env[CACHE_VARIABLE] = cacheDirectory;
+
+after(() => {
+    fs.rmSync(cacheDirectory, { recursive: true, force: true });
+    if (originalCacheDirectory === undefined) {
+        delete process.env[CACHE_VARIABLE];
+    } else {
+        process.env[CACHE_VARIABLE] = originalCacheDirectory;
+    }
+});
@@ -0,0 +1,165 @@
+/**
+ * This file contains tests for the local transaction signing functionality available in
+ * ../signing.js.
+ */
+
+const { loadContract } = require('../artifacts.js');
+const assert = require('assert');
+const async = require('async');
+const { deployContract } = require('../deployContract.js');
+const { startChain, stemPath } = require('./fixtures.js');
+const signing = require('../signing.js');
+const Web3 = require('web3');
+
+const PRIVATE_KEY = '0x4c0883a69102937d6231471b5dbb6204fe5129617082792ae468d01a3f362318';
+const ADDRESS = '0x2c7536e3605d9c16a7a3d7b1898e529396a65c23';
+
+const stem = loadContract(stemPath, 'Stem');
+
+describe('signerFromPrivateKey', () => {
+    it('should derive the address of the key, with or without 0x prefix', (done) => {
+        assert.strictEqual(signing.signerFromPrivateKey(PRIVATE_KEY).address, ADDRESS);
+        assert.strictEqual(signing.signerFromPrivateKey(` ${PRIVATE_KEY.slice(2)}\n`).address, ADDRESS);
+        return done();
+    });
+
+    it('should reject malformed keys', (done) => {
+        ['', '0x1234', `${PRIVATE_KEY}00`, `0x${'0'.repeat(64)}`].forEach((privateKey) => {
+            assert.throws(() => signing.signerFromPrivateKey(privateKey), /Invalid private key/);
+        });
+        return done();
+    });
+});
+
+describe('signing provider', () => {
+    let web3;
+    let requestedMethods;
+
+    beforeEach((done) => {
+        // The node knows the account, but must never be asked to sign for it
+        startChain({
+            network_id: 1337,
+            accounts: [{ secretKey: PRIVATE_KEY, balance: '0x56bc75e2d63100000' }],
+        }, (err, ganacheWeb3) => {
+            if (err) {
+                return done(err);
+            }
+
+            const ganacheProvider = ganacheWeb3.currentProvider;
+            requestedMethods = [];
+            const spyProvider = {
+                isConnected: () => true,
+                send: payload => ganacheProvider.send(payload),
+                sendAsync(payload, callback) {
+                    [].concat(payload).forEach(item => requestedMethods.push(item.method));
+                    return ganacheProvider.sendAsync(payload, callback);
+                },
+            };
+
+            web3 = new Web3();
+            web3.setProvider(signing.createSigningProvider(
+                spyProvider,
+                signing.signerFromPrivateKey(PRIVATE_KEY),
+            ));
+            return done();
+        });
+    });
+
+    it('should report the signing key as the only account', (done) => {
+        web3.eth.getAccounts((err, accounts) => {
+            if (err) {
+                return done(err);
+            }
+            assert.deepStrictEqual(accounts, [ADDRESS]);
+            assert(!requestedMethods.includes('eth_accounts'));
+            return done();
+        });
+    });
+
+    it('should answer synchronous requests for the accounts, alone or in a batch', () => {
+        const request = id => ({
+            jsonrpc: '2.0',
+            id,
+            method: 'eth_accounts',
+            params: [],
+        });
+        assert.deepStrictEqual(web3.currentProvider.send(request(1)).result, [ADDRESS]);
+        assert.deepStrictEqual(
+            web3.currentProvider.send([request(2), request(3)]),
+            [
+                { jsonrpc: '2.0', id: 2, result: [ADDRESS] },
+                { jsonrpc: '2.0', id: 3, result: [ADDRESS] },
+            ],
+        );
+    });
+
+    it('should deploy contracts with locally signed transactions', function runTest(done) {
+        this.timeout(10000);
+
+        const transactionOptions = { from: ADDRESS, gas: 2000000 };
+        return async.waterfall([
+            next => deployContract(web3, stem, ['Stem', 'STM', 1200000], transactionOptions, next),
+            (deployment, next) => {
+                assert(requestedMethods.includes('eth_sendRawTransaction'));
+                assert(!requestedMethods.includes('eth_sendTransaction'));
+                return web3.eth.getTransaction(deployment.transactionHash, next);
+            },
+            (transaction, next) => {
+                assert.strictEqual(transaction.from, ADDRESS);
+                // EIP-155: v = chainId * 2 + 35 or chainId * 2 + 36, with the chain id taken from
+                // the network id since the node does not implement eth_chainId
+                assert([2709, 2710].includes(web3.toDecimal(transaction.v)));
+                return next();
+            },
+        ], done);
+    });
+
+    it('should assign consecutive nonces to transactions sent concurrently', function runTest(done) {
+        this.timeout(10000);
+
+        const recipient = '0x1111111111111111111111111111111111111111';
+        return async.times(3, (index, next) => web3.eth.sendTransaction({
+            from: ADDRESS,
+            to: recipient,
+            value: index + 1,
+            gas: 21000,
+        }, next), (err, transactionHashes) => {
+            if (err) {
+                return done(err);
+            }
+
+            return async.map(
+                transactionHashes,
+                (transactionHash, next) => web3.eth.getTransaction(transactionHash, next),
+                (transactionErr, transactions) => {
+                    if (transactionErr) {
+                        return done(transactionErr);
+                    }
+                    assert.deepStrictEqual(
+                        transactions.map(transaction => transaction.nonce).sort(),
+                        [0, 1, 2],
+                    );
+                    return web3.eth.getBalance(recipient, (balanceErr, balance) => {
+                        if (balanceErr) {
+                            return done(balanceErr);
+                        }
+                        assert.strictEqual(balance.toString(10), '6');
+                        return done();
+                    });
+                },
+            );
+        });
+    });
+
+    it('should refuse to send transactions from other accounts', (done) => {
+        web3.eth.sendTransaction({
+            from: '0x1111111111111111111111111111111111111111',
+            to: ADDRESS,
+            value: 1,
+            gas: 21000,
+        }, (err) => {
+            assert(err && /Cannot sign transaction from/.test(err.message));
+            return done();
+        });
+    });
+});
@@ -0,0 +1,104 @@
+/**
+ * This file contains tests for the dry run functionality available in ../simulation.js.
+ */
+
+const { loadContract } = require('../artifacts.js');
+const assert = require('assert');
+const async = require('async');
+const { deployContract, estimateDeploymentGas } = require('../deployContract.js');
+const { startChain, stemPath } = require('./fixtures.js');
+const simulation = require('../simulation.js');
+
+const stem = loadContract(stemPath, 'Stem');
+
+describe('dry runs', () => {
+    let web3;
+    let sender;
+
+    before((done) => {
+        // The chain being forked is itself simulated, standing in for a real node
+        startChain({}, (err, client, accounts) => {
+            if (err) {
+                return done(err);
+            }
+            web3 = client;
+            [sender] = accounts;
+            return done();
+        });
+    });
+
+    it('should deploy to the fork without touching the forked chain, and report the cost', function runTest(done) {
+        this.timeout(20000);
+
+        const contractArgs = ['Stem', 'STM', 1200000];
+        const gasPrice = web3.toBigNumber('1000000000');
+        let simulatedWeb3;
+        let forkBlock;
+        let deployment;
+        let gasEstimate;
+
+        return async.waterfall([
+            next => estimateDeploymentGas(web3, stem, contractArgs, sender, next),
+            (estimate, next) => {
+                gasEstimate = estimate;
+                return simulation.forkedClient(web3, [sender], next);
+            },
+            (forkedWeb3, block, next) => {
+                simulatedWeb3 = forkedWeb3;
+                forkBlock = block;
+                return deployContract(
+                    simulatedWeb3,
+                    stem,
+                    contractArgs,
+                    { from: sender, gas: gasEstimate },
+                    next,
+                );
+            },
+            (simulatedDeployment, next) => {
+                deployment = simulatedDeployment;
+                const transactions = [{
+                    description: 'Deploy Stem',
+                    transactionHash: deployment.transactionHash,
+                }];
+                return simulation.summarizeTransactions(
+                    simulatedWeb3,
+                    transactions,
+                    gasPrice,
+                    next,
+                );
+            },
+            (summary, next) => {
+                assert.strictEqual(summary.transactions[0].contractAddress, deployment.address);
+                assert(summary.totalGasUsed > 0);
+                assert(summary.totalCost.equals(gasPrice.times(summary.totalGasUsed)));
+                assert(/Total gas used: \d+/.test(simulation.formatSummary(web3, summary)));
+                return web3.eth.getBlockNumber(next);
+            },
+            (blockNumber, next) => {
+                assert.strictEqual(blockNumber, forkBlock.number);
+                return web3.eth.getCode(deployment.address, next);
+            },
+            (code, next) => {
+                assert(['0x', '0x0'].includes(code));
+                return next();
+            },
+        ], done);
+    });
+
+    it('should report costs at the given gas price, or else at the price suggested by the node', (done) => {
+        simulation.resolveGasPrice(web3, '7', (explicitErr, explicitPrice) => {
+            if (explicitErr) {
+                return done(explicitErr);
+            }
+            assert.strictEqual(explicitPrice.toString(10), '7');
+
+            return simulation.resolveGasPrice(web3, undefined, (err, nodePrice) => {
+                if (err) {
+                    return done(err);
+                }
+                assert(nodePrice.greaterThan(0));
+                return done();
+            });
+        });
+    });
+});
@@ -13,6 +13,7 @@ const assert = require('assert');
 const async = require('async');
 const checkBalances = require('./checkBalances.js');
 const compile = require('../compile.js');
+const connect = require('../connect.js');
 const Ganache = require('ganache-core');
 const getGasEstimateAndCall = require('../getGasEstimateAndCall.js');
 const _ = require('lodash');
@@ -21,8 +22,8 @@ const Web3 = require('web3');
 
 const contractFile = path.resolve(__dirname, '../src/stem.sol');
 const compilationResult = compile(contractFile);
-const compiledContract = _.get(compilationResult, ['contracts', `${contractFile}:Stem`]);
-const contractBytecode = _.get(compiledContract, 'bytecode');
+const compiledContract = _.get(compilationResult, ['contracts', contractFile, 'Stem']);
+const contractBytecode = _.get(compiledContract, ['evm', 'bytecode', 'object']);
 
 /**
  * Sets up a web3 client and related objects for use in each test scenario.
@@ -60,9 +61,7 @@ function setUp(configuration, withStemInstance, done) {
     configuration.account_addresses = Object.keys(configuration.accounts);
     configuration.web3 = new Web3();
     configuration.web3.setProvider(configuration.provider);
-    configuration.Stem = configuration.web3.eth.contract(
-        JSON.parse(_.get(compiledContract, 'interface')),
-    );
+    configuration.Stem = configuration.web3.eth.contract(_.get(compiledContract, 'abi'));
 
     if (withStemInstance) {
         if (!done) {
@@ -104,7 +103,12 @@ function setUp(configuration, withStemInstance, done) {
                         callInfo.new += 1;
 
                         if (callInfo.new === 2) {
-                            configuration.stemInstance = contractInstance;
+                            configuration.stemInstance = connect(
+                                contractInstance.address,
+                                configuration.web3,
+                                contractFile,
+                                'Stem',
+                            );
                             return done();
                         }
                     },
@@ -118,13 +122,15 @@ function setUp(configuration, withStemInstance, done) {
 
 describe('STM compilation:', () => {
     it('should return no errors', (done) => {
-        const errors = _.get(compilationResult, 'errors', []);
+        const errors = compilationResult.diagnostics
+            .filter(diagnostic => diagnostic.severity === 'error');
         assert.equal(errors.length, 0);
         done();
     });
 
     it('should return no warnings', (done) => {
-        const warnings = _.get(compilationResult, 'warnings', []);
+        const warnings = compilationResult.diagnostics
+            .filter(diagnostic => diagnostic.severity === 'warning');
         assert.equal(warnings.length, 0);
         done();
     });
@@ -913,7 +919,12 @@ describe('reclamationWhitelist, whitelistContractFroReclamation, and reclaimBala
                                         }
 
                                         if (newContractInstance.address) {
-                                            configuration.newStemInstance = newContractInstance;
+                                            configuration.newStemInstance = connect(
+                                                newContractInstance.address,
+                                                configuration.web3,
+                                                contractFile,
+                                                'Stem',
+                                            );
                                             return callback();
                                         }
                                     },
@@ -0,0 +1,111 @@
+/**
+ * This file contains tests for the Stem administration functionality available in
+ * ../stemAdmin.js.
+ */
+
+const assert = require('assert');
+const async = require('async');
+const { PreconditionError } = require('../errors.js');
+const { deployStem, startChain } = require('./fixtures.js');
+const stemAdmin = require('../stemAdmin.js');
+
+describe('Stem administration', () => {
+    let web3;
+    let accounts;
+    let stemInstance;
+
+    beforeEach(function setUp(done) {
+        this.timeout(20000);
+
+        return async.waterfall([
+            next => startChain({}, next),
+            (client, result, next) => {
+                web3 = client;
+                accounts = result;
+                return deployStem(web3, accounts[0], next);
+            },
+            (instance, next) => {
+                stemInstance = instance;
+                return next();
+            },
+        ], done);
+    });
+
+    it('should report the state of the token', (done) => {
+        stemAdmin.stemInfo(stemInstance, (err, info) => {
+            if (err) {
+                return done(err);
+            }
+            assert.deepStrictEqual(info, {
+                address: stemInstance.address,
+                name: 'Stem',
+                symbol: 'STM',
+                totalSupply: '1200000',
+                stemMaster: accounts[0],
+                masterBalance: '1200000',
+            });
+            return done();
+        });
+    });
+
+    it('should refuse to send transactions from anyone but the stem master', (done) => {
+        async.waterfall([
+            next => web3.eth.getTransactionCount(accounts[1], next),
+            (transactionCount, next) => stemAdmin.runAdminOperation(
+                web3,
+                stemInstance,
+                'changeName',
+                ['Impostor'],
+                { from: accounts[1] },
+                (err) => {
+                    assert(err instanceof PreconditionError);
+                    assert.strictEqual(err.details.required, accounts[0]);
+                    assert.strictEqual(err.details.actual, accounts[1]);
+                    return next(null, transactionCount);
+                },
+            ),
+            (transactionCount, next) => web3.eth.getTransactionCount(
+                accounts[1],
+                (err, newTransactionCount) => {
+                    assert.strictEqual(newTransactionCount, transactionCount);
+                    return next(err);
+                },
+            ),
+        ], done);
+    });
+
+    it('should confirm the state changed by each operation', function runTest(done) {
+        this.timeout(20000);
+
+        const newSupply = '1000000000000001200000';
+        const operations = [
+            ['changeName', ['Neuron'], 'Stem', 'Neuron'],
+            ['changeSymbol', ['NRN'], 'STM', 'NRN'],
+            ['increaseSupply', [web3.toBigNumber('1000000000000000000000')], '1200000', newSupply],
+            ['decreaseSupply', [web3.toBigNumber(200000)], newSupply, '1000000000000001000000'],
+            ['whitelistContractForReclamation', [accounts[5]], 'false', 'true'],
+            ['changeMastery', [accounts[1]], accounts[0], accounts[1]],
+        ];
+
+        return async.eachSeries(operations, (operation, next) => {
+            const [operationName, operationArgs, before, after] = operation;
+            return stemAdmin.runAdminOperation(
+                web3,
+                stemInstance,
+                operationName,
+                operationArgs,
+                { from: accounts[0] },
+                (err, report) => {
+                    if (err) {
+                        return next(err);
+                    }
+                    assert.strictEqual(report.operation, operationName);
+                    assert.strictEqual(report.receipt.transactionHash, report.transactionHash);
+                    assert.strictEqual(report.before, before);
+                    assert.strictEqual(report.after, after);
+                    return next();
+                },
+            );
+        }, done);
+    });
+});
@@ -0,0 +1,140 @@
+/**
+ * This file contains tests for the Stem holder operations available in ../stemHolder.js.
+ */
+
+const assert = require('assert');
+const async = require('async');
+const { PreconditionError } = require('../errors.js');
+const { deployStem, startChain } = require('./fixtures.js');
+const stemHolder = require('../stemHolder.js');
+
+describe('Stem holder operations', () => {
+    let web3;
+    let accounts;
+    let stemInstance;
+
+    beforeEach(function setUp(done) {
+        this.timeout(20000);
+
+        return async.waterfall([
+            next => startChain({}, next),
+            (client, result, next) => {
+                web3 = client;
+                accounts = result;
+                return deployStem(web3, accounts[0], next);
+            },
+            (instance, next) => {
+                stemInstance = instance;
+                return next();
+            },
+        ], done);
+    });
+
+    it('should explain transfers exceeding the balance instead of sending them', (done) => {
+        stemHolder.transfer(
+            web3,
+            stemInstance,
+            accounts[2],
+            '150',
+            { from: accounts[1], decimals: 2 },
+            (err) => {
+                assert(err instanceof PreconditionError);
+                assert(err.message.endsWith('holds 0 tokens, which is less than the 1.5 to transfer'));
+                assert.deepStrictEqual(err.details, { required: '150', actual: '0' });
+                return done();
+            },
+        );
+    });
+
+    it('should transfer within allowances, and explain transfers exceeding them', function runTest(done) {
+        this.timeout(20000);
+
+        const options = { from: accounts[1] };
+        return async.waterfall([
+            next => stemHolder.approve(web3, stemInstance, accounts[1], '100', { from: accounts[0] }, next),
+            (approval, next) => stemHolder.transferFrom(
+                web3,
+                stemInstance,
+                accounts[0],
+                accounts[2],
+                '101',
+                options,
+                (err) => {
+                    assert(err instanceof PreconditionError);
+                    assert.deepStrictEqual(err.details, { required: '101', actual: '100' });
+                    return next();
+                },
+            ),
+            next => stemHolder.transferFrom(
+                web3,
+                stemInstance,
+                accounts[0],
+                accounts[2],
+                '60',
+                options,
+                next,
+            ),
+            (result, next) => {
+                assert.strictEqual(Number(result.receipt.status), 1);
+                return stemInstance.balanceOf(accounts[2], next);
+            },
+            (balance, next) => {
+                assert.strictEqual(balance.toNumber(), 60);
+                return next();
+            },
+        ], done);
+    });
+
+    it('should explain that existing allowances have to be reset to zero', function runTest(done) {
+        this.timeout(20000);
+
+        const options = { from: accounts[0] };
+        return async.waterfall([
+            next => stemHolder.approve(web3, stemInstance, accounts[1], '100', options, next),
+            (approval, next) => stemHolder.approve(
+                web3,
+                stemInstance,
+                accounts[1],
+                '200',
+                options,
+                (err) => {
+                    assert(err instanceof PreconditionError);
+                    assert(/has to be set to zero/.test(err.message));
+                    return next();
+                },
+            ),
+            next => stemHolder.approve(web3, stemInstance, accounts[1], '0', options, next),
+            (approval, next) => stemInstance.allowance(accounts[0], accounts[1], next),
+            (allowance, next) => {
+                assert(allowance.isZero());
+                return next();
+            },
+        ], done);
+    });
+
+    it('should change allowances by resetting them to zero first', function runTest(done) {
+        this.timeout(20000);
+
+        const messages = [];
+        const options = { from: accounts[0], log: message => messages.push(message) };
+        return async.waterfall([
+            next => stemHolder.setAllowance(web3, stemInstance, accounts[1], '100', options, next),
+            (report, next) => {
+                assert.deepStrictEqual(report.steps.map(step => step.action), ['set']);
+                return stemHolder.setAllowance(web3, stemInstance, accounts[1], '250', options, next);
+            },
+            (report, next) => {
+                assert.strictEqual(report.before, '100');
+                assert.strictEqual(report.after, '250');
+                assert.deepStrictEqual(report.steps.map(step => step.action), ['reset', 'set']);
+                assert(report.steps[0].receipt.blockNumber < report.steps[1].receipt.blockNumber);
+                assert(messages.some(message => message.startsWith('Resetting allowance')));
+                return stemHolder.setAllowance(web3, stemInstance, accounts[1], '250', options, next);
+            },
+            (report, next) => {
+                assert.deepStrictEqual(report.steps, []);
+                return next();
+            },
+        ], done);
+    });
+});
@@ -0,0 +1,133 @@
+/**
+ * This file contains tests for the Stem migration functionality available in
+ * ../stemMigration.js.
+ */
+
+const assert = require('assert');
+const async = require('async');
+const { PreconditionError } = require('../errors.js');
+const { deployStem, startChain } = require('./fixtures.js');
+const stemMigration = require('../stemMigration.js');
+
+describe('Stem migration', () => {
+    let web3;
+    let accounts;
+    let oldStem;
+    let newStem;
+
+    before(function setUp(done) {
+        this.timeout(20000);
+
+        return async.waterfall([
+            next => startChain({}, next),
+            (client, result, next) => {
+                web3 = client;
+                accounts = result;
+                return async.timesSeries(2, (index, deployNext) => deployStem(
+                    web3,
+                    accounts[0],
+                    deployNext,
+                ), next);
+            },
+            ([oldInstance, newInstance], next) => {
+                oldStem = oldInstance;
+                newStem = newInstance;
+                return async.eachSeries(
+                    [[accounts[1], 100], [accounts[2], 50], [accounts[3], 25]],
+                    ([to, amount], transferNext) => oldStem.transfer(
+                        to,
+                        amount,
+                        { from: accounts[0] },
+                        transferNext,
+                    ),
+                    next,
+                );
+            },
+        ], done);
+    });
+
+    it('should list the stem master and the recipients of transfers as holders', (done) => {
+        stemMigration.listHolders(oldStem, {}, (err, holders) => {
+            if (err) {
+                return done(err);
+            }
+            assert.deepStrictEqual(holders, accounts.slice(0, 4));
+            return done();
+        });
+    });
+
+    it('should refuse to migrate from contracts which have not been whitelisted', (done) => {
+        stemMigration.migrateBalances(web3, oldStem, newStem, { from: accounts[4] }, (err) => {
+            assert(err instanceof PreconditionError);
+            assert(/must call whitelistContractForReclamation first$/.test(err.message));
+            return done();
+        });
+    });
+
+    it('should reclaim approved balances and reconcile the supply', function runTest(done) {
+        this.timeout(20000);
+
+        return async.waterfall([
+            next => newStem.whitelistContractForReclamation(
+                oldStem.address,
+                { from: accounts[0] },
+                err => next(err),
+            ),
+            next => async.eachSeries(
+                [[accounts[1], 100], [accounts[2], 50]],
+                ([holder, amount], approveNext) => oldStem.approve(
+                    newStem.address,
+                    amount,
+                    { from: holder },
+                    approveNext,
+                ),
+                err => next(err),
+            ),
+            next => stemMigration.migrateBalances(
+                web3,
+                oldStem,
+                newStem,
+                { from: accounts[4], concurrency: 2 },
+                next,
+            ),
+            (report, next) => {
+                assert.deepStrictEqual(
+                    report.migration.holders.map(holder => holder.status),
+                    ['needs-approval', 'ready', 'ready', 'needs-approval'],
+                );
+                assert.strictEqual(report.batch.succeeded, 2);
+                assert.deepStrictEqual(
+                    report.accounts.map(account => account.account),
+                    accounts.slice(1, 3),
+                );
+                assert.deepStrictEqual(report.accounts[0], {
+                    account: accounts[1],
+                    status: 'succeeded',
+                    reclaimed: '100',
+                    oldBalanceBefore: '100',
+                    oldBalanceAfter: '0',
+                    newBalanceBefore: '0',
+                    newBalanceAfter: '100',
+                });
+                assert.strictEqual(report.before, '1200000');
+                assert.strictEqual(report.reclaimed, '150');
+                assert.strictEqual(report.after, '1200150');
+                assert(report.reconciled);
+                assert(stemMigration.formatReconciliation(report).endsWith('Balances and supply reconcile.'));
+                return stemMigration.listHolders(oldStem, {}, next);
+            },
+            (holders, next) => stemMigration.checkMigration(oldStem, newStem, holders, next),
+            (migration, next) => {
+                assert.deepStrictEqual(
+                    migration.holders.map(holder => [holder.account, holder.status]),
+                    [
+                        [accounts[0], 'needs-approval'],
+                        [accounts[3], 'needs-approval'],
+                        [newStem.address, 'reclaimed'],
+                    ],
+                );
+                return next();
+            },
+        ], done);
+    });
+});
@@ -9,6 +9,7 @@ const assert = require('assert');
 const async = require('async');
 const checkBalances = require('./checkBalances.js');
 const compile = require('../compile.js');
+const connect = require('../connect.js');
 const Ganache = require('ganache-core');
 const getGasEstimateAndCall = require('../getGasEstimateAndCall.js');
 const _ = require('lodash');
@@ -26,7 +27,7 @@ const Web3 = require('web3');
 function contractArtifacts(contractPath, contractName) {
     const contractFile = path.resolve(__dirname, contractPath);
     const compilationResult = compile(contractFile);
-    const compiledContract = _.get(compilationResult, ['contracts', `${contractFile}:${contractName}`]);
+    const compiledContract = _.get(compilationResult, ['contracts', contractFile, contractName]);
     return compiledContract;
 }
 
@@ -74,15 +75,11 @@ function setUp(configuration, done) {
     configuration.account_addresses = Object.keys(configuration.accounts);
     configuration.web3 = new Web3();
     configuration.web3.setProvider(configuration.provider);
-    configuration.Stem = configuration.web3.eth.contract(
-        JSON.parse(_.get(stem, 'interface')),
-    );
-    configuration.Stimulus = configuration.web3.eth.contract(
-        JSON.parse(_.get(stimulus, 'interface')),
-    );
+    configuration.Stem = configuration.web3.eth.contract(_.get(stem, 'abi'));
+    configuration.Stimulus = configuration.web3.eth.contract(_.get(stimulus, 'abi'));
 
-    const stemBytecode = _.get(stem, 'bytecode');
-    const stimulusBytecode = _.get(stimulus, 'bytecode');
+    const stemBytecode = _.get(stem, ['evm', 'bytecode', 'object']);
+    const stimulusBytecode = _.get(stimulus, ['evm', 'bytecode', 'object']);
 
     async.waterfall([
         // Get gas estimate for Stem contract deployment
@@ -115,8 +112,13 @@ function setUp(configuration, done) {
                     callInfo.new += 1;
 
                     if (callInfo.new === 2) {
-                        configuration.stemInstance = contractInstance;
-                        return next(null, contractInstance);
+                        configuration.stemInstance = connect(
+                            contractInstance.address,
+                            configuration.web3,
+                            path.resolve(__dirname, '../src/stem.sol'),
+                            'Stem',
+                        );
+                        return next(null, configuration.stemInstance);
                     }
                 },
                 /* eslint-enable consistent-return */
@@ -155,8 +157,13 @@ function setUp(configuration, done) {
                     callInfo.new += 1;
 
                     if (callInfo.new === 2) {
-                        configuration.stimulusInstance = contractInstance;
-                        return next(null, stemInstance, contractInstance);
+                        configuration.stimulusInstance = connect(
+                            contractInstance.address,
+                            configuration.web3,
+                            path.resolve(__dirname, '../src/stimulus.sol'),
+                            'Stimulus',
+                        );
+                        return next(null, stemInstance, configuration.stimulusInstance);
                     }
                 },
                 /* eslint-enable consistent-return */
@@ -0,0 +1,137 @@
+/**
+ * This file contains tests for the participant client of Stimulus contracts available in
+ * ../stimulusParticipant.js.
+ */
+
+const assert = require('assert');
+const async = require('async');
+const {
+    ArgumentError,
+    DecisionTimeoutError,
+    PreconditionError,
+} = require('../errors.js');
+const { deployStem, deployStimulus, startChain } = require('./fixtures.js');
+const { participantClient, statusName } = require('../stimulusParticipant.js');
+
+describe('Stimulus participant client', () => {
+    let web3;
+    let accounts;
+    let stimulus;
+
+    before(function setUp(done) {
+        this.timeout(20000);
+
+        return async.waterfall([
+            next => startChain({}, next),
+            (client, result, next) => {
+                web3 = client;
+                accounts = result;
+                return deployStem(web3, accounts[0], next);
+            },
+            (stem, next) => deployStimulus(
+                web3,
+                accounts[0],
+                stem.address,
+                [100, 50, 10, 0, 0],
+                (err, instance) => next(err, stem, instance),
+            ),
+            (stem, instance, next) => {
+                stimulus = instance;
+                return stem.approve(stimulus.address, 1000, { from: accounts[0] }, next);
+            },
+        ], done);
+    });
+
+    it('should name participant statuses', () => {
+        assert.deepStrictEqual(
+            [0, 1, 2, 3].map(statusName),
+            ['none', 'enrolled', 'rejected', 'accepted'],
+        );
+        assert.throws(() => statusName(4), ArgumentError);
+    });
+
+    it('should refuse to submit data before the participant is accepted', async () => {
+        const client = participantClient(web3, stimulus.address, { from: accounts[1] });
+        assert.strictEqual(await client.status(), 'none');
+
+        await assert.rejects(client.submit(1, 7), (err) => {
+            assert(err instanceof PreconditionError);
+            assert.deepStrictEqual(err.details, { required: 'accepted', actual: 'none' });
+            return true;
+        });
+        await assert.rejects(client.submit(0, 7), ArgumentError);
+    });
+
+    it('should enroll, wait for acceptance and submit data', async () => {
+        const client = participantClient(
+            web3,
+            stimulus.address,
+            { from: accounts[1], pollInterval: 50 },
+        );
+        await client.enroll(1);
+        assert.strictEqual(await client.status(), 'enrolled');
+
+        const decision = client.waitForDecision(1, { stimulusType: 0 });
+        await stimulus.promises.respondToEnrollment(accounts[1], 1, true, {
+            from: accounts[0],
+            gas: 200000,
+        });
+        const { accepted, stimulusType, stimulusId } = await decision;
+        assert.deepStrictEqual({ accepted, stimulusType, stimulusId }, {
+            accepted: true,
+            stimulusType: 0,
+            stimulusId: '1',
+        });
+        assert.strictEqual(await client.status(), 'accepted');
+
+        const { receipt } = await client.submit(2, 7);
+        assert.strictEqual(Number(receipt.status), 1);
+
+        await assert.rejects(client.enroll(4), (err) => {
+            assert(err instanceof PreconditionError);
+            assert.deepStrictEqual(err.details, { required: 'none', actual: 'accepted' });
+            return true;
+        });
+        assert.strictEqual(await client.status(), 'accepted');
+    });
+
+    it('should find past decisions and refuse to enroll rejected participants', (done) => {
+        const client = participantClient(web3, stimulus.address, { from: accounts[2] });
+
+        return async.waterfall([
+            next => client.enroll(2, err => next(err)),
+            next => stimulus.respondToEnrollment(
+                accounts[2],
+                2,
+                false,
+                { from: accounts[0], gas: 200000 },
+                err => next(err),
+            ),
+            next => client.waitForDecision(2, next),
+            (decision, next) => {
+                assert.strictEqual(decision.accepted, false);
+                return client.enroll(3, (err) => {
+                    assert(err instanceof PreconditionError);
+                    assert.strictEqual(err.details.actual, 'rejected');
+                    return next();
+                });
+            },
+        ], done);
+    });
+
+    it('should give up waiting for a decision after the timeout', (done) => {
+        const client = participantClient(
+            web3,
+            stimulus.address,
+            { from: accounts[1], pollInterval: 50 },
+        );
+        client.waitForDecision(7, { stimulusType: 2, timeout: 200 }, (err) => {
+            assert(err instanceof DecisionTimeoutError);
+            assert.deepStrictEqual(
+                err.request,
+                { candidate: accounts[1], stimulusId: 7, stimulusType: 2 },
+            );
+            return done();
+        });
+    });
+});
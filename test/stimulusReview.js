@@ -0,0 +1,186 @@
+/**
+ * This file contains tests for the review of Stimulus requests available in ../stimulusReview.js.
+ */
+
+const assert = require('assert');
+const async = require('async');
+const { ArgumentError, PreconditionError } = require('../errors.js');
+const { deployStem, deployStimulus, startChain } = require('./fixtures.js');
+const stimulusReview = require('../stimulusReview.js');
+
+describe('Stimulus review', () => {
+    let web3;
+    let accounts;
+    let stem;
+    let stimulus;
+
+    before(function setUp(done) {
+        this.timeout(20000);
+
+        return async.waterfall([
+            next => startChain({}, next),
+            (client, result, next) => {
+                web3 = client;
+                accounts = result;
+                return deployStem(web3, accounts[0], next);
+            },
+            (instance, next) => {
+                stem = instance;
+                return deployStimulus(web3, accounts[0], stem.address, [100, 50, 10, 0, 0], next);
+            },
+            (instance, next) => {
+                stimulus = instance;
+                return async.eachSeries(
+                    [[accounts[1], 1], [accounts[2], 2]],
+                    ([candidate, stimulusId], enrollNext) => stimulus.enroll(
+                        stimulusId,
+                        { from: candidate, gas: 200000 },
+                        enrollNext,
+                    ),
+                    next,
+                );
+            },
+        ], done);
+    });
+
+    it('should parse decisions from CSV and report malformed lines', () => {
+        const csv = [
+            'candidate,stimulusType,stimulusId,decision',
+            '# comment',
+            `${accounts[1]},0,1,accept`,
+            '',
+            `${accounts[2]}, 2, 7, Reject`,
+        ].join('\n');
+        assert.deepStrictEqual(stimulusReview.parseDecisions(csv), [
+            {
+                candidate: accounts[1],
+                stimulusType: 0,
+                stimulusId: '1',
+                accept: true,
+            },
+            {
+                candidate: accounts[2],
+                stimulusType: 2,
+                stimulusId: '7',
+                accept: false,
+            },
+        ]);
+
+        assert.throws(
+            () => stimulusReview.parseDecisions(`${accounts[1]},5,1,maybe\n${accounts[2]},1,1`),
+            err => err instanceof ArgumentError &&
+                err.problems[0] === 'line 1: 5 is not a stimulus type (0 to 4), "maybe" is not a decision (accept or reject)' &&
+                err.problems[1] === 'line 2: expected 4 fields, found 3',
+        );
+    });
+
+    it('should list enrollments awaiting a decision', (done) => {
+        stimulusReview.listPendingRequests(stimulus, {}, (err, requests) => {
+            if (err) {
+                return done(err);
+            }
+            assert.deepStrictEqual(
+                requests.map(request => [request.kind, request.candidate, request.stimulusId]),
+                [['enrollment', accounts[1], '1'], ['enrollment', accounts[2], '2']],
+            );
+            return done();
+        });
+    });
+
+    it('should refuse to send decisions unless the sender is the PI', (done) => {
+        const decisions = [stimulusReview.parseDecision(accounts[1], '0', '1', 'accept')];
+        stimulusReview.respondToRequests(
+            web3,
+            stimulus,
+            stem,
+            decisions,
+            { from: accounts[1] },
+            (err) => {
+                assert(err instanceof PreconditionError);
+                assert.strictEqual(err.details.required, accounts[0]);
+                return done();
+            },
+        );
+    });
+
+    it('should refuse to send decisions whose rewards exceed the allowance', (done) => {
+        const decisions = [
+            stimulusReview.parseDecision(accounts[1], '0', '1', 'accept'),
+            stimulusReview.parseDecision(accounts[2], '0', '2', 'accept'),
+        ];
+        stimulusReview.respondToRequests(
+            web3,
+            stimulus,
+            stem,
+            decisions,
+            { from: accounts[0] },
+            (err) => {
+                assert(err instanceof PreconditionError);
+                assert.deepStrictEqual(
+                    err.details,
+                    { rewards: '200', allowance: '0', balance: '1200000' },
+                );
+                return done();
+            },
+        );
+    });
+
+    it('should send decisions and pay rewards for those accepted', function runTest(done) {
+        this.timeout(20000);
+
+        return async.waterfall([
+            next => stem.approve(stimulus.address, 150, { from: accounts[0] }, err => next(err)),
+            next => stimulusReview.respondToRequests(
+                web3,
+                stimulus,
+                stem,
+                stimulusReview.parseDecisions(`${accounts[1]},0,1,accept\n${accounts[2]},0,2,reject`),
+                { from: accounts[0] },
+                next,
+            ),
+            (report, next) => {
+                assert.strictEqual(report.succeeded, 2);
+                assert.strictEqual(report.rewards, '100');
+                return stimulus.submit(1, 7, { from: accounts[1], gas: 200000 }, err => next(err));
+            },
+            next => stimulusReview.listPendingRequests(stimulus, {}, next),
+            (requests, next) => {
+                assert.deepStrictEqual(
+                    requests.map(request => [
+                        request.kind,
+                        request.candidate,
+                        request.stimulusType,
+                        request.stimulusId,
+                    ]),
+                    [['submission', accounts[1], 1, '7']],
+                );
+                return stimulusReview.respondToRequests(
+                    web3,
+                    stimulus,
+                    stem,
+                    [stimulusReview.parseDecision(accounts[1], '1', '7', 'yes')],
+                    { from: accounts[0] },
+                    next,
+                );
+            },
+            (report, next) => {
+                assert.strictEqual(report.succeeded, 1);
+                return async.parallel({
+                    pending: pendingNext => stimulusReview.listPendingRequests(
+                        stimulus,
+                        {},
+                        pendingNext,
+                    ),
+                    balance: balanceNext => stem.balanceOf(accounts[1], balanceNext),
+                    status: statusNext => stimulus.status(accounts[2], statusNext),
+                }, next);
+            },
+            ({ pending, balance, status }, next) => {
+                assert.deepStrictEqual(pending, []);
+                assert.strictEqual(balance.toNumber(), 150);
+                assert.strictEqual(status.toNumber(), 2);
+                return next();
+            },
+        ], done);
+    });
+});
@@ -0,0 +1,43 @@
+/**
+ * This file contains tests for the token amount conversions available in ../tokenUnits.js.
+ */
+
+const assert = require('assert');
+const tokenUnits = require('../tokenUnits.js');
+
+describe('token units', () => {
+    it('should convert human units into base units exactly', (done) => {
+        assert.strictEqual(tokenUnits.toBaseUnits('1.5', 18), '1500000000000000000');
+        assert.strictEqual(tokenUnits.toBaseUnits('1000000000000', 18), `1${'0'.repeat(30)}`);
+        assert.strictEqual(tokenUnits.toBaseUnits(' .25 ', 2), '25');
+        assert.strictEqual(tokenUnits.toBaseUnits('2.500', 1), '25');
+        assert.strictEqual(tokenUnits.toBaseUnits('0.0', 0), '0');
+        assert.strictEqual(tokenUnits.toBaseUnits(42, 0), '42');
+        return done();
+    });
+
+    it('should reject malformed amounts and amounts more precise than the token', (done) => {
+        ['', '.', '-1', '1e18', '0x10', '1.2.3'].forEach((value) => {
+            assert.throws(() => tokenUnits.toBaseUnits(value, 18), /expected a non-negative decimal number/);
+        });
+        assert.throws(() => tokenUnits.toBaseUnits('1.505', 2), /the token has 2 decimals/);
+        return done();
+    });
+
+    it('should convert base units into human units', (done) => {
+        assert.strictEqual(tokenUnits.fromBaseUnits('1500000000000000000', 18), '1.5');
+        assert.strictEqual(tokenUnits.fromBaseUnits('5', 3), '0.005');
+        assert.strictEqual(tokenUnits.fromBaseUnits('1200', 2), '12');
+        assert.strictEqual(tokenUnits.fromBaseUnits('0', 2), '0');
+        assert.strictEqual(tokenUnits.fromBaseUnits('1200000', 0), '1200000');
+        return done();
+    });
+
+    it('should parse numbers of decimals', (done) => {
+        assert.strictEqual(tokenUnits.parseDecimals(' 18 '), 18);
+        ['-1', '1.5', 'abc', '78'].forEach((value) => {
+            assert.throws(() => tokenUnits.parseDecimals(value), /Invalid number of decimals/);
+        });
+        return done();
+    });
+});
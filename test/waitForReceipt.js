@@ -0,0 +1,226 @@
+/**
+ * This file contains tests for the transaction confirmation functionality available in
+ * ../waitForReceipt.js, and for its use by ../getGasEstimateAndCall.js.
+ */
+
+const assert = require('assert');
+const async = require('async');
+const { TransactionRevertedError, TransactionTimeoutError } = require('../errors.js');
+const { deployStem, startChain } = require('./fixtures.js');
+const getGasEstimateAndCall = require('../getGasEstimateAndCall.js');
+const waitForReceipt = require('../waitForReceipt.js');
+
+describe('waitForReceipt', () => {
+    let web3;
+    let accounts;
+
+    beforeEach((done) => {
+        // Failed transactions are mined with status 0 rather than rejected by the node, as they
+        // would be on a real chain
+        startChain({ vmErrorsOnRPCResponse: false }, (err, client, result) => {
+            if (err) {
+                return done(err);
+            }
+            web3 = client;
+            accounts = result;
+            return done();
+        });
+    });
+
+    function sendValue(next) {
+        return web3.eth.sendTransaction({
+            from: accounts[0],
+            to: accounts[1],
+            value: 1,
+            gas: 21000,
+        }, next);
+    }
+
+    function mineBlock(next) {
+        return web3.currentProvider.sendAsync(
+            {
+                jsonrpc: '2.0',
+                id: Date.now(),
+                method: 'evm_mine',
+                params: [],
+            },
+            err => next(err),
+        );
+    }
+
+    it('should produce the receipt of a mined transaction', (done) => {
+        sendValue((err, transactionHash) => {
+            if (err) {
+                return done(err);
+            }
+            return waitForReceipt(web3, transactionHash, {}, (receiptErr, receipt) => {
+                if (receiptErr) {
+                    return done(receiptErr);
+                }
+                assert.strictEqual(receipt.transactionHash, transactionHash);
+                return done();
+            });
+        });
+    });
+
+    it('should wait until the transaction has the requested number of confirmations', (done) => {
+        sendValue((err, transactionHash) => {
+            if (err) {
+                return done(err);
+            }
+
+            let confirmed = false;
+            waitForReceipt(
+                web3,
+                transactionHash,
+                { confirmations: 3, pollInterval: 20 },
+                (receiptErr, receipt) => {
+                    if (receiptErr) {
+                        return done(receiptErr);
+                    }
+                    confirmed = true;
+                    assert.strictEqual(receipt.transactionHash, transactionHash);
+                    return done();
+                },
+            );
+
+            return setTimeout(() => {
+                assert(!confirmed);
+                return async.series([mineBlock, mineBlock], (mineErr) => {
+                    if (mineErr) {
+                        return done(mineErr);
+                    }
+                    return null;
+                });
+            }, 100);
+        });
+    });
+
+    it('should report failed transactions as TransactionRevertedErrors', function runTest(done) {
+        this.timeout(10000);
+
+        return async.waterfall([
+            next => deployStem(web3, accounts[0], next),
+            // Only the stem master may change the name of the token
+            (stemInstance, next) => stemInstance.changeName.sendTransaction(
+                'Impostor',
+                { from: accounts[1], gas: 100000 },
+                next,
+            ),
+            (transactionHash, next) => waitForReceipt(web3, transactionHash, {}, (err) => {
+                assert(err instanceof TransactionRevertedError);
+                assert.strictEqual(err.transactionHash, transactionHash);
+                assert.strictEqual(parseInt(err.receipt.status, 16), 0);
+                return next();
+            }),
+        ], done);
+    });
+
+    it('should give up on transactions which are not mined in time', (done) => {
+        const transactionHash = `0x${'ab'.repeat(32)}`;
+        waitForReceipt(web3, transactionHash, { timeout: 100, pollInterval: 20 }, (err) => {
+            assert(err instanceof TransactionTimeoutError);
+            assert.strictEqual(err.transactionHash, transactionHash);
+            assert.strictEqual(err.receipt, null);
+            return done();
+        });
+    });
+
+    it('should be used by getGasEstimateAndCall.withReceipts for methods which send transactions', function runTest(done) {
+        this.timeout(10000);
+
+        const estimateAndCall = getGasEstimateAndCall.withReceipts(web3);
+        let stemInstance;
+        return async.waterfall([
+            next => deployStem(web3, accounts[0], next),
+            (deployedStem, next) => {
+                stemInstance = deployedStem;
+                return estimateAndCall(
+                    stemInstance.changeName,
+                    accounts[0],
+                    gasEstimate => 2 * gasEstimate,
+                    'Renamed',
+                    next,
+                );
+            },
+            (transactionHash, receipt, next) => {
+                assert.strictEqual(receipt.transactionHash, transactionHash);
+                assert.strictEqual(parseInt(receipt.status, 16), 1);
+                // Methods which do not send transactions are called as usual
+                return estimateAndCall(
+                    stemInstance.name,
+                    accounts[0],
+                    gasEstimate => gasEstimate,
+                    next,
+                );
+            },
+            (name, next) => {
+                assert.strictEqual(name, 'Renamed');
+                return next();
+            },
+        ], done);
+    });
+
+    it('should be used by getGasEstimateAndCall through the web3 client of connected contracts', function runTest(done) {
+        this.timeout(10000);
+
+        return async.waterfall([
+            next => deployStem(web3, accounts[0], next),
+            (stemInstance, next) => getGasEstimateAndCall(
+                stemInstance.changeName,
+                accounts[0],
+                gasEstimate => 2 * gasEstimate,
+                'Renamed',
+                next,
+            ),
+            (transactionHash, receipt, next) => {
+                assert.strictEqual(receipt.transactionHash, transactionHash);
+                assert.strictEqual(parseInt(receipt.status, 16), 1);
+                return next();
+            },
+        ], done);
+    });
+
+    it('should report a method of a contract without a known web3 client instead of not waiting', function runTest(done) {
+        this.timeout(10000);
+
+        return async.waterfall([
+            next => deployStem(web3, accounts[0], next),
+            (stemInstance, next) => {
+                const unconnectedInstance = web3.eth.contract(stemInstance.abi)
+                    .at(stemInstance.address);
+                return getGasEstimateAndCall(
+                    unconnectedInstance.changeName,
+                    accounts[0],
+                    gasEstimate => 2 * gasEstimate,
+                    'Renamed',
+                    (err) => {
+                        assert(/No web3 client through which to wait/.test(err.message));
+                        return next();
+                    },
+                );
+            },
+        ], done);
+    });
+
+    it('should leave getGasEstimateAndCall.withoutReceipts calling back with the bare transaction hash', function runTest(done) {
+        this.timeout(10000);
+
+        return async.waterfall([
+            next => deployStem(web3, accounts[0], next),
+            (stemInstance, next) => getGasEstimateAndCall.withoutReceipts(
+                stemInstance.changeName,
+                accounts[0],
+                gasEstimate => 2 * gasEstimate,
+                'Renamed',
+                (...results) => next(...results),
+            ),
+            (transactionHash, ...rest) => {
+                const next = rest.pop();
+                assert(/^0x[0-9a-f]{64}$/.test(transactionHash));
+                assert.deepStrictEqual(rest, []);
+                return next();
+            },
+        ], done);
+    });
+});
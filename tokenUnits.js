@@ -0,0 +1,74 @@
+/**
+ * @file
+ * Conversion between token amounts in human units (e.g. "1.5") and in base units, the integers that
+ * token contracts deal in (e.g. "1500000000000000000" for 18 decimals). Amounts are handled as
+ * decimal strings, so that they are converted exactly however large they are.
+ */
+
+const AMOUNT_REGEX = /^([0-9]*)(?:\.([0-9]*))?$/;
+
+/**
+ * Parses a number of decimals, which must be a non-negative decimal integer.
+ *
+ * @param {string|number} value - Number of decimals
+ * @returns {number} Parsed number of decimals
+ * @throws {Error} If value is not a non-negative decimal integer
+ */
+function parseDecimals(value) {
+    const trimmedValue = String(value).trim();
+    if (!/^[0-9]+$/.test(trimmedValue) || parseInt(trimmedValue, 10) > 77) {
+        throw new Error(`Invalid number of decimals: ${value} (expected an integer from 0 to 77)`);
+    }
+    return parseInt(trimmedValue, 10);
+}
+
+/**
+ * Converts an amount in human units into base units.
+ *
+ * @param {string|number} value - Amount in human units, e.g. "1.5"
+ * @param {number} decimals - Number of decimals of the token
+ * @returns {string} Amount in base units, as a decimal string
+ * @throws {Error} If value is not a non-negative decimal number, or has more decimal places than
+ * the token
+ */
+function toBaseUnits(value, decimals) {
+    const trimmedValue = String(value).trim();
+    const match = AMOUNT_REGEX.exec(trimmedValue);
+    if (!trimmedValue || trimmedValue === '.' || !match) {
+        throw new Error(`Invalid amount: ${value} (expected a non-negative decimal number)`);
+    }
+
+    const [, whole, fraction = ''] = match;
+    const significantFraction = fraction.replace(/0+$/, '');
+    if (significantFraction.length > decimals) {
+        throw new Error(`Invalid amount: ${value} (the token has ${decimals} decimals)`);
+    }
+
+    const baseUnits = `${whole}${significantFraction.padEnd(decimals, '0')}`.replace(/^0+/, '');
+    return baseUnits || '0';
+}
+
+/**
+ * Converts an amount in base units into human units.
+ *
+ * @param {string|Object} baseUnits - Amount in base units, as a decimal string or BigNumber
+ * @param {number} decimals - Number of decimals of the token
+ * @returns {string} Amount in human units, without trailing zeros in its fractional part
+ */
+function fromBaseUnits(baseUnits, decimals) {
+    const digits = baseUnits.toString(10);
+    if (decimals === 0) {
+        return digits;
+    }
+
+    const paddedDigits = digits.padStart(decimals + 1, '0');
+    const whole = paddedDigits.slice(0, -decimals);
+    const fraction = paddedDigits.slice(-decimals).replace(/0+$/, '');
+    return fraction ? `${whole}.${fraction}` : whole;
+}
+
+module.exports = {
+    fromBaseUnits,
+    parseDecimals,
+    toBaseUnits,
+};
@@ -0,0 +1,100 @@
+/**
+ * @file
+ * Waiting for transactions to be mined and confirmed. Used by every script and helper in this
+ * repository which sends transactions, so that they only report success once a transaction has
+ * succeeded and is buried under the requested number of blocks.
+ */
+
+const { TransactionRevertedError, TransactionTimeoutError } = require('./errors');
+
+const DEFAULT_TIMEOUT = 5 * 60 * 1000;
+const DEFAULT_POLL_INTERVAL = 1000;
+
+/**
+ * Determines whether a receipt belongs to a failed transaction. Receipts from before the
+ * Byzantium fork carry no status, and are not considered failed.
+ *
+ * @param {Object} receipt - Transaction receipt
+ * @returns {boolean} True if the transaction failed
+ */
+function isFailedReceipt(receipt) {
+    if (receipt.status === null || receipt.status === undefined) {
+        return false;
+    }
+    return parseInt(receipt.status, 16) === 0;
+}
+
+/**
+ * Waits until the given transaction has been mined and confirmed.
+ *
+ * A transaction has one confirmation when it is mined, and one more for each block mined on top of
+ * the block containing it. The receipt is fetched again on every poll, so a transaction which is
+ * moved to another block by a chain reorganization is followed to its new block.
+ *
+ * @param {Object} web3 - Web3 client
+ * @param {string} transactionHash - Hash of transaction to wait for
+ * @param {Object} [options] - Waiting options
+ * @param {number} [options.confirmations] - Number of confirmations to wait for (default: 1)
+ * @param {number} [options.timeout] - Number of milliseconds after which to give up (default: 5
+ * minutes)
+ * @param {number} [options.pollInterval] - Number of milliseconds between polls (default: 1000)
+ * @param {callback} callback - Called with an error - a TransactionRevertedError if the transaction
+ * failed, or a TransactionTimeoutError if it was not confirmed in time - or with null and the
+ * transaction receipt
+ */
+function waitForReceipt(web3, transactionHash, options, callback) {
+    const confirmations = options.confirmations === undefined ? 1 : options.confirmations;
+    const timeout = options.timeout || DEFAULT_TIMEOUT;
+    const pollInterval = options.pollInterval || DEFAULT_POLL_INTERVAL;
+    const startTime = Date.now();
+
+    function retry(receipt) {
+        if (Date.now() - startTime >= timeout) {
+            const state = receipt ? `confirmed by fewer than ${confirmations} block(s)` : 'mined';
+            return callback(new TransactionTimeoutError(
+                `Transaction ${transactionHash} was not ${state} within ${timeout / 1000} seconds`,
+                transactionHash,
+                receipt,
+            ));
+        }
+        // eslint-disable-next-line no-use-before-define
+        return setTimeout(poll, pollInterval);
+    }
+
+    function poll() {
+        web3.eth.getTransactionReceipt(transactionHash, (receiptErr, receipt) => {
+            if (receiptErr) {
+                return callback(receiptErr);
+            }
+
+            if (!receipt || receipt.blockNumber === null) {
+                return retry(null);
+            }
+
+            if (isFailedReceipt(receipt)) {
+                return callback(new TransactionRevertedError(
+                    `Transaction ${transactionHash} failed (mined in block ${receipt.blockNumber} with status 0)`,
+                    receipt,
+                ));
+            }
+
+            if (confirmations <= 1) {
+                return callback(null, receipt);
+            }
+
+            return web3.eth.getBlockNumber((blockErr, blockNumber) => {
+                if (blockErr) {
+                    return callback(blockErr);
+                }
+                if ((blockNumber - receipt.blockNumber) + 1 >= confirmations) {
+                    return callback(null, receipt);
+                }
+                return retry(receipt);
+            });
+        });
+    }
+
+    poll();
+}
+
+module.exports = waitForReceipt;
@@ -0,0 +1,34 @@
+const _ = require('lodash');
+
+/**
+ * Lets a function which takes a callback also be called without one, in which case it returns a
+ * promise instead. This is how the callback-based helpers of this repository serve callers which
+ * use async/await.
+ *
+ * The callback is the last argument, if that is a function. If the function takes a fixed number
+ * of arguments before its callback, give that number as `arity`: optional arguments which the
+ * caller leaves out are then passed as undefined, so that the callback is always passed in the
+ * same position. Otherwise, the arguments are passed on as they are.
+ *
+ * @param {Function} method - Function whose last argument is a callback
+ * @param {number} [arity] - Number of arguments the function takes before its callback
+ * @param {Function} [settle] - Produces the value to resolve the promise with from the results
+ * passed to the callback (default: the first result)
+ * @returns {Function} Function taking the arguments, optionally followed by a callback, and
+ * returning a promise if there is no callback
+ */
+function withOptionalCallback(method, arity, settle = result => result) {
+    return (...args) => {
+        const callback = typeof _.last(args) === 'function' ? args.pop() : null;
+        const methodArgs = arity === undefined ? args : _.times(arity, index => args[index]);
+        if (callback) {
+            return method(...methodArgs, callback);
+        }
+        return new Promise((resolve, reject) => method(
+            ...methodArgs,
+            (err, ...results) => (err ? reject(err) : resolve(settle(...results))),
+        ));
+    };
+}
+
+module.exports = withOptionalCallback;